@@ -0,0 +1,55 @@
+const { silenceLogs, setupDatabase, startApp, client, teardown } = require('./helpers');
+
+describe('accounts', () => {
+    let server;
+    let anonymous;
+
+    beforeAll(async () => {
+        silenceLogs();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await setupDatabase();
+        server = await startApp({ '/auth': require('../routes/auth') });
+        anonymous = client(server.url, '');
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('registers, logs in and signs out', async () => {
+        const registered = await anonymous('POST', '/auth/register', { userId: 'alice', password: 'secret123' });
+        expect(registered.status).toBe(201);
+        expect(registered.body.token).toEqual(expect.any(String));
+
+        expect((await anonymous('POST', '/auth/login', { userId: 'alice', password: 'wrong-password' })).status).toBe(401);
+        const loggedIn = await anonymous('POST', '/auth/login', { userId: 'alice', password: 'secret123' });
+        expect(loggedIn.status).toBe(200);
+
+        const asAlice = client(server.url, loggedIn.body.token);
+        expect((await asAlice('GET', '/auth/me')).body.user.userId).toBe('alice');
+        expect((await asAlice('POST', '/auth/logout')).status).toBe(200);
+        expect((await asAlice('GET', '/auth/me')).status).toBe(401);
+    });
+
+    test('rejects invalid credentials', async () => {
+        expect((await anonymous('POST', '/auth/register', { userId: 'x', password: 'secret123' })).status).toBe(400);
+        expect((await anonymous('POST', '/auth/register', { userId: 'bob', password: '1' })).status).toBe(400);
+    });
+
+    test('answers 409 for a taken userId', async () => {
+        await anonymous('POST', '/auth/register', { userId: 'carol', password: 'secret123' });
+        const res = await anonymous('POST', '/auth/register', { userId: 'carol', password: 'other-secret' });
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('userId is already taken');
+    });
+
+    test('answers 409 to the loser of two concurrent registrations', async () => {
+        const results = await Promise.all([1, 2, 3].map(() => (
+            anonymous('POST', '/auth/register', { userId: 'dave', password: 'secret123' })
+        )));
+
+        expect(results.map(res => res.status).sort()).toEqual([201, 409, 409]);
+    });
+});
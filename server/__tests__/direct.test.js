@@ -0,0 +1,93 @@
+const {
+    silenceLogs,
+    setupDatabase,
+    execSql,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { getDirectRoomId, isDirectRoomId, isDirectParticipant } = require('../direct');
+const { resolveRoom } = require('../rooms');
+
+describe('direct conversations', () => {
+    let db;
+    let server;
+    const as = {};
+
+    beforeAll(async () => {
+        silenceLogs();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        db = await setupDatabase();
+        server = await startApp({ '/direct': require('../routes/direct') });
+        for (const userId of ['alice', 'bob', 'carol', 'dave']) {
+            as[userId] = client(server.url, await createTestUser(userId));
+        }
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('names the room after both participants in either order', () => {
+        expect(getDirectRoomId('bob', 'alice')).toBe('dm:alice:bob');
+        expect(getDirectRoomId('alice', 'bob')).toBe('dm:alice:bob');
+        expect(isDirectRoomId('dm:alice:bob')).toBe(true);
+        expect(isDirectRoomId('general')).toBe(false);
+        expect(isDirectParticipant('dm:alice:bob', 'bob')).toBe(true);
+        expect(isDirectParticipant('dm:alice:bob', 'carol')).toBe(false);
+    });
+
+    test('opens the same private room from both sides', async () => {
+        const opened = await as.alice('POST', '/direct', { userId: 'bob' });
+        expect(opened.status).toBe(201);
+        expect(opened.body.conversation).toMatchObject({ roomId: 'dm:alice:bob', peer: { userId: 'bob' } });
+
+        const reopened = await as.bob('POST', '/direct', { userId: 'alice' });
+        expect(reopened.status).toBe(200);
+        expect(reopened.body.created).toBe(false);
+        expect(reopened.body.conversation.roomId).toBe('dm:alice:bob');
+
+        expect((await resolveRoom('dm:alice:bob', 'bob', { write: true })).error).toBeUndefined();
+        expect((await resolveRoom('dm:alice:bob', 'carol')).status).toBe(403);
+    });
+
+    test('rejects conversations with yourself or unknown users', async () => {
+        expect((await as.alice('POST', '/direct', { userId: 'alice' })).status).toBe(400);
+        expect((await as.alice('POST', '/direct', { userId: 'nobody' })).status).toBe(404);
+        expect((await as.alice('POST', '/direct', {})).status).toBe(400);
+    });
+
+    test('lists conversations with the latest message and unread count', async () => {
+        await db.saveMessage({ type: 'text', roomId: 'dm:alice:bob', senderId: 'alice', timestamp: Date.now(), content: 'hi bob' });
+
+        const res = await as.bob('GET', '/direct');
+        expect(res.status).toBe(200);
+        expect(res.body.unreadCount).toBe(1);
+        expect(res.body.conversations).toEqual([
+            expect.objectContaining({ roomId: 'dm:alice:bob', unreadCount: 1, peer: expect.objectContaining({ userId: 'alice' }) })
+        ]);
+        expect(res.body.conversations[0].lastMessage).toMatchObject({ content: 'hi bob', senderId: 'alice' });
+    });
+
+    test('creates no room when a participant cannot be added', async () => {
+        await execSql(`
+            CREATE TRIGGER fail_member_insert BEFORE INSERT ON room_members
+            BEGIN SELECT RAISE(ABORT, 'members locked'); END
+        `);
+
+        try {
+            await expect(db.createDirectRoom('dm:carol:dave', ['carol', 'dave'], 'carol')).rejects.toThrow('members locked');
+            expect((await as.carol('POST', '/direct', { userId: 'dave' })).status).toBe(500);
+            expect(await db.getRoom('dm:carol:dave')).toBeUndefined();
+        } finally {
+            await execSql('DROP TRIGGER fail_member_insert');
+        }
+
+        expect((await as.carol('POST', '/direct', { userId: 'dave' })).status).toBe(201);
+        expect((await resolveRoom('dm:carol:dave', 'dave', { write: true })).error).toBeUndefined();
+    });
+});
@@ -0,0 +1,111 @@
+const { silenceLogs, setupDatabase, execSql, teardown } = require('./helpers');
+
+const messages = require('../messages');
+
+describe('message edits and recalls', () => {
+    const ROOM_ID = 'edits_room';
+    let db;
+
+    /**
+     * Store a text message sent just now
+     * @param {string} content - Message content
+     * @param {string} senderId - Sender
+     * @returns {Promise<number>} - Message ID
+     */
+    function post(content, senderId = 'alice') {
+        return db.saveMessage({ type: 'text', roomId: ROOM_ID, senderId, timestamp: Date.now(), content });
+    }
+
+    beforeAll(async () => {
+        silenceLogs();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        db = await setupDatabase();
+        await db.createRoom({ roomId: ROOM_ID, name: 'Edits' });
+    });
+
+    afterAll(async () => {
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('keeps the previous version when a message is edited', async () => {
+        const id = await post('first');
+        const result = await messages.editMessage(id, 'alice', '  second ');
+
+        expect(result.message.content).toBe('second');
+        expect(result.message.editedAt).toEqual(expect.any(Number));
+        expect(result.event).toMatchObject({ type: 'edit', messageId: id, content: 'second' });
+        expect(await db.getMessageEdits(id)).toEqual([{ content: 'first', editedAt: result.message.editedAt }]);
+    });
+
+    test('only lets the sender edit text within limits', async () => {
+        const id = await post('mine');
+
+        expect(await messages.editMessage(id, 'bob', 'theirs')).toEqual({ error: 'You can only change your own messages', status: 403 });
+        expect((await messages.editMessage(id, 'alice', '   ')).status).toBe(400);
+        expect((await messages.editMessage(id, 'alice', 'x'.repeat(5001))).status).toBe(400);
+        expect((await messages.editMessage(999999, 'alice', 'gone')).status).toBe(404);
+    });
+
+    test('recalls a message to a tombstone without its history', async () => {
+        const id = await post('regrettable');
+        await messages.editMessage(id, 'alice', 'still regrettable');
+
+        const result = await messages.recallMessage(id, 'alice');
+        expect(result.message).toMatchObject({ content: '', recalledAt: expect.any(Number) });
+        expect(await db.getMessageEdits(id)).toEqual([]);
+
+        expect(await messages.recallMessage(id, 'alice')).toEqual({ error: 'Message has been recalled', status: 409 });
+        expect((await messages.editMessage(id, 'alice', 'again')).status).toBe(409);
+    });
+
+    test('rolls back an edit whose history row cannot be saved', async () => {
+        const id = await post('original');
+        await execSql(`
+            CREATE TRIGGER fail_edit_history BEFORE INSERT ON message_edits
+            BEGIN SELECT RAISE(ABORT, 'history unavailable'); END
+        `);
+
+        try {
+            await expect(db.editMessage(id, 'changed', Date.now())).rejects.toThrow('history unavailable');
+            expect((await db.getMessageById(id)).content).toBe('original');
+            expect((await db.getMessageById(id)).editedAt).toBeNull();
+        } finally {
+            await execSql('DROP TRIGGER fail_edit_history');
+        }
+
+        // No transaction was left open
+        expect(await db.editMessage(id, 'changed', Date.now())).toBe(true);
+        expect(await db.getMessageEdits(id)).toHaveLength(1);
+    });
+
+    test('rolls back a recall that cannot clean up after the message', async () => {
+        const id = await post('liked');
+        await db.toggleReaction(id, 'bob', '👍');
+        await execSql(`
+            CREATE TRIGGER fail_reaction_delete BEFORE DELETE ON reactions
+            BEGIN SELECT RAISE(ABORT, 'reactions locked'); END
+        `);
+
+        try {
+            await expect(db.recallMessage(id, Date.now())).rejects.toThrow('reactions locked');
+            const message = await db.getMessageById(id);
+            expect(message.content).toBe('liked');
+            expect(message.recalledAt).toBeNull();
+        } finally {
+            await execSql('DROP TRIGGER fail_reaction_delete');
+        }
+
+        expect(await db.recallMessage(id, Date.now())).toBe(true);
+    });
+
+    test('runs concurrent edits one transaction at a time', async () => {
+        const ids = await Promise.all(['a', 'b', 'c'].map(content => post(content)));
+        const results = await Promise.all(ids.map(id => db.editMessage(id, 'edited', Date.now())));
+
+        expect(results).toEqual([true, true, true]);
+        for (const id of ids) {
+            expect(await db.getMessageEdits(id)).toHaveLength(1);
+        }
+    });
+});
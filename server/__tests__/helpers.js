@@ -0,0 +1,147 @@
+/**
+ * Test Helpers
+ * Point the server modules at a scratch database and uploads directory;
+ * require this before them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lynx-chat-test-'));
+
+process.env.DB_PATH = path.join(TEST_DIR, 'chat.db');
+process.env.UPLOADS_DIR = path.join(TEST_DIR, 'uploads');
+process.env.UPLOAD_SESSIONS_DIR = path.join(TEST_DIR, 'upload-sessions');
+process.env.AUTH_SECRET = 'test-secret';
+
+/**
+ * Keep the modules' progress logging out of the test output
+ */
+function silenceLogs() {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+}
+
+/**
+ * Create the scratch database with the current schema
+ * @returns {Promise<Object>} - The db module
+ */
+async function setupDatabase() {
+    const db = require('../db');
+    await db.initDatabase();
+    return db;
+}
+
+/**
+ * Run SQL on the scratch database through a connection of its own, e.g. to
+ * add a trigger that makes a statement fail
+ * @param {string} sql - SQL statements
+ * @returns {Promise<void>}
+ */
+function execSql(sql) {
+    const sqlite3 = require('sqlite3');
+    const connection = new sqlite3.Database(process.env.DB_PATH);
+    return new Promise((resolve, reject) => {
+        connection.exec(sql, (err) => {
+            connection.close(() => (err ? reject(err) : resolve()));
+        });
+    });
+}
+
+/**
+ * Create a user and sign them in
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - Bearer token
+ */
+async function createTestUser(userId) {
+    await require('../db').createUser({ userId, passwordHash: 'unused' });
+    const { token } = await require('../auth').issueToken(userId);
+    return token;
+}
+
+/**
+ * Upload a file as a user, the way /upload stores it
+ * @param {string} userId - Uploading user
+ * @param {string} roomId - Room the file is uploaded for
+ * @param {Buffer|string} content - File content
+ * @param {Object} options - { fileName, mimeType }
+ * @returns {Promise<Object>} - Result of storeUpload()
+ */
+async function uploadTestFile(userId, roomId, content, { fileName = 'test.bin', mimeType = 'application/octet-stream' } = {}) {
+    const dir = path.join(process.env.UPLOADS_DIR, 'file');
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `incoming-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    fs.writeFileSync(filePath, content);
+    return require('../media').storeUpload(filePath, { userId, roomId, fileName, mimeType });
+}
+
+/**
+ * Serve routers on a free port
+ * @param {Object} routes - Mount path -> router
+ * @returns {Promise<Object>} - { url, close }
+ */
+function startApp(routes) {
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+    Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Make JSON requests to a test server as one user
+ * @param {string} url - Server URL
+ * @param {string} token - Bearer token
+ * @returns {Function} - (method, path, body, headers) => Promise<{ status, headers, body }>
+ */
+function client(url, token) {
+    return async (method, requestPath, body, headers = {}) => {
+        const res = await fetch(url + requestPath, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await res.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON, keep the text
+        }
+        return { status: res.status, headers: res.headers, body: parsed };
+    };
+}
+
+/**
+ * Close the database and remove the scratch directory
+ * @returns {Promise<void>}
+ */
+async function teardown() {
+    await require('../db').closeDatabase();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+}
+
+module.exports = {
+    TEST_DIR,
+    silenceLogs,
+    setupDatabase,
+    execSql,
+    createTestUser,
+    uploadTestFile,
+    startApp,
+    client,
+    teardown
+};
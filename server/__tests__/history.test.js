@@ -0,0 +1,131 @@
+const { silenceLogs, setupDatabase, teardown } = require('./helpers');
+
+describe('history pagination', () => {
+    const ROOM_ID = 'history_room';
+    let db;
+    let ids;
+
+    /**
+     * Store a text message
+     * @param {number} timestamp - Message timestamp
+     * @param {Object} extra - Other message fields
+     * @returns {Promise<number>} - Message ID
+     */
+    function post(timestamp, extra = {}) {
+        return db.saveMessage({
+            type: 'text',
+            roomId: ROOM_ID,
+            senderId: 'alice',
+            timestamp,
+            content: `message at ${timestamp}`,
+            ...extra
+        });
+    }
+
+    /**
+     * Page through the history with a cursor until the end
+     * @param {Object} options - getHistory() options; `before` or `after` are filled in
+     * @param {string} direction - 'before' or 'after'
+     * @returns {Promise<Array>} - Pages of message IDs
+     */
+    async function pageThrough(options, direction = 'before') {
+        const pages = [];
+        let cursor = options[direction] || null;
+        for (;;) {
+            const page = await db.getHistory(ROOM_ID, { ...options, [direction]: cursor });
+            pages.push(page.messages.map(m => m.id));
+            if (!page.hasMore) {
+                return pages;
+            }
+            cursor = db.parseCursor(page.nextCursor);
+        }
+    }
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        await db.createRoom({ roomId: ROOM_ID, name: 'History' });
+
+        // Several messages share a timestamp, so ids break the ties
+        ids = [];
+        for (let i = 0; i < 25; i++) {
+            ids.push(await post(1000 + Math.floor(i / 4)));
+        }
+    });
+
+    afterAll(async () => {
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('encodes and parses cursors', () => {
+        expect(db.encodeCursor({ timestamp: 1700000000000, id: 42 })).toBe('1700000000000_42');
+        expect(db.parseCursor('1700000000000_42')).toEqual({ timestamp: 1700000000000, id: 42 });
+        expect(db.parseCursor('1700000000000')).toBeNull();
+        expect(db.parseCursor('abc_1')).toBeNull();
+        expect(db.parseCursor('')).toBeNull();
+        expect(db.parseCursor(undefined)).toBeNull();
+    });
+
+    test('returns the newest page first, newest message first', async () => {
+        const page = await db.getHistory(ROOM_ID, { limit: 10 });
+        expect(page.messages.map(m => m.id)).toEqual(ids.slice(15).reverse());
+        expect(page.hasMore).toBe(true);
+        expect(page.nextCursor).toBe(db.encodeCursor(page.messages[9]));
+    });
+
+    test('pages back through ties without gaps or repeats', async () => {
+        const pages = await pageThrough({ limit: 7 });
+        expect(pages.map(p => p.length)).toEqual([7, 7, 7, 4]);
+        expect(pages.flat()).toEqual([...ids].reverse());
+
+        const last = await db.getHistory(ROOM_ID, { before: { timestamp: 1000, id: ids[0] } });
+        expect(last).toMatchObject({ messages: [], hasMore: false, nextCursor: null });
+    });
+
+    test('pages forward from a cursor, oldest first', async () => {
+        const start = { timestamp: 1002, id: ids[9] };
+        const pages = await pageThrough({ limit: 6, after: start }, 'after');
+        expect(pages.flat()).toEqual(ids.slice(10));
+        expect(pages.flat()).not.toContain(ids[9]);
+    });
+
+    test('keeps older pages stable while new messages arrive', async () => {
+        const first = await db.getHistory(ROOM_ID, { limit: 5 });
+        const expected = await db.getHistory(ROOM_ID, { limit: 5, before: db.parseCursor(first.nextCursor) });
+
+        // Newer messages, one of them in the same millisecond as the newest
+        const added = [await post(1006), await post(1007)];
+
+        const second = await db.getHistory(ROOM_ID, { limit: 5, before: db.parseCursor(first.nextCursor) });
+        expect(second.messages.map(m => m.id)).toEqual(expected.messages.map(m => m.id));
+        expect(second.nextCursor).toBe(expected.nextCursor);
+
+        ids.push(...added);
+    });
+
+    test('hands out a cursor to poll with even when nothing is new', async () => {
+        const newest = await db.getHistory(ROOM_ID, { limit: 1 });
+        const cursor = db.parseCursor(db.encodeCursor(newest.messages[0]));
+
+        const empty = await db.getHistory(ROOM_ID, { after: cursor });
+        expect(empty).toMatchObject({ messages: [], hasMore: false, nextCursor: db.encodeCursor(cursor) });
+
+        const id = await post(newest.messages[0].timestamp);
+        ids.push(id);
+        const next = await db.getHistory(ROOM_ID, { after: db.parseCursor(empty.nextCursor) });
+        expect(next.messages.map(m => m.id)).toEqual([id]);
+        expect(next.nextCursor).toBe(db.encodeCursor(next.messages[0]));
+    });
+
+    test('pages through a single thread', async () => {
+        const rootId = ids[0];
+        const replies = [];
+        for (let i = 0; i < 5; i++) {
+            replies.push(await post(2000, { replyTo: rootId, threadId: rootId }));
+        }
+
+        const pages = await pageThrough({ threadId: rootId, limit: 2 });
+        expect(pages.flat()).toEqual(replies.reverse());
+    });
+});
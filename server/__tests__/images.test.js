@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+    TEST_DIR,
+    silenceLogs,
+    setupDatabase,
+    uploadTestFile,
+    teardown
+} = require('./helpers');
+
+const { probeImage, renderPreview } = require('../images');
+const { encodePng } = require('../probe');
+const { checkUploadSize, uploadTooLarge, storeUpload } = require('../media');
+const { UPLOADS_DIR } = require('../storage');
+
+const MB = 1024 * 1024;
+
+/**
+ * Write a test file
+ * @param {string} name - File name
+ * @param {Buffer} content - File content
+ * @returns {string} - Path of the file
+ */
+function writeFile(name, content) {
+    const filePath = path.join(TEST_DIR, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+/**
+ * Draw a PNG picture of one colour
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Buffer} - PNG file
+ */
+function png(width, height) {
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let pixel = 0; pixel < rgba.length; pixel += 4) {
+        rgba.set([0x33, 0x99, 0xff, 0xff], pixel);
+    }
+    return encodePng(width, height, rgba);
+}
+
+/**
+ * Build the headers of a JPEG photo taken with the camera turned
+ * @param {number} width - Stored width
+ * @param {number} height - Stored height
+ * @param {number} orientation - EXIF orientation
+ * @returns {Buffer} - JPEG headers, without image data
+ */
+function jpegHeaders(width, height, orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4); // First IFD
+    tiff.writeUInt16BE(1, 8); // One entry
+    tiff.writeUInt16BE(0x0112, 10); // Orientation
+    tiff.writeUInt16BE(3, 12); // SHORT
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+
+    const app1 = Buffer.alloc(4);
+    app1.writeUInt16BE(0xffe1, 0);
+    app1.writeUInt16BE(exif.length + 2, 2);
+
+    const sof = Buffer.from([0xff, 0xc0, 0, 17, 8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, exif, sof]);
+}
+
+describe('images', () => {
+    beforeAll(async () => {
+        silenceLogs();
+        await setupDatabase();
+    });
+
+    afterAll(async () => {
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    describe('probeImage', () => {
+        test('reads the size of PNG, GIF and WebP pictures', async () => {
+            expect(await probeImage(writeFile('shot.png', png(7, 5)))).toMatchObject({
+                type: 'image', format: 'png', mimeType: 'image/png', width: 7, height: 5, duration: null
+            });
+
+            const gif = Buffer.from('GIF89a\x40\x01\xf0\x00\0\0\0', 'latin1');
+            expect(await probeImage(writeFile('anim.gif', gif))).toMatchObject({ format: 'gif', width: 320, height: 240 });
+
+            const webp = Buffer.alloc(30);
+            webp.write('RIFF', 0, 'latin1');
+            webp.write('WEBPVP8L', 8, 'latin1');
+            webp[20] = 0x2f;
+            webp.writeUInt32LE((1024 - 1) | ((768 - 1) << 14), 21);
+            expect(await probeImage(writeFile('sticker.webp', webp))).toMatchObject({ format: 'webp', width: 1024, height: 768 });
+        });
+
+        test('swaps the size of JPEG photos turned by their EXIF orientation', async () => {
+            expect(await probeImage(writeFile('upright.jpg', jpegHeaders(4000, 3000, 1)))).toMatchObject({
+                format: 'jpeg', width: 4000, height: 3000, orientation: 1
+            });
+            expect(await probeImage(writeFile('turned.jpg', jpegHeaders(4000, 3000, 6)))).toMatchObject({
+                format: 'jpeg', width: 3000, height: 4000, orientation: 6
+            });
+        });
+
+        test('rejects files that are not pictures or have no size', async () => {
+            expect(await probeImage(writeFile('notes.png', Buffer.from('plain text, not a picture')))).toBeNull();
+            expect(await probeImage(writeFile('empty.png', png(0, 0)))).toBeNull();
+            expect(await probeImage(writeFile('cut.jpg', jpegHeaders(4000, 3000, 1).subarray(0, 40)))).toBeNull();
+        });
+    });
+
+    describe('renderPreview', () => {
+        test('downscales large PNG pictures to fit the preview size', async () => {
+            const filePath = writeFile('wide.png', png(800, 400));
+            const preview = await renderPreview(filePath, await probeImage(filePath));
+
+            expect(preview.ext).toBe('png');
+            expect(preview.data.subarray(1, 4).toString('latin1')).toBe('PNG');
+            expect([preview.data.readUInt32BE(16), preview.data.readUInt32BE(20)]).toEqual([320, 160]);
+        });
+
+        test('draws no preview for small pictures', async () => {
+            const small = writeFile('small.png', png(100, 100));
+            expect(await renderPreview(small, await probeImage(small))).toBeNull();
+        });
+
+        test('draws no preview for JPEG photos cut off before their image data', async () => {
+            const headersOnly = writeFile('headers.jpg', jpegHeaders(4000, 3000, 1));
+            expect(await renderPreview(headersOnly, await probeImage(headersOnly))).toBeNull();
+        });
+    });
+
+    describe('uploads', () => {
+        test('stores pictures with their size and preview', async () => {
+            const result = await uploadTestFile('alice', 'default_room', png(640, 960), { fileName: 'photo.png', mimeType: 'image/png' });
+
+            expect(result).toMatchObject({ type: 'image', mimeType: 'image/png', width: 640, height: 960 });
+            expect(result.filePath).toMatch(/^\/uploads\/image\/[\w.-]+\.png$/);
+            expect(result.thumbnail).toMatch(/^\/uploads\/thumbnails\/[\w.-]+\.png$/);
+            expect(fs.existsSync(path.join(UPLOADS_DIR, result.thumbnail.replace(/^\/uploads\//, '')))).toBe(true);
+        });
+
+        test('stores other content as a file, whatever its declared type', async () => {
+            const result = await uploadTestFile('alice', 'default_room', '%PDF-1.7 minutes', { fileName: 'Minutes.PDF', mimeType: 'image/png' });
+
+            expect(result).toMatchObject({ type: 'file', mimeType: 'image/png', width: null, thumbnail: null });
+            expect(result.filePath).toMatch(/^\/uploads\/file\/[\w.-]+\.pdf$/);
+        });
+
+        test('limits the size of each type of upload', async () => {
+            expect(checkUploadSize('image', 20 * MB)).toBeNull();
+            expect(checkUploadSize('image', 20 * MB + 1)).toEqual({ error: 'File size exceeds limit for images (20MB)', status: 400 });
+            expect(checkUploadSize('file', 50 * MB)).toBeNull();
+            expect(checkUploadSize('file', 50 * MB + 1)).toEqual(uploadTooLarge('file'));
+            expect(checkUploadSize('video', 100 * MB)).toBeNull();
+        });
+
+        test('removes a picture over the image limit', async () => {
+            const dir = path.join(UPLOADS_DIR, 'image');
+            fs.mkdirSync(dir, { recursive: true });
+            const filePath = path.join(dir, 'huge.png');
+            fs.writeFileSync(filePath, png(4, 4));
+            fs.truncateSync(filePath, 20 * MB + 1); // Sparse, nothing is written
+
+            expect(await storeUpload(filePath, { userId: 'alice', roomId: 'default_room', fileName: 'huge.png', mimeType: 'image/png' }))
+                .toEqual(uploadTooLarge('image'));
+            expect(fs.existsSync(filePath)).toBe(false);
+        });
+    });
+});
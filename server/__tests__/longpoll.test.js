@@ -0,0 +1,71 @@
+const { silenceLogs } = require('./helpers');
+
+const { waitForChange, notifyRoom } = require('../longpoll');
+const { broadcastToRoom, sendToUser, getRecentEvents } = require('../bus');
+
+describe('long polling', () => {
+    /**
+     * Tell whether a wait has settled, without waiting for it
+     * @param {Promise} wait - Result of waitForChange()
+     * @returns {Promise<boolean|string>} - Its result, or 'pending'
+     */
+    const peek = wait => Promise.race([wait, new Promise(resolve => setImmediate(() => resolve('pending')))]);
+
+    beforeAll(() => {
+        silenceLogs();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('wakes the requests of a room when an event is published in it', async () => {
+        const here = waitForChange('lobby', 'alice', 10000);
+        const elsewhere = waitForChange('garden', 'bob', 10000);
+
+        broadcastToRoom('lobby', { type: 'typing', roomId: 'lobby', userId: 'carol', state: 'start', timestamp: Date.now() });
+
+        expect(await here).toBe(true);
+        expect(await peek(elsewhere)).toBe('pending');
+        elsewhere.cancel();
+        expect(await elsewhere).toBe(false);
+    });
+
+    test('wakes a user in whichever room they poll', async () => {
+        const wait = waitForChange('garden', 'alice', 10000);
+        sendToUser('alice', { type: 'mention', userId: 'alice', roomId: 'lobby', timestamp: Date.now() });
+        expect(await wait).toBe(true);
+    });
+
+    test('settles once, on timeout if nothing happens', async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+            const wait = waitForChange('lobby', 'alice', 25000);
+            jest.advanceTimersByTime(24999);
+            expect(await peek(wait)).toBe('pending');
+
+            jest.advanceTimersByTime(1);
+            expect(await wait).toBe(false);
+
+            notifyRoom('lobby');
+            wait.cancel();
+            expect(await wait).toBe(false);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('replays the events since a time for a room and its user', () => {
+        const since = Date.now() - 1;
+        broadcastToRoom('replay_room', { type: 'typing', roomId: 'replay_room', userId: 'carol', timestamp: since + 1 });
+        broadcastToRoom('other_room', { type: 'typing', roomId: 'other_room', userId: 'carol', timestamp: since + 1 });
+        sendToUser('dave', { type: 'mention', userId: 'dave', roomId: 'other_room', timestamp: since + 2 });
+        sendToUser('erin', { type: 'mention', userId: 'erin', roomId: 'replay_room', timestamp: since + 2 });
+
+        expect(getRecentEvents('replay_room', 'dave', since).map(event => [event.type, event.roomId])).toEqual([
+            ['typing', 'replay_room'],
+            ['mention', 'other_room']
+        ]);
+        expect(getRecentEvents('replay_room', 'dave', since + 2)).toEqual([]);
+    });
+});
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    uploadTestFile,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { resolveMedia } = require('../messages');
+
+describe('media', () => {
+    const content = crypto.randomBytes(1000);
+    let db;
+    let server;
+    let file;
+    let tokens;
+    const as = {};
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        server = await startApp({ '/uploads': require('../routes/media') });
+        tokens = {
+            alice: await createTestUser('alice'),
+            bob: await createTestUser('bob')
+        };
+        as.alice = client(server.url, tokens.alice);
+        as.bob = client(server.url, tokens.bob);
+
+        await db.createRoom({ roomId: 'secret', name: 'Secret', isPrivate: true, createdBy: 'alice' });
+        await db.addRoomMember({ roomId: 'secret', userId: 'alice', role: 'owner' });
+        file = await uploadTestFile('alice', 'secret', content, { fileName: 'data.bin' });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /uploads/:kind/:name', () => {
+        test('sends the whole file to its uploader', async () => {
+            const res = await as.alice('GET', file.filePath);
+            expect(res.status).toBe(200);
+            expect(res.headers.get('Accept-Ranges')).toBe('bytes');
+            expect(res.headers.get('Content-Length')).toBe('1000');
+            expect(res.headers.get('Content-Disposition')).toBe('attachment');
+            expect(res.headers.get('X-Content-Type-Options')).toBe('nosniff');
+            expect(res.headers.get('ETag')).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+        });
+
+        test('accepts the token in the query string', async () => {
+            const res = await fetch(`${server.url}${file.filePath}?token=${tokens.alice}`);
+            expect(res.status).toBe(200);
+            expect(Buffer.from(await res.arrayBuffer()).equals(content)).toBe(true);
+        });
+
+        test('hides files from users who cannot see them', async () => {
+            expect((await as.bob('GET', file.filePath)).status).toBe(404);
+            expect((await fetch(`${server.url}${file.filePath}`)).status).toBe(401);
+        });
+
+        test('rejects unknown kinds and file names', async () => {
+            expect((await as.alice('GET', '/uploads/secret/x.bin')).status).toBe(404);
+            expect((await as.alice('GET', '/uploads/file/..%2Fchat.db')).status).toBe(404);
+            expect((await as.alice('GET', '/uploads/file/missing.bin')).status).toBe(404);
+        });
+
+        describe('ranges', () => {
+            const range = async (header, headers = {}) => {
+                const res = await fetch(`${server.url}${file.filePath}`, {
+                    headers: { Authorization: `Bearer ${tokens.alice}`, Range: header, ...headers }
+                });
+                return { res, body: Buffer.from(await res.arrayBuffer()) };
+            };
+
+            test('sends a closed range', async () => {
+                const { res, body } = await range('bytes=10-19');
+                expect(res.status).toBe(206);
+                expect(res.headers.get('Content-Range')).toBe('bytes 10-19/1000');
+                expect(res.headers.get('Content-Length')).toBe('10');
+                expect(body.equals(content.subarray(10, 20))).toBe(true);
+            });
+
+            test('sends an open range to the end of the file', async () => {
+                const { res, body } = await range('bytes=990-');
+                expect(res.status).toBe(206);
+                expect(res.headers.get('Content-Range')).toBe('bytes 990-999/1000');
+                expect(body.equals(content.subarray(990))).toBe(true);
+            });
+
+            test('sends a suffix range', async () => {
+                const { res, body } = await range('bytes=-5');
+                expect(res.status).toBe(206);
+                expect(res.headers.get('Content-Range')).toBe('bytes 995-999/1000');
+                expect(body.equals(content.subarray(995))).toBe(true);
+            });
+
+            test('clamps a range that runs past the end', async () => {
+                const { res } = await range('bytes=900-5000');
+                expect(res.status).toBe(206);
+                expect(res.headers.get('Content-Range')).toBe('bytes 900-999/1000');
+            });
+
+            test('answers 416 to a range past the end', async () => {
+                const { res } = await range('bytes=1000-');
+                expect(res.status).toBe(416);
+                expect(res.headers.get('Content-Range')).toBe('bytes */1000');
+            });
+
+            test('sends the whole file for multiple or malformed ranges', async () => {
+                expect((await range('bytes=0-1,5-6')).res.status).toBe(200);
+                expect((await range('items=0-1')).res.status).toBe(200);
+            });
+
+            test('honours If-Range only while the file is unchanged', async () => {
+                const etag = (await as.alice('GET', file.filePath)).headers.get('ETag');
+                expect((await range('bytes=0-9', { 'If-Range': etag })).res.status).toBe(206);
+
+                const { res, body } = await range('bytes=0-9', { 'If-Range': '"stale"' });
+                expect(res.status).toBe(200);
+                expect(body.length).toBe(1000);
+            });
+        });
+
+        describe('conditional requests', () => {
+            test('answers 304 when the ETag still matches', async () => {
+                const etag = (await as.alice('GET', file.filePath)).headers.get('ETag');
+                expect((await as.alice('GET', file.filePath, null, { 'If-None-Match': etag })).status).toBe(304);
+                expect((await as.alice('GET', file.filePath, null, { 'If-None-Match': `"other", W/${etag}` })).status).toBe(304);
+                expect((await as.alice('GET', file.filePath, null, { 'If-None-Match': '"other"' })).status).toBe(200);
+            });
+
+            test('answers 304 when the file is not newer than If-Modified-Since', async () => {
+                const modified = (await as.alice('GET', file.filePath)).headers.get('Last-Modified');
+                expect((await as.alice('GET', file.filePath, null, { 'If-Modified-Since': modified })).status).toBe(304);
+
+                const earlier = new Date(Date.parse(modified) - 60000).toUTCString();
+                expect((await as.alice('GET', file.filePath, null, { 'If-Modified-Since': earlier })).status).toBe(200);
+            });
+        });
+    });
+
+    describe('resolveMedia', () => {
+        test('lets the uploader post their file', async () => {
+            const media = await resolveMedia('file', file.filePath, 'alice');
+            expect(media.error).toBeUndefined();
+            expect(media.fileSize).toBe(1000);
+        });
+
+        test('rejects files the sender neither uploaded nor can see', async () => {
+            expect(await resolveMedia('file', file.filePath, 'bob')).toEqual({
+                error: 'You can only post files you uploaded or can access',
+                status: 403
+            });
+        });
+
+        test('lets readers of a room repost the files posted there', async () => {
+            await db.createRoom({ roomId: 'open', name: 'Open', createdBy: 'alice' });
+            const shared = await uploadTestFile('alice', 'open', crypto.randomBytes(100));
+            expect((await resolveMedia('file', shared.filePath, 'bob')).status).toBe(403);
+
+            await db.saveMessage({
+                type: 'file',
+                roomId: 'open',
+                senderId: 'alice',
+                timestamp: Date.now(),
+                content: shared.filePath,
+                fileName: 'shared.bin',
+                fileSize: shared.fileSize
+            });
+            expect((await resolveMedia('file', shared.filePath, 'bob')).fileSize).toBe(100);
+        });
+
+        test('checks the text of text messages', async () => {
+            expect(await resolveMedia('text', 'hello', 'alice')).toEqual({});
+            expect(await resolveMedia('text', 'x'.repeat(5000), 'alice')).toEqual({});
+
+            const invalid = { error: 'content must be 1-5000 characters', status: 400 };
+            expect(await resolveMedia('text', 'x'.repeat(5001), 'alice')).toEqual(invalid);
+            expect(await resolveMedia('text', '   ', 'alice')).toEqual(invalid);
+            expect(await resolveMedia('text', { text: 'hello' }, 'alice')).toEqual(invalid);
+            expect(await resolveMedia('text', ['hello'], 'alice')).toEqual(invalid);
+        });
+
+        test('checks the type of the file', async () => {
+            expect((await resolveMedia('image', file.filePath, 'alice')).status).toBe(400);
+            expect((await resolveMedia('file', '/uploads/file/missing.bin', 'alice')).status).toBe(400);
+            expect((await resolveMedia('sticker', file.filePath, 'alice')).status).toBe(400);
+        });
+    });
+});
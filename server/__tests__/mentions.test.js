@@ -0,0 +1,112 @@
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { parseMentions, recordMentions } = require('../mentions');
+
+describe('mentions', () => {
+    const ROOM_ID = 'mentions_room';
+    let db;
+    let server;
+    const as = {};
+
+    /**
+     * Store a text message and record its mentions
+     * @param {string} senderId - Sender
+     * @param {string} content - Text
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Array>} - `mention` events
+     */
+    const post = async (senderId, content, roomId = ROOM_ID) => {
+        const message = { type: 'text', roomId, senderId, timestamp: Date.now(), content };
+        message.id = await db.saveMessage(message);
+        return recordMentions(message);
+    };
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        server = await startApp({ '/mentions': require('../routes/mentions') });
+        for (const userId of ['alice', 'bob']) {
+            as[userId] = client(server.url, await createTestUser(userId));
+        }
+        await db.createUser({ userId: 'carol_2024', username: '小明', passwordHash: 'unused' });
+        await db.createRoom({ roomId: ROOM_ID, name: 'Mentions' });
+        await db.createRoom({ roomId: 'private_mentions', name: 'Private', isPrivate: true });
+        await db.addRoomMember({ roomId: 'private_mentions', userId: 'alice', role: 'owner' });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('finds distinct names after an @ that starts a word', () => {
+        expect(parseMentions('@bob, ask @小明 and @bob again')).toEqual(['bob', '小明']);
+        expect(parseMentions('mail alice@example.com')).toEqual([]);
+        expect(parseMentions('（@小明）')).toEqual(['小明']);
+        expect(parseMentions(Array.from({ length: 30 }, (_, i) => `@user${i}`).join(' '))).toHaveLength(20);
+    });
+
+    test('notifies mentioned users by user ID or username, but not the sender', async () => {
+        const events = await post('alice', 'Hey @bob and @小明, @alice here, @nobody home?');
+
+        expect(events.map(event => event.userId).sort()).toEqual(['bob', 'carol_2024']);
+        expect(events[0]).toMatchObject({ type: 'mention', roomId: ROOM_ID, senderId: 'alice' });
+    });
+
+    test('records each mention once, even when the message is recorded again', async () => {
+        const message = { type: 'text', roomId: ROOM_ID, senderId: 'alice', timestamp: Date.now(), content: '@bob once' };
+        message.id = await db.saveMessage(message);
+
+        expect(await recordMentions(message)).toHaveLength(1);
+        expect(await recordMentions({ ...message, content: '@bob once, edited' })).toEqual([]);
+    });
+
+    test('skips users who cannot read the room and messages without text', async () => {
+        expect(await post('alice', '@bob secret', 'private_mentions')).toEqual([]);
+        expect(await recordMentions({ id: 1, type: 'file', roomId: ROOM_ID, senderId: 'alice', content: '@bob.pdf' })).toEqual([]);
+    });
+
+    test('lists the inbox newest first with the unread count, and pages through it', async () => {
+        const res = await as.bob('GET', '/mentions');
+        expect(res.status).toBe(200);
+        expect(res.body.mentions.map(m => m.content)).toEqual(['@bob once', 'Hey @bob and @小明, @alice here, @nobody home?']);
+        expect(res.body.mentions[0].readAt).toBeNull();
+        expect(res.body.unreadCount).toBe(2);
+
+        const first = await as.bob('GET', '/mentions?limit=1');
+        expect(first.body).toMatchObject({ hasMore: true, nextBefore: res.body.mentions[0].messageId });
+        const second = await as.bob('GET', `/mentions?limit=1&before=${first.body.nextBefore}`);
+        expect(second.body.mentions.map(m => m.messageId)).toEqual([res.body.mentions[1].messageId]);
+        expect(second.body.hasMore).toBe(false);
+
+        expect((await as.alice('GET', '/mentions')).body.mentions).toEqual([]);
+    });
+
+    test('marks mentions read by id, by room or all at once', async () => {
+        await post('alice', '@bob one more');
+        const { mentions } = (await as.bob('GET', '/mentions')).body;
+
+        const byId = await as.bob('POST', '/mentions/read', { messageIds: [mentions[0].messageId] });
+        expect(byId.body).toEqual({ success: true, marked: 1, unreadCount: 2 });
+        expect((await as.bob('GET', '/mentions?unread=1')).body.mentions).toHaveLength(2);
+
+        expect((await as.bob('POST', '/mentions/read', { roomId: 'elsewhere' })).body.marked).toBe(0);
+        expect((await as.bob('POST', '/mentions/read', {})).body).toEqual({ success: true, marked: 2, unreadCount: 0 });
+    });
+
+    test('validates the inbox queries', async () => {
+        expect((await as.bob('GET', '/mentions?limit=500')).status).toBe(400);
+        expect((await as.bob('GET', '/mentions?before=latest')).status).toBe(400);
+        expect((await as.bob('POST', '/mentions/read', { messageIds: [] })).status).toBe(400);
+        expect((await as.bob('POST', '/mentions/read', { messageIds: ['1'] })).status).toBe(400);
+        expect((await as.bob('POST', '/mentions/read', { roomId: 42 })).status).toBe(400);
+    });
+});
@@ -0,0 +1,112 @@
+const sqlite3 = require('sqlite3');
+
+const { runMigrations, getMigrationStatus, loadMigrations } = require('../migrate');
+const { silenceLogs, teardown } = require('./helpers');
+
+/**
+ * Open an empty in-memory database
+ * @returns {Promise<sqlite3.Database>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+async function tableNames(db) {
+    const rows = await all(db, 'SELECT name FROM sqlite_master WHERE type = \'table\' AND name != \'schema_migrations\'');
+    return rows.map(row => row.name);
+}
+
+describe('migrate', () => {
+    const migrations = loadMigrations();
+    const latest = migrations[migrations.length - 1].version;
+    let db;
+
+    beforeEach(async () => {
+        silenceLogs();
+        db = await openDatabase();
+    });
+
+    afterEach((done) => {
+        jest.restoreAllMocks();
+        db.close(done);
+    });
+
+    afterAll(teardown);
+
+    test('loads migrations in version order', () => {
+        expect(migrations.length).toBeGreaterThan(0);
+        migrations.forEach((migration, i) => {
+            expect(migration.version).toBe(i + 1);
+            expect(['sql', 'js']).toContain(migration.kind);
+        });
+    });
+
+    test('reports every migration as pending on an empty database', async () => {
+        const status = await getMigrationStatus(db);
+
+        expect(status.currentVersion).toBe(0);
+        expect(status.applied).toEqual([]);
+        expect(status.pending.map(m => m.version)).toEqual(migrations.map(m => m.version));
+        expect(status.missing).toEqual([]);
+    });
+
+    test('applies pending migrations once, in order', async () => {
+        const result = await runMigrations(db);
+
+        expect(result.fromVersion).toBe(0);
+        expect(result.toVersion).toBe(latest);
+        expect(result.applied).toEqual(migrations.map(m => `${m.version}_${m.name}`));
+        expect(result.backupPath).toBeNull();
+        expect(await tableNames(db)).toEqual(expect.arrayContaining(['messages', 'rooms', 'room_members', 'media_files']));
+
+        const status = await getMigrationStatus(db);
+        expect(status.currentVersion).toBe(latest);
+        expect(status.pending).toEqual([]);
+        expect(status.applied.every(m => !m.modified)).toBe(true);
+
+        const again = await runMigrations(db);
+        expect(again.applied).toEqual([]);
+        expect(again.fromVersion).toBe(latest);
+        expect(again.toVersion).toBe(latest);
+    });
+
+    test('dry run validates pending migrations without changing the database', async () => {
+        const result = await runMigrations(db, { dryRun: true });
+
+        expect(result.dryRun).toBe(true);
+        expect(result.toVersion).toBe(latest);
+        expect(result.applied).toHaveLength(migrations.length);
+        expect(await tableNames(db)).toEqual([]);
+
+        const status = await getMigrationStatus(db);
+        expect(status.currentVersion).toBe(0);
+        expect(status.pending).toHaveLength(migrations.length);
+    });
+
+    test('flags migrations changed or removed since they were applied', async () => {
+        await runMigrations(db);
+        await run(db, 'UPDATE schema_migrations SET checksum = ? WHERE version = 1', ['stale']);
+        await run(db, 'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)', [latest + 1, 'gone', 'x']);
+
+        const status = await getMigrationStatus(db);
+        expect(status.applied.find(m => m.version === 1).modified).toBe(true);
+        expect(status.missing.map(m => m.version)).toEqual([latest + 1]);
+
+        await runMigrations(db);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,190 @@
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const presence = require('../presence');
+
+describe('presence', () => {
+    let events;
+    let sweep;
+
+    const record = event => events.push(event);
+
+    /**
+     * Get the events of one kind for a user
+     * @param {string} type - 'presence' or 'typing'
+     * @param {string} userId - User ID
+     * @returns {Array<Object>} - Events
+     */
+    const eventsOf = (type, userId) => events.filter(event => event.type === type && event.userId === userId);
+
+    beforeAll(async () => {
+        silenceLogs();
+        await setupDatabase();
+        presence.presenceEvents.on('presence', record);
+        presence.presenceEvents.on('typing', record);
+    });
+
+    beforeEach(() => {
+        events = [];
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        sweep = presence.startPresenceSweep();
+    });
+
+    afterEach(() => {
+        clearInterval(sweep);
+        jest.useRealTimers();
+    });
+
+    afterAll(async () => {
+        presence.presenceEvents.off('presence', record);
+        presence.presenceEvents.off('typing', record);
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('is online while connected and offline after the last connection closes', () => {
+        expect(presence.getPresence('alice')).toEqual({ status: 'offline', lastSeen: null });
+
+        presence.connect('alice');
+        presence.connect('alice');
+        expect(presence.getPresence('alice').status).toBe('online');
+
+        presence.disconnect('alice');
+        expect(presence.getPresence('alice').status).toBe('online');
+
+        jest.advanceTimersByTime(1000);
+        presence.disconnect('alice');
+        expect(presence.getPresence('alice')).toEqual({ status: 'offline', lastSeen: Date.now() });
+        expect(eventsOf('presence', 'alice').map(event => event.status)).toEqual(['online', 'offline']);
+    });
+
+    test('turns away after inactivity or when the client says so', () => {
+        presence.connect('bob');
+
+        jest.advanceTimersByTime(5 * 60 * 1000 + 10 * 1000);
+        expect(presence.getPresence('bob').status).toBe('away');
+
+        presence.markActive('bob');
+        expect(presence.getPresence('bob').status).toBe('online');
+
+        presence.setAway('bob', true);
+        expect(presence.getPresence('bob').status).toBe('away');
+        presence.setAway('bob', false);
+        expect(presence.getPresence('bob').status).toBe('online');
+
+        expect(eventsOf('presence', 'bob').map(event => event.status)).toEqual(['online', 'away', 'online', 'away', 'online']);
+        presence.disconnect('bob');
+    });
+
+    test('keeps pollers online only while their requests keep coming', () => {
+        presence.heartbeat('carol');
+        expect(presence.getPresence('carol').status).toBe('online');
+
+        jest.advanceTimersByTime(30 * 1000);
+        presence.heartbeat('carol');
+        jest.advanceTimersByTime(30 * 1000);
+        expect(presence.getPresence('carol').status).toBe('online');
+
+        jest.advanceTimersByTime(20 * 1000);
+        expect(presence.getPresence('carol').status).toBe('offline');
+    });
+
+    test('tells a room when someone already online enters it', () => {
+        presence.connect('dave');
+        presence.enterRoom('dave', 'lobby');
+        presence.enterRoom('dave', 'lobby');
+
+        expect(eventsOf('presence', 'dave')).toEqual([
+            expect.objectContaining({ status: 'online', rooms: [] }),
+            expect.objectContaining({ status: 'online', rooms: ['lobby'] })
+        ]);
+
+        presence.disconnect('dave');
+        expect(eventsOf('presence', 'dave')[2]).toMatchObject({ status: 'offline', rooms: ['lobby'] });
+        presence.exitRoom('dave', 'lobby');
+    });
+
+    describe('roster', () => {
+        let server;
+
+        beforeAll(async () => {
+            server = await startApp({ '/rooms': require('../routes/rooms') });
+        });
+
+        // Requests need real timers
+        beforeEach(() => {
+            clearInterval(sweep);
+            jest.useRealTimers();
+        });
+
+        afterAll(() => server.close());
+
+        test('lists members by status with their typing state', async () => {
+            const asHost = client(server.url, await createTestUser('host'));
+            await createTestUser('guest');
+            await createTestUser('sleeper');
+            await asHost('POST', '/rooms', { roomId: 'roster_room', name: 'Roster' });
+            await asHost('POST', '/rooms/roster_room/members', { userId: 'guest' });
+            await asHost('POST', '/rooms/roster_room/members', { userId: 'sleeper' });
+
+            presence.connect('guest');
+            presence.connect('host');
+            presence.setAway('host', true);
+            presence.setTyping('roster_room', 'guest', true);
+
+            const res = await asHost('GET', '/rooms/roster_room/roster');
+            expect(res.status).toBe(200);
+            expect(res.body.roster.map(member => [member.userId, member.status, member.typing])).toEqual([
+                ['guest', 'online', true],
+                ['host', 'away', false],
+                ['sleeper', 'offline', false]
+            ]);
+
+            presence.setTyping('roster_room', 'guest', false);
+            presence.disconnect('guest');
+            presence.disconnect('host');
+        });
+    });
+
+    describe('typing', () => {
+        test('throttles repeated starts and stops by itself', () => {
+            presence.setTyping('lobby', 'erin', true);
+            jest.advanceTimersByTime(1000);
+            presence.setTyping('lobby', 'erin', true);
+            expect(eventsOf('typing', 'erin').map(event => event.state)).toEqual(['start']);
+            expect(presence.getTypingUsers('lobby')).toEqual(['erin']);
+
+            jest.advanceTimersByTime(2000);
+            presence.setTyping('lobby', 'erin', true);
+            expect(eventsOf('typing', 'erin').map(event => event.state)).toEqual(['start', 'start']);
+
+            jest.advanceTimersByTime(6000);
+            expect(eventsOf('typing', 'erin').map(event => event.state)).toEqual(['start', 'start', 'stop']);
+            expect(presence.getTypingUsers('lobby')).toEqual([]);
+        });
+
+        test('stops when asked, when leaving the room and when going offline', () => {
+            presence.setTyping('lobby', 'frank', true);
+            presence.setTyping('lobby', 'frank', false);
+            presence.setTyping('lobby', 'frank', false);
+            expect(eventsOf('typing', 'frank').map(event => event.state)).toEqual(['start', 'stop']);
+
+            presence.setTyping('lobby', 'frank', true);
+            presence.exitRoom('frank', 'lobby');
+            expect(presence.getTypingUsers('lobby')).toEqual([]);
+
+            presence.connect('frank');
+            presence.setTyping('lobby', 'frank', true);
+            presence.setTyping('garden', 'frank', true);
+            presence.disconnect('frank');
+            expect(presence.getTypingUsers('lobby')).toEqual([]);
+            expect(presence.getTypingUsers('garden')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { TEST_DIR, silenceLogs } = require('./helpers');
+
+const { probeMedia, thumbnailOf, encodePng } = require('../probe');
+
+/**
+ * Write a test file
+ * @param {string} name - File name
+ * @param {Buffer} content - File content
+ * @returns {string} - Path of the file
+ */
+function writeFile(name, content) {
+    const filePath = path.join(TEST_DIR, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+/**
+ * Build a 16-bit PCM WAV file
+ * @param {number} sampleRate - Samples per second
+ * @param {Array<number>} samples - Mono samples between -1 and 1
+ * @returns {Buffer} - WAV file
+ */
+function wav(sampleRate, samples) {
+    const data = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => data.writeInt16LE(Math.round(sample * 32767), i * 2));
+
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0); // PCM
+    fmt.writeUInt16LE(1, 2); // Mono
+    fmt.writeUInt32LE(sampleRate, 4);
+    fmt.writeUInt32LE(sampleRate * 2, 8);
+    fmt.writeUInt16LE(2, 12);
+    fmt.writeUInt16LE(16, 14);
+
+    const chunk = (id, body) => {
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 'latin1');
+        header.writeUInt32LE(body.length, 4);
+        return Buffer.concat([header, body]);
+    };
+    const body = Buffer.concat([Buffer.from('WAVE'), chunk('fmt ', fmt), chunk('data', data)]);
+    return Buffer.concat([chunk('RIFF', body).subarray(0, 8), body]);
+}
+
+/**
+ * Build MPEG-1 layer III frames: 128 kbit/s, 44.1 kHz, stereo, 417 bytes each
+ * @param {number} count - Number of frames
+ * @param {number} xingFrames - Frame count for a Xing header in the first frame
+ * @returns {Buffer} - Frames
+ */
+function mp3Frames(count, xingFrames = null) {
+    const frames = Buffer.alloc(count * 417);
+    for (let i = 0; i < count; i++) {
+        frames.set([0xff, 0xfb, 0x90, 0x00], i * 417);
+    }
+    if (xingFrames) {
+        frames.write('Xing', 36, 'latin1');
+        frames.writeUInt32BE(1, 40); // Frame count present
+        frames.writeUInt32BE(xingFrames, 44);
+    }
+    return frames;
+}
+
+/**
+ * Build an ID3v2.3 tag holding a cover picture
+ * @param {Buffer} picture - PNG file
+ * @returns {Buffer} - Tag
+ */
+function id3WithCover(picture) {
+    const body = Buffer.concat([Buffer.from('\0image/png\0\x03\0', 'latin1'), picture]);
+    const frameHeader = Buffer.alloc(10);
+    frameHeader.write('APIC', 0, 'latin1');
+    frameHeader.writeUInt32BE(body.length, 4);
+    const frames = Buffer.concat([frameHeader, body]);
+
+    const size = frames.length;
+    const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+    return Buffer.concat([header, frames]);
+}
+
+/**
+ * Build ADTS (AAC) frames: 44.1 kHz, 1024 samples and 200 bytes each
+ * @param {number} count - Number of frames
+ * @returns {Buffer} - Frames
+ */
+function adtsFrames(count) {
+    const frames = Buffer.alloc(count * 200);
+    for (let i = 0; i < count; i++) {
+        frames.set([0xff, 0xf1, 0x50, 0x80, 200 >> 3, ((200 & 7) << 5) | 0x1f, 0xfc], i * 200);
+    }
+    return frames;
+}
+
+/**
+ * Build an MP4 box
+ * @param {string} type - Box type
+ * @param {...Buffer} children - Contents
+ * @returns {Buffer} - Box
+ */
+function box(type, ...children) {
+    const data = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Build an MP4 video file whose `moov` follows the media data
+ * @param {number} seconds - Duration
+ * @param {number} width - Picture width
+ * @param {number} height - Picture height
+ * @returns {Buffer} - MP4 file
+ */
+function mp4(seconds, width, height) {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12); // Timescale
+    mvhd.writeUInt32BE(seconds * 1000, 16);
+
+    const tkhd = Buffer.alloc(84);
+    tkhd.writeUInt32BE(width * 65536, 76);
+    tkhd.writeUInt32BE(height * 65536, 80);
+
+    const hdlr = Buffer.alloc(24);
+    hdlr.write('vide', 8, 'latin1');
+
+    return Buffer.concat([
+        box('ftyp', Buffer.from('isom\0\0\x02\0isomiso2', 'latin1')),
+        box('mdat', Buffer.alloc(4000)),
+        box('moov', box('mvhd', mvhd), box('trak', box('tkhd', tkhd), box('mdia', box('hdlr', hdlr))))
+    ]);
+}
+
+/**
+ * Build an EBML element with an 8-byte size
+ * @param {number} id - Element ID, marker included
+ * @param {...Buffer} children - Contents
+ * @returns {Buffer} - Element
+ */
+function ebml(id, ...children) {
+    const data = Buffer.concat(children);
+    const idBytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        idBytes.unshift(value & 0xff);
+    }
+    const size = Buffer.alloc(8);
+    size.writeUIntBE(data.length, 2, 6);
+    size[0] = 0x01;
+    return Buffer.concat([Buffer.from(idBytes), size, data]);
+}
+
+/**
+ * Build a WebM video file
+ * @param {number} milliseconds - Duration
+ * @param {number} width - Picture width
+ * @param {number} height - Picture height
+ * @returns {Buffer} - WebM file
+ */
+function webm(milliseconds, width, height) {
+    const duration = Buffer.alloc(8);
+    duration.writeDoubleBE(milliseconds);
+
+    return Buffer.concat([
+        ebml(0x1a45dfa3, ebml(0x4282, Buffer.from('webm'))),
+        ebml(0x18538067,
+            ebml(0x1549a966, ebml(0x2ad7b1, Buffer.from([0x0f, 0x42, 0x40])), ebml(0x4489, duration)),
+            ebml(0x1654ae6b, ebml(0xae,
+                ebml(0x83, Buffer.from([1])),
+                ebml(0xe0, ebml(0xb0, Buffer.from([width >> 8, width & 0xff])), ebml(0xba, Buffer.from([height >> 8, height & 0xff])))
+            )),
+            ebml(0x1f43b675, Buffer.alloc(2000)))
+    ]);
+}
+
+/**
+ * Read the size and pixels of a PNG file written by encodePng()
+ * @param {Buffer} png - PNG file
+ * @returns {Object} - { width, height, rows } with the filtered rows
+ */
+function readPng(png) {
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    const idatLength = png.readUInt32BE(33);
+    return { width, height, rows: zlib.inflateSync(png.subarray(41, 41 + idatLength)) };
+}
+
+describe('media probe', () => {
+    beforeAll(() => {
+        silenceLogs();
+    });
+
+    afterAll(() => {
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('reads WAV duration and bitrate and draws a waveform', async () => {
+        const samples = Array.from({ length: 16000 }, (_, i) => Math.sin(i / 5) * (i < 8000 ? 0.25 : 1));
+        const probe = await probeMedia(writeFile('voice.wav', wav(8000, samples)));
+
+        expect(probe).toMatchObject({ format: 'wav', type: 'audio', mimeType: 'audio/wav', duration: 2, bitrate: 128000 });
+        expect(probe.waveform).toHaveLength(60);
+        expect(probe.waveform[10]).toBeCloseTo(0.25, 1);
+        expect(probe.waveform[50]).toBeCloseTo(1, 1);
+
+        const { data, ext } = thumbnailOf(probe);
+        expect(ext).toBe('png');
+        const { width, height, rows } = readPng(data);
+        expect([width, height]).toEqual([240, 48]);
+        expect(rows).toHaveLength((240 * 4 + 1) * 48);
+    });
+
+    test('works out CBR MP3 duration from the file size', async () => {
+        const probe = await probeMedia(writeFile('cbr.mp3', mp3Frames(100)));
+        expect(probe).toMatchObject({ format: 'mp3', type: 'audio', mimeType: 'audio/mpeg', duration: 2.606 });
+        expect(Math.abs(probe.bitrate - 128000)).toBeLessThan(100);
+        expect(thumbnailOf(probe)).toBeNull();
+    });
+
+    test('reads VBR MP3 duration from the Xing header and cover art from ID3', async () => {
+        const cover = encodePng(1, 1, Buffer.from([255, 0, 0, 255]));
+        const probe = await probeMedia(writeFile('vbr.mp3', Buffer.concat([id3WithCover(cover), mp3Frames(10, 1000)])));
+
+        expect(probe.duration).toBe(26.122);
+        expect(thumbnailOf(probe)).toEqual({ data: cover, ext: 'png' });
+    });
+
+    test('times ADTS frames for AAC duration', async () => {
+        const probe = await probeMedia(writeFile('voice.aac', adtsFrames(50)));
+        expect(probe).toMatchObject({ format: 'aac', mimeType: 'audio/aac', duration: 1.161 });
+    });
+
+    test('reads MP4 duration and picture size, even with moov at the end', async () => {
+        const probe = await probeMedia(writeFile('clip.mp4', mp4(5, 640, 360)));
+        expect(probe).toMatchObject({ format: 'mp4', type: 'video', mimeType: 'video/mp4', ext: 'mp4', duration: 5, width: 640, height: 360 });
+    });
+
+    test('reads WebM duration and picture size', async () => {
+        const probe = await probeMedia(writeFile('clip.webm', webm(3000, 320, 240)));
+        expect(probe).toMatchObject({ format: 'webm', type: 'video', mimeType: 'video/webm', duration: 3, width: 320, height: 240 });
+    });
+
+    test('rejects files that are not supported media, whatever their name', async () => {
+        expect(await probeMedia(writeFile('fake.mp3', Buffer.from('just some text, not audio')))).toBeNull();
+        expect(await probeMedia(writeFile('short.wav', Buffer.from('RIFF\0\0\0\0WAVE')))).toBeNull();
+        expect(await probeMedia(writeFile('empty.mp4', Buffer.alloc(0)))).toBeNull();
+    });
+});
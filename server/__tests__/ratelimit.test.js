@@ -0,0 +1,214 @@
+const express = require('express');
+
+const { startApp, teardown } = require('./helpers');
+const { consume, rateLimit } = require('../ratelimit');
+
+describe('ratelimit', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    afterAll(teardown);
+
+    test('does not limit unknown actions', () => {
+        for (let i = 0; i < 100; i++) {
+            expect(consume('ping', { userId: 'alice', ip: '10.0.0.1' })).toBeNull();
+        }
+    });
+
+    test('allows a burst, then asks the client to wait for the refill', () => {
+        const source = { userId: 'bob', ip: '10.0.0.2' };
+        for (let i = 0; i < 10; i++) {
+            expect(consume('text', source)).toBeNull();
+        }
+
+        // 60 per minute: one token a second
+        expect(consume('text', source)).toEqual({
+            error: 'Too many requests, please slow down',
+            status: 429,
+            code: 'rate_limited',
+            retryAfter: 1,
+            muted: false
+        });
+
+        jest.advanceTimersByTime(1000);
+        expect(consume('text', source)).toBeNull();
+        expect(consume('text', source)).not.toBeNull();
+    });
+
+    test('keeps separate buckets per user and per action', () => {
+        for (let i = 0; i < 5; i++) {
+            expect(consume('upload', { userId: 'carol' })).toBeNull();
+        }
+        expect(consume('upload', { userId: 'carol' })).not.toBeNull();
+        expect(consume('upload', { userId: 'dave' })).toBeNull();
+        expect(consume('text', { userId: 'carol' })).toBeNull();
+    });
+
+    test('limits an address shared by many users', () => {
+        const ip = '10.0.0.3';
+        // The address gets five times the per-user burst
+        for (let user = 0; user < 5; user++) {
+            for (let i = 0; i < 10; i++) {
+                expect(consume('join', { userId: `shared${user}`, ip })).toBeNull();
+            }
+        }
+        expect(consume('join', { userId: 'shared5', ip })).not.toBeNull();
+        expect(consume('join', { userId: 'shared5', ip: '10.0.0.4' })).toBeNull();
+    });
+
+    test('does not mute clients that wait as told', () => {
+        const source = { userId: 'erin' };
+        for (let round = 0; round < 20; round++) {
+            let limited;
+            while (!(limited = consume('upload', source)));
+            expect(limited.muted).toBe(false);
+            jest.advanceTimersByTime(limited.retryAfter * 1000);
+        }
+    });
+
+    test('mutes users who keep retrying too early, for every action', () => {
+        const source = { userId: 'frank', ip: '10.0.0.5' };
+        let limited = null;
+        for (let i = 0; i < 300 && !(limited && limited.muted); i++) {
+            limited = consume('text', source);
+            jest.advanceTimersByTime(100);
+        }
+
+        expect(limited).toMatchObject({ code: 'rate_limited', muted: true, retryAfter: 300 });
+        expect(consume('reaction', source)).toMatchObject({ muted: true });
+
+        jest.advanceTimersByTime(5 * 60 * 1000);
+        expect(consume('reaction', source)).toBeNull();
+    });
+
+    test('a burst of queued retries counts as one violation', () => {
+        const source = { userId: 'grace' };
+        while (!consume('upload', source));
+        for (let i = 0; i < 50; i++) {
+            expect(consume('upload', source).muted).toBe(false);
+        }
+    });
+
+    describe('RATE_LIMITS', () => {
+        /**
+         * Load the module with a RATE_LIMITS setting
+         * @param {Object|string} setting - RATE_LIMITS value
+         * @returns {Function} - consume() of that module
+         */
+        function consumeWith(setting) {
+            let configured;
+            process.env.RATE_LIMITS = typeof setting === 'string' ? setting : JSON.stringify(setting);
+            jest.isolateModules(() => {
+                configured = require('../ratelimit').consume;
+            });
+            delete process.env.RATE_LIMITS;
+            return configured;
+        }
+
+        /**
+         * Count the actions allowed before the first rejection
+         * @param {Function} limitedConsume - consume()
+         * @param {string} action - Limited action
+         * @param {Function} sourceFor - (attempt) => { userId, ip }
+         * @returns {number} - Allowed actions
+         */
+        function allowed(limitedConsume, action, sourceFor) {
+            let count = 0;
+            while (!limitedConsume(action, sourceFor(count)) && count < 1000) {
+                count++;
+            }
+            return count;
+        }
+
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        test('sets the limits of an address per action', () => {
+            const limitedConsume = consumeWith({ text: { ip: { burst: 3, perMinute: 6 } } });
+
+            expect(allowed(limitedConsume, 'text', n => ({ userId: `user${n}`, ip: '10.1.0.1' }))).toBe(3);
+            // The per-user limit and other actions keep their defaults
+            expect(allowed(limitedConsume, 'text', () => ({ userId: 'solo' }))).toBe(10);
+            expect(allowed(limitedConsume, 'join', n => ({ userId: `user${n}`, ip: '10.1.0.2' }))).toBe(50);
+        });
+
+        test('sets both limits of an action at once', () => {
+            const limitedConsume = consumeWith({ reaction: { burst: 2, perMinute: 10, ip: { burst: 4, perMinute: 20 } } });
+
+            expect(allowed(limitedConsume, 'reaction', () => ({ userId: 'single', ip: '10.1.0.3' }))).toBe(2);
+            expect(allowed(limitedConsume, 'reaction', n => ({ userId: `user${n}`, ip: '10.1.0.4' }))).toBe(4);
+        });
+
+        test('scales the address limit with a new per-user limit', () => {
+            const limitedConsume = consumeWith({ upload: { burst: 2, perMinute: 10 } });
+
+            expect(allowed(limitedConsume, 'upload', n => ({ userId: `user${n}`, ip: '10.1.0.5' }))).toBe(10);
+        });
+
+        test('ignores invalid entries', () => {
+            const limitedConsume = consumeWith({ text: { ip: { burst: 0, perMinute: 5 } }, edit: { burst: 2 }, nonsense: { burst: 1, perMinute: 1 } });
+
+            expect(allowed(limitedConsume, 'text', n => ({ userId: `user${n}`, ip: '10.1.0.6' }))).toBe(50);
+            expect(allowed(limitedConsume, 'edit', () => ({ userId: 'editor' }))).toBe(10);
+            expect(console.warn).toHaveBeenCalledTimes(3);
+
+            expect(allowed(consumeWith('{not json'), 'text', () => ({ userId: 'plain' }))).toBe(10);
+        });
+    });
+
+    describe('rateLimit middleware', () => {
+        let server;
+
+        beforeAll(async () => {
+            const router = express.Router();
+            router.use((req, res, next) => {
+                req.user = { userId: req.get('X-User') };
+                next();
+            });
+            router.post('/join', rateLimit('join'), (req, res) => res.json({ success: true }));
+            router.post('/send', rateLimit(req => req.body.type || 'text'), (req, res) => res.json({ success: true }));
+            server = await startApp({ '/': router });
+        });
+
+        afterAll(() => server.close());
+
+        const post = (path, userId, body = {}) => fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-User': userId },
+            body: JSON.stringify(body)
+        });
+
+        test('answers 429 with Retry-After once the limit is reached', async () => {
+            for (let i = 0; i < 10; i++) {
+                expect((await post('/join', 'henry')).status).toBe(200);
+            }
+
+            const res = await post('/join', 'henry');
+            expect(res.status).toBe(429);
+            expect(res.headers.get('Retry-After')).toBe('2');
+            expect(await res.json()).toEqual({
+                success: false,
+                error: 'Too many requests, please slow down',
+                code: 'rate_limited',
+                retryAfter: 2,
+                muted: false
+            });
+        });
+
+        test('picks the action from the request', async () => {
+            for (let i = 0; i < 5; i++) {
+                expect((await post('/send', 'iris', { type: 'audio' })).status).toBe(200);
+            }
+            expect((await post('/send', 'iris', { type: 'audio' })).status).toBe(429);
+            expect((await post('/send', 'iris', { type: 'text' })).status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const { silenceLogs, setupDatabase, teardown } = require('./helpers');
+
+const { toggleReaction } = require('../messages');
+
+describe('reactions', () => {
+    const ROOM_ID = 'reactions_room';
+    let db;
+
+    /**
+     * Store a text message
+     * @param {string} roomId - Room ID
+     * @returns {Promise<number>} - Message ID
+     */
+    const post = (roomId = ROOM_ID) => db.saveMessage({
+        type: 'text',
+        roomId,
+        senderId: 'alice',
+        timestamp: Date.now(),
+        content: 'react to me'
+    });
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        await db.createRoom({ roomId: ROOM_ID, name: 'Reactions' });
+        await db.createRoom({ roomId: 'private_reactions', name: 'Private', isPrivate: true });
+    });
+
+    afterAll(async () => {
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('adds a reaction, then removes it on the second toggle', async () => {
+        const id = await post();
+
+        const added = await toggleReaction(id, 'bob', '👍');
+        expect(added.reactions).toEqual([{ emoji: '👍', count: 1, userIds: ['bob'] }]);
+        expect(added.event).toMatchObject({ type: 'reaction', roomId: ROOM_ID, messageId: id, userId: 'bob', action: 'add' });
+
+        const removed = await toggleReaction(id, 'bob', '👍');
+        expect(removed.reactions).toEqual([]);
+        expect(removed.event.action).toBe('remove');
+    });
+
+    test('groups reactions by emoji in order of first use', async () => {
+        const id = await post();
+        await toggleReaction(id, 'bob', '🎉');
+        await toggleReaction(id, 'carol', '👍');
+        const { reactions } = await toggleReaction(id, 'dave', '🎉');
+
+        expect(reactions).toEqual([
+            { emoji: '🎉', count: 2, userIds: ['bob', 'dave'] },
+            { emoji: '👍', count: 1, userIds: ['carol'] }
+        ]);
+
+        const [message] = (await db.getHistory(ROOM_ID, { limit: 1 })).messages;
+        expect(message.reactions).toEqual(reactions);
+    });
+
+    test('accepts emoji sequences and nothing else', async () => {
+        const id = await post();
+
+        for (const emoji of ['👍🏽', '👨‍👩‍👧', '🇨🇳', '❤️']) {
+            expect((await toggleReaction(id, 'bob', emoji)).error).toBeUndefined();
+        }
+        for (const emoji of ['', 'a', '1', '#', '👍x', '🏽', 42, '👍'.repeat(40)]) {
+            expect(await toggleReaction(id, 'bob', emoji)).toEqual({ error: 'Invalid emoji', status: 400 });
+        }
+    });
+
+    test('rejects reactions on missing, recalled or unreachable messages', async () => {
+        expect((await toggleReaction(999999, 'bob', '👍')).status).toBe(404);
+
+        const recalled = await post();
+        await db.recallMessage(recalled, Date.now());
+        expect(await toggleReaction(recalled, 'bob', '👍')).toEqual({ error: 'Message has been recalled', status: 409 });
+
+        const hidden = await post('private_reactions');
+        expect((await toggleReaction(hidden, 'bob', '👍')).status).toBe(403);
+    });
+
+    test('a recall drops the reactions of a message', async () => {
+        const id = await post();
+        await toggleReaction(id, 'bob', '👍');
+        await db.recallMessage(id, Date.now());
+
+        expect((await db.getReactions([id])).get(id)).toBeUndefined();
+    });
+});
@@ -0,0 +1,124 @@
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { markRead } = require('../receipts');
+
+describe('read receipts', () => {
+    const ROOM_ID = 'receipts_room';
+    let db;
+    let server;
+    const as = {};
+    const ids = [];
+
+    /**
+     * Store a message
+     * @param {string} senderId - Sender
+     * @param {number} timestamp - Message timestamp
+     * @param {Object} extra - Other message fields
+     * @returns {Promise<number>} - Message ID
+     */
+    const post = (senderId, timestamp, extra = {}) => db.saveMessage({
+        type: 'text',
+        roomId: ROOM_ID,
+        senderId,
+        timestamp,
+        content: `from ${senderId} at ${timestamp}`,
+        ...extra
+    });
+
+    /**
+     * Get the unread count of the test room for a user
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} - Unread messages
+     */
+    const unreadCount = async userId => (await db.getRooms(userId)).find(room => room.id === ROOM_ID).unreadCount;
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        server = await startApp({ '/rooms': require('../routes/rooms') });
+        for (const userId of ['alice', 'bob', 'carol']) {
+            as[userId] = client(server.url, await createTestUser(userId));
+        }
+        await db.createRoom({ roomId: ROOM_ID, name: 'Receipts' });
+        await db.createRoom({ roomId: 'private_receipts', name: 'Private', isPrivate: true });
+
+        // Two messages share a timestamp, so ids break the tie
+        ids.push(await post('alice', 1000));
+        ids.push(await post('alice', 2000));
+        ids.push(await post('alice', 2000));
+        ids.push(await post('bob', 3000));
+        ids.push(await post('system', 4000, { type: 'system' }));
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('counts unread messages from others, leaving out system messages', async () => {
+        expect(await unreadCount('carol')).toBe(4);
+        expect(await unreadCount('bob')).toBe(3);
+    });
+
+    test('moves the cursor forward and reports it', async () => {
+        const result = await markRead(ROOM_ID, 'carol', ids[1]);
+        expect(result).toEqual({
+            moved: true,
+            event: expect.objectContaining({
+                type: 'read',
+                roomId: ROOM_ID,
+                userId: 'carol',
+                lastReadMessageId: ids[1],
+                lastReadTimestamp: 2000
+            })
+        });
+
+        // The message after it at the same timestamp is still unread
+        expect(await unreadCount('carol')).toBe(2);
+    });
+
+    test('never moves the cursor back', async () => {
+        expect(await markRead(ROOM_ID, 'carol', ids[0])).toEqual({ moved: false, event: null });
+        expect(await markRead(ROOM_ID, 'carol', ids[1])).toEqual({ moved: false, event: null });
+        expect(await unreadCount('carol')).toBe(2);
+    });
+
+    test('reads up to the newest message when none is given', async () => {
+        expect((await markRead(ROOM_ID, 'carol')).event.lastReadMessageId).toBe(ids[4]);
+        expect(await unreadCount('carol')).toBe(0);
+    });
+
+    test('leaves recalled messages out of the count', async () => {
+        const id = await post('alice', 5000);
+        expect(await unreadCount('carol')).toBe(1);
+
+        await db.recallMessage(id, 6000);
+        expect(await unreadCount('carol')).toBe(0);
+    });
+
+    test('rejects messages of other rooms and rooms the user cannot read', async () => {
+        const elsewhere = await db.saveMessage({ type: 'text', roomId: 'private_receipts', senderId: 'alice', timestamp: 1000, content: 'hidden' });
+
+        expect(await markRead(ROOM_ID, 'carol', elsewhere)).toEqual({ error: 'Message not found', status: 404 });
+        expect((await markRead('private_receipts', 'carol', elsewhere)).status).toBe(403);
+    });
+
+    test('lists the cursors of a room, most recent first', async () => {
+        await markRead(ROOM_ID, 'bob', ids[3]);
+
+        const res = await as.alice('GET', `/rooms/${ROOM_ID}/reads`);
+        expect(res.status).toBe(200);
+        expect(res.body.receipts.map(r => [r.userId, r.lastReadMessageId])).toEqual([
+            ['carol', ids[4]],
+            ['bob', ids[3]]
+        ]);
+    });
+});
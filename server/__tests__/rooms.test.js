@@ -0,0 +1,219 @@
+const {
+    silenceLogs,
+    setupDatabase,
+    execSql,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { getRoomAccess, resolveRoom, canModerate } = require('../rooms');
+const db = require('../db');
+
+describe('room roles', () => {
+    let server;
+    const as = {};
+
+    beforeAll(async () => {
+        silenceLogs();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await setupDatabase();
+        server = await startApp({ '/rooms': require('../routes/rooms') });
+        for (const userId of ['owner', 'admin', 'other_admin', 'member', 'reader', 'outsider']) {
+            as[userId] = client(server.url, await createTestUser(userId));
+        }
+
+        await as.owner('POST', '/rooms', { roomId: 'public_room', name: 'Public' });
+        await as.owner('POST', '/rooms', { roomId: 'private_room', name: 'Private', isPrivate: true });
+        await as.owner('POST', '/rooms/public_room/members', { userId: 'admin', role: 'admin' });
+        await as.owner('POST', '/rooms/public_room/members', { userId: 'other_admin', role: 'admin' });
+        await as.owner('POST', '/rooms/public_room/members', { userId: 'reader', role: 'readonly' });
+        await as.owner('POST', '/rooms/private_room/members', { userId: 'member' });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    describe('canModerate', () => {
+        test('owners manage anyone but other owners', () => {
+            expect(canModerate('owner', 'admin', 'member')).toBe(true);
+            expect(canModerate('owner', 'member', 'admin')).toBe(true);
+            expect(canModerate('owner', 'owner')).toBe(false);
+            expect(canModerate('owner', 'member', 'owner')).toBe(false);
+        });
+
+        test('admins only manage members and read-only members', () => {
+            expect(canModerate('admin', 'member', 'readonly')).toBe(true);
+            expect(canModerate('admin', 'readonly')).toBe(true);
+            expect(canModerate('admin', 'admin')).toBe(false);
+            expect(canModerate('admin', 'member', 'admin')).toBe(false);
+        });
+
+        test('members and read-only members manage nobody', () => {
+            expect(canModerate('member', 'readonly')).toBe(false);
+            expect(canModerate('readonly', 'readonly')).toBe(false);
+        });
+    });
+
+    describe('access', () => {
+        test('anyone can read and post in a public room', async () => {
+            const access = await getRoomAccess('public_room', 'outsider');
+            expect(access.role).toBeNull();
+            expect(access.canRead).toBe(true);
+            expect(access.canPost).toBe(true);
+            expect(access.canManage).toBe(false);
+        });
+
+        test('only members can use a private room', async () => {
+            expect((await getRoomAccess('private_room', 'outsider')).canRead).toBe(false);
+            expect(await resolveRoom('private_room', 'outsider')).toEqual({ error: 'You are not a member of this room', status: 403 });
+            expect((await getRoomAccess('private_room', 'member')).canPost).toBe(true);
+        });
+
+        test('read-only members can read but not post', async () => {
+            const access = await getRoomAccess('public_room', 'reader');
+            expect(access.canRead).toBe(true);
+            expect(access.canPost).toBe(false);
+            expect((await resolveRoom('public_room', 'reader', { write: true })).status).toBe(403);
+        });
+
+        test('unknown rooms are reported as missing', async () => {
+            expect(await getRoomAccess('no_such_room', 'owner')).toBeNull();
+            expect((await resolveRoom('no_such_room', 'owner')).status).toBe(404);
+        });
+    });
+
+    describe('member management', () => {
+        test('members cannot manage the room', async () => {
+            const res = await as.member('POST', '/rooms/private_room/members', { userId: 'outsider' });
+            expect(res.status).toBe(403);
+        });
+
+        test('admins cannot hand out admin', async () => {
+            const res = await as.admin('POST', '/rooms/public_room/members', { userId: 'member', role: 'admin' });
+            expect(res.status).toBe(403);
+        });
+
+        test('admins cannot change the role of other admins', async () => {
+            expect((await as.admin('PATCH', '/rooms/public_room/members/other_admin', { role: 'member' })).status).toBe(403);
+            expect((await as.admin('DELETE', '/rooms/public_room/members/other_admin')).status).toBe(403);
+        });
+
+        test('the owner cannot leave', async () => {
+            const res = await as.owner('POST', '/rooms/public_room/leave');
+            expect(res.status).toBe(400);
+        });
+
+        test('only members can leave, and only they are announced', async () => {
+            const countNotices = async () => (await db.getHistory('public_room', { limit: 100 })).messages
+                .filter(message => message.type === 'system' && message.content === 'outsider 离开了聊天室').length;
+
+            const res = await as.outsider('POST', '/rooms/public_room/leave');
+            expect(res.status).toBe(409);
+            expect(res.body.error).toBe('You are not a member of this room');
+            expect(await countNotices()).toBe(0);
+
+            await as.owner('POST', '/rooms/public_room/members', { userId: 'outsider' });
+            expect((await as.outsider('POST', '/rooms/public_room/leave')).status).toBe(200);
+            expect((await as.outsider('POST', '/rooms/public_room/leave')).status).toBe(409);
+            expect(await countNotices()).toBe(1);
+        });
+    });
+
+    describe('room management', () => {
+        test('validates new rooms', async () => {
+            expect((await as.owner('POST', '/rooms', { roomId: 'bad id!', name: 'Bad' })).status).toBe(400);
+            expect((await as.owner('POST', '/rooms', { roomId: 'nameless' })).status).toBe(400);
+            expect((await as.owner('POST', '/rooms', { roomId: 'public_room', name: 'Again' })).status).toBe(409);
+        });
+
+        test('archived rooms stay readable but take no posts', async () => {
+            await as.owner('POST', '/rooms', { roomId: 'archived_room', name: 'Archived' });
+            expect((await as.member('POST', '/rooms/archived_room/archive')).status).toBe(403);
+
+            const res = await as.owner('POST', '/rooms/archived_room/archive');
+            expect(res.status).toBe(200);
+            expect(res.body.room.archivedAt).toEqual(expect.any(Number));
+            expect((await resolveRoom('archived_room', 'outsider')).error).toBeUndefined();
+            expect((await resolveRoom('archived_room', 'outsider', { write: true })).status).toBe(403);
+
+            await as.owner('POST', '/rooms/archived_room/unarchive');
+            expect((await resolveRoom('archived_room', 'outsider', { write: true })).error).toBeUndefined();
+        });
+
+        test('only the owner deletes a room, with its history', async () => {
+            await as.owner('POST', '/rooms', { roomId: 'doomed_room', name: 'Doomed' });
+            await db.saveMessage({ type: 'text', roomId: 'doomed_room', senderId: 'owner', timestamp: Date.now(), content: 'bye' });
+
+            expect((await as.admin('DELETE', '/rooms/doomed_room')).status).toBe(403);
+            expect((await as.owner('DELETE', '/rooms/doomed_room')).status).toBe(200);
+            expect(await db.getRoom('doomed_room')).toBeUndefined();
+            expect((await db.getHistory('doomed_room')).messages).toEqual([]);
+        });
+
+        test('keeps the room when its history cannot be deleted', async () => {
+            await as.owner('POST', '/rooms', { roomId: 'kept_room', name: 'Kept' });
+            await db.saveMessage({ type: 'text', roomId: 'kept_room', senderId: 'owner', timestamp: Date.now(), content: 'still here' });
+            await execSql(`
+                CREATE TRIGGER fail_message_delete BEFORE DELETE ON messages
+                BEGIN SELECT RAISE(ABORT, 'history locked'); END
+            `);
+
+            try {
+                await expect(db.deleteRoom('kept_room')).rejects.toThrow('history locked');
+                expect((await as.owner('DELETE', '/rooms/kept_room')).status).toBe(500);
+                expect(await db.getRoom('kept_room')).toBeDefined();
+                expect((await db.getHistory('kept_room')).messages).toHaveLength(1);
+            } finally {
+                await execSql('DROP TRIGGER fail_message_delete');
+            }
+
+            expect(await db.deleteRoom('kept_room')).toBe(true);
+        });
+    });
+
+    describe('restrictions outlive membership', () => {
+        test('a read-only member who leaves a public room stays read-only', async () => {
+            const res = await as.reader('POST', '/rooms/public_room/leave');
+            expect(res.status).toBe(200);
+
+            const access = await getRoomAccess('public_room', 'reader');
+            expect(access.role).toBeNull();
+            expect(access.restriction).toBe('readonly');
+            expect(access.canRead).toBe(true);
+            expect(access.canPost).toBe(false);
+            expect((await resolveRoom('public_room', 'reader', { write: true })).status).toBe(403);
+        });
+
+        test('a member removed from a public room cannot use it', async () => {
+            await as.owner('POST', '/rooms/public_room/members', { userId: 'member' });
+            const res = await as.admin('DELETE', '/rooms/public_room/members/member');
+            expect(res.status).toBe(200);
+
+            const access = await getRoomAccess('public_room', 'member');
+            expect(access.restriction).toBe('banned');
+            expect(access.canRead).toBe(false);
+            expect(access.canPost).toBe(false);
+            expect((await as.member('GET', '/rooms/public_room')).status).toBe(404);
+
+            const rooms = await as.member('GET', '/rooms');
+            expect(rooms.body.rooms.map(room => room.id)).not.toContain('public_room');
+        });
+
+        test('an invite lifts the restriction', async () => {
+            const res = await as.owner('POST', '/rooms/public_room/members', { userId: 'member' });
+            expect(res.status).toBe(201);
+
+            const access = await getRoomAccess('public_room', 'member');
+            expect(access.role).toBe('member');
+            expect(access.canPost).toBe(true);
+
+            await as.member('POST', '/rooms/public_room/leave');
+            expect((await getRoomAccess('public_room', 'member')).canPost).toBe(true);
+        });
+    });
+});
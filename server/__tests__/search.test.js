@@ -0,0 +1,167 @@
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { segment, tokenizeForIndex, buildMatchQuery, highlight } = require('../search');
+
+describe('message search', () => {
+    describe('segmentation', () => {
+        test('splits CJK runs from words', () => {
+            expect(segment('明天去北京 Meeting_2 at 9點')).toEqual([
+                { kind: 'cjk', text: '明天去北京' },
+                { kind: 'word', text: 'meeting_2' },
+                { kind: 'word', text: 'at' },
+                { kind: 'word', text: '9' },
+                { kind: 'cjk', text: '點' }
+            ]);
+            expect(segment('こんにちは、세계')).toEqual([
+                { kind: 'cjk', text: 'こんにちは' },
+                { kind: 'cjk', text: '세계' }
+            ]);
+        });
+
+        test('indexes CJK text as characters and character pairs', () => {
+            expect(tokenizeForIndex('北京欢迎你 Hello')).toEqual({
+                unigrams: '北 京 欢 迎 你 hello',
+                bigrams: '北京 京欢 欢迎 迎你 hello'
+            });
+            expect(tokenizeForIndex('好')).toEqual({ unigrams: '好', bigrams: '好' });
+        });
+
+        test('queries CJK runs as bigram phrases and words as prefixes', () => {
+            expect(buildMatchQuery('北京欢迎')).toEqual({
+                match: 'bigrams : "北京 京欢 欢迎"',
+                terms: ['北京欢迎']
+            });
+            expect(buildMatchQuery('京 Meet')).toEqual({
+                match: 'unigrams : "京" AND unigrams : "meet"*',
+                terms: ['京', 'meet']
+            });
+            expect(buildMatchQuery('"*" --')).toBeNull();
+        });
+
+        test('highlights every match within the snippet', () => {
+            expect(highlight('我在北京，北京很大', ['北京'])).toEqual({
+                snippet: '我在北京，北京很大',
+                highlights: [[2, 4], [5, 7]]
+            });
+
+            const long = `${'前'.repeat(100)}目标${'后'.repeat(100)}`;
+            const { snippet, highlights } = highlight(long, ['目标']);
+            expect(snippet.startsWith('…') && snippet.endsWith('…')).toBe(true);
+            expect(highlights).toHaveLength(1);
+            expect(snippet.slice(highlights[0][0], highlights[0][1])).toBe('目标');
+        });
+    });
+
+    describe('GET /search', () => {
+        let db;
+        let server;
+        let as;
+
+        /**
+         * Search as the test user
+         * @param {string} q - Query
+         * @param {string} extra - Other query parameters
+         * @returns {Promise<Object>} - { status, body }
+         */
+        const search = (q, extra = '') => as('GET', `/search?q=${encodeURIComponent(q)}${extra}`);
+
+        /**
+         * Store a message
+         * @param {string} roomId - Room ID
+         * @param {string} content - Text
+         * @param {Object} extra - Other message fields
+         * @returns {Promise<number>} - Message ID
+         */
+        const post = (roomId, content, extra = {}) => db.saveMessage({
+            type: 'text',
+            roomId,
+            senderId: 'searcher',
+            timestamp: Date.now(),
+            content,
+            ...extra
+        });
+
+        beforeAll(async () => {
+            silenceLogs();
+            db = await setupDatabase();
+            await db.createRoom({ roomId: 'open', name: 'Open' });
+            await db.createRoom({ roomId: 'secret', name: 'Secret', isPrivate: true });
+            server = await startApp({ '/search': require('../routes/search') });
+            as = client(server.url, await createTestUser('searcher'));
+
+            await post('open', '明天我们去北京开会');
+            await post('open', '北方的天气很冷');
+            await post('open', '京剧很好看');
+            await post('open', 'Meeting notes for Beijing');
+            await post('open', '我喜欢北京烤鸭', { senderId: 'other' });
+            await post('open', '', { type: 'file', fileName: '北京地图.pdf', filePath: '/uploads/file/map.pdf' });
+            await post('secret', '北京的秘密');
+        });
+
+        afterAll(async () => {
+            await server.close();
+            await teardown();
+            jest.restoreAllMocks();
+        });
+
+        test('finds Chinese text by substring, not by single characters', async () => {
+            const res = await search('北京');
+            expect(res.status).toBe(200);
+            expect(res.body.results.map(r => r.content || r.fileName).sort()).toEqual(
+                ['北京地图.pdf', '我喜欢北京烤鸭', '明天我们去北京开会'].sort()
+            );
+
+            const hit = res.body.results.find(r => r.content === '明天我们去北京开会');
+            expect(hit.snippet.slice(...hit.highlights[0])).toBe('北京');
+        });
+
+        test('requires every term to match', async () => {
+            const res = await search('北京 开会');
+            expect(res.body.results.map(r => r.content)).toEqual(['明天我们去北京开会']);
+
+            expect((await search('京')).body.results.map(r => r.content || r.fileName).sort()).toEqual(
+                ['京剧很好看', '北京地图.pdf', '我喜欢北京烤鸭', '明天我们去北京开会'].sort()
+            );
+        });
+
+        test('matches latin words by prefix, ignoring case', async () => {
+            const res = await search('MEET');
+            expect(res.body.results.map(r => r.content)).toEqual(['Meeting notes for Beijing']);
+        });
+
+        test('filters by sender and type', async () => {
+            expect((await search('北京', '&senderId=other')).body.results.map(r => r.content)).toEqual(['我喜欢北京烤鸭']);
+            expect((await search('北京', '&type=file')).body.results.map(r => r.fileName)).toEqual(['北京地图.pdf']);
+        });
+
+        test('leaves out rooms the user cannot read', async () => {
+            expect((await search('秘密')).body.results).toEqual([]);
+            expect((await search('北京', '&roomId=secret')).status).toBe(403);
+        });
+
+        test('pages through the results', async () => {
+            const first = await search('京', '&limit=3');
+            expect(first.body.results).toHaveLength(3);
+            expect(first.body.hasMore).toBe(true);
+
+            const second = await search('京', `&limit=3&offset=${first.body.nextOffset}`);
+            expect(second.body.results).toHaveLength(1);
+            expect(second.body.hasMore).toBe(false);
+            expect(first.body.results.map(r => r.id)).not.toContain(second.body.results[0].id);
+        });
+
+        test('validates the query', async () => {
+            expect((await search('')).status).toBe(400);
+            expect((await search('北京', '&type=sticker')).status).toBe(400);
+            expect((await search('北京', '&from=yesterday-ish')).status).toBe(400);
+            expect((await search('!!!')).status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+const express = require('express');
+
+const { silenceLogs, setupDatabase, createTestUser, startApp, teardown } = require('./helpers');
+
+const { requireAuth } = require('../auth');
+const { handleStream } = require('../sse');
+const { broadcastToRoom, evict } = require('../bus');
+
+describe('sse', () => {
+    let server;
+    let token;
+
+    beforeAll(async () => {
+        silenceLogs();
+        await setupDatabase();
+        token = await createTestUser('alice');
+
+        const router = express.Router();
+        router.get('/stream', requireAuth, handleStream);
+        server = await startApp({ '/api': router });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * Open a stream and collect the events it sends until it ends
+     * Presence changes are left out.
+     * @returns {Promise<Object>} - { ended }, resolving with the events once the stream ends
+     */
+    async function openStream() {
+        const res = await fetch(`${server.url}/api/stream?roomId=default_room&token=${token}`);
+        expect(res.status).toBe(200);
+        expect(res.headers.get('Content-Type')).toBe('text/event-stream');
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let text = decoder.decode((await reader.read()).value);
+
+        const ended = (async () => {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                text += decoder.decode(value);
+            }
+            return text.split('\n')
+                .filter(line => line.startsWith('data: '))
+                .map(line => JSON.parse(line.slice(6)))
+                .filter(event => event.type !== 'presence');
+        })();
+        return { ended };
+    }
+
+    test('delivers room events', async () => {
+        const { ended } = await openStream();
+        broadcastToRoom('default_room', { type: 'typing', roomId: 'default_room', userId: 'bob', timestamp: Date.now() });
+        broadcastToRoom('other_room', { type: 'typing', roomId: 'other_room', userId: 'bob', timestamp: Date.now() });
+        evict(stream => stream.userId === 'alice', 'bye');
+
+        const events = await ended;
+        expect(events.map(event => event.type)).toEqual(['typing', 'removed']);
+        expect(events[0].roomId).toBe('default_room');
+    });
+
+    test('stops writing to an evicted stream before its connection closes', async () => {
+        const { ended } = await openStream();
+        evict(stream => stream.userId === 'alice', 'removed from room');
+        evict(stream => stream.userId === 'alice', 'removed again');
+        broadcastToRoom('default_room', { type: 'typing', roomId: 'default_room', userId: 'bob', timestamp: Date.now() });
+
+        const events = await ended;
+        expect(events).toEqual([expect.objectContaining({ type: 'removed', content: 'removed from room' })]);
+    });
+});
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MB = 1024 * 1024;
+process.env.USER_STORAGE_QUOTA = String(3 * MB);
+process.env.ROOM_STORAGE_QUOTA = String(5 * MB);
+process.env.ORPHAN_FILE_GRACE = '200';
+
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    uploadTestFile,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { UPLOADS_DIR, getUserStorage, getRoomStorage, sweepOrphanFiles } = require('../storage');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the files stored for uploads of generic files
+ * @returns {Array<string>} - File names
+ */
+function storedFiles() {
+    const dir = path.join(UPLOADS_DIR, 'file');
+    return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+}
+
+/**
+ * Check whether an uploaded file is on disk
+ * @param {string} filePath - Public path (`/uploads/...`)
+ * @returns {boolean}
+ */
+function onDisk(filePath) {
+    return fs.existsSync(path.join(UPLOADS_DIR, filePath.replace(/^\/uploads\//, '')));
+}
+
+describe('storage', () => {
+    const tokens = {};
+    let db;
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        for (const userId of ['alice', 'bob', 'carol', 'dave']) {
+            tokens[userId] = await createTestUser(userId);
+        }
+        await db.createRoom({ roomId: 'lobby', name: 'Lobby', createdBy: 'alice' });
+        await db.createRoom({ roomId: 'busy', name: 'Busy', createdBy: 'bob' });
+        await db.createRoom({ roomId: 'hidden', name: 'Hidden', isPrivate: true, createdBy: 'bob' });
+        await db.addRoomMember({ roomId: 'hidden', userId: 'bob', role: 'owner' });
+    });
+
+    afterAll(async () => {
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    describe('deduplication', () => {
+        const content = crypto.randomBytes(1000);
+
+        test('stores the same content once', async () => {
+            const first = await uploadTestFile('alice', 'lobby', content, { fileName: 'a.bin' });
+            const second = await uploadTestFile('alice', 'lobby', content, { fileName: 'b.bin' });
+
+            expect(second.filePath).toBe(first.filePath);
+            expect(second.fileName).toBe('b.bin');
+            expect(storedFiles()).toEqual([path.basename(first.filePath)]);
+            expect(await getUserStorage('alice')).toMatchObject({ files: 1, bytes: 1000 });
+        });
+
+        test('counts a shared file for every uploader', async () => {
+            const alice = await uploadTestFile('alice', 'lobby', content);
+            const bob = await uploadTestFile('bob', 'busy', content);
+
+            expect(bob.filePath).toBe(alice.filePath);
+            expect(storedFiles()).toHaveLength(1);
+            expect(await getUserStorage('bob')).toMatchObject({ files: 1, bytes: 1000 });
+            expect((await db.getFileUploads(alice.filePath)).map(u => u.userId).sort()).toEqual(['alice', 'bob']);
+        });
+    });
+
+    describe('quotas', () => {
+        test('rejects uploads over the user quota and removes them', async () => {
+            await uploadTestFile('alice', 'lobby', crypto.randomBytes(2 * MB));
+            const before = storedFiles();
+
+            const result = await uploadTestFile('alice', 'lobby', crypto.randomBytes(MB));
+            expect(result).toEqual({ error: 'Storage quota exceeded (3MB per user)', status: 413 });
+            expect(storedFiles()).toEqual(before);
+        });
+
+        test('does not charge a user again for content they already uploaded', async () => {
+            const content = crypto.randomBytes(MB / 2);
+            await uploadTestFile('carol', 'lobby', content);
+            await uploadTestFile('carol', 'lobby', crypto.randomBytes(2 * MB));
+
+            expect((await uploadTestFile('carol', 'lobby', content)).error).toBeUndefined();
+            expect((await uploadTestFile('carol', 'lobby', crypto.randomBytes(MB))).status).toBe(413);
+        });
+
+        test('rejects uploads over the room quota', async () => {
+            await uploadTestFile('bob', 'busy', crypto.randomBytes(2 * MB));
+            await uploadTestFile('dave', 'busy', crypto.randomBytes(2 * MB));
+
+            const result = await uploadTestFile('dave', 'busy', crypto.randomBytes(MB));
+            expect(result).toEqual({ error: 'Storage quota exceeded (5MB per room)', status: 413 });
+            expect((await getRoomStorage('busy', 'dave')).remaining).toBeLessThan(MB);
+        });
+
+        test('reports usage against the quotas', async () => {
+            const server = await startApp({ '/storage': require('../routes/storage') });
+            try {
+                const asBob = client(server.url, tokens.bob);
+                const asDave = client(server.url, tokens.dave);
+
+                const mine = await asDave('GET', '/storage');
+                expect(mine.body).toEqual({ success: true, files: 1, bytes: 2 * MB, quota: 3 * MB, remaining: MB });
+
+                const room = await asBob('GET', '/storage/rooms/busy');
+                expect(room.body).toMatchObject({ success: true, quota: 5 * MB });
+                expect(room.body.bytes).toBe(1000 + 4 * MB);
+
+                expect((await asDave('GET', '/storage/rooms/hidden')).status).toBe(403);
+                expect((await asDave('GET', '/storage/rooms/nowhere')).status).toBe(404);
+            } finally {
+                await server.close();
+            }
+        });
+    });
+
+    describe('orphan sweep', () => {
+        test('removes files no message references once the grace period is over', async () => {
+            const posted = await uploadTestFile('bob', 'lobby', crypto.randomBytes(100));
+            const unposted = await uploadTestFile('bob', 'lobby', crypto.randomBytes(100));
+            const messageId = await db.saveMessage({
+                type: 'file',
+                roomId: 'lobby',
+                senderId: 'bob',
+                timestamp: Date.now(),
+                content: posted.filePath,
+                fileName: 'posted.bin',
+                fileSize: posted.fileSize
+            });
+
+            // Within the grace period nothing goes
+            await sweepOrphanFiles();
+            expect(onDisk(unposted.filePath)).toBe(true);
+
+            await sleep(300);
+            expect(await sweepOrphanFiles()).toBeGreaterThan(0);
+            expect(onDisk(unposted.filePath)).toBe(false);
+            expect(await db.getMediaFile(unposted.filePath)).toBeFalsy();
+            expect(onDisk(posted.filePath)).toBe(true);
+
+            // Recalling the message releases the file, which goes after another grace period
+            await db.recallMessage(messageId, Date.now());
+            await sweepOrphanFiles();
+            expect(onDisk(posted.filePath)).toBe(true);
+
+            await sleep(300);
+            await sweepOrphanFiles();
+            expect(onDisk(posted.filePath)).toBe(false);
+        });
+
+        test('frees the quota of swept files', async () => {
+            await uploadTestFile('erin', 'lobby', crypto.randomBytes(MB));
+            expect(await getUserStorage('erin')).toMatchObject({ files: 1, bytes: MB, remaining: 2 * MB });
+
+            await sleep(300);
+            await sweepOrphanFiles();
+            expect(await getUserStorage('erin')).toMatchObject({ files: 0, bytes: 0, remaining: 3 * MB });
+        });
+
+        test('removes stray files that were never recorded', async () => {
+            const dir = path.join(UPLOADS_DIR, 'file');
+            const stale = path.join(dir, 'left-behind.part');
+            const fresh = path.join(dir, 'being-written.part');
+            fs.writeFileSync(stale, 'x');
+            fs.writeFileSync(fresh, 'x');
+            const past = new Date(Date.now() - 60 * 1000);
+            fs.utimesSync(stale, past, past);
+
+            await sweepOrphanFiles();
+            expect(fs.existsSync(stale)).toBe(false);
+            expect(fs.existsSync(fresh)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const { silenceLogs, setupDatabase, teardown } = require('./helpers');
+
+const { resolveReply } = require('../messages');
+
+describe('replies and threads', () => {
+    const ROOM_ID = 'threads_room';
+    let db;
+    let clock = 1000;
+
+    /**
+     * Store a text message, as a reply if replyTo is given
+     * @param {string} content - Text
+     * @param {number} replyTo - Message replied to
+     * @param {string} roomId - Room ID
+     * @returns {Promise<number>} - Message ID
+     */
+    const post = async (content, replyTo = null, roomId = ROOM_ID) => {
+        const reply = await resolveReply(replyTo, roomId);
+        return db.saveMessage({
+            type: 'text',
+            roomId,
+            senderId: 'alice',
+            timestamp: clock += 1000,
+            content,
+            replyTo: reply.replyTo,
+            threadId: reply.threadId
+        });
+    };
+
+    beforeAll(async () => {
+        silenceLogs();
+        db = await setupDatabase();
+        await db.createRoom({ roomId: ROOM_ID, name: 'Threads' });
+        await db.createRoom({ roomId: 'other_threads', name: 'Other' });
+    });
+
+    afterAll(async () => {
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('a message without replyTo is not a reply', async () => {
+        for (const replyTo of [undefined, null, '']) {
+            expect(await resolveReply(replyTo, ROOM_ID)).toEqual({ replyTo: null, threadId: null, quote: null });
+        }
+    });
+
+    test('replies join the thread of the first message, however deep they nest', async () => {
+        const root = await post('Where shall we eat?');
+        const first = await post('Noodles', root);
+        const second = await post(`${'Dumplings! '.repeat(20)}`, first);
+
+        const reply = await resolveReply(String(second), ROOM_ID);
+        expect(reply.replyTo).toBe(second);
+        expect(reply.threadId).toBe(root);
+        expect(reply.quote).toMatchObject({ id: second, senderId: 'alice', recalled: false });
+        expect(reply.quote.content).toHaveLength(100);
+    });
+
+    test('pages through a thread and counts its replies on the root', async () => {
+        const root = await post('Thread root');
+        const replies = [];
+        for (let i = 0; i < 5; i++) {
+            replies.push(await post(`reply ${i}`, replies[i - 1] || root));
+        }
+
+        const [newest] = (await db.getHistory(ROOM_ID, { limit: 1 })).messages;
+        expect(newest.id).toBe(replies[4]);
+        expect(newest.quote).toMatchObject({ id: replies[3], content: 'reply 3' });
+
+        const { messages: roots } = await db.getHistory(ROOM_ID, { limit: 10 });
+        expect(roots.find(m => m.id === root)).toMatchObject({ replyCount: 5, quote: null });
+
+        const page = await db.getHistory(ROOM_ID, { threadId: root, limit: 3 });
+        expect(page.messages.map(m => m.id)).toEqual([replies[4], replies[3], replies[2]]);
+        expect(page.hasMore).toBe(true);
+
+        const rest = await db.getHistory(ROOM_ID, { threadId: root, before: db.parseCursor(page.nextCursor), limit: 3 });
+        expect(rest.messages.map(m => m.id)).toEqual([replies[1], replies[0]]);
+        expect(rest.hasMore).toBe(false);
+    });
+
+    test('a recalled message keeps its quote but cannot be replied to', async () => {
+        const root = await post('Soon gone');
+        const reply = await post('Quoting it', root);
+        await db.recallMessage(root, Date.now());
+
+        expect(await resolveReply(root, ROOM_ID)).toEqual({ error: 'Message has been recalled', status: 409 });
+
+        const quote = (await db.getQuotes([root])).get(root);
+        expect(quote).toMatchObject({ content: '', recalled: true });
+        expect((await db.getMessageById(reply)).threadId).toBe(root);
+    });
+
+    test('only replies to messages of the same room', async () => {
+        const elsewhere = await post('Other room', null, 'other_threads');
+
+        expect(await resolveReply(elsewhere, ROOM_ID)).toEqual({ error: 'Replied message not found', status: 404 });
+        expect(await resolveReply(999999, ROOM_ID)).toEqual({ error: 'Replied message not found', status: 404 });
+        expect(await resolveReply('not-a-number', ROOM_ID)).toEqual({ error: 'Replied message not found', status: 404 });
+    });
+});
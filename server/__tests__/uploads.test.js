@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    silenceLogs,
+    setupDatabase,
+    createTestUser,
+    startApp,
+    client,
+    teardown
+} = require('./helpers');
+
+const { UPLOADS_DIR } = require('../storage');
+const { completeUpload } = require('../uploads');
+
+const CHUNK_SIZE = 64 * 1024;
+const ROOM_ID = 'upload_room';
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Get the files stored for uploads of generic files
+ * @returns {Array<string>} - File names
+ */
+function storedFiles() {
+    const dir = path.join(UPLOADS_DIR, 'file');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+describe('resumable uploads', () => {
+    let server;
+    let as;
+    let token;
+
+    /**
+     * Open a session for a file split into CHUNK_SIZE chunks
+     * @param {Buffer} content - File content
+     * @param {Function} asUser - client() of the uploading user
+     * @returns {Promise<Object>} - Upload status
+     */
+    async function start(content, asUser = as) {
+        const res = await asUser('POST', '/upload/sessions', {
+            roomId: ROOM_ID,
+            fileName: 'notes.bin',
+            fileSize: content.length,
+            mimeType: 'application/octet-stream',
+            chunkSize: CHUNK_SIZE
+        });
+        expect(res.status).toBe(200);
+        return res.body;
+    }
+
+    /**
+     * Send one chunk
+     * @param {string} sessionId - Upload session ID
+     * @param {number} index - Chunk index
+     * @param {Buffer} data - Chunk bytes
+     * @param {string} checksum - X-Chunk-SHA256, the SHA-256 of data by default
+     * @returns {Promise<Object>} - { status, body }
+     */
+    async function sendChunk(sessionId, index, data, checksum = sha256(data)) {
+        const res = await fetch(`${server.url}/upload/sessions/${sessionId}/chunks/${index}`, {
+            method: 'PUT',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/octet-stream',
+                'X-Chunk-SHA256': checksum
+            },
+            body: data
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    /**
+     * Get a chunk of a file
+     * @param {Buffer} content - File content
+     * @param {number} index - Chunk index
+     * @returns {Buffer} - Chunk bytes
+     */
+    const chunkOf = (content, index) => content.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+
+    beforeAll(async () => {
+        silenceLogs();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const db = await setupDatabase();
+        await db.createRoom({ roomId: ROOM_ID, name: 'Uploads' });
+        server = await startApp({ '/upload/sessions': require('../routes/uploads') });
+        token = await createTestUser('uploader');
+        as = client(server.url, token);
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardown();
+        jest.restoreAllMocks();
+    });
+
+    test('resumes from the chunks received and completes the file', async () => {
+        const content = crypto.randomBytes(CHUNK_SIZE * 2 + 1000);
+        const session = await start(content);
+        expect(session).toMatchObject({ totalChunks: 3, received: [], offset: 0, complete: false });
+
+        // The connection drops after the first chunk; the third arrived out of order
+        await sendChunk(session.sessionId, 0, chunkOf(content, 0));
+        await sendChunk(session.sessionId, 2, chunkOf(content, 2));
+
+        const status = await as('GET', `/upload/sessions/${session.sessionId}`);
+        expect(status.body).toMatchObject({ received: [0, 2], offset: CHUNK_SIZE, complete: false });
+
+        const early = await as('POST', `/upload/sessions/${session.sessionId}/complete`);
+        expect(early.status).toBe(409);
+        expect(early.body.error).toBe('Upload is incomplete (2/3 chunks)');
+
+        const last = await sendChunk(session.sessionId, 1, chunkOf(content, 1));
+        expect(last.body).toMatchObject({ received: [0, 1, 2], offset: content.length, complete: true });
+
+        const done = await as('POST', `/upload/sessions/${session.sessionId}/complete`, { checksum: sha256(content) });
+        expect(done.status).toBe(200);
+        expect(done.body).toMatchObject({ type: 'file', fileName: 'notes.bin', fileSize: content.length });
+        expect(fs.readFileSync(path.join(UPLOADS_DIR, done.body.filePath.replace(/^\/uploads\//, '')))).toEqual(content);
+
+        // The session is gone once completed
+        expect((await as('GET', `/upload/sessions/${session.sessionId}`)).status).toBe(404);
+    });
+
+    test('checks chunk sizes and indexes', async () => {
+        const content = crypto.randomBytes(CHUNK_SIZE + 10);
+        const session = await start(content);
+
+        expect((await sendChunk(session.sessionId, 2, chunkOf(content, 0))).status).toBe(400);
+        expect((await sendChunk(session.sessionId, 1, chunkOf(content, 0))).body.error).toBe('Chunk 1 must be 10 bytes');
+        expect((await sendChunk(session.sessionId, 0, chunkOf(content, 0), 'not-a-checksum')).status).toBe(400);
+    });
+
+    test('answers 413 for a chunk over the chunk size limit', async () => {
+        // Rejected while the body is read, before the session is looked up
+        const res = await sendChunk('any-session', 0, Buffer.alloc(8 * 1024 * 1024 + 1));
+        expect(res.status).toBe(413);
+        expect(res.body).toEqual({ success: false, error: 'Chunks can be at most 8MB' });
+    });
+
+    test('rejects a chunk whose checksum does not match', async () => {
+        const content = crypto.randomBytes(CHUNK_SIZE + 10);
+        const session = await start(content);
+
+        const res = await sendChunk(session.sessionId, 0, chunkOf(content, 0), sha256(Buffer.from('something else')));
+        expect(res.status).toBe(422);
+        expect(res.body.error).toBe('Chunk checksum mismatch');
+
+        const status = await as('GET', `/upload/sessions/${session.sessionId}`);
+        expect(status.body.received).toEqual([]);
+    });
+
+    test('rejects a file whose checksum does not match and keeps nothing', async () => {
+        const content = crypto.randomBytes(CHUNK_SIZE + 10);
+        const session = await start(content);
+        await sendChunk(session.sessionId, 0, chunkOf(content, 0));
+        await sendChunk(session.sessionId, 1, chunkOf(content, 1));
+        const before = storedFiles();
+
+        const res = await as('POST', `/upload/sessions/${session.sessionId}/complete`, { checksum: sha256(Buffer.from('other')) });
+        expect(res.status).toBe(422);
+        expect(res.body.error).toBe('File checksum mismatch');
+        expect(storedFiles()).toEqual(before);
+
+        // The chunks stay, so the client can still complete it
+        expect((await as('POST', `/upload/sessions/${session.sessionId}/complete`)).status).toBe(200);
+    });
+
+    test('removes the partly joined file when a chunk cannot be read', async () => {
+        const content = crypto.randomBytes(CHUNK_SIZE * 2 + 10);
+        const session = await start(content);
+        for (let index = 0; index < 3; index++) {
+            await sendChunk(session.sessionId, index, chunkOf(content, index));
+        }
+        fs.rmSync(path.join(process.env.UPLOAD_SESSIONS_DIR, session.sessionId, '1'));
+        const before = storedFiles();
+
+        await expect(completeUpload(session.sessionId, 'uploader')).rejects.toThrow(/ENOENT/);
+        expect(storedFiles()).toEqual(before);
+        expect((await as('POST', `/upload/sessions/${session.sessionId}/complete`)).status).toBe(500);
+        expect(storedFiles()).toEqual(before);
+    });
+
+    test('discards an aborted upload', async () => {
+        // The uploader has used up their burst of new sessions
+        const asOther = client(server.url, await createTestUser('abandoner'));
+        const session = await start(crypto.randomBytes(CHUNK_SIZE + 10), asOther);
+
+        expect((await as('DELETE', `/upload/sessions/${session.sessionId}`)).status).toBe(404);
+        expect((await asOther('DELETE', `/upload/sessions/${session.sessionId}`)).status).toBe(200);
+        expect(fs.existsSync(path.join(process.env.UPLOAD_SESSIONS_DIR, session.sessionId))).toBe(false);
+        expect((await asOther('GET', `/upload/sessions/${session.sessionId}`)).status).toBe(404);
+    });
+});
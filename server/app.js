@@ -11,7 +11,29 @@ const path = require('path');
 const fs = require('fs');
 
 const { initWebSocket } = require('./websocket');
-const { initDatabase, saveMessage, getHistory } = require('./db');
+const { broadcastToRoom, sendToUser, getRecentEvents } = require('./bus');
+const { handleStream } = require('./sse');
+const { initDatabase, saveMessage, getHistory, parseCursor, addRoomMember, getMessageById, getMessageEdits } = require('./db');
+const { requireAuth, startSessionCleanup } = require('./auth');
+const { startUploadCleanup } = require('./uploads');
+const { UPLOADS_DIR, startStorageSweeper } = require('./storage');
+const { rateLimit, startRateLimitSweep } = require('./ratelimit');
+const { MAX_UPLOAD_SIZE, MIME_TYPE_PATTERN, uploadTypeOf, uploadTooLarge, storeUpload } = require('./media');
+const { DEFAULT_ROOM_ID, resolveRoom } = require('./rooms');
+const { validateClientId, resolveReply, resolveMedia, saveChatMessage, editMessage, recallMessage, toggleReaction } = require('./messages');
+const { markRead } = require('./receipts');
+const { recordMentions } = require('./mentions');
+const { isDirectRoomId } = require('./direct');
+const { waitForChange } = require('./longpoll');
+const presence = require('./presence');
+const authRoutes = require('./routes/auth');
+const roomRoutes = require('./routes/rooms');
+const searchRoutes = require('./routes/search');
+const mentionRoutes = require('./routes/mentions');
+const directRoutes = require('./routes/direct');
+const uploadRoutes = require('./routes/uploads');
+const mediaRoutes = require('./routes/media');
+const storageRoutes = require('./routes/storage');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,7 +41,6 @@ const server = http.createServer(app);
 // Configuration
 const PORT = process.env.PORT || 3003;
 const HOST = '0.0.0.0'; // 监听所有网络接口
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
 
 // Ensure uploads directory exists
 if (!fs.existsSync(UPLOADS_DIR)) {
@@ -27,10 +48,11 @@ if (!fs.existsSync(UPLOADS_DIR)) {
 }
 
 // Multer configuration for file uploads
+// The declared mimetype only picks a first directory: storeUpload() checks
+// the content and moves the file where it belongs
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const type = file.mimetype.startsWith('audio/') ? 'audio' : 'video';
-        const typeDir = path.join(UPLOADS_DIR, type);
+        const typeDir = path.join(UPLOADS_DIR, uploadTypeOf(file.mimetype));
         
         if (!fs.existsSync(typeDir)) {
             fs.mkdirSync(typeDir, { recursive: true });
@@ -48,14 +70,16 @@ const storage = multer.diskStorage({
 const upload = multer({
     storage: storage,
     limits: {
-        fileSize: 100 * 1024 * 1024 // 100MB limit
+        fileSize: MAX_UPLOAD_SIZE // Largest per-type limit; storeUpload() checks the one of the file
     },
     fileFilter: (req, file, cb) => {
-        // Accept audio and video files
-        if (file.mimetype.startsWith('audio/') || file.mimetype.startsWith('video/')) {
+        // Any kind of file is accepted, as long as it declares a valid mimetype
+        if (MIME_TYPE_PATTERN.test(file.mimetype)) {
+            // Picks the limit named when the file turns out larger than MAX_UPLOAD_SIZE
+            req.uploadType = uploadTypeOf(file.mimetype);
             cb(null, true);
         } else {
-            cb(new Error('Only audio and video files are allowed'), false);
+            cb(new Error('Invalid file mimetype'), false);
         }
     }
 });
@@ -63,15 +87,16 @@ const upload = multer({
 // Middleware
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Chunk-SHA256', 'Range', 'If-None-Match', 'If-Modified-Since', 'If-Range'],
+    exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length', 'ETag']
 }));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Serve uploaded files to the users who may see them, with byte ranges
+app.use('/uploads', mediaRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -82,103 +107,419 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Registration, login and sessions
+app.use('/auth', authRoutes);
+
+// Room management
+app.use('/rooms', roomRoutes);
+
+// Message search
+app.use('/search', searchRoutes);
+
+// Mention inbox
+app.use('/mentions', mentionRoutes);
+
+// Direct (one-to-one) conversations
+app.use('/direct', directRoutes);
+
+// Resumable chunked uploads for large media (see uploads.js)
+app.use('/upload/sessions', uploadRoutes);
+
+// Storage used by uploads, against the user and room quotas (see storage.js)
+app.use('/storage', storageRoutes);
+
 // ============ HTTP 轮询方案（备用） ============
-// 内存中存储最近的消息
-const recentMessages = [];
-const MAX_MESSAGES = 100;
+// 所有 /api 接口都需要登录，发送者身份取自 token
+app.use('/api', requireAuth);
+
+// 轮询请求也算心跳，用来判断 HTTP 客户端是否在线
+app.use('/api', (req, res, next) => {
+    presence.heartbeat(req.user.userId);
+    next();
+});
+
+// 聊天消息从数据库读取；编辑、回应、已读、在线状态等事件不入库，由事件总线在内存中保留最近的一些
+const LONG_POLL_TIMEOUT = 25 * 1000; // 没有新内容时轮询请求最多挂起的时间
+const MAX_POLL_MESSAGES = 50;
 
 // 发送消息 API
-app.post('/api/send', async (req, res) => {
-    const { senderId, content, type = 'text' } = req.body;
-    
-    if (!senderId || !content) {
-        return res.status(400).json({ error: 'senderId and content required' });
+// 客户端带上 clientId 时，重发同一条消息只会保存一次，返回的 ack 与首次相同
+// 音频 / 视频消息先通过 /upload 上传文件，content 为返回的 filePath
+// 按消息类型限流，超出时返回 429 和 retryAfter（秒），见 ratelimit.js
+app.post('/api/send', rateLimit(req => req.body.type || 'text'), async (req, res) => {
+    try {
+        const { content, type = 'text', roomId = DEFAULT_ROOM_ID, clientId, replyTo, fileName } = req.body;
+        const senderId = req.user.userId;
+        
+        if (!content) {
+            return res.status(400).json({ error: 'content required' });
+        }
+        
+        const clientIdError = validateClientId(clientId);
+        if (clientIdError) {
+            return res.status(400).json({ error: clientIdError });
+        }
+        
+        const { error, status } = await resolveRoom(roomId, senderId, { write: true });
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        // 回复消息：被回复的消息必须在同一聊天室且未撤回
+        const reply = await resolveReply(replyTo, roomId);
+        if (reply.error) {
+            return res.status(reply.status).json({ error: reply.error });
+        }
+        
+        const media = await resolveMedia(type, content, senderId);
+        if (media.error) {
+            return res.status(media.status).json({ error: media.error });
+        }
+        
+        // 先保存到数据库，用数据库 id 作为消息 id（编辑、撤回时需要）
+        let saved;
+        try {
+            saved = await saveChatMessage({
+                type,
+                senderId,
+                clientId: clientId || null,
+                content,
+                roomId,
+                timestamp: Date.now(),
+                fileName: type === 'text' ? null : fileName,
+                ...media,
+                replyTo: reply.replyTo,
+                threadId: reply.threadId,
+                quote: reply.quote
+            });
+        } catch (e) {
+            console.log('DB save error:', e.message);
+            return res.status(500).json({ error: 'Failed to save message' });
+        }
+        
+        const { message, duplicate } = saved;
+        
+        presence.markActive(senderId);
+        presence.setTyping(roomId, senderId, false);
+        
+        if (!duplicate) {
+            // 推送给 WebSocket / SSE 客户端，轮询客户端被唤醒后从数据库读取
+            broadcastToRoom(roomId, message);
+            console.log(`[HTTP] Message from ${senderId}: ${content}`);
+        
+            try {
+                (await recordMentions(message)).forEach(event => sendToUser(event.userId, event));
+            } catch (e) {
+                console.log('Failed to record mentions:', e.message);
+            }
+        }
+        
+        res.json({
+            success: true,
+            ack: {
+                clientId: message.clientId,
+                messageId: message.id,
+                roomId: message.roomId,
+                timestamp: message.timestamp,
+                duplicate
+            },
+            message
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 编辑 / 撤回消息 API：事件通过事件总线推送给所有客户端
+const sendMessageChange = (result, res) => {
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
     }
     
-    const message = {
-        id: Date.now() + '_' + Math.random().toString(36).substr(2, 6),
-        type,
-        senderId,
-        content,
-        roomId: 'default_room',
-        timestamp: Date.now()
-    };
+    broadcastToRoom(result.event.roomId, result.event);
+    (result.mentions || []).forEach(event => sendToUser(event.userId, event));
     
-    recentMessages.push(message);
-    if (recentMessages.length > MAX_MESSAGES) {
-        recentMessages.shift();
+    res.json({ success: true, message: result.message });
+};
+
+app.post('/api/edit', rateLimit('edit'), async (req, res) => {
+    try {
+        const { messageId, content } = req.body;
+        sendMessageChange(await editMessage(messageId, req.user.userId, content), res);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
     }
-    
-    // 同时保存到数据库
+});
+
+app.post('/api/recall', rateLimit('recall'), async (req, res) => {
+    try {
+        sendMessageChange(await recallMessage(req.body.messageId, req.user.userId), res);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 表情回应：同一个表情再点一次取消
+app.post('/api/react', rateLimit('reaction'), async (req, res) => {
     try {
-        await saveMessage(message);
+        const { messageId, emoji } = req.body;
+        const result = await toggleReaction(messageId, req.user.userId, emoji);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        presence.markActive(req.user.userId);
+        broadcastToRoom(result.event.roomId, result.event);
+        
+        res.json({ success: true, action: result.event.action, reactions: result.reactions });
     } catch (e) {
-        console.log('DB save error:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 已读回执：已读位置前进时通知房间内的其他人
+app.post('/api/read', async (req, res) => {
+    try {
+        const roomId = req.body.roomId || DEFAULT_ROOM_ID;
+        const result = await markRead(roomId, req.user.userId, req.body.messageId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        presence.markActive(req.user.userId);
+        
+        if (result.moved) {
+            broadcastToRoom(roomId, result.event);
+        }
+        
+        res.json({ success: true, moved: result.moved, receipt: result.event });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
     }
-    
-    console.log(`[HTTP] Message from ${senderId}: ${content}`);
-    res.json({ success: true, message });
 });
 
-// 获取消息 API（轮询）
-app.get('/api/messages', (req, res) => {
-    const since = parseInt(req.query.since) || 0;
-    const messages = recentMessages.filter(m => m.timestamp > since);
-    res.json({ messages });
+// 正在输入：{ roomId, state: 'start' | 'stop' }，服务端负责节流
+app.post('/api/typing', async (req, res) => {
+    try {
+        const roomId = req.body.roomId || DEFAULT_ROOM_ID;
+        const isTyping = req.body.state !== 'stop';
+        
+        if (isTyping) {
+            const { error, status } = await resolveRoom(roomId, req.user.userId, { write: true });
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            presence.markActive(req.user.userId);
+        }
+        
+        presence.setTyping(roomId, req.user.userId, isTyping);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 主动设置离开 / 在线（例如应用切到后台）
+app.post('/api/presence', (req, res) => {
+    presence.setAway(req.user.userId, req.body.status === 'away');
+    res.json({ success: true, ...presence.getPresence(req.user.userId) });
+});
+
+// 获取消息的编辑记录
+app.get('/api/edits', async (req, res) => {
+    try {
+        const message = await getMessageById(parseInt(req.query.messageId, 10) || 0);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        const { error, status } = await resolveRoom(message.roomId, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        res.json({ success: true, messageId: message.id, edits: await getMessageEdits(message.id) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 获取消息 API（长轮询）：GET /api/messages?roomId=&cursor=&since=&timeout=
+// 新消息（包括通过 WebSocket 发送的）按 cursor 从数据库读取，cursor 为上次返回的游标，
+// 第一次请求可以只带 since（最后一条消息的时间）；事件按 since 从内存读取。
+// 没有新内容时请求挂起，直到有新消息 / 事件或超过 timeout 毫秒（最多 25 秒，0 表示立即返回）
+app.get('/api/messages', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const roomId = req.query.roomId || DEFAULT_ROOM_ID;
+        const since = parseInt(req.query.since, 10) || Date.now();
+        const timeout = req.query.timeout === undefined
+            ? LONG_POLL_TIMEOUT
+            : Math.min(Math.max(parseInt(req.query.timeout, 10) || 0, 0), LONG_POLL_TIMEOUT);
+        
+        const cursor = req.query.cursor ? parseCursor(req.query.cursor) : { timestamp: since, id: 0 };
+        if (!cursor) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        
+        const { error, status } = await resolveRoom(roomId, userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        // 当前房间的事件，以及发给自己的 @提醒（可能来自其他房间）
+        const collect = async () => {
+            const history = await getHistory(roomId, { after: cursor, limit: MAX_POLL_MESSAGES });
+            const events = getRecentEvents(roomId, userId, since);
+            return { ...history, events };
+        };
+        
+        // 先开始等待再查询，查询期间到达的消息也能唤醒请求
+        const wait = waitForChange(roomId, userId, timeout);
+        res.on('close', wait.cancel);
+        
+        let result = await collect();
+        if (result.messages.length === 0 && result.events.length === 0 && await wait) {
+            result = await collect();
+        }
+        wait.cancel();
+        
+        // 挂起期间不算离线
+        presence.heartbeat(userId);
+        
+        res.json({
+            success: true,
+            messages: [...result.messages, ...result.events].sort((a, b) => a.timestamp - b.timestamp),
+            cursor: result.nextCursor,
+            since: Math.max(since, ...result.events.map(e => e.timestamp)),
+            hasMore: result.hasMore
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
+// SSE 推送：GET /api/stream?roomId=，事件与 WebSocket 相同，断线重连时按 Last-Event-ID 从数据库补发
+app.get('/api/stream', handleStream);
+
 // 获取历史记录 API
 app.get('/api/history', async (req, res) => {
     try {
-        const roomId = req.query.roomId || 'default_room';
-        const page = parseInt(req.query.page) || 1;
-        const size = parseInt(req.query.size) || 50;
+        const roomId = req.query.roomId || DEFAULT_ROOM_ID;
+        
+        const { error, status } = await resolveRoom(roomId, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        const size = Math.min(parseInt(req.query.size) || 50, 100);
+        const before = req.query.before ? parseCursor(req.query.before) : null;
+        const after = req.query.after ? parseCursor(req.query.after) : null;
+        
+        if ((req.query.before && !before) || (req.query.after && !after)) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
         
-        const messages = await getHistory(roomId, page, size);
+        const history = await getHistory(roomId, { before, after, limit: size });
         res.json({ 
             success: true, 
-            messages: messages.reverse() // 按时间正序返回
+            // 按时间正序返回（向前翻页时查询结果是倒序的）
+            messages: after ? history.messages : history.messages.reverse(),
+            hasMore: history.hasMore,
+            nextCursor: history.nextCursor
         });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// 加入聊天室通知
-app.post('/api/join', async (req, res) => {
-    const { senderId } = req.body;
-    
-    if (!senderId) {
-        return res.status(400).json({ error: 'senderId required' });
+// 获取话题（回复串）API：messageId 可以是话题中的任意一条消息，分页方式同 /api/history
+app.get('/api/thread', async (req, res) => {
+    try {
+        const message = await getMessageById(parseInt(req.query.messageId, 10) || 0);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        const { error, status } = await resolveRoom(message.roomId, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        const size = Math.min(parseInt(req.query.size) || 50, 100);
+        const before = req.query.before ? parseCursor(req.query.before) : null;
+        const after = req.query.after ? parseCursor(req.query.after) : null;
+        
+        if ((req.query.before && !before) || (req.query.after && !after)) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        
+        const threadId = message.threadId || message.id;
+        const root = threadId === message.id ? message : await getMessageById(threadId);
+        const history = await getHistory(message.roomId, { threadId, before, after, limit: size });
+        res.json({
+            success: true,
+            threadId,
+            root: root || null,
+            messages: after ? history.messages : history.messages.reverse(),
+            hasMore: history.hasMore,
+            nextCursor: history.nextCursor
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
     }
-    
-    const message = {
-        id: Date.now() + '_sys',
-        type: 'system',
-        senderId: 'system',
-        roomId: 'default_room',
-        content: `${senderId} 加入了聊天室`,
-        timestamp: Date.now()
-    };
-    
-    recentMessages.push(message);
-    
-    // 保存到数据库
+});
+
+// 加入聊天室通知
+app.post('/api/join', rateLimit('join'), async (req, res) => {
     try {
-        await saveMessage(message);
+        const senderId = req.user.userId;
+        const roomId = req.body.roomId || DEFAULT_ROOM_ID;
+        
+        const { error, status, access } = await resolveRoom(roomId, senderId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        // Joining a public room makes the user a member, read-only again if they were before leaving
+        const isNewMember = !access.role
+            && await addRoomMember({ roomId, userId: senderId, role: access.restriction === 'readonly' ? 'readonly' : 'member' });
+        
+        presence.enterRoom(senderId, roomId);
+        
+        // 只通知新成员加入，重连和其他设备不再通知；私聊不发加入通知
+        if (!isNewMember || isDirectRoomId(roomId)) {
+            return res.json({ success: true });
+        }
+        
+        const message = {
+            type: 'system',
+            senderId: 'system',
+            roomId,
+            content: `${senderId} 加入了聊天室`,
+            timestamp: Date.now()
+        };
+        
+        // 先保存到数据库（轮询客户端从数据库读取），再通过事件总线推送
+        try {
+            message.id = await saveMessage(message);
+        } catch (e) {
+            console.log('DB save error:', e.message);
+        }
+        broadcastToRoom(roomId, message);
+        
+        console.log(`[HTTP] ${senderId} joined`);
+        res.json({ success: true });
     } catch (e) {
-        console.log('DB save error:', e.message);
+        res.status(500).json({ error: e.message });
     }
-    
-    console.log(`[HTTP] ${senderId} joined`);
-    res.json({ success: true });
 });
 // ============ HTTP 轮询方案结束 ============
 
 // Get chat history
-app.get('/history', async (req, res) => {
+app.get('/history', requireAuth, async (req, res) => {
     try {
-        const { roomId, page = 1, size = 20 } = req.query;
+        const { roomId, before, after, size = 20 } = req.query;
         
         if (!roomId) {
             return res.status(400).json({
@@ -187,13 +528,21 @@ app.get('/history', async (req, res) => {
             });
         }
         
-        const pageNum = parseInt(page, 10);
         const pageSize = parseInt(size, 10);
+        const beforeCursor = before ? parseCursor(before) : null;
+        const afterCursor = after ? parseCursor(after) : null;
+        
+        if ((before && !beforeCursor) || (after && !afterCursor)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor'
+            });
+        }
         
-        if (isNaN(pageNum) || pageNum < 1) {
+        if (beforeCursor && afterCursor) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid page number'
+                error: 'Use either before or after, not both'
             });
         }
         
@@ -204,14 +553,26 @@ app.get('/history', async (req, res) => {
             });
         }
         
-        const messages = await getHistory(roomId, pageNum, pageSize);
+        const room = await resolveRoom(roomId, req.user.userId);
+        if (room.error) {
+            return res.status(room.status).json({
+                success: false,
+                error: room.error
+            });
+        }
+        
+        const history = await getHistory(roomId, {
+            before: beforeCursor,
+            after: afterCursor,
+            limit: pageSize
+        });
         
         res.json({
             success: true,
-            messages: messages,
-            page: pageNum,
+            messages: history.messages,
             size: pageSize,
-            hasMore: messages.length === pageSize
+            hasMore: history.hasMore,
+            nextCursor: history.nextCursor
         });
     } catch (error) {
         console.error('Error fetching history:', error);
@@ -223,7 +584,12 @@ app.get('/history', async (req, res) => {
 });
 
 // Upload media file
-app.post('/upload', upload.single('file'), async (req, res) => {
+// Only stores the file: the client then posts the message with the returned
+// filePath through /api/send (or WebSocket), so every media message points
+// at a real file. The returned type (audio, video, image or file) comes from
+// the content, as do the duration, bitrate, picture size and thumbnail.
+// Uploads have their own rate limit, checked before the file is received.
+app.post('/upload', requireAuth, rateLimit('upload'), upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -232,42 +598,49 @@ app.post('/upload', upload.single('file'), async (req, res) => {
             });
         }
         
-        const { roomId, senderId, type } = req.body;
+        const { roomId } = req.body;
+        const senderId = req.user.userId;
         
-        if (!roomId || !senderId) {
+        if (!roomId) {
             // Clean up uploaded file
             fs.unlinkSync(req.file.path);
             return res.status(400).json({
                 success: false,
-                error: 'roomId and senderId are required'
+                error: 'roomId is required'
             });
         }
         
-        const fileUrl = `/uploads/${type || 'media'}/${req.file.filename}`;
+        const room = await resolveRoom(roomId, senderId, { write: true });
+        if (room.error) {
+            fs.unlinkSync(req.file.path);
+            return res.status(room.status).json({
+                success: false,
+                error: room.error
+            });
+        }
         
-        // Save message to database
-        const message = {
-            type: type || (req.file.mimetype.startsWith('audio/') ? 'audio' : 'video'),
-            roomId: roomId,
-            senderId: senderId,
-            timestamp: Date.now(),
-            content: fileUrl,
+        const stored = await storeUpload(req.file.path, {
+            userId: senderId,
+            roomId,
             fileName: req.file.originalname,
-            fileSize: req.file.size,
             mimeType: req.file.mimetype
-        };
-        
-        await saveMessage(message);
+        });
+        if (stored.error) {
+            return res.status(stored.status).json({
+                success: false,
+                error: stored.error
+            });
+        }
         
         res.json({
             success: true,
-            filePath: fileUrl,
-            fileName: req.file.originalname,
-            fileSize: req.file.size,
-            mimeType: req.file.mimetype
+            ...stored
         });
     } catch (error) {
         console.error('Error uploading file:', error);
+        if (req.file) {
+            fs.rmSync(req.file.path, { force: true });
+        }
         res.status(500).json({
             success: false,
             error: 'Failed to upload file'
@@ -275,34 +648,17 @@ app.post('/upload', upload.single('file'), async (req, res) => {
     }
 });
 
-// Get room list
-app.get('/rooms', async (req, res) => {
-    try {
-        // In a real app, you'd query this from the database
-        res.json({
-            success: true,
-            rooms: [
-                { id: 'default_room', name: '默认房间', members: 0 }
-            ]
-        });
-    } catch (error) {
-        console.error('Error fetching rooms:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
-    }
-});
-
-// Error handling middleware
-app.use((error, req, res, next) => {
+// Error handling middleware; Express only treats it as one with all four arguments
+app.use((error, req, res, _next) => {
     console.error('Server error:', error);
     
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({
+            // Larger than every type's limit, so the declared type's one was exceeded
+            const { error: message, status } = uploadTooLarge(req.uploadType || 'file');
+            return res.status(status).json({
                 success: false,
-                error: 'File size exceeds limit (100MB)'
+                error: message
             });
         }
     }
@@ -328,6 +684,12 @@ async function startServer() {
         await initDatabase();
         console.log('✓ Database initialized');
         
+        startSessionCleanup();
+        startUploadCleanup();
+        startStorageSweeper();
+        startRateLimitSweep();
+        presence.startPresenceSweep();
+        
         // Initialize WebSocket server
         initWebSocket(server);
         console.log('✓ WebSocket server initialized');
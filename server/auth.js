@@ -0,0 +1,257 @@
+/**
+ * Authentication Module
+ * Password hashing, signed session tokens and request authentication
+ *
+ * Tokens are `<payload>.<signature>` where the payload is base64url JSON
+ * ({ sid, sub, exp }) signed with HMAC-SHA256. Every token is backed by a
+ * row in `sessions`, so it stops working once it expires or is revoked.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+    getUserById,
+    createSession,
+    getSession,
+    deleteExpiredSessions
+} = require('./db');
+
+// Configuration
+const TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const SESSION_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const USER_ID_PATTERN = /^[A-Za-z0-9_]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const SCRYPT_KEY_LENGTH = 64;
+
+const TOKEN_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET is not set, issued tokens will be invalid after a restart');
+}
+
+/**
+ * Authentication failure
+ */
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - `scrypt$<salt>$<hash>`
+ */
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(`scrypt$${salt}$${key.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash produced by hashPassword()
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = (stored || '').split('$');
+
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            resolve(false);
+            return;
+        }
+
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+        });
+    });
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - base64url encoded payload
+ * @returns {string} - base64url signature
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Start a session for a user and issue its token
+ * @param {string} userId - User ID
+ * @param {Object} options - { userAgent }
+ * @returns {Promise<Object>} - { token, sessionId, expiresAt }
+ */
+async function issueToken(userId, { userAgent = null } = {}) {
+    const now = Date.now();
+    const sessionId = uuidv4();
+    const expiresAt = now + TOKEN_TTL;
+
+    await createSession({ id: sessionId, userId, createdAt: now, expiresAt, userAgent });
+
+    const payload = Buffer.from(JSON.stringify({ sid: sessionId, sub: userId, exp: expiresAt })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        sessionId,
+        expiresAt
+    };
+}
+
+/**
+ * Validate a token and resolve the user it belongs to
+ * @param {string} token - Token from issueToken()
+ * @returns {Promise<Object>} - { userId, username, avatar, sessionId }
+ * @throws {AuthError} - When the token is malformed, expired or revoked
+ */
+async function verifyToken(token) {
+    if (!token || typeof token !== 'string') {
+        throw new AuthError('Authentication required');
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+        throw new AuthError('Malformed token');
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AuthError('Invalid token signature');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new AuthError('Malformed token');
+    }
+
+    if (!claims.exp || claims.exp < Date.now()) {
+        throw new AuthError('Token expired');
+    }
+
+    const session = await getSession(claims.sid);
+    if (!session || session.userId !== claims.sub) {
+        throw new AuthError('Session not found');
+    }
+    if (session.revokedAt) {
+        throw new AuthError('Session revoked');
+    }
+    if (session.expiresAt < Date.now()) {
+        throw new AuthError('Token expired');
+    }
+
+    const user = await getUserById(session.userId);
+    if (!user) {
+        throw new AuthError('User not found');
+    }
+
+    return {
+        userId: user.userId,
+        username: user.username,
+        avatar: user.avatar,
+        sessionId: session.id
+    };
+}
+
+/**
+ * Extract a bearer token from a request
+ * Falls back to the `token` query parameter for clients that cannot set
+ * headers (WebSocket upgrades).
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {string|null} - Token, or null if absent
+ */
+function extractToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+}
+
+/**
+ * Express middleware that rejects unauthenticated requests
+ * On success the authenticated user is available as `req.user`.
+ */
+function requireAuth(req, res, next) {
+    verifyToken(extractToken(req))
+        .then((user) => {
+            req.user = user;
+            next();
+        })
+        .catch((error) => {
+            if (error instanceof AuthError) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        });
+}
+
+/**
+ * Validate registration input
+ * @param {string} userId - Requested user ID
+ * @param {string} password - Requested password
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCredentials(userId, password) {
+    if (!userId || !USER_ID_PATTERN.test(userId)) {
+        return 'userId must be 3-32 letters, digits or underscores';
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Periodically purge expired sessions
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function startSessionCleanup() {
+    const timer = setInterval(() => {
+        deleteExpiredSessions().catch((err) => {
+            console.error('Session cleanup failed:', err.message);
+        });
+    }, SESSION_CLEANUP_INTERVAL);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    AuthError,
+    USER_ID_PATTERN,
+    hashPassword,
+    verifyPassword,
+    issueToken,
+    verifyToken,
+    extractToken,
+    requireAuth,
+    validateCredentials,
+    startSessionCleanup
+};
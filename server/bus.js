@@ -0,0 +1,116 @@
+/**
+ * Event Bus Module
+ * The single place where room and user events are published, whichever
+ * transport delivers them
+ *
+ * Everything a room should see (chat and system messages, edits, reactions,
+ * read receipts, presence, typing...) is published with broadcastToRoom(),
+ * events meant for one user (mentions) with sendToUser(). Subscribers of
+ * `busEvents` deliver them: the WebSocket server to its sockets and the SSE
+ * endpoint to its streams. Long-polling requests are woken and read them
+ * back: stored messages (the ones with a database id) from the database,
+ * everything else from the recent events kept here.
+ *
+ * Emitted on `busEvents`:
+ * - 'room' (roomId, event, exclude): `exclude` is the WebSocket to skip
+ * - 'user' (userId, event)
+ * - 'evict' (predicate, reason): close the connections whose
+ *   { userId, sessionId, roomId } match, e.g. after leaving a room
+ */
+
+const { EventEmitter } = require('events');
+
+const { notifyRoom, notifyUser } = require('./longpoll');
+const presence = require('./presence');
+
+const MAX_EVENTS = 200;
+
+const busEvents = new EventEmitter();
+
+// { roomId, userId, event } for events that are not stored, oldest first
+const recentEvents = [];
+
+/**
+ * Check whether an event is a message stored in the database
+ * @param {Object} event - Event
+ * @returns {boolean} - True if it can be read back from the database
+ */
+function isStored(event) {
+    return Number.isInteger(event.id);
+}
+
+/**
+ * Keep an event for polling and resuming clients
+ * @param {Object} entry - { roomId, userId, event }
+ */
+function remember(entry) {
+    recentEvents.push(entry);
+    if (recentEvents.length > MAX_EVENTS) {
+        recentEvents.shift();
+    }
+}
+
+/**
+ * Publish an event to everyone following a room
+ * @param {string} roomId - Room ID
+ * @param {Object} event - Event or message
+ * @param {WebSocket} exclude - Optional WebSocket that should not receive it
+ */
+function broadcastToRoom(roomId, event, exclude = null) {
+    if (!isStored(event)) {
+        remember({ roomId, userId: null, event });
+    }
+    busEvents.emit('room', roomId, event, exclude);
+    notifyRoom(roomId);
+}
+
+/**
+ * Publish an event to one user, whichever room they follow
+ * @param {string} userId - User ID
+ * @param {Object} event - Event
+ */
+function sendToUser(userId, event) {
+    remember({ roomId: null, userId, event });
+    busEvents.emit('user', userId, event);
+    notifyUser(userId);
+}
+
+/**
+ * Close the connections matching a predicate on every transport
+ * @param {Function} predicate - Receives { userId, sessionId, roomId }, returns boolean
+ * @param {string} reason - Why the connections are closed
+ */
+function evict(predicate, reason) {
+    busEvents.emit('evict', predicate, reason);
+}
+
+/**
+ * Get the recent events that are not stored in the database
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID, for the events sent to that user
+ * @param {number} since - Only events newer than this timestamp
+ * @returns {Array<Object>} - Events, oldest first
+ */
+function getRecentEvents(roomId, userId, since) {
+    return recentEvents
+        .filter(entry => entry.event.timestamp > since
+            && (entry.roomId === roomId || entry.userId === userId))
+        .map(entry => entry.event);
+}
+
+// Presence and typing changes go to the rooms concerned
+presence.presenceEvents.on('presence', ({ rooms, ...event }) => {
+    rooms.forEach(roomId => broadcastToRoom(roomId, { ...event, roomId }));
+});
+presence.presenceEvents.on('typing', (event) => {
+    broadcastToRoom(event.roomId, event);
+});
+
+module.exports = {
+    busEvents,
+    isStored,
+    broadcastToRoom,
+    sendToUser,
+    evict,
+    getRecentEvents
+};
@@ -5,15 +5,17 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const fs = require('fs');
 
-const DB_PATH = path.join(__dirname, 'chat.db');
-const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+const { runMigrations } = require('./migrate');
+const { tokenizeForIndex, getIndexableText } = require('./search');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'chat.db');
+const QUOTE_LENGTH = 100; // Characters of a replied-to message kept in its quote
 
 let db = null;
 
 /**
- * Initialize the database
+ * Initialize the database and bring its schema up to date
  * @returns {Promise<void>}
  */
 function initDatabase() {
@@ -27,19 +29,16 @@ function initDatabase() {
             
             console.log('Connected to SQLite database');
             
-            // Read and execute schema
-            const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-            
-            db.exec(schema, (err) => {
-                if (err) {
-                    console.error('Failed to initialize schema:', err);
+            // Apply pending migrations (never drops existing data)
+            runMigrations(db, { dbPath: DB_PATH })
+                .then((result) => {
+                    console.log(`Database schema at version ${result.toVersion}`);
+                    resolve();
+                })
+                .catch((err) => {
+                    console.error('Failed to migrate schema:', err);
                     reject(err);
-                    return;
-                }
-                
-                console.log('Database schema initialized');
-                resolve();
-            });
+                });
         });
         
         // Enable foreign keys
@@ -47,6 +46,51 @@ function initDatabase() {
     });
 }
 
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run statements in a transaction, each once the previous one has finished
+ * Stops at the first failing statement and rolls back. Transactions are
+ * queued, as the connection can only have one open at a time.
+ * @param {Array<Array>} statements - [sql, params] pairs
+ * @returns {Promise<Array<number>>} - Rows changed by each statement
+ */
+function runTransaction(statements) {
+    const run = () => new Promise((resolve, reject) => {
+        const changes = [];
+
+        const rollback = (err) => {
+            db.run('ROLLBACK', () => reject(err));
+        };
+
+        const runStatement = (index) => {
+            if (index === statements.length) {
+                db.run('COMMIT', (err) => {
+                    if (err) return rollback(err);
+                    resolve(changes);
+                });
+                return;
+            }
+
+            const [sql, params] = statements[index];
+            db.run(sql, params, function(err) {
+                if (err) return rollback(err);
+                changes.push(this.changes);
+                runStatement(index + 1);
+            });
+        };
+
+        db.run('BEGIN', (err) => {
+            if (err) return reject(err);
+            runStatement(0);
+        });
+    });
+
+    const result = transactionQueue.then(run);
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
 /**
  * Save a message to the database
  * @param {Object} message - Message object to save
@@ -63,16 +107,22 @@ function saveMessage(message) {
             fileName = null,
             fileSize = null,
             duration = null,
+            bitrate = null,
+            width = null,
+            height = null,
             thumbnail = null,
-            mimeType = null
+            mimeType = null,
+            clientId = null,
+            replyTo = null,
+            threadId = null
         } = message;
         
         const sql = `
-            INSERT INTO messages (type, room_id, sender_id, timestamp, content, file_name, file_size, duration, thumbnail, mime_type)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO messages (type, room_id, sender_id, timestamp, content, file_name, file_size, duration, bitrate, width, height, thumbnail, mime_type, client_id, reply_to, thread_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
-        const params = [type, roomId, senderId, timestamp, content, fileName, fileSize, duration, thumbnail, mimeType];
+        const params = [type, roomId, senderId, timestamp, content, fileName, fileSize, duration, bitrate, width, height, thumbnail, mimeType, clientId, replyTo, threadId];
         
         db.run(sql, params, function(err) {
             if (err) {
@@ -81,50 +131,212 @@ function saveMessage(message) {
                 return;
             }
             
-            resolve(this.lastID);
+            const messageId = this.lastID;
+            const text = getIndexableText({ type, content, fileName });
+            const files = fileSize !== null ? [content, thumbnail].filter(Boolean) : [];
+            
+            addMessageFiles(messageId, files)
+                .then(() => {
+                    if (text) {
+                        // Logged by updateSearchIndex, the message itself is saved
+                        return updateSearchIndex(messageId, text).catch(() => {});
+                    }
+                })
+                .then(() => resolve(messageId), reject);
+        });
+    });
+}
+
+/**
+ * Record the stored files a message references
+ * @param {number} messageId - Message ID
+ * @param {Array<string>} paths - Public paths of the file and its thumbnail
+ * @returns {Promise<void>}
+ */
+function addMessageFiles(messageId, paths) {
+    if (paths.length === 0) {
+        return Promise.resolve();
+    }
+    
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT OR IGNORE INTO message_files (message_id, path)
+            VALUES ${paths.map(() => '(?, ?)').join(', ')}
+        `;
+        
+        const params = paths.flatMap(filePath => [messageId, filePath]);
+        
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('Failed to add message files:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Replace the search index entry of a message
+ * @param {number} messageId - Message ID
+ * @param {string|null} text - Searchable text, or null to drop the entry
+ * @returns {Promise<void>}
+ */
+function updateSearchIndex(messageId, text) {
+    return new Promise((resolve, reject) => {
+        const fail = (err) => {
+            console.error('Failed to update search index:', err);
+            reject(err);
+        };
+        
+        db.run('DELETE FROM messages_fts WHERE rowid = ?', [messageId], (err) => {
+            if (err) return fail(err);
+            
+            if (!text) {
+                resolve();
+                return;
+            }
+            
+            const { unigrams, bigrams } = tokenizeForIndex(text);
+            const sql = 'INSERT INTO messages_fts (rowid, unigrams, bigrams) VALUES (?, ?, ?)';
+            
+            db.run(sql, [messageId, unigrams, bigrams], (err) => {
+                if (err) return fail(err);
+                resolve();
+            });
         });
     });
 }
 
+/**
+ * Encode a history cursor for a message
+ * @param {Object} message - Message with id and timestamp
+ * @returns {string} - Cursor in the form `<timestamp>_<id>`
+ */
+function encodeCursor(message) {
+    return `${message.timestamp}_${message.id}`;
+}
+
+/**
+ * Parse a history cursor
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @returns {Object|null} - { timestamp, id }, or null if malformed
+ */
+function parseCursor(cursor) {
+    const match = /^(\d+)_(\d+)$/.exec(cursor || '');
+    if (!match) {
+        return null;
+    }
+    
+    return {
+        timestamp: parseInt(match[1], 10),
+        id: parseInt(match[2], 10)
+    };
+}
+
 /**
  * Get chat history for a room
+ * Messages are ordered by (timestamp, id), so pages stay stable while new
+ * messages arrive. Without `after` the newest messages (or the ones before
+ * `before`) are returned newest first; with `after` the messages following
+ * the cursor are returned oldest first.
+ * Each message carries its reactions, the number of replies in the thread
+ * it starts (replyCount) and, for replies, a short quote of the message it
+ * replies to.
  * @param {string} roomId - Room ID
- * @param {number} page - Page number (1-based)
- * @param {number} size - Number of messages per page
- * @returns {Promise<Array>} - Array of messages
+ * @param {Object} options - Options
+ * @param {number} options.threadId - Only return the replies in this thread
+ * @param {Object} options.before - Cursor ({ timestamp, id }) to page back from
+ * @param {Object} options.after - Cursor ({ timestamp, id }) to page forward from
+ * @param {number} options.limit - Number of messages per page
+ * @returns {Promise<Object>} - { messages, hasMore, nextCursor }
  */
-function getHistory(roomId, page = 1, size = 20) {
+function getHistory(roomId, { threadId = null, before = null, after = null, limit = 20 } = {}) {
     return new Promise((resolve, reject) => {
-        const offset = (page - 1) * size;
+        const forward = Boolean(after);
+        const cursor = forward ? after : before;
+        const params = [roomId];
         
-        const sql = `
+        let sql = `
             SELECT 
                 id,
                 type,
                 room_id as roomId,
                 sender_id as senderId,
+                client_id as clientId,
+                reply_to as replyTo,
+                thread_id as threadId,
                 timestamp,
                 content,
                 file_name as fileName,
                 file_size as fileSize,
                 duration,
+                bitrate,
+                width,
+                height,
                 thumbnail,
                 mime_type as mimeType,
-                created_at as createdAt
+                created_at as createdAt,
+                edited_at as editedAt,
+                recalled_at as recalledAt,
+                (SELECT COUNT(*) FROM messages r WHERE r.thread_id = messages.id) as replyCount
             FROM messages
             WHERE room_id = ?
-            ORDER BY timestamp DESC
-            LIMIT ? OFFSET ?
         `;
         
-        db.all(sql, [roomId, size, offset], (err, rows) => {
+        if (threadId) {
+            sql += ' AND thread_id = ?';
+            params.push(threadId);
+        }
+        
+        if (cursor) {
+            sql += forward
+                ? ' AND (timestamp > ? OR (timestamp = ? AND id > ?))'
+                : ' AND (timestamp < ? OR (timestamp = ? AND id < ?))';
+            params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+        }
+        
+        sql += forward
+            ? ' ORDER BY timestamp ASC, id ASC LIMIT ?'
+            : ' ORDER BY timestamp DESC, id DESC LIMIT ?';
+        
+        // Fetch one extra row to know whether another page exists
+        params.push(limit + 1);
+        
+        db.all(sql, params, (err, rows) => {
             if (err) {
                 console.error('Failed to get history:', err);
                 reject(err);
                 return;
             }
             
-            resolve(rows || []);
+            const messages = (rows || []).slice(0, limit);
+            const hasMore = (rows || []).length > limit;
+            const last = messages[messages.length - 1];
+            
+            // Going forward a cursor is returned even on the last page so
+            // that callers can keep polling for newer messages with it
+            let nextCursor = null;
+            if (forward) {
+                nextCursor = encodeCursor(last || after);
+            } else if (hasMore) {
+                nextCursor = encodeCursor(last);
+            }
+            
+            Promise.all([
+                getReactions(messages.map(m => m.id)),
+                getQuotes(messages.map(m => m.replyTo).filter(Boolean))
+            ])
+                .then(([reactions, quotes]) => {
+                    messages.forEach((m) => {
+                        m.reactions = reactions.get(m.id) || [];
+                        m.quote = m.replyTo ? quotes.get(m.replyTo) || null : null;
+                    });
+                    resolve({ messages, hasMore, nextCursor });
+                })
+                .catch(reject);
         });
     });
 }
@@ -142,14 +354,22 @@ function getMessageById(messageId) {
                 type,
                 room_id as roomId,
                 sender_id as senderId,
+                client_id as clientId,
+                reply_to as replyTo,
+                thread_id as threadId,
                 timestamp,
                 content,
                 file_name as fileName,
                 file_size as fileSize,
                 duration,
+                bitrate,
+                width,
+                height,
                 thumbnail,
                 mime_type as mimeType,
-                created_at as createdAt
+                created_at as createdAt,
+                edited_at as editedAt,
+                recalled_at as recalledAt
             FROM messages
             WHERE id = ?
         `;
@@ -166,8 +386,55 @@ function getMessageById(messageId) {
     });
 }
 
+/**
+ * Get a message by the id its sender's client gave it
+ * @param {string} senderId - Sender ID
+ * @param {string} clientId - Client message ID
+ * @returns {Promise<Object>} - Message object
+ */
+function getMessageByClientId(senderId, clientId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                id,
+                type,
+                room_id as roomId,
+                sender_id as senderId,
+                client_id as clientId,
+                reply_to as replyTo,
+                thread_id as threadId,
+                timestamp,
+                content,
+                file_name as fileName,
+                file_size as fileSize,
+                duration,
+                bitrate,
+                width,
+                height,
+                thumbnail,
+                mime_type as mimeType,
+                created_at as createdAt,
+                edited_at as editedAt,
+                recalled_at as recalledAt
+            FROM messages
+            WHERE sender_id = ? AND client_id = ?
+        `;
+        
+        db.get(sql, [senderId, clientId], (err, row) => {
+            if (err) {
+                console.error('Failed to get message:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
 /**
  * Delete a message by ID
+ * Its files are released and swept once nothing else references them.
  * @param {number} messageId - Message ID
  * @returns {Promise<boolean>} - True if deleted
  */
@@ -188,24 +455,77 @@ function deleteMessage(messageId) {
 }
 
 /**
- * Get all rooms with message counts
- * @returns {Promise<Array>} - Array of room objects
+ * Replace the content of a message, keeping the previous version
+ * @param {number} messageId - Message ID
+ * @param {string} content - New content
+ * @param {number} editedAt - Edit timestamp
+ * @returns {Promise<boolean>} - True if the message was edited
+ */
+function editMessage(messageId, content, editedAt) {
+    return runTransaction([
+        [`
+            INSERT INTO message_edits (message_id, content, edited_at)
+            SELECT id, content, ? FROM messages WHERE id = ? AND recalled_at IS NULL
+        `, [editedAt, messageId]],
+        [
+            'UPDATE messages SET content = ?, edited_at = ? WHERE id = ? AND recalled_at IS NULL',
+            [content, editedAt, messageId]
+        ]
+    ])
+        .then(([, updated]) => updated > 0)
+        .catch((err) => {
+            console.error('Failed to edit message:', err);
+            throw err;
+        });
+}
+
+/**
+ * Recall a message, leaving a tombstone in its place
+ * The content, file details, edit history, reactions and mentions are
+ * discarded, and the message no longer holds on to its files.
+ * @param {number} messageId - Message ID
+ * @param {number} recalledAt - Recall timestamp
+ * @returns {Promise<boolean>} - True if the message was recalled
+ */
+function recallMessage(messageId, recalledAt) {
+    return runTransaction([
+        [`
+            UPDATE messages
+            SET content = '', file_name = NULL, file_size = NULL, duration = NULL,
+                bitrate = NULL, width = NULL, height = NULL,
+                thumbnail = NULL, mime_type = NULL, recalled_at = ?
+            WHERE id = ? AND recalled_at IS NULL
+        `, [recalledAt, messageId]],
+        ['DELETE FROM message_edits WHERE message_id = ?', [messageId]],
+        ['DELETE FROM reactions WHERE message_id = ?', [messageId]],
+        ['DELETE FROM mentions WHERE message_id = ?', [messageId]],
+        ['DELETE FROM messages_fts WHERE rowid = ?', [messageId]],
+        ['DELETE FROM message_files WHERE message_id = ?', [messageId]]
+    ])
+        .then(([recalled]) => recalled > 0)
+        .catch((err) => {
+            console.error('Failed to recall message:', err);
+            throw err;
+        });
+}
+
+/**
+ * Get the previous versions of an edited message, oldest first
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Array>} - [{ content, editedAt }]
  */
-function getRooms() {
+function getMessageEdits(messageId) {
     return new Promise((resolve, reject) => {
         const sql = `
-            SELECT 
-                room_id as id,
-                COUNT(*) as messageCount,
-                MAX(timestamp) as lastActivity
-            FROM messages
-            GROUP BY room_id
-            ORDER BY lastActivity DESC
+            SELECT content, edited_at as editedAt
+            FROM message_edits
+            WHERE message_id = ?
+            ORDER BY edited_at ASC, id ASC
         `;
         
-        db.all(sql, [], (err, rows) => {
+        db.all(sql, [messageId], (err, rows) => {
             if (err) {
-                console.error('Failed to get rooms:', err);
+                console.error('Failed to get message edits:', err);
                 reject(err);
                 return;
             }
@@ -216,111 +536,1771 @@ function getRooms() {
 }
 
 /**
- * Delete all messages in a room
- * @param {string} roomId - Room ID
- * @returns {Promise<number>} - Number of deleted messages
+ * Add a reaction, or remove it if the user already reacted with that emoji
+ * @param {number} messageId - Message ID
+ * @param {string} userId - User ID
+ * @param {string} emoji - Emoji
+ * @returns {Promise<boolean>} - True if added, false if removed
  */
-function clearRoom(roomId) {
+function toggleReaction(messageId, userId, emoji) {
     return new Promise((resolve, reject) => {
-        const sql = 'DELETE FROM messages WHERE room_id = ?';
+        const fail = (err) => {
+            console.error('Failed to toggle reaction:', err);
+            reject(err);
+        };
         
-        db.run(sql, [roomId], function(err) {
+        const sql = `
+            INSERT OR IGNORE INTO reactions (message_id, user_id, emoji, created_at)
+            VALUES (?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [messageId, userId, emoji, Date.now()], function(err) {
+            if (err) return fail(err);
+            
+            if (this.changes > 0) {
+                resolve(true);
+                return;
+            }
+            
+            const deleteSql = 'DELETE FROM reactions WHERE message_id = ? AND user_id = ? AND emoji = ?';
+            db.run(deleteSql, [messageId, userId, emoji], (err) => {
+                if (err) return fail(err);
+                resolve(false);
+            });
+        });
+    });
+}
+
+/**
+ * Get aggregated reactions for messages
+ * @param {Array<number>} messageIds - Message IDs
+ * @returns {Promise<Map>} - Message ID -> [{ emoji, count, userIds }] in order of first use
+ */
+function getReactions(messageIds) {
+    return new Promise((resolve, reject) => {
+        const reactions = new Map();
+        
+        if (messageIds.length === 0) {
+            resolve(reactions);
+            return;
+        }
+        
+        const sql = `
+            SELECT message_id as messageId, emoji, user_id as userId
+            FROM reactions
+            WHERE message_id IN (${messageIds.map(() => '?').join(', ')})
+            ORDER BY created_at ASC
+        `;
+        
+        db.all(sql, messageIds, (err, rows) => {
             if (err) {
-                console.error('Failed to clear room:', err);
+                console.error('Failed to get reactions:', err);
                 reject(err);
                 return;
             }
             
-            resolve(this.changes);
+            (rows || []).forEach((row) => {
+                if (!reactions.has(row.messageId)) {
+                    reactions.set(row.messageId, []);
+                }
+                const list = reactions.get(row.messageId);
+                let entry = list.find(r => r.emoji === row.emoji);
+                if (!entry) {
+                    entry = { emoji: row.emoji, count: 0, userIds: [] };
+                    list.push(entry);
+                }
+                entry.count++;
+                entry.userIds.push(row.userId);
+            });
+            
+            resolve(reactions);
         });
     });
 }
 
 /**
- * Get messages by sender
- * @param {string} senderId - Sender ID
- * @param {number} limit - Maximum number of messages
- * @returns {Promise<Array>} - Array of messages
+ * Get short quotes of the messages replies point at
+ * @param {Array<number>} messageIds - Quoted message IDs
+ * @returns {Promise<Map>} - Message ID -> { id, type, senderId, content, fileName, recalled }
  */
-function getMessagesBySender(senderId, limit = 100) {
+function getQuotes(messageIds) {
     return new Promise((resolve, reject) => {
+        const quotes = new Map();
+        const ids = Array.from(new Set(messageIds));
+        
+        if (ids.length === 0) {
+            resolve(quotes);
+            return;
+        }
+        
         const sql = `
-            SELECT 
+            SELECT
                 id,
                 type,
-                room_id as roomId,
                 sender_id as senderId,
-                timestamp,
-                content,
+                substr(content, 1, ${QUOTE_LENGTH}) as content,
                 file_name as fileName,
-                file_size as fileSize,
-                duration,
-                thumbnail,
-                mime_type as mimeType,
-                created_at as createdAt
+                recalled_at as recalledAt
             FROM messages
-            WHERE sender_id = ?
-            ORDER BY timestamp DESC
-            LIMIT ?
+            WHERE id IN (${ids.map(() => '?').join(', ')})
         `;
         
-        db.all(sql, [senderId, limit], (err, rows) => {
+        db.all(sql, ids, (err, rows) => {
             if (err) {
-                console.error('Failed to get messages by sender:', err);
+                console.error('Failed to get quotes:', err);
                 reject(err);
                 return;
             }
             
-            resolve(rows || []);
+            (rows || []).forEach((row) => {
+                quotes.set(row.id, {
+                    id: row.id,
+                    type: row.type,
+                    senderId: row.senderId,
+                    content: row.content,
+                    fileName: row.fileName,
+                    recalled: Boolean(row.recalledAt)
+                });
+            });
+            resolve(quotes);
         });
     });
 }
 
 /**
- * Search messages by content
- * @param {string} query - Search query
- * @param {string} roomId - Optional room ID filter
- * @param {number} limit - Maximum number of results
- * @returns {Promise<Array>} - Array of matching messages
+ * Get the rooms visible to a user with message and unread counts
+ * Public rooms are listed unless the user was removed from them, private
+ * rooms only for their members.
+ * Direct conversations are left out (see getDirectConversations()).
+ * Unread counts leave out the user's own messages, system messages and
+ * recalled messages.
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {boolean} options.includeArchived - Include archived rooms
+ * @returns {Promise<Array>} - Array of room objects
  */
-function searchMessages(query, roomId = null, limit = 50) {
+function getRooms(userId, { includeArchived = false } = {}) {
     return new Promise((resolve, reject) => {
-        let sql = `
+        const sql = `
             SELECT 
-                id,
-                type,
-                room_id as roomId,
-                sender_id as senderId,
-                timestamp,
-                content,
-                file_name as fileName,
-                file_size as fileSize,
-                duration,
-                thumbnail,
-                mime_type as mimeType,
-                created_at as createdAt
-            FROM messages
-            WHERE type = 'text' AND content LIKE ?
+                r.room_id as id,
+                r.name,
+                r.description,
+                r.is_private as isPrivate,
+                r.created_by as createdBy,
+                r.created_at as createdAt,
+                r.updated_at as updatedAt,
+                r.archived_at as archivedAt,
+                rm.role as role,
+                rr.last_read_message_id as lastReadMessageId,
+                COUNT(m.id) as messageCount,
+                MAX(m.timestamp) as lastActivity,
+                SUM(CASE
+                    WHEN m.id IS NULL OR m.type = 'system' OR m.sender_id = ? OR m.recalled_at IS NOT NULL THEN 0
+                    WHEN rr.user_id IS NULL THEN 1
+                    WHEN m.timestamp > rr.last_read_timestamp THEN 1
+                    WHEN m.timestamp = rr.last_read_timestamp AND m.id > rr.last_read_message_id THEN 1
+                    ELSE 0
+                END) as unreadCount
+            FROM rooms r
+            LEFT JOIN room_members rm ON rm.room_id = r.room_id AND rm.user_id = ?
+            LEFT JOIN read_receipts rr ON rr.room_id = r.room_id AND rr.user_id = ?
+            LEFT JOIN messages m ON m.room_id = r.room_id
+            WHERE (rm.user_id IS NOT NULL OR (r.is_private = 0 AND NOT EXISTS (
+                SELECT 1 FROM room_restrictions
+                WHERE room_id = r.room_id AND user_id = ? AND restriction = 'banned'
+            )))
+            AND r.is_direct = 0
+            ${includeArchived ? '' : 'AND r.archived_at IS NULL'}
+            GROUP BY r.room_id
+            ORDER BY lastActivity IS NULL, lastActivity DESC, r.created_at DESC
         `;
         
-        const params = [`%${query}%`];
+        db.all(sql, [userId, userId, userId, userId], (err, rows) => {
+            if (err) {
+                console.error('Failed to get rooms:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Get a room by ID
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|undefined>} - Room object
+ */
+function getRoom(roomId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                r.room_id as id,
+                r.name,
+                r.description,
+                r.is_private as isPrivate,
+                r.is_direct as isDirect,
+                r.created_by as createdBy,
+                r.created_at as createdAt,
+                r.updated_at as updatedAt,
+                r.archived_at as archivedAt,
+                (SELECT COUNT(*) FROM messages WHERE room_id = r.room_id) as messageCount,
+                (SELECT MAX(timestamp) FROM messages WHERE room_id = r.room_id) as lastActivity
+            FROM rooms r
+            WHERE r.room_id = ?
+        `;
         
-        if (roomId) {
-            sql += ' AND room_id = ?';
-            params.push(roomId);
-        }
+        db.get(sql, [roomId], (err, row) => {
+            if (err) {
+                console.error('Failed to get room:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Create a room
+ * @param {Object} room - { roomId, name, description, isPrivate, createdBy }
+ * @returns {Promise<void>}
+ */
+function createRoom(room) {
+    return new Promise((resolve, reject) => {
+        const { roomId, name, description = null, isPrivate = false, createdBy = null } = room;
         
-        sql += ' ORDER BY timestamp DESC LIMIT ?';
-        params.push(limit);
+        const sql = `
+            INSERT INTO rooms (room_id, name, description, is_private, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `;
         
-        db.all(sql, params, (err, rows) => {
+        db.run(sql, [roomId, name, description, isPrivate ? 1 : 0, createdBy], (err) => {
             if (err) {
-                console.error('Failed to search messages:', err);
+                console.error('Failed to create room:', err);
                 reject(err);
                 return;
             }
             
-            resolve(rows || []);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Create a direct conversation and add both participants
+ * Does nothing if the conversation already exists.
+ * @param {string} roomId - Room ID of the conversation
+ * @param {Array<string>} userIds - The two participants
+ * @param {string} createdBy - User who opened the conversation
+ * @returns {Promise<boolean>} - True if the conversation was created
+ */
+function createDirectRoom(roomId, userIds, createdBy) {
+    return runTransaction([
+        [`
+            INSERT OR IGNORE INTO rooms (room_id, name, is_private, is_direct, created_by)
+            VALUES (?, NULL, 1, 1, ?)
+        `, [roomId, createdBy]],
+        ...userIds.map(userId => [`
+            INSERT OR IGNORE INTO room_members (room_id, user_id, role, invited_by)
+            VALUES (?, ?, 'member', ?)
+        `, [roomId, userId, createdBy]])
+    ])
+        .then(([created]) => created > 0)
+        .catch((err) => {
+            console.error('Failed to create direct conversation:', err);
+            throw err;
+        });
+}
+
+/**
+ * Get a user's direct conversations, most recently active first
+ * Unread counts follow the same rules as getRooms().
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - [{ roomId, peer, lastMessage, unreadCount, lastReadMessageId, createdAt }]
+ */
+function getDirectConversations(userId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                r.room_id as roomId,
+                r.created_at as createdAt,
+                peer.user_id as peerId,
+                u.username as peerUsername,
+                u.avatar as peerAvatar,
+                rr.last_read_message_id as lastReadMessageId,
+                lm.id as lastMessageId,
+                lm.type as lastMessageType,
+                lm.sender_id as lastMessageSenderId,
+                lm.content as lastMessageContent,
+                lm.file_name as lastMessageFileName,
+                lm.timestamp as lastMessageTimestamp,
+                lm.recalled_at as lastMessageRecalledAt,
+                (
+                    SELECT COUNT(*) FROM messages m
+                    WHERE m.room_id = r.room_id
+                    AND m.type != 'system' AND m.sender_id != me.user_id AND m.recalled_at IS NULL
+                    AND (
+                        rr.user_id IS NULL
+                        OR m.timestamp > rr.last_read_timestamp
+                        OR (m.timestamp = rr.last_read_timestamp AND m.id > rr.last_read_message_id)
+                    )
+                ) as unreadCount
+            FROM room_members me
+            JOIN rooms r ON r.room_id = me.room_id AND r.is_direct = 1
+            JOIN room_members peer ON peer.room_id = r.room_id AND peer.user_id != me.user_id
+            LEFT JOIN users u ON u.user_id = peer.user_id
+            LEFT JOIN read_receipts rr ON rr.room_id = r.room_id AND rr.user_id = me.user_id
+            LEFT JOIN messages lm ON lm.id = (
+                SELECT id FROM messages
+                WHERE room_id = r.room_id
+                ORDER BY timestamp DESC, id DESC
+                LIMIT 1
+            )
+            WHERE me.user_id = ?
+            ORDER BY lastMessageTimestamp IS NULL, lastMessageTimestamp DESC, r.created_at DESC
+        `;
+        
+        db.all(sql, [userId], (err, rows) => {
+            if (err) {
+                console.error('Failed to get direct conversations:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve((rows || []).map(row => ({
+                roomId: row.roomId,
+                peer: {
+                    userId: row.peerId,
+                    username: row.peerUsername || row.peerId,
+                    avatar: row.peerAvatar
+                },
+                lastMessage: row.lastMessageId ? {
+                    id: row.lastMessageId,
+                    type: row.lastMessageType,
+                    senderId: row.lastMessageSenderId,
+                    content: row.lastMessageContent,
+                    fileName: row.lastMessageFileName,
+                    timestamp: row.lastMessageTimestamp,
+                    recalledAt: row.lastMessageRecalledAt
+                } : null,
+                unreadCount: row.unreadCount,
+                lastReadMessageId: row.lastReadMessageId,
+                createdAt: row.createdAt
+            })));
+        });
+    });
+}
+
+/**
+ * Update a room's name, description and/or visibility
+ * @param {string} roomId - Room ID
+ * @param {Object} changes - { name, description, isPrivate }, undefined fields are kept
+ * @returns {Promise<boolean>} - True if the room was updated
+ */
+function updateRoom(roomId, changes) {
+    return new Promise((resolve, reject) => {
+        const sets = [];
+        const params = [];
+        
+        if (changes.name !== undefined) {
+            sets.push('name = ?');
+            params.push(changes.name);
+        }
+        if (changes.description !== undefined) {
+            sets.push('description = ?');
+            params.push(changes.description);
+        }
+        if (changes.isPrivate !== undefined) {
+            sets.push('is_private = ?');
+            params.push(changes.isPrivate ? 1 : 0);
+        }
+        
+        sets.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(roomId);
+        
+        db.run(`UPDATE rooms SET ${sets.join(', ')} WHERE room_id = ?`, params, function(err) {
+            if (err) {
+                console.error('Failed to update room:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Archive or restore a room
+ * @param {string} roomId - Room ID
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<boolean>} - True if the room was updated
+ */
+function setRoomArchived(roomId, archived) {
+    return new Promise((resolve, reject) => {
+        const sql = 'UPDATE rooms SET archived_at = ?, updated_at = CURRENT_TIMESTAMP WHERE room_id = ?';
+        
+        db.run(sql, [archived ? Date.now() : null, roomId], function(err) {
+            if (err) {
+                console.error('Failed to archive room:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Delete a room together with its messages
+ * @param {string} roomId - Room ID
+ * @returns {Promise<boolean>} - True if the room existed
+ */
+function deleteRoom(roomId) {
+    return runTransaction([
+        ['DELETE FROM messages WHERE room_id = ?', [roomId]],
+        ['DELETE FROM rooms WHERE room_id = ?', [roomId]]
+    ])
+        .then(([, deleted]) => deleted > 0)
+        .catch((err) => {
+            console.error('Failed to delete room:', err);
+            throw err;
+        });
+}
+
+/**
+ * Get a user's role in a room
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Role, or null if not a member
+ */
+function getRoomMemberRole(roomId, userId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'SELECT role FROM room_members WHERE room_id = ? AND user_id = ?';
+        
+        db.get(sql, [roomId, userId], (err, row) => {
+            if (err) {
+                console.error('Failed to get room member:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row ? row.role : null);
+        });
+    });
+}
+
+/**
+ * List the members of a room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Array>} - Array of members, owners and admins first
+ */
+function getRoomMembers(roomId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                rm.user_id as userId,
+                u.username,
+                u.avatar,
+                rm.role,
+                rm.invited_by as invitedBy,
+                rm.joined_at as joinedAt,
+                u.last_seen as lastSeen
+            FROM room_members rm
+            LEFT JOIN users u ON u.user_id = rm.user_id
+            WHERE rm.room_id = ?
+            ORDER BY CASE rm.role
+                WHEN 'owner' THEN 0
+                WHEN 'admin' THEN 1
+                WHEN 'member' THEN 2
+                ELSE 3
+            END, rm.joined_at
+        `;
+        
+        db.all(sql, [roomId], (err, rows) => {
+            if (err) {
+                console.error('Failed to get room members:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Add a member to a room
+ * @param {Object} member - { roomId, userId, role, invitedBy }
+ * @returns {Promise<boolean>} - True if added, false if already a member
+ */
+function addRoomMember(member) {
+    return new Promise((resolve, reject) => {
+        const { roomId, userId, role = 'member', invitedBy = null } = member;
+        
+        const sql = `
+            INSERT OR IGNORE INTO room_members (room_id, user_id, role, invited_by)
+            VALUES (?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [roomId, userId, role, invitedBy], function(err) {
+            if (err) {
+                console.error('Failed to add room member:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Change a member's role
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @returns {Promise<boolean>} - True if the member exists
+ */
+function updateRoomMemberRole(roomId, userId, role) {
+    return new Promise((resolve, reject) => {
+        const sql = 'UPDATE room_members SET role = ? WHERE room_id = ? AND user_id = ?';
+        
+        db.run(sql, [role, roomId, userId], function(err) {
+            if (err) {
+                console.error('Failed to update room member:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Remove a member from a room
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if the member was removed
+ */
+function removeRoomMember(roomId, userId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'DELETE FROM room_members WHERE room_id = ? AND user_id = ?';
+        
+        db.run(sql, [roomId, userId], function(err) {
+            if (err) {
+                console.error('Failed to remove room member:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Get the restriction on a user in a room
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - 'readonly', 'banned', or null if unrestricted
+ */
+function getRoomRestriction(roomId, userId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'SELECT restriction FROM room_restrictions WHERE room_id = ? AND user_id = ?';
+        
+        db.get(sql, [roomId, userId], (err, row) => {
+            if (err) {
+                console.error('Failed to get room restriction:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row ? row.restriction : null);
+        });
+    });
+}
+
+/**
+ * Restrict a user in a room, or lift their restriction
+ * @param {Object} restriction - { roomId, userId, restriction, createdBy }; a null
+ *     restriction lifts it
+ * @returns {Promise<void>}
+ */
+function setRoomRestriction(restriction) {
+    return new Promise((resolve, reject) => {
+        const { roomId, userId, restriction: kind = null, createdBy = null } = restriction;
+        
+        const sql = kind
+            ? `
+                INSERT OR REPLACE INTO room_restrictions (room_id, user_id, restriction, created_by)
+                VALUES (?, ?, ?, ?)
+            `
+            : 'DELETE FROM room_restrictions WHERE room_id = ? AND user_id = ?';
+        const params = kind ? [roomId, userId, kind, createdBy] : [roomId, userId];
+        
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('Failed to set room restriction:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Move a user's read cursor in a room forward
+ * Cursors never move backwards, so receipts arriving out of order are harmless.
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {Object} message - Last read message ({ id, timestamp })
+ * @param {number} readAt - Time of reading
+ * @returns {Promise<boolean>} - True if the cursor moved
+ */
+function markRoomRead(roomId, userId, message, readAt) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT INTO read_receipts (room_id, user_id, last_read_message_id, last_read_timestamp, read_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(room_id, user_id) DO UPDATE SET
+                last_read_message_id = excluded.last_read_message_id,
+                last_read_timestamp = excluded.last_read_timestamp,
+                read_at = excluded.read_at
+            WHERE excluded.last_read_timestamp > read_receipts.last_read_timestamp
+            OR (excluded.last_read_timestamp = read_receipts.last_read_timestamp
+                AND excluded.last_read_message_id > read_receipts.last_read_message_id)
+        `;
+        
+        db.run(sql, [roomId, userId, message.id, message.timestamp, readAt], function(err) {
+            if (err) {
+                console.error('Failed to mark room read:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Get the read cursors of everyone in a room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Array>} - [{ userId, lastReadMessageId, lastReadTimestamp, readAt }]
+ */
+function getReadReceipts(roomId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                user_id as userId,
+                last_read_message_id as lastReadMessageId,
+                last_read_timestamp as lastReadTimestamp,
+                read_at as readAt
+            FROM read_receipts
+            WHERE room_id = ?
+            ORDER BY last_read_timestamp DESC, user_id ASC
+        `;
+        
+        db.all(sql, [roomId], (err, rows) => {
+            if (err) {
+                console.error('Failed to get read receipts:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Record that a message mentions a user
+ * @param {Object} message - Message with id and roomId
+ * @param {string} userId - Mentioned user
+ * @param {number} createdAt - Mention timestamp
+ * @returns {Promise<boolean>} - True if added, false if already recorded
+ */
+function addMention(message, userId, createdAt) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT OR IGNORE INTO mentions (message_id, user_id, room_id, created_at)
+            VALUES (?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [message.id, userId, message.roomId, createdAt], function(err) {
+            if (err) {
+                console.error('Failed to add mention:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Get a user's mentions, newest first
+ * @param {string} userId - Mentioned user
+ * @param {Object} options - Options
+ * @param {boolean} options.unreadOnly - Only return unread mentions
+ * @param {number} options.before - Only return mentions of messages with a smaller id
+ * @param {number} options.limit - Maximum number of mentions
+ * @returns {Promise<Array>} - [{ messageId, roomId, senderId, type, content, timestamp, editedAt, mentionedAt, readAt }]
+ */
+function getMentions(userId, { unreadOnly = false, before = null, limit = 20 } = {}) {
+    return new Promise((resolve, reject) => {
+        const params = [userId];
+        
+        let sql = `
+            SELECT 
+                m.id as messageId,
+                m.room_id as roomId,
+                m.sender_id as senderId,
+                m.type,
+                m.content,
+                m.timestamp,
+                m.edited_at as editedAt,
+                mn.created_at as mentionedAt,
+                mn.read_at as readAt
+            FROM mentions mn
+            JOIN messages m ON m.id = mn.message_id
+            WHERE mn.user_id = ?
+        `;
+        
+        if (unreadOnly) {
+            sql += ' AND mn.read_at IS NULL';
+        }
+        
+        if (before) {
+            sql += ' AND mn.message_id < ?';
+            params.push(before);
+        }
+        
+        sql += ' ORDER BY mn.message_id DESC LIMIT ?';
+        params.push(limit);
+        
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error('Failed to get mentions:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Count a user's unread mentions
+ * @param {string} userId - Mentioned user
+ * @returns {Promise<number>} - Number of unread mentions
+ */
+function countUnreadMentions(userId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'SELECT COUNT(*) as count FROM mentions WHERE user_id = ? AND read_at IS NULL';
+        
+        db.get(sql, [userId], (err, row) => {
+            if (err) {
+                console.error('Failed to count mentions:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row ? row.count : 0);
+        });
+    });
+}
+
+/**
+ * Mark a user's mentions as read
+ * Without message IDs or a room every unread mention is marked.
+ * @param {string} userId - Mentioned user
+ * @param {number} readAt - Read timestamp
+ * @param {Object} options - Options
+ * @param {Array<number>} options.messageIds - Only these messages
+ * @param {string} options.roomId - Only mentions in this room
+ * @returns {Promise<number>} - Number of mentions marked
+ */
+function markMentionsRead(userId, readAt, { messageIds = null, roomId = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const params = [readAt, userId];
+        
+        let sql = 'UPDATE mentions SET read_at = ? WHERE user_id = ? AND read_at IS NULL';
+        
+        if (messageIds) {
+            sql += ` AND message_id IN (${messageIds.map(() => '?').join(', ')})`;
+            params.push(...messageIds);
+        }
+        
+        if (roomId) {
+            sql += ' AND room_id = ?';
+            params.push(roomId);
+        }
+        
+        db.run(sql, params, function(err) {
+            if (err) {
+                console.error('Failed to mark mentions read:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes);
+        });
+    });
+}
+
+/**
+ * Delete all messages in a room
+ * Their files are released and swept once nothing else references them.
+ * @param {string} roomId - Room ID
+ * @returns {Promise<number>} - Number of deleted messages
+ */
+function clearRoom(roomId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'DELETE FROM messages WHERE room_id = ?';
+        
+        db.run(sql, [roomId], function(err) {
+            if (err) {
+                console.error('Failed to clear room:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes);
+        });
+    });
+}
+
+/**
+ * Get messages by sender
+ * @param {string} senderId - Sender ID
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<Array>} - Array of messages
+ */
+function getMessagesBySender(senderId, limit = 100) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                id,
+                type,
+                room_id as roomId,
+                sender_id as senderId,
+                client_id as clientId,
+                reply_to as replyTo,
+                thread_id as threadId,
+                timestamp,
+                content,
+                file_name as fileName,
+                file_size as fileSize,
+                duration,
+                bitrate,
+                width,
+                height,
+                thumbnail,
+                mime_type as mimeType,
+                created_at as createdAt,
+                edited_at as editedAt,
+                recalled_at as recalledAt
+            FROM messages
+            WHERE sender_id = ?
+            ORDER BY timestamp DESC
+            LIMIT ?
+        `;
+        
+        db.all(sql, [senderId, limit], (err, rows) => {
+            if (err) {
+                console.error('Failed to get messages by sender:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Search messages through the full-text index
+ * Only rooms the user can read are searched: public rooms they were not
+ * removed from and the private rooms they are a member of.
+ * @param {Object} options - Options
+ * @param {string} options.match - FTS5 MATCH expression (see search.js)
+ * @param {string} options.userId - Searching user
+ * @param {string} options.roomId - Optional room filter
+ * @param {string} options.senderId - Optional sender filter
+ * @param {string} options.type - Optional message type filter
+ * @param {number} options.from - Optional minimum timestamp (inclusive)
+ * @param {number} options.to - Optional maximum timestamp (inclusive)
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.offset - Number of results to skip
+ * @returns {Promise<Array>} - Matching messages, best match first
+ */
+function searchMessages(options) {
+    return new Promise((resolve, reject) => {
+        const {
+            match,
+            userId,
+            roomId = null,
+            senderId = null,
+            type = null,
+            from = null,
+            to = null,
+            limit = 20,
+            offset = 0
+        } = options;
+        
+        let sql = `
+            SELECT 
+                m.id,
+                m.type,
+                m.room_id as roomId,
+                m.sender_id as senderId,
+                m.timestamp,
+                m.content,
+                m.file_name as fileName,
+                m.file_size as fileSize,
+                m.duration,
+                m.bitrate,
+                m.width,
+                m.height,
+                m.thumbnail,
+                m.mime_type as mimeType,
+                m.created_at as createdAt,
+                m.edited_at as editedAt,
+                bm25(messages_fts) as rank
+            FROM messages_fts
+            JOIN messages m ON m.id = messages_fts.rowid
+            WHERE messages_fts MATCH ?
+            AND m.room_id IN (
+                SELECT room_id FROM rooms WHERE is_private = 0
+                AND room_id NOT IN (
+                    SELECT room_id FROM room_restrictions WHERE user_id = ? AND restriction = 'banned'
+                )
+                UNION
+                SELECT room_id FROM room_members WHERE user_id = ?
+            )
+        `;
+        
+        const params = [match, userId, userId];
+        
+        if (roomId) {
+            sql += ' AND m.room_id = ?';
+            params.push(roomId);
+        }
+        if (senderId) {
+            sql += ' AND m.sender_id = ?';
+            params.push(senderId);
+        }
+        if (type) {
+            sql += ' AND m.type = ?';
+            params.push(type);
+        }
+        if (from !== null) {
+            sql += ' AND m.timestamp >= ?';
+            params.push(from);
+        }
+        if (to !== null) {
+            sql += ' AND m.timestamp <= ?';
+            params.push(to);
+        }
+        
+        sql += ' ORDER BY rank, m.timestamp DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+        
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error('Failed to search messages:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Create a user account
+ * @param {Object} user - { userId, username, avatar, passwordHash }
+ * @returns {Promise<Object>} - Created user
+ */
+function createUser(user) {
+    return new Promise((resolve, reject) => {
+        const { userId, username = null, avatar = null, passwordHash } = user;
+        
+        const sql = `
+            INSERT INTO users (user_id, username, avatar, password_hash)
+            VALUES (?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [userId, username || userId, avatar, passwordHash], function(err) {
+            if (err) {
+                console.error('Failed to create user:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve({ userId, username: username || userId, avatar });
+        });
+    });
+}
+
+/**
+ * Get a user's public profile
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|undefined>} - User object
+ */
+function getUserById(userId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                user_id as userId,
+                username,
+                avatar,
+                created_at as createdAt,
+                last_seen as lastSeen
+            FROM users
+            WHERE user_id = ?
+        `;
+        
+        db.get(sql, [userId], (err, row) => {
+            if (err) {
+                console.error('Failed to get user:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Get users by user ID or username
+ * @param {Array<string>} handles - User IDs or usernames
+ * @returns {Promise<Array>} - [{ userId, username }]
+ */
+function getUsersByHandles(handles) {
+    return new Promise((resolve, reject) => {
+        if (handles.length === 0) {
+            resolve([]);
+            return;
+        }
+        
+        const placeholders = handles.map(() => '?').join(', ');
+        const sql = `
+            SELECT user_id as userId, username
+            FROM users
+            WHERE user_id IN (${placeholders}) OR username IN (${placeholders})
+        `;
+        
+        db.all(sql, [...handles, ...handles], (err, rows) => {
+            if (err) {
+                console.error('Failed to get users:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Record when a user was last seen online
+ * @param {string} userId - User ID
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {Promise<void>}
+ */
+function updateLastSeen(userId, timestamp) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            UPDATE users
+            SET last_seen = datetime(? / 1000, 'unixepoch')
+            WHERE user_id = ?
+        `;
+        
+        db.run(sql, [timestamp, userId], (err) => {
+            if (err) {
+                console.error('Failed to update last seen:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Get a user's stored password hash
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Password hash, or null if none
+ */
+function getUserPasswordHash(userId) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT password_hash as passwordHash FROM users WHERE user_id = ?', [userId], (err, row) => {
+            if (err) {
+                console.error('Failed to get credentials:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row ? row.passwordHash : null);
+        });
+    });
+}
+
+/**
+ * Create a login session
+ * @param {Object} session - { id, userId, createdAt, expiresAt, userAgent }
+ * @returns {Promise<void>}
+ */
+function createSession(session) {
+    return new Promise((resolve, reject) => {
+        const { id, userId, createdAt, expiresAt, userAgent = null } = session;
+        
+        const sql = `
+            INSERT INTO sessions (id, user_id, created_at, expires_at, user_agent)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [id, userId, createdAt, expiresAt, userAgent], (err) => {
+            if (err) {
+                console.error('Failed to create session:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Get a session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|undefined>} - Session object
+ */
+function getSession(sessionId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                id,
+                user_id as userId,
+                created_at as createdAt,
+                expires_at as expiresAt,
+                revoked_at as revokedAt
+            FROM sessions
+            WHERE id = ?
+        `;
+        
+        db.get(sql, [sessionId], (err, row) => {
+            if (err) {
+                console.error('Failed to get session:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - True if a live session was revoked
+ */
+function revokeSession(sessionId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL';
+        
+        db.run(sql, [Date.now(), sessionId], function(err) {
+            if (err) {
+                console.error('Failed to revoke session:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Revoke every live session of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+function revokeUserSessions(userId) {
+    return new Promise((resolve, reject) => {
+        const sql = 'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL';
+        
+        db.run(sql, [Date.now(), userId], function(err) {
+            if (err) {
+                console.error('Failed to revoke sessions:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes);
+        });
+    });
+}
+
+/**
+ * Remove sessions that expired before the given time
+ * @param {number} before - Timestamp in milliseconds
+ * @returns {Promise<number>} - Number of removed sessions
+ */
+function deleteExpiredSessions(before = Date.now()) {
+    return new Promise((resolve, reject) => {
+        db.run('DELETE FROM sessions WHERE expires_at < ?', [before], function(err) {
+            if (err) {
+                console.error('Failed to delete expired sessions:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes);
+        });
+    });
+}
+
+/**
+ * Create a resumable upload session
+ * @param {Object} session - { id, userId, roomId, fileName, fileSize, mimeType, chunkSize, totalChunks, createdAt, expiresAt }
+ * @returns {Promise<void>}
+ */
+function createUploadSession(session) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT INTO upload_sessions (
+                id, user_id, room_id, file_name, file_size, mime_type,
+                chunk_size, total_chunks, created_at, expires_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        
+        const params = [
+            session.id,
+            session.userId,
+            session.roomId,
+            session.fileName,
+            session.fileSize,
+            session.mimeType,
+            session.chunkSize,
+            session.totalChunks,
+            session.createdAt,
+            session.expiresAt
+        ];
+        
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('Failed to create upload session:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Get an upload session by ID
+ * @param {string} sessionId - Upload session ID
+ * @returns {Promise<Object|undefined>} - Upload session object
+ */
+function getUploadSession(sessionId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                id,
+                user_id as userId,
+                room_id as roomId,
+                file_name as fileName,
+                file_size as fileSize,
+                mime_type as mimeType,
+                chunk_size as chunkSize,
+                total_chunks as totalChunks,
+                created_at as createdAt,
+                expires_at as expiresAt
+            FROM upload_sessions
+            WHERE id = ?
+        `;
+        
+        db.get(sql, [sessionId], (err, row) => {
+            if (err) {
+                console.error('Failed to get upload session:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Record a received chunk and keep its session alive
+ * Receiving the same chunk again replaces the previous record.
+ * @param {string} sessionId - Upload session ID
+ * @param {Object} chunk - { index, size, checksum }
+ * @param {number} expiresAt - New expiry of the session
+ * @returns {Promise<void>}
+ */
+function addUploadChunk(sessionId, chunk, expiresAt) {
+    return new Promise((resolve, reject) => {
+        let failed = false;
+        
+        const fail = (err) => {
+            if (failed) return;
+            failed = true;
+            console.error('Failed to add upload chunk:', err);
+            reject(err);
+        };
+        
+        db.serialize(() => {
+            db.run(`
+                INSERT OR REPLACE INTO upload_chunks (session_id, chunk_index, size, checksum)
+                VALUES (?, ?, ?, ?)
+            `, [sessionId, chunk.index, chunk.size, chunk.checksum], (err) => {
+                if (err) fail(err);
+            });
+            db.run('UPDATE upload_sessions SET expires_at = ? WHERE id = ?', [expiresAt, sessionId], (err) => {
+                if (err) return fail(err);
+                if (!failed) resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Get the chunks received for an upload session
+ * @param {string} sessionId - Upload session ID
+ * @returns {Promise<Array>} - { index, size, checksum }, by index
+ */
+function getUploadChunks(sessionId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT chunk_index as "index", size, checksum
+            FROM upload_chunks
+            WHERE session_id = ?
+            ORDER BY chunk_index ASC
+        `;
+        
+        db.all(sql, [sessionId], (err, rows) => {
+            if (err) {
+                console.error('Failed to get upload chunks:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows);
+        });
+    });
+}
+
+/**
+ * Delete an upload session and its chunk records
+ * @param {string} sessionId - Upload session ID
+ * @returns {Promise<boolean>} - True if the session existed
+ */
+function deleteUploadSession(sessionId) {
+    return new Promise((resolve, reject) => {
+        db.run('DELETE FROM upload_sessions WHERE id = ?', [sessionId], function(err) {
+            if (err) {
+                console.error('Failed to delete upload session:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Get the IDs of upload sessions that expired before the given time
+ * @param {number} before - Timestamp in milliseconds
+ * @returns {Promise<Array<string>>} - Upload session IDs
+ */
+function getExpiredUploadSessions(before = Date.now()) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT id FROM upload_sessions WHERE expires_at < ?', [before], (err, rows) => {
+            if (err) {
+                console.error('Failed to get expired upload sessions:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows.map(row => row.id));
+        });
+    });
+}
+
+/**
+ * Record the metadata of a stored media file
+ * @param {Object} file - { path, userId, type, mimeType, fileSize, duration, bitrate, width, height,
+ *     thumbnail, sha256, createdAt }; sha256 is null for files recorded without hashing
+ * @returns {Promise<void>}
+ */
+function saveMediaFile(file) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT OR REPLACE INTO media_files (
+                path, user_id, type, mime_type, file_size, duration,
+                bitrate, width, height, thumbnail, sha256, created_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        
+        const params = [
+            file.path,
+            file.userId,
+            file.type,
+            file.mimeType,
+            file.fileSize,
+            file.duration,
+            file.bitrate,
+            file.width,
+            file.height,
+            file.thumbnail,
+            file.sha256 || null,
+            file.createdAt
+        ];
+        
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('Failed to save media file:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Get the metadata of a stored media file
+ * @param {string} filePath - Public path of the file (`/uploads/<type>/<name>`)
+ * @returns {Promise<Object|undefined>} - Media file object
+ */
+function getMediaFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                path,
+                user_id as userId,
+                type,
+                mime_type as mimeType,
+                file_size as fileSize,
+                duration,
+                bitrate,
+                width,
+                height,
+                thumbnail,
+                created_at as createdAt
+            FROM media_files
+            WHERE path = ?
+        `;
+        
+        db.get(sql, [filePath], (err, row) => {
+            if (err) {
+                console.error('Failed to get media file:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Find a stored file by the SHA-256 of its content
+ * @param {string} sha256 - Hex SHA-256
+ * @returns {Promise<Object|undefined>} - Media file object, as returned by getMediaFile()
+ */
+function findMediaFileByHash(sha256) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT 
+                path,
+                user_id as userId,
+                type,
+                mime_type as mimeType,
+                file_size as fileSize,
+                duration,
+                bitrate,
+                width,
+                height,
+                thumbnail,
+                created_at as createdAt
+            FROM media_files
+            WHERE sha256 = ?
+            ORDER BY created_at
+            LIMIT 1
+        `;
+        
+        db.get(sql, [sha256], (err, row) => {
+            if (err) {
+                console.error('Failed to find media file:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Record that a user uploaded a stored file for a room
+ * Uploading the same file again only refreshes the upload time.
+ * @param {Object} upload - { path, userId, roomId, uploadedAt }
+ * @returns {Promise<void>}
+ */
+function addFileUpload(upload) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT OR REPLACE INTO file_uploads (path, user_id, room_id, uploaded_at)
+            VALUES (?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [upload.path, upload.userId, upload.roomId, upload.uploadedAt], (err) => {
+            if (err) {
+                console.error('Failed to add file upload:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve();
+        });
+    });
+}
+
+/**
+ * Find who may see a stored file
+ * @param {string} filePath - Public path of a file or thumbnail (`/uploads/...`)
+ * @returns {Promise<Object>} - { roomIds, uploaderIds }: rooms with a message
+ *     referencing the file, and the users who uploaded it
+ */
+function getFileAccess(filePath) {
+    return new Promise((resolve, reject) => {
+        const roomsSql = `
+            SELECT DISTINCT m.room_id as roomId
+            FROM message_files mf
+            JOIN messages m ON m.id = mf.message_id
+            WHERE mf.path = ?
+        `;
+        
+        db.all(roomsSql, [filePath], (err, rooms) => {
+            if (err) {
+                console.error('Failed to get file access:', err);
+                reject(err);
+                return;
+            }
+            
+            const uploadersSql = `
+                SELECT user_id as userId FROM media_files
+                WHERE (path = ? OR thumbnail = ?) AND user_id IS NOT NULL
+                UNION
+                SELECT u.user_id as userId
+                FROM media_files f
+                JOIN file_uploads u ON u.path = f.path
+                WHERE f.path = ? OR f.thumbnail = ?
+            `;
+            
+            db.all(uploadersSql, [filePath, filePath, filePath, filePath], (err, uploaders) => {
+                if (err) {
+                    console.error('Failed to get file access:', err);
+                    reject(err);
+                    return;
+                }
+                
+                resolve({
+                    roomIds: rooms.map(r => r.roomId),
+                    uploaderIds: uploaders.map(u => u.userId)
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Get the storage used by the files uploaded by a user or for a room
+ * A file counts once however often it was uploaded.
+ * @param {string} column - 'user_id' or 'room_id'
+ * @param {string} id - User or room ID
+ * @returns {Promise<Object>} - { files, bytes }
+ */
+function getStorageUsage(column, id) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT COUNT(*) as files, COALESCE(SUM(file_size), 0) as bytes
+            FROM media_files
+            WHERE path IN (SELECT path FROM file_uploads WHERE ${column} = ?)
+        `;
+        
+        db.get(sql, [id], (err, row) => {
+            if (err) {
+                console.error('Failed to get storage usage:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Get the storage used by the files a user uploaded
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { files, bytes }
+ */
+function getUserStorageUsage(userId) {
+    return getStorageUsage('user_id', userId);
+}
+
+/**
+ * Get the storage used by the files uploaded for a room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} - { files, bytes }
+ */
+function getRoomStorageUsage(roomId) {
+    return getStorageUsage('room_id', roomId);
+}
+
+/**
+ * Get the uploads of a stored file
+ * @param {string} filePath - Public path of the file
+ * @returns {Promise<Array>} - [{ userId, roomId, uploadedAt }]
+ */
+function getFileUploads(filePath) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT user_id as userId, room_id as roomId, uploaded_at as uploadedAt
+            FROM file_uploads
+            WHERE path = ?
+        `;
+        
+        db.all(sql, [filePath], (err, rows) => {
+            if (err) {
+                console.error('Failed to get file uploads:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows);
+        });
+    });
+}
+
+// A stored file no message references, untouched since `before`
+const ORPHAN_FILE_CONDITION = `
+    f.created_at < ?
+    AND COALESCE(f.released_at, 0) < ?
+    AND NOT EXISTS (SELECT 1 FROM message_files mf WHERE mf.path = f.path)
+    AND NOT EXISTS (SELECT 1 FROM file_uploads u WHERE u.path = f.path AND u.uploaded_at >= ?)
+`;
+
+/**
+ * Get stored files that no message references and that were neither
+ * uploaded nor released since a given time
+ * @param {number} before - Timestamp
+ * @param {number} limit - Maximum number of files
+ * @returns {Promise<Array>} - [{ path, thumbnail }]
+ */
+function getOrphanFiles(before, limit = 100) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT f.path, f.thumbnail
+            FROM media_files f
+            WHERE ${ORPHAN_FILE_CONDITION}
+            LIMIT ?
+        `;
+        
+        db.all(sql, [before, before, before, limit], (err, rows) => {
+            if (err) {
+                console.error('Failed to get orphan files:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(rows);
+        });
+    });
+}
+
+/**
+ * Forget a stored file if it is still an orphan
+ * Checked again here, since a message or upload may have claimed the file
+ * after getOrphanFiles() returned it.
+ * @param {string} filePath - Public path of the file
+ * @param {number} before - Timestamp, as passed to getOrphanFiles()
+ * @returns {Promise<boolean>} - True if the record was deleted and the file can go
+ */
+function deleteOrphanFile(filePath, before) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            DELETE FROM media_files
+            WHERE path = (
+                SELECT f.path FROM media_files f
+                WHERE f.path = ? AND ${ORPHAN_FILE_CONDITION}
+            )
+        `;
+        
+        db.run(sql, [filePath, before, before, before], function(err) {
+            if (err) {
+                console.error('Failed to delete orphan file:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Check whether a file in the uploads directory is still in use
+ * @param {string} filePath - Public path of a file or thumbnail (`/uploads/...`)
+ * @returns {Promise<boolean>} - True if it is a recorded file or thumbnail, or a message references it
+ */
+function isFileReferenced(filePath) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT EXISTS (
+                SELECT 1 FROM media_files WHERE path = ? OR thumbnail = ?
+            ) OR EXISTS (
+                SELECT 1 FROM message_files WHERE path = ?
+            ) as referenced
+        `;
+        
+        db.get(sql, [filePath, filePath, filePath], (err, row) => {
+            if (err) {
+                console.error('Failed to check file references:', err);
+                reject(err);
+                return;
+            }
+            
+            resolve(row.referenced === 1);
         });
     });
 }
@@ -354,6 +2334,8 @@ function getStats() {
                     SUM(CASE WHEN type = 'text' THEN 1 ELSE 0 END) as textCount,
                     SUM(CASE WHEN type = 'audio' THEN 1 ELSE 0 END) as audioCount,
                     SUM(CASE WHEN type = 'video' THEN 1 ELSE 0 END) as videoCount,
+                    SUM(CASE WHEN type = 'image' THEN 1 ELSE 0 END) as imageCount,
+                    SUM(CASE WHEN type = 'file' THEN 1 ELSE 0 END) as fileCount,
                     SUM(CASE WHEN type = 'system' THEN 1 ELSE 0 END) as systemCount
                 FROM messages
             `, [], (err, row) => {
@@ -387,15 +2369,73 @@ function closeDatabase() {
 }
 
 module.exports = {
+    DB_PATH,
     initDatabase,
     saveMessage,
     getHistory,
+    encodeCursor,
+    parseCursor,
     getMessageById,
+    getMessageByClientId,
     deleteMessage,
+    editMessage,
+    recallMessage,
+    getMessageEdits,
+    toggleReaction,
+    getReactions,
+    getQuotes,
     getRooms,
+    getRoom,
+    createRoom,
+    createDirectRoom,
+    getDirectConversations,
+    updateRoom,
+    setRoomArchived,
+    deleteRoom,
+    getRoomMemberRole,
+    getRoomMembers,
+    addRoomMember,
+    updateRoomMemberRole,
+    removeRoomMember,
+    getRoomRestriction,
+    setRoomRestriction,
+    markRoomRead,
+    getReadReceipts,
+    addMention,
+    getMentions,
+    countUnreadMentions,
+    markMentionsRead,
     clearRoom,
     getMessagesBySender,
     searchMessages,
+    updateSearchIndex,
+    createUser,
+    getUserById,
+    getUsersByHandles,
+    updateLastSeen,
+    getUserPasswordHash,
+    createSession,
+    getSession,
+    revokeSession,
+    revokeUserSessions,
+    deleteExpiredSessions,
+    createUploadSession,
+    getUploadSession,
+    addUploadChunk,
+    getUploadChunks,
+    deleteUploadSession,
+    getExpiredUploadSessions,
+    saveMediaFile,
+    getMediaFile,
+    findMediaFileByHash,
+    addFileUpload,
+    getFileUploads,
+    getFileAccess,
+    getUserStorageUsage,
+    getRoomStorageUsage,
+    getOrphanFiles,
+    deleteOrphanFile,
+    isFileReferenced,
     getStats,
     closeDatabase
 };
@@ -0,0 +1,76 @@
+/**
+ * Direct Conversation Module
+ * One-to-one conversations between two users
+ *
+ * A direct conversation is a private room whose only members are its two
+ * participants. Its room ID is derived from both user IDs in sorted order
+ * (`dm:<a>:<b>`), so either participant opening it reaches the same room.
+ * User IDs cannot contain `:` and regular room IDs cannot either, so the
+ * IDs never collide with other rooms.
+ */
+
+const { getUserById, getRoom, createDirectRoom } = require('./db');
+
+const DIRECT_PREFIX = 'dm:';
+
+/**
+ * Get the room ID of the conversation between two users
+ * @param {string} userId - One participant
+ * @param {string} otherId - The other participant
+ * @returns {string} - Room ID
+ */
+function getDirectRoomId(userId, otherId) {
+    return DIRECT_PREFIX + [userId, otherId].sort().join(':');
+}
+
+/**
+ * Check whether a room ID belongs to a direct conversation
+ * @param {string} roomId - Room ID
+ * @returns {boolean} - True for direct conversations
+ */
+function isDirectRoomId(roomId) {
+    return typeof roomId === 'string' && roomId.startsWith(DIRECT_PREFIX);
+}
+
+/**
+ * Check whether a user takes part in a direct conversation
+ * @param {string} roomId - Room ID of a direct conversation
+ * @param {string} userId - User ID
+ * @returns {boolean} - True if the user is one of the two participants
+ */
+function isDirectParticipant(roomId, userId) {
+    return roomId.slice(DIRECT_PREFIX.length).split(':').includes(userId);
+}
+
+/**
+ * Open the conversation between two users, creating it on first use
+ * @param {string} userId - User opening the conversation
+ * @param {string} otherId - User to talk to
+ * @returns {Promise<Object>} - { room, peer, created } on success, { error, status } otherwise
+ */
+async function openDirectConversation(userId, otherId) {
+    if (!otherId || typeof otherId !== 'string') {
+        return { error: 'userId is required', status: 400 };
+    }
+
+    if (otherId === userId) {
+        return { error: 'You cannot start a conversation with yourself', status: 400 };
+    }
+
+    const peer = await getUserById(otherId);
+    if (!peer) {
+        return { error: 'User not found', status: 404 };
+    }
+
+    const roomId = getDirectRoomId(userId, otherId);
+    const created = await createDirectRoom(roomId, [userId, otherId], userId);
+
+    return { room: await getRoom(roomId), peer, created };
+}
+
+module.exports = {
+    getDirectRoomId,
+    isDirectRoomId,
+    isDirectParticipant,
+    openDirectConversation
+};
@@ -0,0 +1,857 @@
+/**
+ * Image Module
+ * Recognizes uploaded pictures by their content, reads their size and draws
+ * the downscaled previews shown in the chat
+ *
+ * Supported: PNG, JPEG, GIF and WebP. The size of JPEG photos takes their
+ * EXIF orientation into account, as viewers do.
+ *
+ * Previews are PNG pictures at most PREVIEW_SIZE pixels on their longest
+ * side. They are drawn for PNG pictures, and for JPEG photos decoded at an
+ * eighth of their size from the DC coefficients alone (baseline and
+ * progressive), so no inverse DCT is needed. Pictures small enough to be
+ * shown as they are, GIF and WebP pictures get no preview; clients show the
+ * picture itself.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const { encodePng } = require('./probe');
+
+const HEAD_LENGTH = 64 * 1024;
+const PREVIEW_SIZE = 320;
+const MAX_DECODE_PIXELS = 30 * 1000 * 1000; // Larger pictures get no preview
+const MAX_JPEG_SEGMENTS = 256;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+// Adam7 passes: [x0, y0, dx, dy]
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+// Start of frame markers: SOF0-SOF3, SOF5-SOF7, SOF9-SOF11, SOF13-SOF15
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+// Huffman-coded frames that can be decoded: baseline, extended and progressive
+const JPEG_HUFFMAN_FRAMES = [0xc0, 0xc1, 0xc2];
+
+// ============ Probing ============
+
+/**
+ * Read part of an open file
+ * @param {FileHandle} file - Open file
+ * @param {number} position - Offset in bytes
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} - Bytes read, shorter at the end of the file
+ */
+async function readAt(file, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await file.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Read the orientation of an EXIF segment
+ * @param {Buffer} segment - APP1 segment contents
+ * @returns {number} - EXIF orientation (1-8), 1 if missing
+ */
+function readExifOrientation(segment) {
+    if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') {
+        return 1;
+    }
+
+    const tiff = segment.subarray(6);
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) {
+        return 1;
+    }
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > tiff.length) {
+            break;
+        }
+        if (u16(entry) === 0x0112) {
+            const orientation = u16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+}
+
+/**
+ * Read the size and orientation of a JPEG picture from its segment headers
+ * @param {FileHandle} file - Open file
+ * @returns {Promise<Object|null>} - Probe result
+ */
+async function probeJpeg(file) {
+    let offset = 2;
+    let orientation = 1;
+
+    for (let i = 0; i < MAX_JPEG_SEGMENTS; i++) {
+        const header = await readAt(file, offset, 4);
+        if (header.length < 4 || header[0] !== 0xff) {
+            return null;
+        }
+        const marker = header[1];
+        if (marker === 0xff) {
+            // Fill byte
+            offset += 1;
+            continue;
+        }
+        if (marker === 0xd9 || marker === 0xda) {
+            // End of image or start of scan before any frame header
+            return null;
+        }
+
+        const length = header.readUInt16BE(2);
+        if (marker === 0xe1) {
+            orientation = readExifOrientation(await readAt(file, offset + 4, length - 2));
+        } else if (JPEG_SOF_MARKERS.includes(marker)) {
+            const frame = await readAt(file, offset + 4, 5);
+            if (frame.length < 5) {
+                return null;
+            }
+            const height = frame.readUInt16BE(1);
+            const width = frame.readUInt16BE(3);
+            const rotated = orientation >= 5;
+            return {
+                format: 'jpeg',
+                mimeType: 'image/jpeg',
+                ext: 'jpg',
+                width: rotated ? height : width,
+                height: rotated ? width : height,
+                orientation
+            };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Read the size of a WebP picture
+ * @param {Buffer} head - Start of the file
+ * @returns {Object|null} - Probe result
+ */
+function probeWebp(head) {
+    if (head.length < 30) {
+        return null;
+    }
+
+    const chunk = head.toString('latin1', 12, 16);
+    let width;
+    let height;
+    if (chunk === 'VP8 ') {
+        width = head.readUInt16LE(26) & 0x3fff;
+        height = head.readUInt16LE(28) & 0x3fff;
+    } else if (chunk === 'VP8L') {
+        const bits = head.readUInt32LE(21);
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >>> 14) & 0x3fff) + 1;
+    } else if (chunk === 'VP8X') {
+        width = head.readUIntLE(24, 3) + 1;
+        height = head.readUIntLE(27, 3) + 1;
+    } else {
+        return null;
+    }
+
+    return { format: 'webp', mimeType: 'image/webp', ext: 'webp', width, height };
+}
+
+/**
+ * Recognize a picture by its content and read its size
+ * @param {string} filePath - File on disk
+ * @returns {Promise<Object|null>} - { format, type, mimeType, ext, width, height,
+ *     orientation, fileSize } with a null duration and bitrate, or null if the
+ *     file is not a supported picture
+ */
+async function probeImage(filePath) {
+    const file = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size } = await file.stat();
+        const head = await readAt(file, 0, HEAD_LENGTH);
+        let result = null;
+
+        if (head.length >= 24 && head.subarray(0, 8).equals(PNG_SIGNATURE) && head.toString('latin1', 12, 16) === 'IHDR') {
+            result = {
+                format: 'png',
+                mimeType: 'image/png',
+                ext: 'png',
+                width: head.readUInt32BE(16),
+                height: head.readUInt32BE(20)
+            };
+        } else if (head.length >= 4 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+            result = await probeJpeg(file);
+        } else if (head.length >= 10 && /^GIF8[79]a$/.test(head.toString('latin1', 0, 6))) {
+            result = {
+                format: 'gif',
+                mimeType: 'image/gif',
+                ext: 'gif',
+                width: head.readUInt16LE(6),
+                height: head.readUInt16LE(8)
+            };
+        } else if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+            result = probeWebp(head);
+        }
+
+        if (!result || !result.width || !result.height) {
+            return null;
+        }
+        return {
+            type: 'image',
+            duration: null,
+            bitrate: null,
+            orientation: 1,
+            ...result,
+            fileSize: size
+        };
+    } catch (error) {
+        // Truncated or corrupt headers
+        console.warn(`Failed to probe ${filePath}:`, error.message);
+        return null;
+    } finally {
+        await file.close();
+    }
+}
+
+// ============ PNG decoding ============
+
+/**
+ * Decode a PNG picture
+ * @param {Buffer} data - PNG file
+ * @returns {Object|null} - { width, height, rgba }, or null if it cannot be decoded
+ */
+function decodePng(data) {
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    for (let offset = 8; offset + 8 <= data.length;) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('latin1', offset + 4, offset + 8);
+        const body = data.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                depth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'tRNS') {
+            transparency = body;
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    if (!header || !PNG_CHANNELS[header.colorType] || (header.colorType === 3 && !palette)) {
+        return null;
+    }
+
+    const { width, height, depth, colorType } = header;
+    const channels = PNG_CHANNELS[colorType];
+    const bitsPerPixel = channels * depth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << depth) - 1;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const rgba = Buffer.alloc(width * height * 4);
+
+    // Raw sample i of a row (16-bit samples are read whole)
+    const sample = (row, i) => {
+        if (depth === 8) {
+            return row[i];
+        }
+        if (depth === 16) {
+            return row.readUInt16BE(i * 2);
+        }
+        const bit = i * depth;
+        return (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+    };
+    const to8 = value => (depth === 16 ? value >> 8 : depth === 8 ? value : Math.round(value * 255 / maxSample));
+    const transparent = (values) => transparency && colorType !== 3
+        && values.every((value, i) => value === transparency.readUInt16BE(i * 2));
+
+    const passes = header.interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    let offset = 0;
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) {
+            continue;
+        }
+
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        let previous = Buffer.alloc(rowBytes);
+        for (let py = 0; py < passHeight; py++) {
+            if (offset + 1 + rowBytes > raw.length) {
+                return null;
+            }
+            const filter = raw[offset];
+            const row = Buffer.from(raw.subarray(offset + 1, offset + 1 + rowBytes));
+            offset += 1 + rowBytes;
+
+            for (let i = 0; i < rowBytes; i++) {
+                const a = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+                const b = previous[i];
+                const c = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+                let predictor = 0;
+                if (filter === 1) {
+                    predictor = a;
+                } else if (filter === 2) {
+                    predictor = b;
+                } else if (filter === 3) {
+                    predictor = (a + b) >> 1;
+                } else if (filter === 4) {
+                    const p = a + b - c;
+                    const pa = Math.abs(p - a);
+                    const pb = Math.abs(p - b);
+                    const pc = Math.abs(p - c);
+                    predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+                }
+                row[i] = (row[i] + predictor) & 0xff;
+            }
+
+            const y = y0 + py * dy;
+            for (let px = 0; px < passWidth; px++) {
+                const pixel = (y * width + x0 + px * dx) * 4;
+                const values = [];
+                for (let k = 0; k < channels; k++) {
+                    values.push(sample(row, px * channels + k));
+                }
+
+                if (colorType === 3) {
+                    const index = values[0];
+                    rgba[pixel] = palette[index * 3] || 0;
+                    rgba[pixel + 1] = palette[index * 3 + 1] || 0;
+                    rgba[pixel + 2] = palette[index * 3 + 2] || 0;
+                    rgba[pixel + 3] = transparency && index < transparency.length ? transparency[index] : 0xff;
+                } else if (channels <= 2) {
+                    const gray = to8(values[0]);
+                    rgba[pixel] = gray;
+                    rgba[pixel + 1] = gray;
+                    rgba[pixel + 2] = gray;
+                    rgba[pixel + 3] = channels === 2 ? to8(values[1]) : (transparent(values) ? 0 : 0xff);
+                } else {
+                    rgba[pixel] = to8(values[0]);
+                    rgba[pixel + 1] = to8(values[1]);
+                    rgba[pixel + 2] = to8(values[2]);
+                    rgba[pixel + 3] = channels === 4 ? to8(values[3]) : (transparent(values) ? 0 : 0xff);
+                }
+            }
+            previous = row;
+        }
+    }
+
+    return { width, height, rgba };
+}
+
+// ============ JPEG decoding ============
+
+/**
+ * Build a Huffman decoding table from a DHT definition
+ * @param {Buffer} counts - Number of codes of each length (16 bytes)
+ * @param {Buffer} symbols - Symbols, in code order
+ * @returns {Object} - { maxCode, valueOffset, symbols }
+ */
+function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(18).fill(-1);
+    const valueOffset = new Int32Array(17);
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+        const count = counts[length - 1];
+        valueOffset[length] = index - code;
+        code += count;
+        index += count;
+        maxCode[length] = count ? code - 1 : -1;
+        code <<= 1;
+    }
+    maxCode[17] = 0x7fffffff;
+    return { maxCode, valueOffset, symbols };
+}
+
+/**
+ * Bit reader over entropy-coded JPEG data, with byte stuffing removed
+ * A marker ends the data: past it, zero bits are read.
+ * @param {Buffer} data - JPEG file
+ * @param {number} offset - Start of the entropy-coded data
+ * @returns {Object} - Reader
+ */
+function createBitReader(data, offset) {
+    let position = offset;
+    let current = 0;
+    let bitsLeft = 0;
+
+    const readBit = () => {
+        if (bitsLeft === 0) {
+            current = 0;
+            if (position < data.length) {
+                if (data[position] !== 0xff) {
+                    current = data[position++];
+                } else if (data[position + 1] === 0x00) {
+                    current = 0xff;
+                    position += 2;
+                }
+            }
+            bitsLeft = 8;
+        }
+        bitsLeft--;
+        return (current >> bitsLeft) & 1;
+    };
+
+    const receive = (length) => {
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = (value << 1) | readBit();
+        }
+        return value;
+    };
+
+    return {
+        readBit,
+        receive,
+        // Read a magnitude category and its extra bits as a signed value
+        receiveExtend: (length) => {
+            if (length === 0) {
+                return 0;
+            }
+            const value = receive(length);
+            return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+        },
+        decode: (table) => {
+            let code = 0;
+            for (let length = 1; length <= 16; length++) {
+                code = (code << 1) | readBit();
+                if (code <= table.maxCode[length]) {
+                    return table.symbols[table.valueOffset[length] + code];
+                }
+            }
+            throw new Error('Invalid Huffman code');
+        },
+        // Skip to the byte after a restart marker
+        restart: () => {
+            bitsLeft = 0;
+            if (data[position] === 0xff && data[position + 1] >= 0xd0 && data[position + 1] <= 0xd7) {
+                position += 2;
+            }
+        },
+        get position() {
+            return position;
+        }
+    };
+}
+
+/**
+ * Find the next marker after entropy-coded data
+ * @param {Buffer} data - JPEG file
+ * @param {number} offset - Where to start looking
+ * @returns {number} - Offset of the marker's 0xFF byte
+ */
+function findMarker(data, offset) {
+    for (let i = offset; i < data.length - 1; i++) {
+        const next = data[i + 1];
+        if (data[i] === 0xff && next !== 0x00 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) {
+            return i;
+        }
+    }
+    return data.length;
+}
+
+/**
+ * Decode the DC coefficients of one scan
+ * @param {Buffer} data - JPEG file
+ * @param {number} offset - Start of the entropy-coded data
+ * @param {Object} frame - Frame header, with the coefficient grids
+ * @param {Object} scan - { components, spectralStart, approximationHigh, approximationLow }
+ * @param {number} restartInterval - MCUs between restart markers, 0 for none
+ * @param {boolean} progressive - Progressive frame: AC coefficients come in later scans
+ * @returns {number} - Offset where the scan data ends
+ */
+function decodeScan(data, offset, frame, scan, restartInterval, progressive) {
+    const { components, approximationHigh, approximationLow } = scan;
+    if (progressive && scan.spectralStart > 0) {
+        // AC scan: nothing needed here
+        return findMarker(data, offset);
+    }
+
+    const reader = createBitReader(data, offset);
+    const decodeBlock = (component, row, column) => {
+        const index = row * component.blocksPerLine + column;
+        if (progressive && approximationHigh > 0) {
+            // DC refinement: one more bit
+            if (reader.readBit()) {
+                component.dc[index] |= 1 << approximationLow;
+            }
+            return;
+        }
+
+        const category = reader.decode(component.dcTable);
+        component.predictor += reader.receiveExtend(category);
+        component.dc[index] = component.predictor << approximationLow;
+
+        if (!progressive) {
+            // Baseline: skip the AC coefficients of the block
+            for (let k = 1; k < 64;) {
+                const symbol = reader.decode(component.acTable);
+                const run = symbol >> 4;
+                const size = symbol & 15;
+                if (size === 0) {
+                    if (run !== 15) {
+                        break;
+                    }
+                    k += 16;
+                } else {
+                    reader.receive(size);
+                    k += run + 1;
+                }
+            }
+        }
+    };
+
+    let mcus;
+    let decodeMcu;
+    if (components.length === 1) {
+        // Non-interleaved: the component's own blocks, in raster order
+        const component = components[0];
+        const blocksX = Math.ceil(Math.ceil(frame.width * component.h / frame.maxH) / 8);
+        const blocksY = Math.ceil(Math.ceil(frame.height * component.v / frame.maxV) / 8);
+        mcus = blocksX * blocksY;
+        decodeMcu = (n) => decodeBlock(component, Math.floor(n / blocksX), n % blocksX);
+    } else {
+        mcus = frame.mcusX * frame.mcusY;
+        decodeMcu = (n) => {
+            const mcuRow = Math.floor(n / frame.mcusX);
+            const mcuColumn = n % frame.mcusX;
+            for (const component of components) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+                    }
+                }
+            }
+        };
+    }
+
+    components.forEach(component => {
+        component.predictor = 0;
+    });
+    for (let n = 0; n < mcus; n++) {
+        if (restartInterval && n > 0 && n % restartInterval === 0) {
+            reader.restart();
+            components.forEach(component => {
+                component.predictor = 0;
+            });
+        }
+        decodeMcu(n);
+    }
+
+    return findMarker(data, reader.position);
+}
+
+/**
+ * Decode a JPEG picture at an eighth of its size: each 8x8 block becomes the
+ * pixel of its average colour (its DC coefficient)
+ * @param {Buffer} data - JPEG file
+ * @returns {Object|null} - { width, height, rgba }, or null if it cannot be decoded
+ */
+function decodeJpegDc(data) {
+    const quantTables = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let progressive = false;
+    let restartInterval = 0;
+    let adobeTransform = null;
+    let scanned = false;
+
+    let offset = 2;
+    while (offset + 4 <= data.length) {
+        if (data[offset] !== 0xff) {
+            return null;
+        }
+        const marker = data[offset + 1];
+        if (marker === 0xff) {
+            offset += 1;
+            continue;
+        }
+        if (marker === 0xd9) {
+            break;
+        }
+
+        const length = data.readUInt16BE(offset + 2);
+        const segment = data.subarray(offset + 4, offset + 2 + length);
+        offset += 2 + length;
+
+        if (marker === 0xdb) {
+            for (let i = 0; i < segment.length;) {
+                const precision = segment[i] >> 4;
+                const id = segment[i] & 15;
+                // Only the DC quantizer (first value) is needed
+                quantTables[id] = precision ? segment.readUInt16BE(i + 1) : segment[i + 1];
+                i += 1 + 64 * (precision ? 2 : 1);
+            }
+        } else if (marker === 0xc4) {
+            for (let i = 0; i < segment.length;) {
+                const tableClass = segment[i] >> 4;
+                const id = segment[i] & 15;
+                const counts = segment.subarray(i + 1, i + 17);
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const table = buildHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+                (tableClass === 0 ? dcTables : acTables)[id] = table;
+                i += 17 + total;
+            }
+        } else if (marker === 0xdd) {
+            restartInterval = segment.readUInt16BE(0);
+        } else if (marker === 0xee && segment.toString('latin1', 0, 5) === 'Adobe') {
+            adobeTransform = segment[11];
+        } else if (JPEG_SOF_MARKERS.includes(marker)) {
+            if (!JPEG_HUFFMAN_FRAMES.includes(marker) || segment[0] !== 8) {
+                return null;
+            }
+            progressive = marker === 0xc2;
+            const components = [];
+            for (let i = 0; i < segment[5]; i++) {
+                const base = 6 + i * 3;
+                components.push({
+                    id: segment[base],
+                    h: segment[base + 1] >> 4,
+                    v: segment[base + 1] & 15,
+                    quantTable: segment[base + 2]
+                });
+            }
+            frame = {
+                height: segment.readUInt16BE(1),
+                width: segment.readUInt16BE(3),
+                components,
+                maxH: Math.max(...components.map(c => c.h)),
+                maxV: Math.max(...components.map(c => c.v))
+            };
+            frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+            frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+            for (const component of components) {
+                component.blocksPerLine = frame.mcusX * component.h;
+                component.dc = new Int32Array(component.blocksPerLine * frame.mcusY * component.v);
+            }
+        } else if (marker === 0xda) {
+            if (!frame) {
+                return null;
+            }
+            const count = segment[0];
+            const components = [];
+            for (let i = 0; i < count; i++) {
+                const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+                if (!component) {
+                    return null;
+                }
+                component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+                component.acTable = acTables[segment[2 + i * 2] & 15];
+                components.push(component);
+            }
+            const scan = {
+                components,
+                spectralStart: segment[1 + count * 2],
+                approximationHigh: segment[3 + count * 2] >> 4,
+                approximationLow: segment[3 + count * 2] & 15
+            };
+            offset = decodeScan(data, offset, frame, scan, restartInterval, progressive);
+            scanned = true;
+        }
+    }
+
+    if (!frame || !scanned) {
+        // Cut off before the image data: there is nothing to show
+        return null;
+    }
+    if (frame.components.length !== 1 && frame.components.length !== 3) {
+        // CMYK pictures are not supported
+        return null;
+    }
+
+    const width = Math.ceil(frame.width / 8);
+    const height = Math.ceil(frame.height / 8);
+    const rgba = Buffer.alloc(width * height * 4);
+    // Component values (0-255) of a pixel of the reduced picture
+    const planes = frame.components.map(component => {
+        const quant = quantTables[component.quantTable] || 1;
+        return (x, y) => {
+            const row = Math.floor(y * component.v / frame.maxV);
+            const column = Math.floor(x * component.h / frame.maxH);
+            return component.dc[row * component.blocksPerLine + column] * quant / 8 + 128;
+        };
+    });
+    // Three components are YCbCr unless an Adobe marker or the component IDs say RGB
+    const rgbIds = frame.components.map(c => String.fromCharCode(c.id)).join('') === 'RGB';
+    const ycc = frame.components.length === 3 && adobeTransform !== 0 && !(adobeTransform === null && rgbIds);
+    const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const pixel = (y * width + x) * 4;
+            if (planes.length === 1) {
+                const gray = clamp(planes[0](x, y));
+                rgba[pixel] = gray;
+                rgba[pixel + 1] = gray;
+                rgba[pixel + 2] = gray;
+            } else if (ycc) {
+                const luma = planes[0](x, y);
+                const cb = planes[1](x, y) - 128;
+                const cr = planes[2](x, y) - 128;
+                rgba[pixel] = clamp(luma + 1.402 * cr);
+                rgba[pixel + 1] = clamp(luma - 0.344136 * cb - 0.714136 * cr);
+                rgba[pixel + 2] = clamp(luma + 1.772 * cb);
+            } else {
+                rgba[pixel] = clamp(planes[0](x, y));
+                rgba[pixel + 1] = clamp(planes[1](x, y));
+                rgba[pixel + 2] = clamp(planes[2](x, y));
+            }
+            rgba[pixel + 3] = 0xff;
+        }
+    }
+
+    return { width, height, rgba };
+}
+
+// ============ Previews ============
+
+/**
+ * Turn a decoded picture upright according to its EXIF orientation
+ * @param {Object} picture - { width, height, rgba }
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @returns {Object} - Upright picture
+ */
+function orient(picture, orientation) {
+    if (orientation <= 1) {
+        return picture;
+    }
+
+    const { width, height } = picture;
+    const rotated = orientation >= 5;
+    const outWidth = rotated ? height : width;
+    const outHeight = rotated ? width : height;
+    // Source pixel of each output pixel
+    const sources = {
+        2: (x, y) => [width - 1 - x, y],
+        3: (x, y) => [width - 1 - x, height - 1 - y],
+        4: (x, y) => [x, height - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, height - 1 - x],
+        7: (x, y) => [width - 1 - y, height - 1 - x],
+        8: (x, y) => [width - 1 - y, x]
+    };
+    const source = sources[orientation];
+    const rgba = Buffer.alloc(picture.rgba.length);
+
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const [sx, sy] = source(x, y);
+            picture.rgba.copy(rgba, (y * outWidth + x) * 4, (sy * width + sx) * 4, (sy * width + sx) * 4 + 4);
+        }
+    }
+    return { width: outWidth, height: outHeight, rgba };
+}
+
+/**
+ * Shrink a picture to fit in a square, averaging the pixels each output pixel covers
+ * Colours are weighted by their opacity so that transparent pixels do not darken edges.
+ * @param {Object} picture - { width, height, rgba }
+ * @param {number} size - Longest side of the result
+ * @returns {Object} - Shrunk picture (the same one if it already fits)
+ */
+function downscale(picture, size) {
+    const { width, height } = picture;
+    const scale = size / Math.max(width, height);
+    if (scale >= 1) {
+        return picture;
+    }
+
+    const outWidth = Math.max(1, Math.round(width * scale));
+    const outHeight = Math.max(1, Math.round(height * scale));
+    const rgba = Buffer.alloc(outWidth * outHeight * 4);
+
+    for (let y = 0; y < outHeight; y++) {
+        const top = Math.floor(y * height / outHeight);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * height / outHeight));
+        for (let x = 0; x < outWidth; x++) {
+            const left = Math.floor(x * width / outWidth);
+            const right = Math.max(left + 1, Math.floor((x + 1) * width / outWidth));
+            let red = 0;
+            let green = 0;
+            let blue = 0;
+            let alpha = 0;
+            for (let sy = top; sy < bottom; sy++) {
+                for (let sx = left; sx < right; sx++) {
+                    const pixel = (sy * width + sx) * 4;
+                    const opacity = picture.rgba[pixel + 3];
+                    red += picture.rgba[pixel] * opacity;
+                    green += picture.rgba[pixel + 1] * opacity;
+                    blue += picture.rgba[pixel + 2] * opacity;
+                    alpha += opacity;
+                }
+            }
+
+            const pixel = (y * outWidth + x) * 4;
+            const count = (bottom - top) * (right - left);
+            if (alpha > 0) {
+                rgba[pixel] = Math.round(red / alpha);
+                rgba[pixel + 1] = Math.round(green / alpha);
+                rgba[pixel + 2] = Math.round(blue / alpha);
+            }
+            rgba[pixel + 3] = Math.round(alpha / count);
+        }
+    }
+    return { width: outWidth, height: outHeight, rgba };
+}
+
+/**
+ * Draw the preview of a probed picture
+ * @param {string} filePath - File on disk
+ * @param {Object} probe - Result of probeImage()
+ * @returns {Promise<Object|null>} - { data, ext }, or null if the picture
+ *     needs no preview or cannot be decoded
+ */
+async function renderPreview(filePath, probe) {
+    if (Math.max(probe.width, probe.height) <= PREVIEW_SIZE || probe.width * probe.height > MAX_DECODE_PIXELS) {
+        return null;
+    }
+
+    let picture = null;
+    try {
+        const data = await fs.promises.readFile(filePath);
+        if (probe.format === 'png') {
+            picture = decodePng(data);
+        } else if (probe.format === 'jpeg') {
+            picture = decodeJpegDc(data);
+            // An eighth of a picture under 1280 pixels would be blurry: show the picture itself
+            if (picture && Math.max(picture.width, picture.height) < PREVIEW_SIZE / 2) {
+                picture = null;
+            }
+            picture = picture && orient(picture, probe.orientation);
+        }
+    } catch (error) {
+        console.warn(`Failed to draw a preview of ${filePath}:`, error.message);
+        return null;
+    }
+
+    if (!picture) {
+        return null;
+    }
+    const preview = downscale(picture, PREVIEW_SIZE);
+    return { data: encodePng(preview.width, preview.height, preview.rgba), ext: 'png' };
+}
+
+module.exports = {
+    probeImage,
+    renderPreview
+};
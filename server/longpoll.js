@@ -0,0 +1,77 @@
+/**
+ * Long-Poll Module
+ * Holds HTTP polling requests open until there is something new for them
+ *
+ * A polling request waits on a room (and on its user, for events addressed
+ * to them alone). Whoever saves a message or emits an event in a room calls
+ * notifyRoom(), and every request waiting on that room returns at once
+ * instead of at its timeout. The waiter only signals that something
+ * happened; requests read the actual messages from the database themselves.
+ */
+
+// { roomId, userId, resolve, timer }
+const waiters = new Set();
+
+/**
+ * Settle a waiter once
+ * @param {Object} waiter - Waiter
+ * @param {boolean} changed - Whether it was woken by a change
+ */
+function finish(waiter, changed) {
+    if (!waiters.delete(waiter)) {
+        return;
+    }
+    clearTimeout(waiter.timer);
+    waiter.resolve(changed);
+}
+
+/**
+ * Wait until the room (or the user) is notified, or the timeout passes
+ * Start waiting before reading the database, so that a change made while
+ * reading still wakes the request.
+ * @param {string} roomId - Room the request polls
+ * @param {string} userId - User making the request
+ * @param {number} timeout - Longest wait in milliseconds
+ * @returns {Promise<boolean>} - True if notified, false on timeout or cancel;
+ *     its `cancel()` stops waiting early
+ */
+function waitForChange(roomId, userId, timeout) {
+    let waiter;
+    const promise = new Promise((resolve) => {
+        waiter = { roomId, userId, resolve };
+        waiter.timer = setTimeout(() => finish(waiter, false), timeout);
+        waiters.add(waiter);
+    });
+    promise.cancel = () => finish(waiter, false);
+    return promise;
+}
+
+/**
+ * Wake the requests waiting on a room
+ * @param {string} roomId - Room ID
+ */
+function notifyRoom(roomId) {
+    waiters.forEach((waiter) => {
+        if (waiter.roomId === roomId) {
+            finish(waiter, true);
+        }
+    });
+}
+
+/**
+ * Wake the requests of a user, whichever room they poll
+ * @param {string} userId - User ID
+ */
+function notifyUser(userId) {
+    waiters.forEach((waiter) => {
+        if (waiter.userId === userId) {
+            finish(waiter, true);
+        }
+    });
+}
+
+module.exports = {
+    waitForChange,
+    notifyRoom,
+    notifyUser
+};
@@ -0,0 +1,308 @@
+/**
+ * Media Library Module
+ * Checks and records every stored upload, whichever route stored it
+ *
+ * A stored file is probed by its content, whatever mimetype the client
+ * declared: supported audio and video (see probe.js) and pictures (see
+ * images.js) become `audio`, `video` or `image` files, anything else a
+ * generic `file` kept with its declared mimetype. Each type has its own size
+ * limit (UPLOAD_LIMITS). Stored files are moved to the directory and
+ * extension matching their type, get a thumbnail (cover art, waveform or
+ * downscaled preview) where one can be made and are recorded in
+ * `media_files`. Media messages take their size, duration, bitrate, picture
+ * size and thumbnail from that record.
+ *
+ * Uploads are deduplicated by the SHA-256 of their content: uploading a file
+ * already stored answers with the stored copy and records one more upload
+ * of it. Uploads must fit in the storage quotas of their user and room (see
+ * storage.js).
+ *
+ * A file (or its thumbnail) can be downloaded by whoever uploaded it and by
+ * the users who can read a room where it was posted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { saveMediaFile, getMediaFile, findMediaFileByHash, addFileUpload, getFileAccess } = require('./db');
+const { probeMedia, thumbnailOf } = require('./probe');
+const { probeImage, renderPreview } = require('./images');
+const { resolveRoom } = require('./rooms');
+const { UPLOADS_DIR, checkQuota } = require('./storage');
+
+const THUMBNAILS_DIR = path.join(UPLOADS_DIR, 'thumbnails');
+
+// Size limit of each type of upload
+const MB = 1024 * 1024;
+const UPLOAD_LIMITS = {
+    audio: 100 * MB,
+    video: 100 * MB,
+    image: 20 * MB,
+    file: 50 * MB
+};
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(UPLOAD_LIMITS));
+const UPLOAD_TYPE_NAMES = { audio: 'audio files', video: 'videos', image: 'images', file: 'files' };
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+const FILE_EXT_PATTERN = /^[a-z0-9]{1,10}$/;
+
+/**
+ * Get the upload type a declared mimetype stands for
+ * The stored type is decided by the content; this one picks the size limit
+ * checked before the file is received and a first directory for it.
+ * @param {string} mimeType - Mimetype declared by the client
+ * @returns {string} - 'audio', 'video', 'image' or 'file'
+ */
+function uploadTypeOf(mimeType) {
+    const family = String(mimeType).split('/')[0];
+    return ['audio', 'video', 'image'].includes(family) ? family : 'file';
+}
+
+/**
+ * Build the error for an upload over the limit of its type
+ * @param {string} type - Upload type
+ * @returns {Object} - { error, status }
+ */
+function uploadTooLarge(type) {
+    return { error: `File size exceeds limit for ${UPLOAD_TYPE_NAMES[type]} (${UPLOAD_LIMITS[type] / MB}MB)`, status: 400 };
+}
+
+/**
+ * Check the size of an upload against the limit of its type
+ * @param {string} type - Upload type
+ * @param {number} size - File size in bytes
+ * @returns {Object|null} - { error, status } if too large, null otherwise
+ */
+function checkUploadSize(type, size) {
+    return size > UPLOAD_LIMITS[type] ? uploadTooLarge(type) : null;
+}
+
+/**
+ * Work out what a stored file is
+ * @param {string} filePath - File on disk
+ * @param {Object} upload - { fileName, mimeType } declared by the client; without
+ *     it, files that are neither media nor pictures are not recognized
+ * @returns {Promise<Object|null>} - Probe result (see probeMedia() and probeImage()),
+ *     or null if the file is not recognized
+ */
+async function probeFile(filePath, upload = null) {
+    const probe = await probeMedia(filePath) || await probeImage(filePath);
+    if (probe || !upload) {
+        return probe;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    const ext = path.extname(upload.fileName || '').slice(1).toLowerCase();
+    return {
+        format: null,
+        type: 'file',
+        mimeType: MIME_TYPE_PATTERN.test(upload.mimeType) ? upload.mimeType.toLowerCase() : 'application/octet-stream',
+        ext: FILE_EXT_PATTERN.test(ext) ? ext : 'bin',
+        duration: null,
+        bitrate: null,
+        width: null,
+        height: null,
+        fileSize: size
+    };
+}
+
+/**
+ * Record a probed file
+ * @param {string} filePath - File on disk, inside UPLOADS_DIR
+ * @param {string|null} userId - Uploading user, null when unknown
+ * @param {Object} probe - Result of probeFile()
+ * @param {boolean} move - Move the file to the directory and extension matching its content
+ * @param {string|null} sha256 - Hex SHA-256 of the content, null if not hashed
+ * @returns {Promise<Object>} - Media file record
+ */
+async function recordFile(filePath, userId, probe, move, sha256 = null) {
+    const base = path.basename(filePath, path.extname(filePath));
+    let storedPath = filePath;
+    if (move) {
+        storedPath = path.join(UPLOADS_DIR, probe.type, `${base}.${probe.ext}`);
+        if (storedPath !== filePath) {
+            await fs.promises.mkdir(path.dirname(storedPath), { recursive: true });
+            await fs.promises.rename(filePath, storedPath);
+        }
+    }
+
+    let thumbnail = null;
+    const picture = probe.type === 'image' ? await renderPreview(storedPath, probe) : thumbnailOf(probe);
+    if (picture) {
+        await fs.promises.mkdir(THUMBNAILS_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(THUMBNAILS_DIR, `${base}.${picture.ext}`), picture.data);
+        thumbnail = `/uploads/thumbnails/${base}.${picture.ext}`;
+    }
+
+    const record = {
+        path: `/uploads/${path.relative(UPLOADS_DIR, storedPath).split(path.sep).join('/')}`,
+        userId,
+        type: probe.type,
+        mimeType: probe.mimeType,
+        fileSize: probe.fileSize,
+        duration: probe.duration,
+        bitrate: probe.bitrate,
+        width: probe.width,
+        height: probe.height,
+        thumbnail,
+        sha256,
+        createdAt: Date.now()
+    };
+    await saveMediaFile(record);
+    return record;
+}
+
+/**
+ * Get the SHA-256 of a file
+ * @param {string} filePath - File on disk
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Find a stored copy of some content that is still on disk
+ * @param {string} sha256 - Hex SHA-256 of the content
+ * @returns {Promise<Object|null>} - Media file record, or null
+ */
+async function findStoredCopy(sha256) {
+    const record = await findMediaFileByHash(sha256);
+    if (!record || !fs.existsSync(path.join(UPLOADS_DIR, record.path.replace(/^\/uploads\//, '')))) {
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Record an upload of a stored copy
+ * @param {Object} record - Media file record of the stored copy
+ * @param {string} userId - Uploading user
+ * @param {string} roomId - Room the file is uploaded for
+ * @returns {Promise<boolean>} - False if the copy was removed meanwhile
+ */
+async function claimStoredCopy(record, userId, roomId) {
+    try {
+        await addFileUpload({ path: record.path, userId, roomId, uploadedAt: Date.now() });
+        return true;
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return false; // Swept as an orphan since it was found
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check and record a file that was just uploaded
+ * @param {string} filePath - Stored file, on disk
+ * @param {Object} upload - { userId, roomId, fileName, mimeType, sha256 }: the uploading user,
+ *     the room the file is uploaded for, the file name and mimetype given by the client and,
+ *     if already known, the hex SHA-256 of the file
+ * @returns {Promise<Object>} - { type, filePath, fileName, fileSize, mimeType, duration,
+ *     bitrate, width, height, thumbnail } on success, { error, status } otherwise
+ */
+async function storeUpload(filePath, { userId, roomId, fileName, mimeType, sha256 = null }) {
+    let record;
+    try {
+        const probe = await probeFile(filePath, { fileName, mimeType });
+        const tooLarge = checkUploadSize(probe.type, probe.fileSize);
+        if (tooLarge) {
+            await fs.promises.rm(filePath, { force: true });
+            return tooLarge;
+        }
+
+        const digest = sha256 || await hashFile(filePath);
+        const existing = await findStoredCopy(digest);
+        const overQuota = await checkQuota(userId, roomId, probe.fileSize, existing ? existing.path : null);
+        if (overQuota) {
+            await fs.promises.rm(filePath, { force: true });
+            return overQuota;
+        }
+
+        if (existing && await claimStoredCopy(existing, userId, roomId)) {
+            await fs.promises.rm(filePath, { force: true });
+            record = existing;
+        } else {
+            record = await recordFile(filePath, userId, probe, true, digest);
+            await addFileUpload({ path: record.path, userId, roomId, uploadedAt: record.createdAt });
+        }
+    } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+
+    return {
+        type: record.type,
+        filePath: record.path,
+        fileName,
+        fileSize: record.fileSize,
+        mimeType: record.mimeType,
+        duration: record.duration,
+        bitrate: record.bitrate,
+        width: record.width,
+        height: record.height,
+        thumbnail: record.thumbnail
+    };
+}
+
+/**
+ * Get the record of a stored file
+ * Files stored before uploads were probed are probed on first use.
+ * @param {string} filePath - Public path of the file (`/uploads/<type>/<name>`)
+ * @returns {Promise<Object|null>} - Media file record, or null if missing or not supported media
+ */
+async function getStoredMedia(filePath) {
+    const record = await getMediaFile(filePath);
+    if (record) {
+        return record;
+    }
+
+    const diskPath = path.join(UPLOADS_DIR, filePath.replace(/^\/uploads\//, ''));
+    if (!fs.existsSync(diskPath)) {
+        return null;
+    }
+    const probe = await probeFile(diskPath);
+    return probe && recordFile(diskPath, null, probe, false);
+}
+
+/**
+ * Check that a user may download a stored file
+ * @param {string} filePath - Public path of a file or thumbnail (`/uploads/...`)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - {} if allowed, { error, status } otherwise
+ */
+async function resolveFileAccess(filePath, userId) {
+    const { roomIds, uploaderIds } = await getFileAccess(filePath);
+    if (uploaderIds.includes(userId)) {
+        return {};
+    }
+
+    for (const roomId of roomIds) {
+        const room = await resolveRoom(roomId, userId);
+        if (!room.error) {
+            return {};
+        }
+    }
+
+    return roomIds.length > 0
+        ? { error: 'You are not a member of this room', status: 403 }
+        : { error: 'File not found', status: 404 };
+}
+
+module.exports = {
+    MAX_UPLOAD_SIZE,
+    MIME_TYPE_PATTERN,
+    uploadTypeOf,
+    uploadTooLarge,
+    checkUploadSize,
+    storeUpload,
+    getStoredMedia,
+    resolveFileAccess
+};
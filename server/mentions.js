@@ -0,0 +1,82 @@
+/**
+ * Mention Module
+ * Finds @mentions in messages and records them in the mentioned users' inboxes
+ *
+ * `@name` mentions the user whose user ID or username is `name`. Only users
+ * who can read the room are mentioned, and nobody is notified about their
+ * own messages. Each new mention produces a `mention` event addressed to
+ * the mentioned user only.
+ */
+
+const { addMention, getUsersByHandles } = require('./db');
+const { resolveRoom } = require('./rooms');
+
+// `@` at the start or after a non-name character, followed by letters, digits or _
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_]{1,32})/gu;
+const MAX_MENTIONS = 20; // Per message, so one message cannot notify everyone
+const SNIPPET_LENGTH = 100;
+
+/**
+ * Extract the mentioned names from message text
+ * @param {string} content - Message text
+ * @returns {Array<string>} - Distinct names, in order of appearance
+ */
+function parseMentions(content) {
+    const names = new Set();
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+        names.add(match[2]);
+        if (names.size >= MAX_MENTIONS) {
+            break;
+        }
+    }
+    return Array.from(names);
+}
+
+/**
+ * Record the mentions of a saved message
+ * Mentions that were already recorded (e.g. before an edit) are skipped.
+ * @param {Object} message - Saved message with id, type, roomId, senderId and content
+ * @returns {Promise<Array>} - `mention` events, one per newly mentioned user
+ */
+async function recordMentions(message) {
+    if (message.type !== 'text' || !message.content) {
+        return [];
+    }
+
+    const names = parseMentions(message.content);
+    if (names.length === 0) {
+        return [];
+    }
+
+    const users = await getUsersByHandles(names);
+    const userIds = new Set(users.map(user => user.userId));
+    userIds.delete(message.senderId);
+
+    const events = [];
+    const now = Date.now();
+
+    for (const userId of userIds) {
+        const { error } = await resolveRoom(message.roomId, userId);
+        if (error || !await addMention(message, userId, now)) {
+            continue;
+        }
+
+        events.push({
+            type: 'mention',
+            userId,
+            messageId: message.id,
+            roomId: message.roomId,
+            senderId: message.senderId,
+            content: message.content.slice(0, SNIPPET_LENGTH),
+            messageTimestamp: message.timestamp,
+            timestamp: now
+        });
+    }
+
+    return events;
+}
+
+module.exports = {
+    parseMentions,
+    recordMentions
+};
@@ -0,0 +1,355 @@
+/**
+ * Message Policy Module
+ * Shared checks and actions for sending, editing, recalling and reacting
+ * to messages
+ *
+ * Clients may tag a message with their own `clientId`. Sending the same
+ * clientId again returns the stored message instead of saving a copy, so
+ * clients can safely retry sends whose acknowledgement they never saw.
+ *
+ * Senders can edit their text messages and recall any of their messages
+ * within MESSAGE_EDIT_WINDOW of sending. A recalled message stays in the
+ * history as a tombstone (empty content, recalledAt set).
+ *
+ * A message may reply to another message of the same room (`replyTo`). It
+ * then joins the thread of that message: the thread is named after its
+ * first message (`threadId`), however deep the replies nest.
+ *
+ * Audio, video, image and file messages are posted after their file was
+ * stored through `/upload` and must point at a file of their type that the
+ * sender uploaded or can already see in a room; the file size, duration,
+ * bitrate, picture size and thumbnail come from probing the stored file
+ * (see media.js), not from the client.
+ */
+
+const {
+    saveMessage,
+    getMessageById,
+    getMessageByClientId,
+    editMessage: saveMessageEdit,
+    recallMessage: saveMessageRecall,
+    updateSearchIndex,
+    toggleReaction: saveReactionToggle,
+    getReactions,
+    getQuotes
+} = require('./db');
+const { resolveRoom } = require('./rooms');
+const { recordMentions } = require('./mentions');
+const { getStoredMedia, resolveFileAccess } = require('./media');
+
+// 0 removes the time limit
+const EDIT_WINDOW = process.env.MESSAGE_EDIT_WINDOW !== undefined
+    ? parseInt(process.env.MESSAGE_EDIT_WINDOW, 10) || 0
+    : 15 * 60 * 1000; // 15 minutes
+const MAX_CONTENT_LENGTH = 5000;
+const MESSAGE_TYPES = ['text', 'audio', 'video', 'image', 'file'];
+const MEDIA_PATH_PATTERN = /^\/uploads\/(audio|video|image|file)\/([\w.-]+)$/;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+// Emoji sequences (Emoji_Component covers ZWJ, VS16, skin tones and flags), at least one pictograph or flag
+const EMOJI_PATTERN = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}]{1,32}$/u;
+
+/**
+ * Check a client message id
+ * @param {*} clientId - Value sent by the client
+ * @returns {string|null} - Error message, or null if valid or absent
+ */
+function validateClientId(clientId) {
+    if (clientId === undefined || clientId === null) {
+        return null;
+    }
+    if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+        return 'clientId must be 1-64 letters, digits or _.:-';
+    }
+    return null;
+}
+
+/**
+ * Check the text of a new text message
+ * @param {*} content - Value sent by the client
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateContent(content) {
+    if (typeof content !== 'string' || !content.trim() || content.length > MAX_CONTENT_LENGTH) {
+        return `content must be 1-${MAX_CONTENT_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Check the message a new message replies to
+ * @param {*} replyTo - Message ID sent by the client, if any
+ * @param {string} roomId - Room the reply is sent to
+ * @returns {Promise<Object>} - { replyTo, threadId, quote } (all null if not a reply), { error, status } otherwise
+ */
+async function resolveReply(replyTo, roomId) {
+    if (replyTo === undefined || replyTo === null || replyTo === '') {
+        return { replyTo: null, threadId: null, quote: null };
+    }
+
+    const parent = await getMessageById(parseInt(replyTo, 10) || 0);
+    if (!parent || parent.roomId !== roomId) {
+        return { error: 'Replied message not found', status: 404 };
+    }
+
+    if (parent.recalledAt) {
+        return { error: 'Message has been recalled', status: 409 };
+    }
+
+    const quotes = await getQuotes([parent.id]);
+
+    return {
+        replyTo: parent.id,
+        threadId: parent.threadId || parent.id,
+        quote: quotes.get(parent.id)
+    };
+}
+
+/**
+ * Check the type of a new message and its content: the text, or for media
+ * the file it points at
+ * @param {string} type - Message type
+ * @param {string} content - Message content; for media the `filePath` returned by /upload
+ * @param {string} senderId - Sender, who must have uploaded the file or be able to access it
+ * @returns {Promise<Object>} - { fileSize, mimeType, duration, bitrate, width, height, thumbnail }
+ *     for media, {} for text, { error, status } otherwise
+ */
+async function resolveMedia(type, content, senderId) {
+    if (!MESSAGE_TYPES.includes(type)) {
+        return { error: `type must be one of ${MESSAGE_TYPES.join(', ')}`, status: 400 };
+    }
+    if (type === 'text') {
+        const invalid = validateContent(content);
+        return invalid ? { error: invalid, status: 400 } : {};
+    }
+
+    const match = MEDIA_PATH_PATTERN.exec(content);
+    if (!match || match[1] !== type) {
+        return { error: 'Media messages must reference a file uploaded through /upload', status: 400 };
+    }
+
+    const file = await getStoredMedia(content);
+    if (!file) {
+        return { error: 'Uploaded file not found', status: 400 };
+    }
+    if (file.type !== type) {
+        return { error: `Uploaded file is not ${type}`, status: 400 };
+    }
+
+    // Otherwise anyone who learns a file's path could repost it elsewhere
+    const access = await resolveFileAccess(content, senderId);
+    if (access.error) {
+        return { error: 'You can only post files you uploaded or can access', status: 403 };
+    }
+
+    return {
+        fileSize: file.fileSize,
+        mimeType: file.mimeType,
+        duration: file.duration,
+        bitrate: file.bitrate,
+        width: file.width,
+        height: file.height,
+        thumbnail: file.thumbnail
+    };
+}
+
+/**
+ * Save a chat message once per client message id
+ * @param {Object} message - Normalized message, as for saveMessage()
+ * @returns {Promise<Object>} - { message, duplicate } with the stored message
+ */
+async function saveChatMessage(message) {
+    if (message.clientId) {
+        const existing = await getMessageByClientId(message.senderId, message.clientId);
+        if (existing) {
+            return { message: existing, duplicate: true };
+        }
+    }
+
+    try {
+        const id = await saveMessage(message);
+        return { message: { ...message, id }, duplicate: false };
+    } catch (err) {
+        // A concurrent retry of the same message won the race
+        if (message.clientId && err.code === 'SQLITE_CONSTRAINT') {
+            const existing = await getMessageByClientId(message.senderId, message.clientId);
+            if (existing) {
+                return { message: existing, duplicate: true };
+            }
+        }
+        throw err;
+    }
+}
+
+/**
+ * Look up a message and check that a user may change it
+ * @param {number|string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { message } on success, { error, status } otherwise
+ */
+async function resolveOwnMessage(messageId, userId) {
+    const id = parseInt(messageId, 10);
+    if (!id) {
+        return { error: 'messageId is required', status: 400 };
+    }
+
+    const message = await getMessageById(id);
+    if (!message) {
+        return { error: 'Message not found', status: 404 };
+    }
+
+    const { error, status } = await resolveRoom(message.roomId, userId, { write: true });
+    if (error) {
+        return { error, status };
+    }
+
+    if (message.senderId !== userId) {
+        return { error: 'You can only change your own messages', status: 403 };
+    }
+
+    if (message.recalledAt) {
+        return { error: 'Message has been recalled', status: 409 };
+    }
+
+    if (EDIT_WINDOW > 0 && Date.now() - message.timestamp > EDIT_WINDOW) {
+        return { error: 'Message can no longer be changed', status: 403 };
+    }
+
+    return { message };
+}
+
+/**
+ * Edit a text message
+ * @param {number|string} messageId - Message ID
+ * @param {string} userId - User editing the message
+ * @param {string} content - New content
+ * @returns {Promise<Object>} - { message, event, mentions } on success, { error, status } otherwise
+ *     (mentions are the `mention` events for users the edit newly mentions)
+ */
+async function editMessage(messageId, userId, content) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text || text.length > MAX_CONTENT_LENGTH) {
+        return { error: `content must be 1-${MAX_CONTENT_LENGTH} characters`, status: 400 };
+    }
+
+    const { error, status, message } = await resolveOwnMessage(messageId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    if (message.type !== 'text') {
+        return { error: 'Only text messages can be edited', status: 400 };
+    }
+
+    const editedAt = Date.now();
+    if (text !== message.content) {
+        if (!await saveMessageEdit(message.id, text, editedAt)) {
+            return { error: 'Message has been recalled', status: 409 };
+        }
+        await updateSearchIndex(message.id, text).catch(() => {});
+    }
+
+    const updated = await getMessageById(message.id);
+    const mentions = await recordMentions(updated).catch(() => []);
+
+    return {
+        message: updated,
+        mentions,
+        event: {
+            type: 'edit',
+            roomId: updated.roomId,
+            messageId: updated.id,
+            senderId: updated.senderId,
+            content: updated.content,
+            editedAt: updated.editedAt,
+            timestamp: editedAt
+        }
+    };
+}
+
+/**
+ * Recall a message
+ * @param {number|string} messageId - Message ID
+ * @param {string} userId - User recalling the message
+ * @returns {Promise<Object>} - { message, event } on success, { error, status } otherwise
+ */
+async function recallMessage(messageId, userId) {
+    const { error, status, message } = await resolveOwnMessage(messageId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    const recalledAt = Date.now();
+    if (!await saveMessageRecall(message.id, recalledAt)) {
+        return { error: 'Message has been recalled', status: 409 };
+    }
+
+    const updated = await getMessageById(message.id);
+
+    return {
+        message: updated,
+        event: {
+            type: 'recall',
+            roomId: updated.roomId,
+            messageId: updated.id,
+            senderId: updated.senderId,
+            recalledAt,
+            timestamp: recalledAt
+        }
+    };
+}
+
+/**
+ * Toggle a user's emoji reaction on a message
+ * @param {number|string} messageId - Message ID
+ * @param {string} userId - Reacting user
+ * @param {string} emoji - Emoji
+ * @returns {Promise<Object>} - { reactions, event } on success, { error, status } otherwise
+ */
+async function toggleReaction(messageId, userId, emoji) {
+    if (typeof emoji !== 'string' || !EMOJI_PATTERN.test(emoji)) {
+        return { error: 'Invalid emoji', status: 400 };
+    }
+
+    const message = await getMessageById(parseInt(messageId, 10) || 0);
+    if (!message) {
+        return { error: 'Message not found', status: 404 };
+    }
+
+    const { error, status } = await resolveRoom(message.roomId, userId, { write: true });
+    if (error) {
+        return { error, status };
+    }
+
+    if (message.recalledAt) {
+        return { error: 'Message has been recalled', status: 409 };
+    }
+
+    const added = await saveReactionToggle(message.id, userId, emoji);
+    const reactions = (await getReactions([message.id])).get(message.id) || [];
+
+    return {
+        reactions,
+        event: {
+            type: 'reaction',
+            roomId: message.roomId,
+            messageId: message.id,
+            userId,
+            emoji,
+            action: added ? 'add' : 'remove',
+            reactions,
+            timestamp: Date.now()
+        }
+    };
+}
+
+module.exports = {
+    EDIT_WINDOW,
+    validateClientId,
+    resolveReply,
+    resolveMedia,
+    saveChatMessage,
+    resolveOwnMessage,
+    editMessage,
+    recallMessage,
+    toggleReaction
+};
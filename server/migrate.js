@@ -0,0 +1,357 @@
+/**
+ * Migration Module
+ * Versioned schema migrations for the chat database
+ *
+ * Migrations live in ./migrations and are named `<version>_<name>.sql` or
+ * `<version>_<name>.js`. Each one runs exactly once, inside its own
+ * transaction, and is recorded in the `schema_migrations` table.
+ *
+ * Usage:
+ *   node migrate.js status          Show applied and pending migrations
+ *   node migrate.js up              Apply all pending migrations
+ *   node migrate.js up --dry-run    Apply pending migrations, then roll back
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+/**
+ * Run a statement that returns no rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<void>}
+ */
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Run a query and return all rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array>}
+ */
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    });
+}
+
+/**
+ * Execute a script containing multiple statements
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL script
+ * @returns {Promise<void>}
+ */
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Read migration files from disk, ordered by version
+ * @returns {Array<Object>} - Migration descriptors
+ */
+function loadMigrations() {
+    if (!fs.existsSync(MIGRATIONS_DIR)) {
+        return [];
+    }
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map((file) => {
+            const match = MIGRATION_FILE_PATTERN.exec(file);
+            if (!match) {
+                return null;
+            }
+
+            const filePath = path.join(MIGRATIONS_DIR, file);
+            const source = fs.readFileSync(filePath, 'utf8');
+
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                kind: match[3],
+                file: file,
+                path: filePath,
+                checksum: crypto.createHash('sha1').update(source).digest('hex'),
+                source: source
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+        }
+    }
+
+    return migrations;
+}
+
+/**
+ * Create the version tracking table if needed
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<void>}
+ */
+function ensureMigrationsTable(db) {
+    return run(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Get the current migration state of a database
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<Object>} - { currentVersion, applied, pending, missing }
+ */
+async function getMigrationStatus(db) {
+    await ensureMigrationsTable(db);
+
+    const migrations = loadMigrations();
+    const rows = await all(db, 'SELECT version, name, checksum, applied_at as appliedAt FROM schema_migrations ORDER BY version');
+    const appliedByVersion = new Map(rows.map(row => [row.version, row]));
+    const known = new Set(migrations.map(m => m.version));
+
+    const applied = migrations
+        .filter(m => appliedByVersion.has(m.version))
+        .map(m => ({
+            version: m.version,
+            name: m.name,
+            appliedAt: appliedByVersion.get(m.version).appliedAt,
+            modified: appliedByVersion.get(m.version).checksum !== m.checksum
+        }));
+
+    const pending = migrations.filter(m => !appliedByVersion.has(m.version));
+
+    // Recorded in the database but no longer on disk
+    const missing = rows.filter(row => !known.has(row.version));
+
+    return {
+        currentVersion: rows.length > 0 ? rows[rows.length - 1].version : 0,
+        applied,
+        pending,
+        missing
+    };
+}
+
+/**
+ * Apply a single migration on the current connection
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Object} migration - Migration descriptor
+ * @returns {Promise<void>}
+ */
+async function applyMigration(db, migration) {
+    if (migration.kind === 'sql') {
+        await exec(db, migration.source);
+    } else {
+        const mod = require(migration.path);
+        if (typeof mod.up !== 'function') {
+            throw new Error(`Migration ${migration.file} does not export up()`);
+        }
+        await mod.up({
+            db,
+            run: (sql, params) => run(db, sql, params),
+            all: (sql, params) => all(db, sql, params),
+            exec: (sql) => exec(db, sql)
+        });
+    }
+
+    await run(db, 'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)', [
+        migration.version,
+        migration.name,
+        migration.checksum
+    ]);
+}
+
+/**
+ * Fail if a migration left dangling foreign key references behind
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Object} migration - Migration descriptor
+ * @returns {Promise<void>}
+ */
+async function checkForeignKeys(db, migration) {
+    const violations = await all(db, 'PRAGMA foreign_key_check');
+    if (violations.length > 0) {
+        throw new Error(`Migration ${migration.file} violates foreign key constraints on ${violations[0].table}`);
+    }
+}
+
+/**
+ * Copy the database aside before touching an existing schema
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} dbPath - Path of the database file
+ * @param {number} currentVersion - Version before upgrading
+ * @returns {Promise<string|null>} - Backup path, or null when skipped
+ */
+async function backupDatabase(db, dbPath, currentVersion) {
+    if (!dbPath || dbPath === ':memory:') {
+        return null;
+    }
+
+    const tables = await all(db, 'SELECT name FROM sqlite_master WHERE type = \'table\' AND name = \'messages\'');
+    if (tables.length === 0) {
+        // Fresh database, nothing worth keeping
+        return null;
+    }
+
+    const backupPath = `${dbPath}.v${currentVersion}-${Date.now()}.bak`;
+    await run(db, 'VACUUM INTO ?', [backupPath]);
+    return backupPath;
+}
+
+/**
+ * Apply all pending migrations in version order
+ *
+ * Foreign key enforcement is switched off while migrating so that table
+ * rebuilds do not cascade, and checked explicitly before each commit.
+ * With `dryRun` every pending migration runs inside one transaction that
+ * is rolled back at the end, which validates them without changing data.
+ *
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @param {string} options.dbPath - Database file, used for the pre-upgrade backup
+ * @returns {Promise<Object>} - { fromVersion, toVersion, applied, backupPath, dryRun }
+ */
+async function runMigrations(db, { dryRun = false, dbPath = null } = {}) {
+    const status = await getMigrationStatus(db);
+    const result = {
+        fromVersion: status.currentVersion,
+        toVersion: status.currentVersion,
+        applied: [],
+        backupPath: null,
+        dryRun
+    };
+
+    status.applied
+        .filter(m => m.modified)
+        .forEach(m => console.warn(`Migration ${m.version}_${m.name} has changed since it was applied`));
+    status.missing
+        .forEach(m => console.warn(`Migration ${m.version}_${m.name} is recorded but its file is missing`));
+
+    if (status.pending.length === 0) {
+        return result;
+    }
+
+    if (!dryRun) {
+        result.backupPath = await backupDatabase(db, dbPath, status.currentVersion);
+        if (result.backupPath) {
+            console.log(`Database backed up to ${result.backupPath}`);
+        }
+    }
+
+    await run(db, 'PRAGMA foreign_keys = OFF');
+
+    try {
+        if (dryRun) {
+            await run(db, 'BEGIN');
+            try {
+                for (const migration of status.pending) {
+                    await applyMigration(db, migration);
+                    await checkForeignKeys(db, migration);
+                    result.applied.push(`${migration.version}_${migration.name}`);
+                    result.toVersion = migration.version;
+                }
+            } finally {
+                await run(db, 'ROLLBACK');
+            }
+            return result;
+        }
+
+        for (const migration of status.pending) {
+            await run(db, 'BEGIN');
+            try {
+                await applyMigration(db, migration);
+                await checkForeignKeys(db, migration);
+                await run(db, 'COMMIT');
+            } catch (err) {
+                await run(db, 'ROLLBACK');
+                err.message = `Migration ${migration.file} failed: ${err.message}`;
+                throw err;
+            }
+
+            console.log(`Applied migration ${migration.version}_${migration.name}`);
+            result.applied.push(`${migration.version}_${migration.name}`);
+            result.toVersion = migration.version;
+        }
+
+        return result;
+    } finally {
+        await run(db, 'PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Command line entry point
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+    // Required lazily: db.js depends on this module
+    const sqlite3 = require('sqlite3');
+    const { DB_PATH } = require('./db');
+
+    const command = args[0] || 'status';
+    const dryRun = args.includes('--dry-run');
+
+    const db = await new Promise((resolve, reject) => {
+        const conn = new sqlite3.Database(DB_PATH, (err) => (err ? reject(err) : resolve(conn)));
+    });
+
+    try {
+        if (command === 'status') {
+            const status = await getMigrationStatus(db);
+            console.log(`Database: ${DB_PATH}`);
+            console.log(`Current version: ${status.currentVersion}`);
+            status.applied.forEach(m => {
+                console.log(`  [applied] ${m.version}_${m.name} (${m.appliedAt})${m.modified ? ' MODIFIED' : ''}`);
+            });
+            status.pending.forEach(m => {
+                console.log(`  [pending] ${m.version}_${m.name}`);
+            });
+            status.missing.forEach(m => {
+                console.log(`  [missing] ${m.version}_${m.name}`);
+            });
+        } else if (command === 'up') {
+            const result = await runMigrations(db, { dryRun, dbPath: DB_PATH });
+            if (result.applied.length === 0) {
+                console.log(`Database is up to date (version ${result.fromVersion})`);
+            } else if (dryRun) {
+                console.log(`Dry run OK: ${result.applied.join(', ')} would upgrade version ${result.fromVersion} -> ${result.toVersion}`);
+            } else {
+                console.log(`Upgraded version ${result.fromVersion} -> ${result.toVersion}`);
+            }
+        } else {
+            throw new Error(`Unknown command: ${command} (expected "status" or "up")`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = {
+    runMigrations,
+    getMigrationStatus,
+    loadMigrations
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -1,9 +1,6 @@
--- SQLite Database Schema for Lynx Chat Application
-
--- Drop existing tables if they exist
-DROP TABLE IF EXISTS messages;
-DROP TABLE IF EXISTS rooms;
-DROP TABLE IF EXISTS users;
+-- Migration 001: initial schema
+-- Baseline tables for Lynx Chat. Everything here is idempotent so that
+-- databases created by the old schema.sql bootstrap can be adopted as-is.
 
 -- Create users table (optional, for user management)
 CREATE TABLE IF NOT EXISTS users (
@@ -48,13 +45,14 @@ CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
 CREATE INDEX IF NOT EXISTS idx_messages_room_timestamp ON messages(room_id, timestamp);
 CREATE INDEX IF NOT EXISTS idx_messages_type ON messages(type);
 
--- Create index for full-text search on content (text messages only)
--- Note: SQLite FTS5 can be used for more advanced full-text search
-
 -- Insert default room
 INSERT OR IGNORE INTO rooms (room_id, name, description)
 VALUES ('default_room', '默认房间', '欢迎来到默认聊天室');
 
--- Sample system message
+-- Welcome message, only for databases that do not have one yet
 INSERT INTO messages (type, room_id, sender_id, timestamp, content)
-VALUES ('system', 'default_room', 'system', strftime('%s', 'now') * 1000, '欢迎来到 Lynx Chat！');
+SELECT 'system', 'default_room', 'system', strftime('%s', 'now') * 1000, '欢迎来到 Lynx Chat！'
+WHERE NOT EXISTS (
+    SELECT 1 FROM messages
+    WHERE room_id = 'default_room' AND type = 'system' AND content = '欢迎来到 Lynx Chat！'
+);
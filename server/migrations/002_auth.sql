@@ -0,0 +1,16 @@
+-- Migration 002: authentication
+-- Password credentials on users plus server-side sessions so that issued
+-- tokens can expire and be revoked.
+
+ALTER TABLE users ADD COLUMN password_hash TEXT;
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    revoked_at INTEGER,
+    user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
@@ -0,0 +1,10 @@
+-- Migration 003: room management
+-- Rooms become first-class records that can be renamed, archived and deleted.
+
+ALTER TABLE rooms ADD COLUMN updated_at DATETIME;
+ALTER TABLE rooms ADD COLUMN archived_at INTEGER;
+
+-- Rooms used to be created implicitly by joining them; register every room
+-- that already has messages so its history stays reachable.
+INSERT OR IGNORE INTO rooms (room_id, name)
+SELECT DISTINCT room_id, room_id FROM messages;
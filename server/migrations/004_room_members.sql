@@ -0,0 +1,20 @@
+-- Migration 004: room membership and roles
+-- Private rooms can only be joined and read by their members; roles decide
+-- who may post and who may manage the room.
+
+ALTER TABLE rooms ADD COLUMN is_private INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS room_members (
+    room_id TEXT NOT NULL REFERENCES rooms(room_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('owner', 'admin', 'member', 'readonly')),
+    invited_by TEXT,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (room_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_members_user_id ON room_members(user_id);
+
+-- Room creators become owners
+INSERT OR IGNORE INTO room_members (room_id, user_id, role)
+SELECT room_id, created_by, 'owner' FROM rooms WHERE created_by IS NOT NULL;
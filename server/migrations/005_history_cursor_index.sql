@@ -0,0 +1,4 @@
+-- Migration 005: cursor pagination index
+-- History is paged by (timestamp, id) within a room.
+
+CREATE INDEX IF NOT EXISTS idx_messages_room_timestamp_id ON messages(room_id, timestamp, id);
@@ -0,0 +1,48 @@
+/**
+ * Migration 006: full-text message search
+ * Creates the FTS5 index and fills it from existing messages. Text is
+ * segmented in JavaScript (see search.js), so rows are indexed by the
+ * application on insert; deletions are handled by a trigger.
+ */
+
+const { tokenizeForIndex, getIndexableText } = require('../search');
+
+const BATCH_SIZE = 500;
+
+async function up({ run, all, exec }) {
+    await exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+            unigrams,
+            bigrams,
+            tokenize = 'unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages
+        BEGIN
+            DELETE FROM messages_fts WHERE rowid = old.id;
+        END;
+    `);
+
+    let lastId = 0;
+    for (;;) {
+        const rows = await all(
+            'SELECT id, type, content, file_name as fileName FROM messages WHERE id > ? ORDER BY id LIMIT ?',
+            [lastId, BATCH_SIZE]
+        );
+        if (rows.length === 0) {
+            break;
+        }
+
+        for (const row of rows) {
+            const text = getIndexableText(row);
+            if (text) {
+                const { unigrams, bigrams } = tokenizeForIndex(text);
+                await run('INSERT INTO messages_fts (rowid, unigrams, bigrams) VALUES (?, ?, ?)', [row.id, unigrams, bigrams]);
+            }
+        }
+
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,15 @@
+-- Migration 007: message editing and recall
+-- Edited messages keep their previous versions in message_edits; recalled
+-- messages stay in place as tombstones so history and cursors are unchanged.
+
+ALTER TABLE messages ADD COLUMN edited_at INTEGER;
+ALTER TABLE messages ADD COLUMN recalled_at INTEGER;
+
+CREATE TABLE IF NOT EXISTS message_edits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    edited_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id, edited_at);
@@ -0,0 +1,8 @@
+-- Migration 008: client-generated message ids
+-- Clients tag each message with their own id so that a retried send is
+-- stored once; the id only has to be unique per sender.
+
+ALTER TABLE messages ADD COLUMN client_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_client_id
+ON messages(sender_id, client_id) WHERE client_id IS NOT NULL;
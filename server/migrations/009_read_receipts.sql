@@ -0,0 +1,14 @@
+-- Migration 009: read receipts
+-- One read cursor per user and room, pointing at the newest message the
+-- user has seen. Cursors use the same (timestamp, id) order as history.
+
+CREATE TABLE IF NOT EXISTS read_receipts (
+    room_id TEXT NOT NULL REFERENCES rooms(room_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    last_read_message_id INTEGER NOT NULL,
+    last_read_timestamp INTEGER NOT NULL,
+    read_at INTEGER NOT NULL,
+    PRIMARY KEY (room_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_read_receipts_user_id ON read_receipts(user_id);
@@ -0,0 +1,11 @@
+-- Migration 010: emoji reactions
+-- One row per user, message and emoji; toggling a reaction inserts or
+-- deletes the row.
+
+CREATE TABLE IF NOT EXISTS reactions (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    emoji TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (message_id, user_id, emoji)
+);
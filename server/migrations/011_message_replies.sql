@@ -0,0 +1,9 @@
+-- Migration 011: quote-replies and threads
+-- A reply points at the message it quotes (reply_to) and at the first
+-- message of its thread (thread_id). Replying to a reply stays in the same
+-- thread, so a thread is every message sharing one thread_id.
+
+ALTER TABLE messages ADD COLUMN reply_to INTEGER REFERENCES messages(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN thread_id INTEGER REFERENCES messages(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread_cursor ON messages(thread_id, timestamp, id);
@@ -0,0 +1,14 @@
+-- Migration 012: @mentions
+-- One row per mentioned user and message, forming that user's mention inbox.
+-- read_at stays NULL until the user has seen the mention.
+
+CREATE TABLE IF NOT EXISTS mentions (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    room_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    read_at INTEGER,
+    PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mentions_user_id ON mentions(user_id, message_id);
@@ -0,0 +1,5 @@
+-- Migration 013: direct (one-to-one) conversations
+-- A direct conversation is a private room with exactly two members whose
+-- room_id is derived from their user ids (see direct.js).
+
+ALTER TABLE rooms ADD COLUMN is_direct INTEGER NOT NULL DEFAULT 0;
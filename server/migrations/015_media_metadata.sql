@@ -0,0 +1,23 @@
+-- Migration 015: media metadata read from the files themselves
+-- Every stored upload gets a media_files row with what probing its content
+-- found (see probe.js and media.js). Media messages copy these values, so
+-- their duration, bitrate, picture size and thumbnail no longer come from
+-- the client.
+
+CREATE TABLE IF NOT EXISTS media_files (
+    path TEXT PRIMARY KEY,
+    user_id TEXT,
+    type TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    duration REAL,
+    bitrate INTEGER,
+    width INTEGER,
+    height INTEGER,
+    thumbnail TEXT,
+    created_at INTEGER NOT NULL
+);
+
+ALTER TABLE messages ADD COLUMN bitrate INTEGER;
+ALTER TABLE messages ADD COLUMN width INTEGER;
+ALTER TABLE messages ADD COLUMN height INTEGER;
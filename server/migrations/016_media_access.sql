@@ -0,0 +1,9 @@
+-- Migration 016: media access checks
+-- Files under /uploads are only served to users who can read a room the
+-- file was posted in (or to whoever uploaded it), so the messages that
+-- reference a file or its thumbnail must be found quickly. Only messages
+-- with a file carry a file_size.
+
+CREATE INDEX IF NOT EXISTS idx_messages_file_content ON messages(content) WHERE file_size IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_thumbnail ON messages(thumbnail) WHERE thumbnail IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_media_files_thumbnail ON media_files(thumbnail) WHERE thumbnail IS NOT NULL;
@@ -0,0 +1,62 @@
+-- Migration 017: image and file messages
+-- The type CHECK constraint of messages cannot be altered in place, so the
+-- table is rebuilt with `image` and `file` added, keeping every row, its id
+-- and the AUTOINCREMENT counter. Foreign keys are not enforced while
+-- migrating, so the tables referencing messages keep their rows. Indexes
+-- and the search trigger go with the old table and are created again.
+
+CREATE TABLE messages_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL CHECK(type IN ('text', 'audio', 'video', 'image', 'file', 'system')),
+    room_id TEXT NOT NULL,
+    sender_id TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    file_name TEXT,
+    file_size INTEGER,
+    duration INTEGER,
+    thumbnail TEXT,
+    mime_type TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    edited_at INTEGER,
+    recalled_at INTEGER,
+    client_id TEXT,
+    reply_to INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    thread_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    bitrate INTEGER,
+    width INTEGER,
+    height INTEGER
+);
+
+INSERT INTO sqlite_sequence (name, seq)
+SELECT 'messages_new', seq FROM sqlite_sequence WHERE name = 'messages';
+
+INSERT INTO messages_new (
+    id, type, room_id, sender_id, timestamp, content, file_name, file_size,
+    duration, thumbnail, mime_type, created_at, edited_at, recalled_at,
+    client_id, reply_to, thread_id, bitrate, width, height
+)
+SELECT
+    id, type, room_id, sender_id, timestamp, content, file_name, file_size,
+    duration, thumbnail, mime_type, created_at, edited_at, recalled_at,
+    client_id, reply_to, thread_id, bitrate, width, height
+FROM messages;
+
+DROP TABLE messages;
+ALTER TABLE messages_new RENAME TO messages;
+
+CREATE INDEX idx_messages_room_id ON messages(room_id);
+CREATE INDEX idx_messages_sender_id ON messages(sender_id);
+CREATE INDEX idx_messages_timestamp ON messages(timestamp);
+CREATE INDEX idx_messages_room_timestamp ON messages(room_id, timestamp);
+CREATE INDEX idx_messages_type ON messages(type);
+CREATE INDEX idx_messages_room_timestamp_id ON messages(room_id, timestamp, id);
+CREATE UNIQUE INDEX idx_messages_sender_client_id ON messages(sender_id, client_id) WHERE client_id IS NOT NULL;
+CREATE INDEX idx_messages_thread_cursor ON messages(thread_id, timestamp, id);
+CREATE INDEX idx_messages_file_content ON messages(content) WHERE file_size IS NOT NULL;
+CREATE INDEX idx_messages_thumbnail ON messages(thumbnail) WHERE thumbnail IS NOT NULL;
+
+CREATE TRIGGER messages_fts_delete AFTER DELETE ON messages
+BEGIN
+    DELETE FROM messages_fts WHERE rowid = old.id;
+END;
@@ -0,0 +1,60 @@
+-- Migration 018: upload storage lifecycle
+-- Stored files are deduplicated by the SHA-256 of their content, so one
+-- media_files row may stand for several uploads: file_uploads records who
+-- uploaded a file for which room, which is what storage quotas count and
+-- what lets an uploader download their file before posting it.
+-- message_files records the files (and thumbnails) each message references;
+-- rows go with their message, so deleted, recalled and cleared messages
+-- release their files and unreferenced files can be swept from disk once
+-- their grace period has passed, counted from the upload or from the
+-- moment the last reference went away (released_at). message_files
+-- replaces the indexes on messages used to find those references.
+
+ALTER TABLE media_files ADD COLUMN sha256 TEXT;
+ALTER TABLE media_files ADD COLUMN released_at INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_media_files_sha256 ON media_files(sha256) WHERE sha256 IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS file_uploads (
+    path TEXT NOT NULL REFERENCES media_files(path) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    room_id TEXT NOT NULL,
+    uploaded_at INTEGER NOT NULL,
+    PRIMARY KEY (path, user_id, room_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_uploads_user ON file_uploads(user_id);
+CREATE INDEX IF NOT EXISTS idx_file_uploads_room ON file_uploads(room_id);
+
+-- Files posted before: the sender of the first message is the uploader
+INSERT OR IGNORE INTO file_uploads (path, user_id, room_id, uploaded_at)
+SELECT f.path, m.sender_id, m.room_id, f.created_at
+FROM media_files f
+JOIN messages m ON m.content = f.path AND m.file_size IS NOT NULL
+WHERE f.user_id IS NULL OR f.user_id = m.sender_id;
+
+CREATE TABLE IF NOT EXISTS message_files (
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    path TEXT NOT NULL,
+    PRIMARY KEY (message_id, path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_files_path ON message_files(path);
+
+CREATE TRIGGER IF NOT EXISTS message_files_release AFTER DELETE ON message_files
+BEGIN
+    UPDATE media_files
+    SET released_at = CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)
+    WHERE path = old.path;
+END;
+
+INSERT OR IGNORE INTO message_files (message_id, path)
+SELECT id, content FROM messages
+WHERE file_size IS NOT NULL AND recalled_at IS NULL;
+
+INSERT OR IGNORE INTO message_files (message_id, path)
+SELECT id, thumbnail FROM messages
+WHERE thumbnail IS NOT NULL AND recalled_at IS NULL;
+
+DROP INDEX IF EXISTS idx_messages_file_content;
+DROP INDEX IF EXISTS idx_messages_thumbnail;
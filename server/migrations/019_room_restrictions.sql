@@ -0,0 +1,16 @@
+-- Migration 019: room restrictions
+-- Anyone can use a public room without being a member, so a read-only role
+-- or a removal must outlive the membership: read-only members who leave
+-- stay read-only when they come back, and removed members stay out until
+-- they are invited again.
+
+CREATE TABLE IF NOT EXISTS room_restrictions (
+    room_id TEXT NOT NULL REFERENCES rooms(room_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    restriction TEXT NOT NULL CHECK(restriction IN ('readonly', 'banned')),
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (room_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_restrictions_user_id ON room_restrictions(user_id);
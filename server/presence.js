@@ -0,0 +1,324 @@
+/**
+ * Presence Module
+ * Tracks who is online, away or offline and who is typing in which room
+ *
+ * A user is connected while they have an open WebSocket, or while their
+ * HTTP polling requests keep arriving. Connected users are `online` until
+ * they have been inactive (no messages, typing or reads) for AWAY_AFTER,
+ * or until their client reports them away; then they are `away`. Everyone
+ * else is `offline`.
+ *
+ * Changes are emitted on `presenceEvents` ('presence' and 'typing' events)
+ * so that the WebSocket server and the polling API can deliver them.
+ */
+
+const { EventEmitter } = require('events');
+
+const { updateLastSeen } = require('./db');
+
+// Configuration
+const AWAY_AFTER = parseInt(process.env.PRESENCE_AWAY_AFTER, 10) || 5 * 60 * 1000; // 5 minutes
+const POLL_TIMEOUT = 40 * 1000; // Longer than a long-poll request is held open
+const SWEEP_INTERVAL = 10 * 1000;
+const TYPING_THROTTLE = 3 * 1000; // Repeated "start" events are forwarded at most this often
+const TYPING_TIMEOUT = 6 * 1000; // Typing stops by itself without a fresh "start"
+
+const STATUSES = ['online', 'away', 'offline'];
+
+const presenceEvents = new EventEmitter();
+
+// userId -> { sockets, lastHeartbeat, lastActiveAt, away, status, lastSeen, rooms }
+const users = new Map();
+
+// `${roomId}\n${userId}` -> { roomId, userId, sentAt, timer }
+const typing = new Map();
+
+/**
+ * Get the tracked state of a user, creating it if needed
+ * @param {string} userId - User ID
+ * @returns {Object} - Presence state
+ */
+function getState(userId) {
+    let state = users.get(userId);
+    if (!state) {
+        state = {
+            sockets: 0,
+            lastHeartbeat: 0,
+            lastActiveAt: 0,
+            away: false,
+            status: 'offline',
+            lastSeen: null,
+            rooms: new Set()
+        };
+        users.set(userId, state);
+    }
+    return state;
+}
+
+/**
+ * Work out a user's status from their connections and activity
+ * @param {Object} state - Presence state
+ * @param {number} now - Current time
+ * @returns {string} - 'online', 'away' or 'offline'
+ */
+function deriveStatus(state, now) {
+    const connected = state.sockets > 0 || now - state.lastHeartbeat < POLL_TIMEOUT;
+    if (!connected) {
+        return 'offline';
+    }
+    if (state.away || now - state.lastActiveAt > AWAY_AFTER) {
+        return 'away';
+    }
+    return 'online';
+}
+
+/**
+ * Recompute a user's status and announce it if it changed
+ * @param {string} userId - User ID
+ */
+function refresh(userId) {
+    const state = getState(userId);
+    const now = Date.now();
+    const status = deriveStatus(state, now);
+
+    if (status === state.status) {
+        return;
+    }
+
+    state.status = status;
+    state.lastSeen = now;
+
+    updateLastSeen(userId, now).catch(() => {}); // Logged by updateLastSeen
+
+    if (status === 'offline') {
+        stopTypingEverywhere(userId);
+    }
+
+    presenceEvents.emit('presence', {
+        type: 'presence',
+        userId,
+        status,
+        lastSeen: now,
+        rooms: Array.from(state.rooms),
+        timestamp: now
+    });
+}
+
+/**
+ * Register an open WebSocket connection
+ * @param {string} userId - User ID
+ */
+function connect(userId) {
+    const state = getState(userId);
+    state.sockets++;
+    state.lastHeartbeat = Date.now();
+    state.lastActiveAt = Date.now();
+    state.away = false;
+    refresh(userId);
+}
+
+/**
+ * Register a closed WebSocket connection
+ * @param {string} userId - User ID
+ */
+function disconnect(userId) {
+    const state = getState(userId);
+    state.sockets = Math.max(0, state.sockets - 1);
+    if (state.sockets === 0) {
+        // Do not let an earlier HTTP heartbeat keep the user online
+        state.lastHeartbeat = 0;
+    }
+    refresh(userId);
+}
+
+/**
+ * Record a sign of life that is not user activity (pong, poll request)
+ * @param {string} userId - User ID
+ */
+function heartbeat(userId) {
+    const state = getState(userId);
+    if (state.lastActiveAt === 0) {
+        state.lastActiveAt = Date.now();
+    }
+    state.lastHeartbeat = Date.now();
+    refresh(userId);
+}
+
+/**
+ * Record user activity (sending, typing, reading)
+ * @param {string} userId - User ID
+ */
+function markActive(userId) {
+    const state = getState(userId);
+    state.lastHeartbeat = Date.now();
+    state.lastActiveAt = Date.now();
+    state.away = false;
+    refresh(userId);
+}
+
+/**
+ * Set or clear the away flag reported by a client (e.g. app in background)
+ * @param {string} userId - User ID
+ * @param {boolean} away - Whether the user is away
+ */
+function setAway(userId, away) {
+    const state = getState(userId);
+    state.away = away;
+    if (!away) {
+        state.lastActiveAt = Date.now();
+    }
+    refresh(userId);
+}
+
+/**
+ * Remember that a user is in a room, so presence changes reach that room
+ * @param {string} userId - User ID
+ * @param {string} roomId - Room ID
+ */
+function enterRoom(userId, roomId) {
+    const state = getState(userId);
+    if (state.rooms.has(roomId)) {
+        return;
+    }
+
+    state.rooms.add(roomId);
+
+    // The user usually came online before joining, tell the room now
+    if (state.status !== 'offline') {
+        presenceEvents.emit('presence', {
+            type: 'presence',
+            userId,
+            status: state.status,
+            lastSeen: Date.now(),
+            rooms: [roomId],
+            timestamp: Date.now()
+        });
+    }
+}
+
+/**
+ * Forget that a user is in a room
+ * @param {string} userId - User ID
+ * @param {string} roomId - Room ID
+ */
+function exitRoom(userId, roomId) {
+    getState(userId).rooms.delete(roomId);
+    setTyping(roomId, userId, false);
+}
+
+/**
+ * Get a user's current presence
+ * @param {string} userId - User ID
+ * @returns {Object} - { status, lastSeen } (lastSeen is null if not seen since start)
+ */
+function getPresence(userId) {
+    const state = users.get(userId);
+    if (!state) {
+        return { status: 'offline', lastSeen: null };
+    }
+    return {
+        status: state.status,
+        lastSeen: state.status === 'offline' ? state.lastSeen : Date.now()
+    };
+}
+
+/**
+ * Update a user's typing state in a room
+ * A "start" is forwarded when typing begins and then at most every
+ * TYPING_THROTTLE while it continues; typing stops by itself after
+ * TYPING_TIMEOUT without a new "start".
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {boolean} isTyping - true for start, false for stop
+ */
+function setTyping(roomId, userId, isTyping) {
+    const key = `${roomId}\n${userId}`;
+    const current = typing.get(key);
+    const now = Date.now();
+
+    if (!isTyping) {
+        if (current) {
+            clearTimeout(current.timer);
+            typing.delete(key);
+            emitTyping(roomId, userId, false);
+        }
+        return;
+    }
+
+    const entry = current || { roomId, userId, sentAt: 0, timer: null };
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => setTyping(roomId, userId, false), TYPING_TIMEOUT);
+    entry.timer.unref();
+    typing.set(key, entry);
+
+    if (now - entry.sentAt >= TYPING_THROTTLE) {
+        entry.sentAt = now;
+        emitTyping(roomId, userId, true);
+    }
+}
+
+/**
+ * Stop every typing indicator of a user
+ * @param {string} userId - User ID
+ */
+function stopTypingEverywhere(userId) {
+    Array.from(typing.values())
+        .filter(entry => entry.userId === userId)
+        .forEach(entry => setTyping(entry.roomId, userId, false));
+}
+
+/**
+ * Announce a typing change
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {boolean} isTyping - Whether the user is typing
+ */
+function emitTyping(roomId, userId, isTyping) {
+    presenceEvents.emit('typing', {
+        type: 'typing',
+        roomId,
+        userId,
+        state: isTyping ? 'start' : 'stop',
+        expiresIn: isTyping ? TYPING_TIMEOUT : 0,
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Get the users currently typing in a room
+ * @param {string} roomId - Room ID
+ * @returns {Array<string>} - User IDs
+ */
+function getTypingUsers(roomId) {
+    return Array.from(typing.values())
+        .filter(entry => entry.roomId === roomId)
+        .map(entry => entry.userId);
+}
+
+/**
+ * Periodically turn idle users away and silent pollers offline
+ * @returns {NodeJS.Timeout} - Interval timer
+ */
+function startPresenceSweep() {
+    const timer = setInterval(() => {
+        users.forEach((state, userId) => refresh(userId));
+    }, SWEEP_INTERVAL);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    STATUSES,
+    presenceEvents,
+    connect,
+    disconnect,
+    heartbeat,
+    markActive,
+    setAway,
+    enterRoom,
+    exitRoom,
+    getPresence,
+    setTyping,
+    getTypingUsers,
+    startPresenceSweep
+};
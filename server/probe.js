@@ -0,0 +1,868 @@
+/**
+ * Media Probe Module
+ * Recognizes uploaded audio and video files by their content and reads their
+ * duration, bitrate and picture size from the container headers
+ *
+ * Supported: MP3 (MPEG layer III, with Xing/Info/VBRI headers for VBR
+ * files), AAC in ADTS frames, WAV, MP4/M4A/MOV and WebM/Matroska. Only the
+ * headers are read, never whole files. Values that cannot be worked out
+ * without decoding (e.g. a WebM file recorded without a Duration) are null.
+ *
+ * No frame is ever decoded, so video posters are limited to cover art
+ * embedded in the file; audio gets its embedded cover art (ID3 APIC, MP4
+ * `covr`) or, for PCM WAV files, a waveform drawn from the samples.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Configuration
+const SNIFF_LENGTH = 64 * 1024; // Bytes searched for the first audio frame
+const SCAN_LENGTH = 1024 * 1024; // Bytes of ADTS frames / EBML headers read
+const MAX_MOOV_SIZE = 16 * 1024 * 1024;
+const MAX_ARTWORK_SIZE = 2 * 1024 * 1024;
+const WAVEFORM_BARS = 60;
+const WAVEFORM_WIDTH = WAVEFORM_BARS * 4;
+const WAVEFORM_HEIGHT = 48;
+const WAVEFORM_WINDOW = 4096; // Bytes read per bar
+const WAVEFORM_COLOR = [0x8e, 0x8e, 0x93];
+
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG-1
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] // MPEG-2 and 2.5
+};
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG-1
+    2: [22050, 24000, 16000], // MPEG-2
+    0: [11025, 12000, 8000] // MPEG-2.5
+};
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// EBML element IDs used by WebM / Matroska
+const EBML = {
+    header: 0x1a45dfa3,
+    docType: 0x4282,
+    segment: 0x18538067,
+    info: 0x1549a966,
+    timecodeScale: 0x2ad7b1,
+    duration: 0x4489,
+    tracks: 0x1654ae6b,
+    trackEntry: 0xae,
+    trackType: 0x83,
+    video: 0xe0,
+    pixelWidth: 0xb0,
+    pixelHeight: 0xba,
+    cluster: 0x1f43b675
+};
+
+// MP4 boxes whose children are boxes
+const MP4_CONTAINERS = ['moov', 'trak', 'mdia', 'udta', 'meta', 'ilst', 'covr'];
+
+/**
+ * Read part of an open file
+ * @param {FileHandle} file - Open file
+ * @param {number} position - Offset in bytes
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} - Bytes read, shorter at the end of the file
+ */
+async function readAt(file, position, length) {
+    const buffer = Buffer.alloc(Math.max(0, length));
+    const { bytesRead } = await file.read(buffer, 0, buffer.length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Round a duration to milliseconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {number|null} - Rounded duration, or null if unknown
+ */
+function roundDuration(seconds) {
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) / 1000 : null;
+}
+
+/**
+ * Work out the bitrate from the size and duration of a stream
+ * @param {number} bytes - Stream size
+ * @param {number|null} duration - Duration in seconds
+ * @returns {number|null} - Bits per second
+ */
+function averageBitrate(bytes, duration) {
+    return duration ? Math.round(bytes * 8 / duration) : null;
+}
+
+// ============ MP3 / AAC ============
+
+/**
+ * Get the total size of the ID3v2 tags at the start of a file
+ * @param {FileHandle} file - Open file
+ * @returns {Promise<number>} - Bytes taken by the tags
+ */
+async function readId3Length(file) {
+    let offset = 0;
+    for (;;) {
+        const header = await readAt(file, offset, 10);
+        if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+            return offset;
+        }
+        const size = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+        const footer = header[5] & 0x10 ? 10 : 0;
+        offset += 10 + size + footer;
+    }
+}
+
+/**
+ * Parse an MPEG audio layer III frame header
+ * @param {Buffer} buffer - Bytes
+ * @param {number} offset - Where the header starts
+ * @returns {Object|null} - Frame details, or null if there is no header there
+ */
+function parseMp3Header(buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+        return null;
+    }
+
+    const version = (buffer[offset + 1] >> 3) & 3;
+    const layer = (buffer[offset + 1] >> 1) & 3;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 3;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const mpeg1 = version === 3;
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (buffer[offset + 2] >> 1) & 1;
+    const mono = buffer[offset + 3] >> 6 === 3;
+
+    return {
+        bitrate,
+        sampleRate,
+        samplesPerFrame: mpeg1 ? 1152 : 576,
+        length: Math.floor((mpeg1 ? 144 : 72) * bitrate / sampleRate) + padding,
+        sideInfoLength: mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+    };
+}
+
+/**
+ * Parse an ADTS (AAC) frame header
+ * @param {Buffer} buffer - Bytes
+ * @param {number} offset - Where the header starts
+ * @returns {Object|null} - Frame details, or null if there is no header there
+ */
+function parseAdtsHeader(buffer, offset) {
+    if (offset + 7 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xf6) !== 0xf0) {
+        return null;
+    }
+
+    const sampleRate = ADTS_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0f];
+    const length = ((buffer[offset + 3] & 3) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+    if (!sampleRate || length < 7) {
+        return null;
+    }
+
+    return { sampleRate, length, samples: ((buffer[offset + 6] & 3) + 1) * 1024 };
+}
+
+/**
+ * Find the first audio frame, checking that another frame follows it
+ * @param {Buffer} buffer - Bytes following the ID3 tags
+ * @param {boolean} tagged - The file has ID3 tags; some writers pad them, so
+ *     the frame is looked for further on. Otherwise it must start the file.
+ * @returns {Object|null} - { format, offset, header }
+ */
+function findAudioFrame(buffer, tagged) {
+    const last = tagged ? buffer.length - 8 : 1;
+    for (let offset = 0; offset < last; offset++) {
+        if (buffer[offset] !== 0xff) {
+            continue;
+        }
+
+        const mp3 = parseMp3Header(buffer, offset);
+        if (mp3 && (offset + mp3.length + 4 > buffer.length || parseMp3Header(buffer, offset + mp3.length))) {
+            return { format: 'mp3', offset, header: mp3 };
+        }
+
+        const adts = parseAdtsHeader(buffer, offset);
+        if (adts && (offset + adts.length + 7 > buffer.length || parseAdtsHeader(buffer, offset + adts.length))) {
+            return { format: 'aac', offset, header: adts };
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the cover picture of an ID3v2.3 / 2.4 tag (APIC frame)
+ * @param {Buffer} buffer - The tag
+ * @returns {Object|null} - { data, ext }
+ */
+function readId3Artwork(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+        return null;
+    }
+
+    const version = buffer[3];
+    const unsynchronised = buffer[5] & 0x80;
+    if ((version !== 3 && version !== 4) || unsynchronised) {
+        return null;
+    }
+
+    const end = buffer.length;
+    let offset = 10;
+    if (buffer[5] & 0x40) {
+        // Skip the extended header
+        offset += version === 4
+            ? (buffer[10] << 21) | (buffer[11] << 14) | (buffer[12] << 7) | buffer[13]
+            : buffer.readUInt32BE(10) + 4;
+    }
+
+    while (offset + 10 <= end && buffer[offset] !== 0) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = version === 4
+            ? (buffer[offset + 4] << 21) | (buffer[offset + 5] << 14) | (buffer[offset + 6] << 7) | buffer[offset + 7]
+            : buffer.readUInt32BE(offset + 4);
+        const body = buffer.subarray(offset + 10, Math.min(end, offset + 10 + size));
+        offset += 10 + size;
+
+        if (id !== 'APIC' || body.length < 4) {
+            continue;
+        }
+
+        const encoding = body[0];
+        const mimeEnd = body.indexOf(0, 1);
+        let dataStart = mimeEnd + 2; // Skip the picture type
+        if (encoding === 1 || encoding === 2) {
+            // UTF-16 description, ends with a double zero on an even offset
+            while (dataStart + 1 < body.length && (body[dataStart] || body[dataStart + 1])) {
+                dataStart += 2;
+            }
+            dataStart += 2;
+        } else {
+            dataStart = body.indexOf(0, dataStart) + 1;
+        }
+
+        return imageArtwork(body.subarray(dataStart));
+    }
+    return null;
+}
+
+/**
+ * Probe an MP3 or AAC (ADTS) file
+ * @param {FileHandle} file - Open file
+ * @param {number} fileSize - File size
+ * @param {number} tags - Size of the ID3v2 tags
+ * @returns {Promise<Object|null>} - Probe result
+ */
+async function probeMpegAudio(file, fileSize, tags) {
+    const audio = await readAt(file, tags, SNIFF_LENGTH);
+    const frame = findAudioFrame(audio, tags > 0);
+    if (!frame) {
+        return null;
+    }
+
+    const tail = await readAt(file, Math.max(0, fileSize - 128), 128);
+    const id3v1 = tail.length === 128 && tail.toString('latin1', 0, 3) === 'TAG' ? 128 : 0;
+    const audioBytes = fileSize - tags - frame.offset - id3v1;
+    let duration;
+
+    if (frame.format === 'mp3') {
+        const { header } = frame;
+        const xing = frame.offset + 4 + header.sideInfoLength;
+        const vbri = frame.offset + 4 + 32;
+        let frames = null;
+
+        if (['Xing', 'Info'].includes(audio.toString('latin1', xing, xing + 4)) && audio[xing + 7] & 1) {
+            frames = audio.readUInt32BE(xing + 8);
+        } else if (audio.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+            frames = audio.readUInt32BE(vbri + 14);
+        }
+
+        duration = frames
+            ? frames * header.samplesPerFrame / header.sampleRate
+            : audioBytes * 8 / header.bitrate;
+    } else {
+        // ADTS has no index: time the frames at the start and extrapolate
+        const scan = await readAt(file, tags + frame.offset, SCAN_LENGTH);
+        let offset = 0;
+        let seconds = 0;
+        let header;
+        while ((header = parseAdtsHeader(scan, offset)) && offset + header.length <= scan.length) {
+            seconds += header.samples / header.sampleRate;
+            offset += header.length;
+        }
+        duration = offset ? seconds * audioBytes / offset : null;
+    }
+
+    duration = roundDuration(duration);
+    const artwork = tags > 0 && tags <= MAX_ARTWORK_SIZE + SNIFF_LENGTH
+        ? readId3Artwork(await readAt(file, 0, tags))
+        : null;
+
+    return {
+        format: frame.format,
+        type: 'audio',
+        mimeType: frame.format === 'mp3' ? 'audio/mpeg' : 'audio/aac',
+        ext: frame.format,
+        duration,
+        bitrate: averageBitrate(audioBytes, duration),
+        artwork
+    };
+}
+
+// ============ WAV ============
+
+/**
+ * Probe a WAV file, drawing a waveform for PCM samples
+ * @param {FileHandle} file - Open file
+ * @param {number} fileSize - File size
+ * @returns {Promise<Object|null>} - Probe result
+ */
+async function probeWav(file, fileSize) {
+    let offset = 12;
+    let format = null;
+    let data = null;
+
+    while (offset + 8 <= fileSize && !(format && data)) {
+        const header = await readAt(file, offset, 8);
+        if (header.length < 8) {
+            break;
+        }
+
+        const id = header.toString('latin1', 0, 4);
+        let size = header.readUInt32LE(4);
+        if (id === 'fmt ') {
+            const fmt = await readAt(file, offset + 8, 16);
+            if (fmt.length < 16) {
+                return null;
+            }
+            format = {
+                audioFormat: fmt.readUInt16LE(0),
+                channels: fmt.readUInt16LE(2),
+                byteRate: fmt.readUInt32LE(8),
+                blockAlign: fmt.readUInt16LE(12),
+                bitsPerSample: fmt.readUInt16LE(14)
+            };
+        } else if (id === 'data') {
+            // Streaming writers leave the size at 0 or 0xFFFFFFFF
+            if (size === 0 || size === 0xffffffff || offset + 8 + size > fileSize) {
+                size = fileSize - offset - 8;
+            }
+            data = { offset: offset + 8, size };
+        }
+        offset += 8 + size + (size & 1);
+    }
+
+    if (!format || !data || !format.byteRate) {
+        return null;
+    }
+
+    const duration = roundDuration(data.size / format.byteRate);
+    const pcm = (format.audioFormat === 1 || format.audioFormat === 0xfffe)
+        && (format.bitsPerSample === 8 || format.bitsPerSample === 16);
+
+    return {
+        format: 'wav',
+        type: 'audio',
+        mimeType: 'audio/wav',
+        ext: 'wav',
+        duration,
+        bitrate: format.byteRate * 8,
+        waveform: pcm ? await readWaveform(file, data, format) : null
+    };
+}
+
+/**
+ * Sample the loudness of a PCM stream for a waveform
+ * @param {FileHandle} file - Open file
+ * @param {Object} data - { offset, size } of the samples
+ * @param {Object} format - WAV format
+ * @returns {Promise<Array<number>>} - Peaks between 0 and 1, one per bar
+ */
+async function readWaveform(file, data, format) {
+    const bytesPerSample = format.bitsPerSample / 8;
+    const step = format.blockAlign || bytesPerSample * format.channels;
+    const peaks = [];
+
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+        const start = data.offset + Math.floor(data.size * bar / WAVEFORM_BARS / step) * step;
+        const window = await readAt(file, start, Math.min(WAVEFORM_WINDOW, Math.floor(data.size / WAVEFORM_BARS)));
+        let peak = 0;
+        for (let i = 0; i + bytesPerSample <= window.length; i += step) {
+            const sample = bytesPerSample === 1
+                ? (window[i] - 128) / 128
+                : window.readInt16LE(i) / 32768;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        peaks.push(peak);
+    }
+    return peaks;
+}
+
+// ============ MP4 ============
+
+/**
+ * List the boxes in a buffer
+ * @param {Buffer} buffer - Box contents
+ * @returns {Array<Object>} - { type, data }
+ */
+function readBoxes(buffer) {
+    const boxes = [];
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1 && offset + 16 <= buffer.length) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = buffer.length - offset;
+        }
+        if (size < headerSize) {
+            break;
+        }
+        boxes.push({ type, data: buffer.subarray(offset + headerSize, Math.min(buffer.length, offset + size)) });
+        offset += size;
+    }
+    return boxes;
+}
+
+/**
+ * Walk the box tree of a `moov` box
+ * @param {Buffer} buffer - Box contents
+ * @param {Function} visit - Called with (type, data, parents)
+ * @param {Array<string>} parents - Types of the enclosing boxes
+ */
+function walkBoxes(buffer, visit, parents = []) {
+    readBoxes(buffer).forEach(({ type, data }) => {
+        visit(type, data, parents);
+        if (MP4_CONTAINERS.includes(type)) {
+            // ISO `meta` is a full box: version and flags come before its children
+            const children = type === 'meta' && data.length >= 8 && data.readUInt32BE(0) === 0 ? data.subarray(4) : data;
+            walkBoxes(children, visit, [...parents, type]);
+        }
+    });
+}
+
+/**
+ * Find the top-level `moov` box of an MP4 file (it may come after the media data)
+ * @param {FileHandle} file - Open file
+ * @param {number} fileSize - File size
+ * @returns {Promise<Buffer|null>} - Contents of the box
+ */
+async function readMoov(file, fileSize) {
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        const header = await readAt(file, offset, 16);
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1 && header.length === 16) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize) {
+            return null;
+        }
+        if (header.toString('latin1', 4, 8) === 'moov') {
+            return size <= MAX_MOOV_SIZE ? readAt(file, offset + headerSize, size - headerSize) : null;
+        }
+        offset += size;
+    }
+    return null;
+}
+
+/**
+ * Probe an MP4 / M4A / MOV file
+ * @param {FileHandle} file - Open file
+ * @param {number} fileSize - File size
+ * @param {Buffer} head - Start of the file
+ * @returns {Promise<Object|null>} - Probe result
+ */
+async function probeMp4(file, fileSize, head) {
+    const moov = await readMoov(file, fileSize);
+    if (!moov) {
+        return null;
+    }
+
+    let duration = null;
+    let width = null;
+    let height = null;
+    let trackSize = null;
+    let hasVideo = false;
+    let artwork = null;
+
+    walkBoxes(moov, (type, data, parents) => {
+        if (type === 'mvhd' && data.length >= 32) {
+            const v1 = data[0] === 1;
+            const timescale = data.readUInt32BE(v1 ? 20 : 12);
+            const units = v1 ? Number(data.readBigUInt64BE(24)) : data.readUInt32BE(16);
+            duration = timescale ? units / timescale : null;
+        } else if (type === 'tkhd' && data.length >= 84) {
+            trackSize = [data.readUInt32BE(data.length - 8) / 65536, data.readUInt32BE(data.length - 4) / 65536];
+        } else if (type === 'hdlr' && parents[parents.length - 1] === 'mdia' && data.length >= 12) {
+            if (data.toString('latin1', 8, 12) === 'vide' && trackSize && trackSize[0] > 0) {
+                hasVideo = true;
+                width = width || Math.round(trackSize[0]);
+                height = height || Math.round(trackSize[1]);
+            }
+        } else if (type === 'data' && parents[parents.length - 1] === 'covr' && !artwork && data.length > 8) {
+            artwork = imageArtwork(data.subarray(8));
+        }
+    });
+
+    duration = roundDuration(duration);
+    const quicktime = head.toString('latin1', 8, 12) === 'qt  ';
+    let mimeType = hasVideo ? 'video/mp4' : 'audio/mp4';
+    if (quicktime) {
+        mimeType = 'video/quicktime';
+    }
+
+    return {
+        format: 'mp4',
+        type: hasVideo ? 'video' : 'audio',
+        mimeType,
+        ext: quicktime ? 'mov' : (hasVideo ? 'mp4' : 'm4a'),
+        duration,
+        bitrate: averageBitrate(fileSize, duration),
+        width,
+        height,
+        artwork
+    };
+}
+
+// ============ WebM / Matroska ============
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Bytes
+ * @param {number} offset - Where it starts
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs do)
+ * @returns {Object|null} - { value, length }; value is -1 for an unknown size
+ */
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) {
+        return null;
+    }
+
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) {
+        length++;
+    }
+    if (offset + length > buffer.length) {
+        return null;
+    }
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let unknown = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        unknown = unknown && buffer[offset + i] === 0xff;
+    }
+    return { value: !keepMarker && unknown ? -1 : value, length };
+}
+
+/**
+ * List the EBML elements in a buffer
+ * @param {Buffer} buffer - Element contents
+ * @returns {Array<Object>} - { id, data }; elements of unknown size run to the end
+ */
+function readElements(buffer) {
+    const elements = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        const id = readVint(buffer, offset, true);
+        const size = id && readVint(buffer, offset + id.length, false);
+        if (!size) {
+            break;
+        }
+        const start = offset + id.length + size.length;
+        const end = size.value === -1 ? buffer.length : Math.min(buffer.length, start + size.value);
+        elements.push({ id: id.value, data: buffer.subarray(start, end) });
+        if (id.value === EBML.cluster) {
+            break; // Media data follows, the headers are behind us
+        }
+        offset = end;
+    }
+    return elements;
+}
+
+/**
+ * Read an EBML unsigned integer
+ * @param {Buffer} data - Element contents
+ * @returns {number} - Value
+ */
+function readUint(data) {
+    return data.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Probe a WebM / Matroska file from the headers at its start
+ * @param {FileHandle} file - Open file
+ * @param {number} fileSize - File size
+ * @returns {Promise<Object|null>} - Probe result
+ */
+async function probeWebm(file, fileSize) {
+    const buffer = await readAt(file, 0, SCAN_LENGTH);
+    const [header, ...rest] = readElements(buffer);
+    if (!header || header.id !== EBML.header) {
+        return null;
+    }
+
+    const docTypeElement = readElements(header.data).find(e => e.id === EBML.docType);
+    const docType = docTypeElement ? docTypeElement.data.toString('latin1').replace(/\0+$/, '') : 'matroska';
+    const segment = rest.find(e => e.id === EBML.segment);
+
+    let timecodeScale = 1000000;
+    let rawDuration = null;
+    let hasVideo = false;
+    let width = null;
+    let height = null;
+
+    readElements(segment ? segment.data : Buffer.alloc(0)).forEach((element) => {
+        if (element.id === EBML.info) {
+            readElements(element.data).forEach((e) => {
+                if (e.id === EBML.timecodeScale) {
+                    timecodeScale = readUint(e.data);
+                } else if (e.id === EBML.duration && (e.data.length === 4 || e.data.length === 8)) {
+                    rawDuration = e.data.length === 4 ? e.data.readFloatBE(0) : e.data.readDoubleBE(0);
+                }
+            });
+        } else if (element.id === EBML.tracks) {
+            readElements(element.data)
+                .filter(e => e.id === EBML.trackEntry)
+                .forEach((entry) => {
+                    const fields = readElements(entry.data);
+                    const trackType = fields.find(e => e.id === EBML.trackType);
+                    const video = fields.find(e => e.id === EBML.video);
+                    if (trackType && readUint(trackType.data) === 1) {
+                        hasVideo = true;
+                        const size = video ? readElements(video.data) : [];
+                        const pixelWidth = size.find(e => e.id === EBML.pixelWidth);
+                        const pixelHeight = size.find(e => e.id === EBML.pixelHeight);
+                        width = width || (pixelWidth ? readUint(pixelWidth.data) : null);
+                        height = height || (pixelHeight ? readUint(pixelHeight.data) : null);
+                    }
+                });
+        }
+    });
+
+    const duration = roundDuration(rawDuration && rawDuration * timecodeScale / 1e9);
+    const webm = docType === 'webm';
+
+    return {
+        format: 'webm',
+        type: hasVideo ? 'video' : 'audio',
+        mimeType: `${hasVideo ? 'video' : 'audio'}/${webm ? 'webm' : 'x-matroska'}`,
+        ext: webm ? 'webm' : (hasVideo ? 'mkv' : 'mka'),
+        duration,
+        bitrate: averageBitrate(fileSize, duration),
+        width,
+        height
+    };
+}
+
+// ============ Thumbnails ============
+
+/**
+ * Accept embedded cover art if it really is a JPEG or PNG picture
+ * @param {Buffer} data - Picture bytes
+ * @returns {Object|null} - { data, ext }
+ */
+function imageArtwork(data) {
+    if (!data.length || data.length > MAX_ARTWORK_SIZE) {
+        return null;
+    }
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        return { data: Buffer.from(data), ext: 'jpg' };
+    }
+    if (data.toString('latin1', 1, 4) === 'PNG') {
+        return { data: Buffer.from(data), ext: 'png' };
+    }
+    return null;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of PNG chunk bytes
+ * @param {Buffer} buffer - Bytes
+ * @returns {number} - CRC
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode an RGBA image as PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Buffer} rgba - Pixels, 4 bytes each, row by row
+ * @returns {Buffer} - PNG file
+ */
+function encodePng(width, height, rgba) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // RGBA
+
+    // Each row starts with its filter type, chosen per row as the one whose
+    // output bytes are closest to zero (the usual heuristic, see libpng)
+    const stride = width * 4;
+    const rows = Buffer.alloc((stride + 1) * height);
+    const filtered = Array.from({ length: 5 }, () => Buffer.alloc(stride));
+    for (let y = 0; y < height; y++) {
+        for (let i = 0; i < stride; i++) {
+            const pixel = y * stride + i;
+            const x = rgba[pixel];
+            const a = i >= 4 ? rgba[pixel - 4] : 0;
+            const b = y > 0 ? rgba[pixel - stride] : 0;
+            const c = i >= 4 && y > 0 ? rgba[pixel - stride - 4] : 0;
+            const p = a + b - c;
+            const pa = Math.abs(p - a);
+            const pb = Math.abs(p - b);
+            const pc = Math.abs(p - c);
+            filtered[0][i] = x;
+            filtered[1][i] = x - a;
+            filtered[2][i] = x - b;
+            filtered[3][i] = x - ((a + b) >> 1);
+            filtered[4][i] = x - (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+        }
+
+        let best = 0;
+        let bestCost = Infinity;
+        filtered.forEach((bytes, filter) => {
+            let cost = 0;
+            for (const byte of bytes) {
+                cost += byte < 128 ? byte : 256 - byte;
+            }
+            if (cost < bestCost) {
+                best = filter;
+                bestCost = cost;
+            }
+        });
+        rows[y * (stride + 1)] = best;
+        filtered[best].copy(rows, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Draw a waveform as a PNG image: one centred bar per peak
+ * @param {Array<number>} peaks - Peaks between 0 and 1
+ * @returns {Buffer} - PNG file
+ */
+function renderWaveform(peaks) {
+    const rgba = Buffer.alloc(WAVEFORM_WIDTH * WAVEFORM_HEIGHT * 4);
+    const barWidth = WAVEFORM_WIDTH / peaks.length;
+    const loudest = Math.max(...peaks) || 1;
+
+    peaks.forEach((peak, bar) => {
+        const barHeight = Math.max(2, Math.round(peak / loudest * WAVEFORM_HEIGHT));
+        const top = Math.floor((WAVEFORM_HEIGHT - barHeight) / 2);
+        for (let y = top; y < top + barHeight; y++) {
+            for (let x = Math.round(bar * barWidth); x < Math.round(bar * barWidth + barWidth - 1); x++) {
+                const pixel = (y * WAVEFORM_WIDTH + x) * 4;
+                rgba[pixel] = WAVEFORM_COLOR[0];
+                rgba[pixel + 1] = WAVEFORM_COLOR[1];
+                rgba[pixel + 2] = WAVEFORM_COLOR[2];
+                rgba[pixel + 3] = 0xff;
+            }
+        }
+    });
+
+    return encodePng(WAVEFORM_WIDTH, WAVEFORM_HEIGHT, rgba);
+}
+
+/**
+ * Get the thumbnail picture of a probed file
+ * @param {Object} probe - Result of probeMedia()
+ * @returns {Object|null} - { data, ext }: embedded cover art, else a waveform
+ */
+function thumbnailOf(probe) {
+    if (probe.artwork) {
+        return probe.artwork;
+    }
+    if (probe.waveform) {
+        return { data: renderWaveform(probe.waveform), ext: 'png' };
+    }
+    return null;
+}
+
+// ============ Entry point ============
+
+/**
+ * Recognize a media file by its content and read its metadata
+ * @param {string} filePath - File on disk
+ * @returns {Promise<Object|null>} - { format, type, mimeType, ext, duration (seconds),
+ *     bitrate (bits/s), width, height, artwork, waveform }, or null if the file
+ *     is not a supported audio or video file
+ */
+async function probeMedia(filePath) {
+    const file = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size } = await file.stat();
+        const head = await readAt(file, 0, SNIFF_LENGTH);
+        let result = null;
+
+        if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+            result = await probeWav(file, size);
+        } else if (head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') {
+            result = await probeMp4(file, size, head);
+        } else if (head.length >= 4 && head.readUInt32BE(0) === EBML.header) {
+            result = await probeWebm(file, size);
+        } else {
+            result = await probeMpegAudio(file, size, await readId3Length(file));
+        }
+
+        return result && {
+            width: null,
+            height: null,
+            artwork: null,
+            waveform: null,
+            ...result,
+            fileSize: size
+        };
+    } catch (error) {
+        // Truncated or corrupt headers
+        console.warn(`Failed to probe ${filePath}:`, error.message);
+        return null;
+    } finally {
+        await file.close();
+    }
+}
+
+module.exports = {
+    probeMedia,
+    thumbnailOf,
+    encodePng
+};
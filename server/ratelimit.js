@@ -0,0 +1,319 @@
+/**
+ * Rate Limit Module
+ * Flood protection for everything that writes messages or files
+ *
+ * Each limited action (a message type, edit, recall, reaction, upload or
+ * room join) has a token bucket per user and one per IP address: a bucket
+ * holds `burst` tokens, refilled at `perMinute`, and every action takes one.
+ * Several users may share an address, so IP buckets are IP_LIMIT_FACTOR
+ * times larger by default. Both can be changed per action with RATE_LIMITS,
+ * a JSON object such as
+ * `{"text":{"burst":5,"perMinute":30,"ip":{"burst":100,"perMinute":600}}}`;
+ * an entry may set only the user limit or only `ip`.
+ *
+ * A rejected action is answered with a `rate_limited` error carrying
+ * `retryAfter` (seconds). Clients that retry before then are flooding:
+ * after MUTE_AFTER such violations within VIOLATION_WINDOW (counted at most
+ * once per second, so one burst of queued messages is a single violation)
+ * the user is muted for RATE_LIMIT_MUTE, during which every limited action
+ * is rejected.
+ *
+ * WebSocket connections are also limited to MAX_CONNECTIONS_PER_IP open at
+ * once.
+ */
+
+// Configuration
+const DEFAULT_RATE_LIMITS = {
+    text: { burst: 10, perMinute: 60 },
+    audio: { burst: 5, perMinute: 20 },
+    video: { burst: 5, perMinute: 20 },
+    image: { burst: 10, perMinute: 30 },
+    file: { burst: 5, perMinute: 20 },
+    system: { burst: 5, perMinute: 20 },
+    edit: { burst: 10, perMinute: 30 },
+    recall: { burst: 10, perMinute: 30 },
+    reaction: { burst: 20, perMinute: 120 },
+    upload: { burst: 5, perMinute: 20 },
+    join: { burst: 10, perMinute: 30 }
+};
+const IP_LIMIT_FACTOR = 5;
+const MUTE_AFTER = 10;
+const VIOLATION_WINDOW = 60 * 1000; // 1 minute
+const VIOLATION_SPACING = 1000; // Violations closer together count once
+const MUTE_DURATION = parseInt(process.env.RATE_LIMIT_MUTE, 10) || 5 * 60 * 1000; // 5 minutes
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 20;
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Scale a per-user limit to the default limit of an address
+ * @param {Object} limit - { burst, perMinute }
+ * @returns {Object} - { burst, perMinute }
+ */
+function ipLimitFor(limit) {
+    return { burst: limit.burst * IP_LIMIT_FACTOR, perMinute: limit.perMinute * IP_LIMIT_FACTOR };
+}
+
+/**
+ * Check a limit from RATE_LIMITS
+ * @param {Object} limit - { burst, perMinute }
+ * @returns {boolean} - True if both values are usable
+ */
+function isValidLimit(limit) {
+    return Boolean(limit) && limit.burst >= 1 && limit.perMinute > 0;
+}
+
+/**
+ * Read the per-user and per-IP limits, with RATE_LIMITS applied over the defaults
+ * @returns {Object} - Action -> { burst, perMinute, ip: { burst, perMinute } }
+ */
+function loadRateLimits() {
+    const limits = {};
+    Object.entries(DEFAULT_RATE_LIMITS).forEach(([action, limit]) => {
+        limits[action] = { ...limit, ip: ipLimitFor(limit) };
+    });
+    if (!process.env.RATE_LIMITS) {
+        return limits;
+    }
+
+    let overrides;
+    try {
+        overrides = JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+        console.warn('Ignoring RATE_LIMITS, it is not valid JSON:', error.message);
+        return limits;
+    }
+
+    Object.entries(overrides || {}).forEach(([action, override]) => {
+        const user = override && (override.burst !== undefined || override.perMinute !== undefined) ? override : null;
+        const ip = override && override.ip !== undefined ? override.ip : null;
+        if (!limits[action] || (!user && !ip) || (user && !isValidLimit(user)) || (ip && !isValidLimit(ip))) {
+            console.warn(`Ignoring RATE_LIMITS entry for ${action}`);
+            return;
+        }
+
+        if (user) {
+            limits[action] = { burst: user.burst, perMinute: user.perMinute, ip: ipLimitFor(user) };
+        }
+        if (ip) {
+            limits[action].ip = { burst: ip.burst, perMinute: ip.perMinute };
+        }
+    });
+    return limits;
+}
+
+const RATE_LIMITS = loadRateLimits();
+
+// `${scope}\n${key}\n${action}` -> { tokens, updatedAt, limit }
+const buckets = new Map();
+
+// userId -> { retryAt, times }: when the user was told to retry, and recent violations
+const violations = new Map();
+
+// userId -> time the mute ends
+const mutes = new Map();
+
+// IP address -> open WebSocket connections
+const connections = new Map();
+
+/**
+ * Get a bucket with the tokens refilled since it was last used
+ * @param {string} key - Bucket key
+ * @param {Object} limit - { burst, perMinute }
+ * @param {number} now - Current time
+ * @returns {Object} - Bucket
+ */
+function refill(key, limit, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: limit.burst, updatedAt: now, limit };
+        buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * limit.perMinute / 60000);
+    bucket.updatedAt = now;
+    return bucket;
+}
+
+/**
+ * Get how long until a bucket has a token
+ * @param {Object} bucket - Bucket
+ * @returns {number} - Milliseconds, 0 if a token is available
+ */
+function waitFor(bucket) {
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 60000 / bucket.limit.perMinute);
+}
+
+/**
+ * Record a rejection, muting the user after too many violations
+ * A rejection is a violation when it comes before the retry time given
+ * with an earlier one.
+ * @param {string} userId - User ID
+ * @param {number} now - Current time
+ * @param {number} wait - Milliseconds until the action is allowed again
+ * @returns {boolean} - True if the user is now muted
+ */
+function recordRejection(userId, now, wait) {
+    const record = violations.get(userId) || { retryAt: 0, times: [] };
+    const violation = now < record.retryAt;
+    record.retryAt = Math.max(record.retryAt, now + wait);
+    record.times = record.times.filter(time => time > now - VIOLATION_WINDOW);
+
+    const last = record.times[record.times.length - 1];
+    if (violation && (last === undefined || now - last >= VIOLATION_SPACING)) {
+        record.times.push(now);
+    }
+
+    if (record.times.length < MUTE_AFTER) {
+        violations.set(userId, record);
+        return false;
+    }
+
+    violations.delete(userId);
+    mutes.set(userId, now + MUTE_DURATION);
+    console.log(`Muted ${userId} for ${MUTE_DURATION / 1000}s after repeated rate limit violations`);
+    return true;
+}
+
+/**
+ * Build a rate_limited error
+ * @param {number} wait - Milliseconds until the action is allowed again
+ * @param {boolean} muted - Whether the user is muted
+ * @returns {Object} - { error, status, code, retryAfter, muted }
+ */
+function rateLimited(wait, muted) {
+    return {
+        error: muted ? 'You are temporarily muted for sending too fast' : 'Too many requests, please slow down',
+        status: 429,
+        code: 'rate_limited',
+        retryAfter: Math.max(1, Math.ceil(wait / 1000)),
+        muted
+    };
+}
+
+/**
+ * Take a token for an action from the buckets of a user and their address
+ * @param {string} action - Limited action, e.g. a message type or 'upload'
+ * @param {Object} source - { userId, ip }
+ * @returns {Object|null} - rate_limited error (see rateLimited()) if the action must
+ *     wait, null if it may go ahead or is not limited
+ */
+function consume(action, { userId, ip }) {
+    const limit = Object.prototype.hasOwnProperty.call(RATE_LIMITS, action) ? RATE_LIMITS[action] : null;
+    if (!limit) {
+        return null;
+    }
+
+    const now = Date.now();
+    const mutedUntil = mutes.get(userId);
+    if (mutedUntil > now) {
+        return rateLimited(mutedUntil - now, true);
+    }
+
+    const userBucket = refill(`user\n${userId}\n${action}`, limit, now);
+    const ipBucket = ip ? refill(`ip\n${ip}\n${action}`, limit.ip, now) : null;
+    const wait = Math.max(waitFor(userBucket), ipBucket ? waitFor(ipBucket) : 0);
+
+    if (wait > 0) {
+        return recordRejection(userId, now, wait) ? rateLimited(MUTE_DURATION, true) : rateLimited(wait, false);
+    }
+
+    userBucket.tokens -= 1;
+    if (ipBucket) {
+        ipBucket.tokens -= 1;
+    }
+    return null;
+}
+
+/**
+ * Get the address a request comes from
+ * @param {Object} req - HTTP request (Express or WebSocket upgrade)
+ * @returns {string} - IP address
+ */
+function clientIp(req) {
+    return req.ip || req.socket.remoteAddress;
+}
+
+/**
+ * Express middleware that rejects requests over the limit of an action
+ * Must come after requireAuth.
+ * @param {string|Function} action - Limited action, or (req) => action
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(action) {
+    return (req, res, next) => {
+        const name = typeof action === 'function' ? action(req) : action;
+        const limited = consume(name, { userId: req.user.userId, ip: clientIp(req) });
+        if (!limited) {
+            return next();
+        }
+
+        res.set('Retry-After', String(limited.retryAfter));
+        res.status(limited.status).json({
+            success: false,
+            error: limited.error,
+            code: limited.code,
+            retryAfter: limited.retryAfter,
+            muted: limited.muted
+        });
+    };
+}
+
+/**
+ * Count a WebSocket connection from an address, if it is under the limit
+ * The connection is released when its socket closes.
+ * @param {Object} req - WebSocket upgrade request
+ * @returns {boolean} - False if the address has too many connections open
+ */
+function acquireConnection(req) {
+    const ip = clientIp(req);
+    const open = connections.get(ip) || 0;
+    if (open >= MAX_CONNECTIONS_PER_IP) {
+        return false;
+    }
+
+    connections.set(ip, open + 1);
+    req.socket.once('close', () => {
+        const remaining = (connections.get(ip) || 1) - 1;
+        if (remaining > 0) {
+            connections.set(ip, remaining);
+        } else {
+            connections.delete(ip);
+        }
+    });
+    return true;
+}
+
+/**
+ * Periodically forget full buckets, old rejections and ended mutes
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function startRateLimitSweep() {
+    const timer = setInterval(() => {
+        const now = Date.now();
+        buckets.forEach((bucket, key) => {
+            if (refill(key, bucket.limit, now).tokens >= bucket.limit.burst) {
+                buckets.delete(key);
+            }
+        });
+        violations.forEach((record, userId) => {
+            const last = record.times[record.times.length - 1] || 0;
+            if (record.retryAt <= now && last <= now - VIOLATION_WINDOW) {
+                violations.delete(userId);
+            }
+        });
+        mutes.forEach((until, userId) => {
+            if (until <= now) {
+                mutes.delete(userId);
+            }
+        });
+    }, SWEEP_INTERVAL);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    consume,
+    clientIp,
+    rateLimit,
+    acquireConnection,
+    startRateLimitSweep
+};
@@ -0,0 +1,61 @@
+/**
+ * Read Receipt Module
+ * Moves read cursors forward and builds the `read` events sent to rooms
+ *
+ * Each user has one cursor per room pointing at the newest message they have
+ * seen. A message has been read by everyone whose cursor is at or after it
+ * in (timestamp, id) order.
+ */
+
+const { getMessageById, getHistory, markRoomRead } = require('./db');
+const { resolveRoom } = require('./rooms');
+
+/**
+ * Mark a room as read up to a message
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {number|string} messageId - Last read message, or empty for the newest message
+ * @returns {Promise<Object>} - { moved, event } on success (event is null if the cursor did not move), { error, status } otherwise
+ */
+async function markRead(roomId, userId, messageId) {
+    const { error, status } = await resolveRoom(roomId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    let message;
+    if (messageId) {
+        message = await getMessageById(parseInt(messageId, 10) || 0);
+        if (!message || message.roomId !== roomId) {
+            return { error: 'Message not found', status: 404 };
+        }
+    } else {
+        message = (await getHistory(roomId, { limit: 1 })).messages[0];
+        if (!message) {
+            return { moved: false, event: null };
+        }
+    }
+
+    const readAt = Date.now();
+    if (!await markRoomRead(roomId, userId, message, readAt)) {
+        // Already read up to this message or further
+        return { moved: false, event: null };
+    }
+
+    return {
+        moved: true,
+        event: {
+            type: 'read',
+            roomId,
+            userId,
+            lastReadMessageId: message.id,
+            lastReadTimestamp: message.timestamp,
+            readAt,
+            timestamp: readAt
+        }
+    };
+}
+
+module.exports = {
+    markRead
+};
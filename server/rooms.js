@@ -0,0 +1,176 @@
+/**
+ * Room Policy Module
+ * Shared checks for reading from, posting to and managing rooms
+ *
+ * Roles: owner > admin > member > readonly. Public rooms can be read by any
+ * signed-in user and non-members are treated as plain members; private
+ * rooms are only visible to their members.
+ *
+ * Restrictions outlive membership: read-only members who leave a room are
+ * still read-only there, and removed members cannot use it at all, until
+ * they are invited back.
+ */
+
+const { getRoom, getRoomMemberRole, getRoomRestriction } = require('./db');
+
+const DEFAULT_ROOM_ID = 'default_room';
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_ROOM_DESCRIPTION_LENGTH = 200;
+
+const ROLES = ['owner', 'admin', 'member', 'readonly'];
+const ROLE_RANK = { owner: 3, admin: 2, member: 1, readonly: 0 };
+
+/**
+ * Work out what a user may do in a room
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Access summary, or null if the room does not exist;
+ *     `restriction` is only set for non-members
+ */
+async function getRoomAccess(roomId, userId) {
+    const room = await getRoom(roomId);
+    if (!room) {
+        return null;
+    }
+
+    const role = userId ? await getRoomMemberRole(roomId, userId) : null;
+    const restriction = userId && !role ? await getRoomRestriction(roomId, userId) : null;
+    const isPrivate = Boolean(room.isPrivate);
+    let effectiveRole = role;
+    if (!role && !isPrivate && restriction !== 'banned') {
+        effectiveRole = restriction === 'readonly' ? 'readonly' : 'member';
+    }
+
+    return {
+        room,
+        role,
+        restriction,
+        canRead: effectiveRole !== null,
+        canPost: !room.archivedAt && effectiveRole !== null && effectiveRole !== 'readonly',
+        canManage: role === 'owner' || role === 'admin',
+        isOwner: role === 'owner'
+    };
+}
+
+/**
+ * Look up a room and check that a user can use it
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {boolean} options.write - The caller wants to post to the room
+ * @returns {Promise<Object>} - { room, access } on success, { error, status } otherwise
+ */
+async function resolveRoom(roomId, userId, { write = false } = {}) {
+    if (!roomId) {
+        return { error: 'roomId is required', status: 400 };
+    }
+
+    const access = await getRoomAccess(roomId, userId);
+    if (!access) {
+        return { error: 'Room not found', status: 404 };
+    }
+
+    if (!access.canRead) {
+        return { error: 'You are not a member of this room', status: 403 };
+    }
+
+    if (write && access.room.archivedAt) {
+        return { error: 'Room is archived', status: 403 };
+    }
+
+    if (write && !access.canPost) {
+        return { error: 'You do not have permission to post in this room', status: 403 };
+    }
+
+    return { room: access.room, access };
+}
+
+/**
+ * Check whether one member may change another member's role or remove them
+ * Owners can act on anyone but themselves; admins only on members and
+ * read-only members, and may not hand out admin or owner.
+ * @param {string} actorRole - Role of the acting user
+ * @param {string} targetRole - Current role of the target member
+ * @param {string} newRole - Role being assigned, or null when removing
+ * @returns {boolean} - True if allowed
+ */
+function canModerate(actorRole, targetRole, newRole = null) {
+    if (actorRole !== 'owner' && actorRole !== 'admin') {
+        return false;
+    }
+    if (targetRole === 'owner' || newRole === 'owner') {
+        return false;
+    }
+    if (actorRole === 'admin') {
+        return ROLE_RANK[targetRole] < ROLE_RANK.admin && (!newRole || ROLE_RANK[newRole] < ROLE_RANK.admin);
+    }
+    return true;
+}
+
+/**
+ * Validate room name and description input
+ * @param {Object} input - { name, description }
+ * @param {boolean} requireName - Name must be present
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateRoomInput({ name, description }, requireName) {
+    if (name !== undefined || requireName) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'name is required';
+        }
+        if (name.trim().length > MAX_ROOM_NAME_LENGTH) {
+            return `name must be at most ${MAX_ROOM_NAME_LENGTH} characters`;
+        }
+    }
+
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            return 'description must be a string';
+        }
+        if (description.length > MAX_ROOM_DESCRIPTION_LENGTH) {
+            return `description must be at most ${MAX_ROOM_DESCRIPTION_LENGTH} characters`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Shape a room row for API responses
+ * @param {Object} room - Row from getRoom() / getRooms()
+ * @param {number} members - Users currently connected to the room
+ * @param {string} role - Requesting user's role, if known
+ * @returns {Object} - Room payload
+ */
+function formatRoom(room, members = 0, role = room.role || null) {
+    return {
+        id: room.id,
+        name: room.name,
+        description: room.description,
+        isPrivate: Boolean(room.isPrivate),
+        isDirect: Boolean(room.isDirect),
+        role,
+        createdBy: room.createdBy,
+        createdAt: room.createdAt,
+        updatedAt: room.updatedAt,
+        archived: Boolean(room.archivedAt),
+        archivedAt: room.archivedAt,
+        messageCount: room.messageCount,
+        lastActivity: room.lastActivity,
+        unreadCount: room.unreadCount, // Only set for room lists
+        lastReadMessageId: room.lastReadMessageId,
+        members
+    };
+}
+
+module.exports = {
+    DEFAULT_ROOM_ID,
+    ROOM_ID_PATTERN,
+    ROLES,
+    getRoomAccess,
+    resolveRoom,
+    canModerate,
+    validateRoomInput,
+    formatRoom
+};
@@ -0,0 +1,162 @@
+/**
+ * Auth Routes
+ * Registration, login and session management
+ */
+
+const express = require('express');
+
+const {
+    hashPassword,
+    verifyPassword,
+    issueToken,
+    requireAuth,
+    validateCredentials
+} = require('../auth');
+const {
+    createUser,
+    getUserById,
+    getUserPasswordHash,
+    revokeSession,
+    revokeUserSessions
+} = require('../db');
+const { disconnectSessions } = require('../websocket');
+
+const router = express.Router();
+
+// Register a new account
+router.post('/register', async (req, res) => {
+    try {
+        const { userId, password, username, avatar } = req.body;
+
+        const invalid = validateCredentials(userId, password);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid
+            });
+        }
+
+        if (await getUserById(userId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'userId is already taken'
+            });
+        }
+
+        const passwordHash = await hashPassword(password);
+        let user;
+        try {
+            user = await createUser({ userId, username, avatar, passwordHash });
+        } catch (error) {
+            // A concurrent registration took the userId after the check above
+            if (error.code !== 'SQLITE_CONSTRAINT') {
+                throw error;
+            }
+            return res.status(409).json({
+                success: false,
+                error: 'userId is already taken'
+            });
+        }
+        const session = await issueToken(userId, { userAgent: req.headers['user-agent'] });
+
+        console.log(`[AUTH] Registered ${userId}`);
+        res.status(201).json({
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user
+        });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Log in with existing credentials
+router.post('/login', async (req, res) => {
+    try {
+        const { userId, password } = req.body;
+
+        if (!userId || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId and password are required'
+            });
+        }
+
+        const passwordHash = await getUserPasswordHash(userId);
+        if (!passwordHash || !(await verifyPassword(password, passwordHash))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid userId or password'
+            });
+        }
+
+        const user = await getUserById(userId);
+        const session = await issueToken(userId, { userAgent: req.headers['user-agent'] });
+
+        console.log(`[AUTH] ${userId} logged in`);
+        res.json({
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: {
+                userId: user.userId,
+                username: user.username,
+                avatar: user.avatar
+            }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Current user
+router.get('/me', requireAuth, (req, res) => {
+    const { userId, username, avatar } = req.user;
+    res.json({
+        success: true,
+        user: { userId, username, avatar }
+    });
+});
+
+// Revoke the current session
+router.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await revokeSession(req.user.sessionId);
+        disconnectSessions(client => client.sessionId === req.user.sessionId);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Revoke every session of the current user
+router.post('/logout-all', requireAuth, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.userId);
+        disconnectSessions(client => client.userId === req.user.userId);
+
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
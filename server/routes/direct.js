@@ -0,0 +1,77 @@
+/**
+ * Direct Conversation Routes
+ * Open one-to-one conversations and list them with their latest message
+ */
+
+const express = require('express');
+
+const { requireAuth } = require('../auth');
+const { getDirectConversations } = require('../db');
+const { openDirectConversation } = require('../direct');
+const { getPresence } = require('../presence');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Add the live presence of the other participant to a conversation
+ * @param {Object} conversation - Row from getDirectConversations()
+ * @returns {Object} - Conversation payload
+ */
+function withPresence(conversation) {
+    const { status, lastSeen } = getPresence(conversation.peer.userId);
+    return {
+        ...conversation,
+        peer: { ...conversation.peer, status, lastSeen }
+    };
+}
+
+// List the signed-in user's conversations, most recent first
+router.get('/', async (req, res) => {
+    try {
+        const conversations = await getDirectConversations(req.user.userId);
+
+        res.json({
+            success: true,
+            conversations: conversations.map(withPresence),
+            unreadCount: conversations.reduce((sum, c) => sum + c.unreadCount, 0)
+        });
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Open (or create) the conversation with another user
+router.post('/', async (req, res) => {
+    try {
+        const result = await openDirectConversation(req.user.userId, req.body.userId);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const conversations = await getDirectConversations(req.user.userId);
+        const conversation = conversations.find(c => c.roomId === result.room.id);
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            created: result.created,
+            conversation: withPresence(conversation)
+        });
+    } catch (error) {
+        console.error('Error opening conversation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
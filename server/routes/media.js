@@ -0,0 +1,201 @@
+/**
+ * Media Routes
+ * Serve uploaded files to the users allowed to see them
+ *
+ * Mounted on /uploads, so the filePath stored in a media message is also
+ * its download path. Players fetch files piece by piece: single byte ranges
+ * (`Range: bytes=start-end`) are answered with 206, and the ETag /
+ * Last-Modified validators let clients revalidate (If-None-Match,
+ * If-Modified-Since) or resume safely (If-Range). Media players cannot set
+ * headers, so the token is usually passed as `?token=`.
+ *
+ * Generic files are sent as attachments and no file is content-sniffed, so
+ * an uploaded HTML page or script is never rendered by a browser.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const { requireAuth } = require('../auth');
+const { getStoredMedia, resolveFileAccess } = require('../media');
+const { UPLOADS_DIR } = require('../storage');
+
+const router = express.Router();
+
+const FILE_KINDS = ['audio', 'video', 'image', 'file', 'thumbnails'];
+const FILE_NAME_PATTERN = /^[\w-][\w.-]*$/;
+const THUMBNAIL_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png' };
+const CACHE_CONTROL = 'private, max-age=86400'; // Stored files never change
+
+router.use(requireAuth);
+
+/**
+ * Parse a single byte range
+ * Multiple ranges are not supported; the whole file is sent instead, as
+ * RFC 9110 allows.
+ * @param {string} header - Range header
+ * @param {number} size - File size
+ * @returns {Object|null|false} - { start, end } (inclusive), null to send the
+ *     whole file, false if the range cannot be satisfied
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
+/**
+ * Check whether the client's cached copy is still current
+ * @param {Object} req - Express request
+ * @param {string} etag - Current ETag
+ * @param {Date} modified - Last modification time
+ * @returns {boolean} - True if a 304 can be sent
+ */
+function isNotModified(req, etag, modified) {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',')
+            .map(tag => tag.trim().replace(/^W\//, ''))
+            .some(tag => tag === etag || tag === '*');
+    }
+
+    const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+    return !Number.isNaN(ifModifiedSince) && Math.floor(modified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Check whether a range request may be answered with a part of the file
+ * @param {Object} req - Express request
+ * @param {string} etag - Current ETag
+ * @param {Date} modified - Last modification time
+ * @returns {boolean} - False if If-Range names an older version
+ */
+function isRangeCurrent(req, etag, modified) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag;
+    }
+    return Date.parse(ifRange) === Math.floor(modified.getTime() / 1000) * 1000;
+}
+
+// Download a file, or part of it (GET and HEAD)
+router.get('/:kind/:name', async (req, res) => {
+    try {
+        const { kind, name } = req.params;
+        if (!FILE_KINDS.includes(kind) || !FILE_NAME_PATTERN.test(name)) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        const filePath = `/uploads/${kind}/${name}`;
+        const access = await resolveFileAccess(filePath, req.user.userId);
+        if (access.error) {
+            return res.status(access.status).json({
+                success: false,
+                error: access.error
+            });
+        }
+
+        const diskPath = path.join(UPLOADS_DIR, kind, name);
+        let stat;
+        try {
+            stat = await fs.promises.stat(diskPath);
+        } catch (error) {
+            stat = null;
+        }
+        if (!stat || !stat.isFile()) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        let contentType = THUMBNAIL_TYPES[path.extname(name)] || 'application/octet-stream';
+        if (kind !== 'thumbnails') {
+            const media = await getStoredMedia(filePath);
+            contentType = media ? media.mimeType : contentType;
+        }
+
+        const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': CACHE_CONTROL,
+            'ETag': etag,
+            'Last-Modified': stat.mtime.toUTCString(),
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (kind === 'file') {
+            res.set('Content-Disposition', 'attachment');
+        }
+
+        if (isNotModified(req, etag, stat.mtime)) {
+            return res.status(304).end();
+        }
+
+        const rangeHeader = req.get('Range');
+        const range = rangeHeader && isRangeCurrent(req, etag, stat.mtime)
+            ? parseRange(rangeHeader, stat.size)
+            : null;
+
+        if (range === false) {
+            res.set('Content-Range', `bytes */${stat.size}`);
+            return res.status(416).json({
+                success: false,
+                error: 'Range not satisfiable'
+            });
+        }
+
+        const { start, end } = range || { start: 0, end: stat.size - 1 };
+        res.status(range ? 206 : 200);
+        res.set({
+            'Content-Type': contentType,
+            'Content-Length': String(Math.max(0, end - start + 1))
+        });
+        if (range) {
+            res.set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+        }
+
+        if (req.method === 'HEAD' || stat.size === 0) {
+            return res.end();
+        }
+
+        const stream = fs.createReadStream(diskPath, { start, end });
+        stream.on('error', (error) => {
+            console.error('Error streaming file:', error);
+            res.destroy(error);
+        });
+        res.on('close', () => stream.destroy());
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error serving file:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Mention Routes
+ * The signed-in user's inbox of messages that @mention them
+ */
+
+const express = require('express');
+
+const { requireAuth } = require('../auth');
+const { getMentions, countUnreadMentions, markMentionsRead } = require('../db');
+
+const router = express.Router();
+
+const MAX_RESULTS = 50;
+const MAX_READ_IDS = 100;
+
+router.use(requireAuth);
+
+/**
+ * GET /mentions?unread=1&before=&limit=
+ * Newest mentions first. `before` is the messageId of the last mention of
+ * the previous page.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const before = req.query.before ? parseInt(req.query.before, 10) : null;
+
+        if (limit < 1 || limit > MAX_RESULTS) {
+            return res.status(400).json({
+                success: false,
+                error: `limit must be 1-${MAX_RESULTS}`
+            });
+        }
+
+        if (Number.isNaN(before)) {
+            return res.status(400).json({
+                success: false,
+                error: 'before must be a message id'
+            });
+        }
+
+        const rows = await getMentions(req.user.userId, {
+            unreadOnly: req.query.unread === '1' || req.query.unread === 'true',
+            before,
+            limit: limit + 1
+        });
+        const mentions = rows.slice(0, limit);
+
+        res.json({
+            success: true,
+            mentions,
+            unreadCount: await countUnreadMentions(req.user.userId),
+            hasMore: rows.length > limit,
+            nextBefore: rows.length > limit ? mentions[mentions.length - 1].messageId : null
+        });
+    } catch (error) {
+        console.error('Error getting mentions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /mentions/read
+ * Body: { messageIds } to mark some mentions, { roomId } to mark a room's
+ * mentions, or nothing to mark every mention as read.
+ */
+router.post('/read', async (req, res) => {
+    try {
+        const { messageIds, roomId } = req.body;
+
+        if (messageIds !== undefined && (
+            !Array.isArray(messageIds)
+            || messageIds.length === 0
+            || messageIds.length > MAX_READ_IDS
+            || !messageIds.every(id => Number.isInteger(id) && id > 0)
+        )) {
+            return res.status(400).json({
+                success: false,
+                error: `messageIds must be 1-${MAX_READ_IDS} message ids`
+            });
+        }
+
+        if (roomId !== undefined && typeof roomId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'roomId must be a string'
+            });
+        }
+
+        const marked = await markMentionsRead(req.user.userId, Date.now(), { messageIds, roomId });
+
+        res.json({
+            success: true,
+            marked,
+            unreadCount: await countUnreadMentions(req.user.userId)
+        });
+    } catch (error) {
+        console.error('Error marking mentions read:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,553 @@
+/**
+ * Room Routes
+ * Create, list, rename, archive and delete rooms; manage room members
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+const { requireAuth } = require('../auth');
+const {
+    saveMessage,
+    getUserById,
+    getRooms,
+    getRoom,
+    createRoom,
+    updateRoom,
+    setRoomArchived,
+    deleteRoom,
+    getRoomMembers,
+    addRoomMember,
+    updateRoomMemberRole,
+    removeRoomMember,
+    setRoomRestriction,
+    getReadReceipts
+} = require('../db');
+const {
+    DEFAULT_ROOM_ID,
+    ROOM_ID_PATTERN,
+    ROLES,
+    getRoomAccess,
+    canModerate,
+    validateRoomInput,
+    formatRoom
+} = require('../rooms');
+const { getRoomMemberCounts, closeRoom, removeUserFromRoom } = require('../websocket');
+const { broadcastToRoom } = require('../bus');
+const { STATUSES, getPresence, getTypingUsers } = require('../presence');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Load the room named in the URL and check the user's access to it
+ * On success the access summary is available as `req.access`.
+ * @param {string} level - 'read', 'manage' or 'owner'
+ * @returns {Function} - Express middleware
+ */
+function requireRoomAccess(level) {
+    return async (req, res, next) => {
+        try {
+            const access = await getRoomAccess(req.params.roomId, req.user.userId);
+
+            if (!access || !access.canRead) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Room not found'
+                });
+            }
+
+            if ((level === 'manage' && !access.canManage) || (level === 'owner' && !access.isOwner)) {
+                return res.status(403).json({
+                    success: false,
+                    error: level === 'owner'
+                        ? 'Only the room owner can do this'
+                        : 'Only room owners and admins can manage this room'
+                });
+            }
+
+            req.access = access;
+            req.room = access.room;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Post a system notice to a room
+ * @param {string} roomId - Room ID
+ * @param {string} content - Notice text
+ */
+async function announce(roomId, content) {
+    const message = {
+        type: 'system',
+        roomId,
+        senderId: 'system',
+        timestamp: Date.now(),
+        content
+    };
+
+    message.id = await saveMessage(message);
+    broadcastToRoom(roomId, message);
+}
+
+// List rooms with live member counts
+router.get('/', async (req, res) => {
+    try {
+        const includeArchived = req.query.includeArchived === 'true';
+        const rows = await getRooms(req.user.userId, { includeArchived });
+        const memberCounts = getRoomMemberCounts();
+
+        res.json({
+            success: true,
+            rooms: rows.map(room => formatRoom(room, memberCounts.get(room.id) || 0))
+        });
+    } catch (error) {
+        console.error('Error fetching rooms:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Create a room
+router.post('/', async (req, res) => {
+    try {
+        const { name, description = null, isPrivate = false } = req.body;
+        const roomId = req.body.roomId || `room_${uuidv4().replace(/-/g, '').slice(0, 12)}`;
+
+        if (!ROOM_ID_PATTERN.test(roomId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'roomId must be 1-64 letters, digits, underscores or hyphens'
+            });
+        }
+
+        const invalid = validateRoomInput({ name, description }, true);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid
+            });
+        }
+
+        if (await getRoom(roomId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Room already exists'
+            });
+        }
+
+        await createRoom({
+            roomId,
+            name: name.trim(),
+            description,
+            isPrivate: Boolean(isPrivate),
+            createdBy: req.user.userId
+        });
+        await addRoomMember({ roomId, userId: req.user.userId, role: 'owner' });
+
+        console.log(`Room ${roomId} created by ${req.user.userId}`);
+        res.status(201).json({
+            success: true,
+            room: formatRoom(await getRoom(roomId), 0, 'owner')
+        });
+    } catch (error) {
+        console.error('Error creating room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get a single room
+router.get('/:roomId', requireRoomAccess('read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            room: formatRoom(req.room, getRoomMemberCounts().get(req.room.id) || 0, req.access.role)
+        });
+    } catch (error) {
+        console.error('Error fetching room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Rename, describe or change the visibility of a room
+router.patch('/:roomId', requireRoomAccess('manage'), async (req, res) => {
+    try {
+        const { name, description, isPrivate } = req.body;
+
+        if (name === undefined && description === undefined && isPrivate === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'name, description or isPrivate is required'
+            });
+        }
+
+        if (isPrivate !== undefined && req.room.id === DEFAULT_ROOM_ID) {
+            return res.status(400).json({
+                success: false,
+                error: 'The default room must stay public'
+            });
+        }
+
+        const invalid = validateRoomInput({ name, description }, false);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid
+            });
+        }
+
+        await updateRoom(req.room.id, {
+            name: name !== undefined ? name.trim() : undefined,
+            description,
+            isPrivate: isPrivate !== undefined ? Boolean(isPrivate) : undefined
+        });
+
+        res.json({
+            success: true,
+            room: formatRoom(await getRoom(req.room.id), getRoomMemberCounts().get(req.room.id) || 0, req.access.role)
+        });
+    } catch (error) {
+        console.error('Error updating room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Archive a room: history stays readable, posting is disabled
+router.post('/:roomId/archive', requireRoomAccess('manage'), async (req, res) => {
+    try {
+        if (req.room.id === DEFAULT_ROOM_ID) {
+            return res.status(400).json({
+                success: false,
+                error: 'The default room cannot be archived'
+            });
+        }
+
+        await setRoomArchived(req.room.id, true);
+
+        res.json({
+            success: true,
+            room: formatRoom(await getRoom(req.room.id), getRoomMemberCounts().get(req.room.id) || 0, req.access.role)
+        });
+    } catch (error) {
+        console.error('Error archiving room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Restore an archived room
+router.post('/:roomId/unarchive', requireRoomAccess('manage'), async (req, res) => {
+    try {
+        await setRoomArchived(req.room.id, false);
+
+        res.json({
+            success: true,
+            room: formatRoom(await getRoom(req.room.id), getRoomMemberCounts().get(req.room.id) || 0, req.access.role)
+        });
+    } catch (error) {
+        console.error('Error restoring room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Delete a room and its history
+router.delete('/:roomId', requireRoomAccess('owner'), async (req, res) => {
+    try {
+        if (req.room.id === DEFAULT_ROOM_ID) {
+            return res.status(400).json({
+                success: false,
+                error: 'The default room cannot be deleted'
+            });
+        }
+
+        await deleteRoom(req.room.id);
+        closeRoom(req.room.id, '聊天室已被删除');
+
+        console.log(`Room ${req.room.id} deleted by ${req.user.userId}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// List room members
+router.get('/:roomId/members', requireRoomAccess('read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            members: await getRoomMembers(req.room.id)
+        });
+    } catch (error) {
+        console.error('Error fetching members:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Room members with their presence, online first
+router.get('/:roomId/roster', requireRoomAccess('read'), async (req, res) => {
+    try {
+        const members = await getRoomMembers(req.room.id);
+        const typingUsers = getTypingUsers(req.room.id);
+
+        const roster = members.map((member) => {
+            const { status, lastSeen } = getPresence(member.userId);
+            return {
+                userId: member.userId,
+                username: member.username,
+                avatar: member.avatar,
+                role: member.role,
+                status,
+                // Fall back to the stored value for users not seen since the server started
+                lastSeen: lastSeen || (member.lastSeen ? Date.parse(`${member.lastSeen.replace(' ', 'T')}Z`) : null),
+                typing: typingUsers.includes(member.userId)
+            };
+        });
+        roster.sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status));
+
+        res.json({
+            success: true,
+            online: roster.filter(m => m.status !== 'offline').length,
+            roster
+        });
+    } catch (error) {
+        console.error('Error fetching roster:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Read cursors of the room's members, newest first
+router.get('/:roomId/reads', requireRoomAccess('read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            receipts: await getReadReceipts(req.room.id)
+        });
+    } catch (error) {
+        console.error('Error fetching read receipts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Invite a user into the room
+router.post('/:roomId/members', requireRoomAccess('manage'), async (req, res) => {
+    try {
+        const { userId, role = 'member' } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required'
+            });
+        }
+
+        if (!ROLES.includes(role) || !canModerate(req.access.role, 'readonly', role)) {
+            return res.status(403).json({
+                success: false,
+                error: `You cannot invite members as ${role}`
+            });
+        }
+
+        if (!(await getUserById(userId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const added = await addRoomMember({
+            roomId: req.room.id,
+            userId,
+            role,
+            invitedBy: req.user.userId
+        });
+
+        if (!added) {
+            return res.status(409).json({
+                success: false,
+                error: 'User is already a member'
+            });
+        }
+
+        // An invite lets removed and read-only users back in with the new role
+        await setRoomRestriction({ roomId: req.room.id, userId, restriction: null });
+
+        await announce(req.room.id, `${req.user.userId} 邀请 ${userId} 加入了聊天室`);
+
+        res.status(201).json({
+            success: true,
+            members: await getRoomMembers(req.room.id)
+        });
+    } catch (error) {
+        console.error('Error inviting member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Change a member's role
+router.patch('/:roomId/members/:userId', requireRoomAccess('manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const targetId = req.params.userId;
+        const members = await getRoomMembers(req.room.id);
+        const target = members.find(m => m.userId === targetId);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member not found'
+            });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `role must be one of ${ROLES.join(', ')}`
+            });
+        }
+
+        if (targetId === req.user.userId || !canModerate(req.access.role, target.role, role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You cannot change this member\'s role'
+            });
+        }
+
+        await updateRoomMemberRole(req.room.id, targetId, role);
+
+        res.json({
+            success: true,
+            members: await getRoomMembers(req.room.id)
+        });
+    } catch (error) {
+        console.error('Error updating member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Remove (kick) a member; they cannot use the room again until invited back
+router.delete('/:roomId/members/:userId', requireRoomAccess('manage'), async (req, res) => {
+    try {
+        const targetId = req.params.userId;
+        const members = await getRoomMembers(req.room.id);
+        const target = members.find(m => m.userId === targetId);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member not found'
+            });
+        }
+
+        if (targetId === req.user.userId || !canModerate(req.access.role, target.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You cannot remove this member'
+            });
+        }
+
+        await setRoomRestriction({
+            roomId: req.room.id,
+            userId: targetId,
+            restriction: 'banned',
+            createdBy: req.user.userId
+        });
+        await removeRoomMember(req.room.id, targetId);
+        removeUserFromRoom(req.room.id, targetId, '你已被移出聊天室');
+        await announce(req.room.id, `${targetId} 被移出了聊天室`);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Leave a room
+router.post('/:roomId/leave', requireRoomAccess('read'), async (req, res) => {
+    try {
+        if (req.room.isDirect) {
+            return res.status(400).json({
+                success: false,
+                error: 'Direct conversations cannot be left'
+            });
+        }
+
+        if (req.access.isOwner) {
+            return res.status(400).json({
+                success: false,
+                error: 'The owner cannot leave; delete the room instead'
+            });
+        }
+
+        // Anyone may read a public room, but only members can leave it
+        if (!req.access.role) {
+            return res.status(409).json({
+                success: false,
+                error: 'You are not a member of this room'
+            });
+        }
+
+        // Read-only members stay read-only if they come back
+        if (req.access.role === 'readonly') {
+            await setRoomRestriction({ roomId: req.room.id, userId: req.user.userId, restriction: 'readonly' });
+        }
+
+        // A concurrent leave may already have removed the membership
+        if (await removeRoomMember(req.room.id, req.user.userId)) {
+            removeUserFromRoom(req.room.id, req.user.userId, '你已离开聊天室');
+            await announce(req.room.id, `${req.user.userId} 离开了聊天室`);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error leaving room:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * Search Routes
+ * Full-text message search with filters and highlighted snippets
+ */
+
+const express = require('express');
+
+const { requireAuth } = require('../auth');
+const { searchMessages } = require('../db');
+const { resolveRoom } = require('../rooms');
+const { buildMatchQuery, highlight } = require('../search');
+
+const router = express.Router();
+
+const MESSAGE_TYPES = ['text', 'audio', 'video', 'image', 'file'];
+const MAX_QUERY_LENGTH = 100;
+const MAX_RESULTS = 50;
+
+router.use(requireAuth);
+
+/**
+ * Parse a date filter given as a millisecond timestamp or a date string
+ * @param {string} value - Query parameter
+ * @returns {number|null|undefined} - Timestamp, null if absent, undefined if invalid
+ */
+function parseDate(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    return isNaN(timestamp) ? undefined : timestamp;
+}
+
+/**
+ * GET /search?q=&roomId=&senderId=&type=&from=&to=&limit=&offset=
+ * Results are ranked by relevance (bm25). Each result carries a plain-text
+ * `snippet` and `highlights`, the [start, end) ranges of matched terms
+ * within the snippet.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q = '', roomId, senderId, type } = req.query;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+
+        if (!q.trim() || q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `q is required (at most ${MAX_QUERY_LENGTH} characters)`
+            });
+        }
+
+        if (type && !MESSAGE_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `type must be one of ${MESSAGE_TYPES.join(', ')}`
+            });
+        }
+
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be timestamps or dates'
+            });
+        }
+
+        if (limit < 1 || limit > MAX_RESULTS || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                error: `limit must be 1-${MAX_RESULTS}`
+            });
+        }
+
+        if (roomId) {
+            const room = await resolveRoom(roomId, req.user.userId);
+            if (room.error) {
+                return res.status(room.status).json({
+                    success: false,
+                    error: room.error
+                });
+            }
+        }
+
+        const query = buildMatchQuery(q);
+        if (!query) {
+            return res.status(400).json({
+                success: false,
+                error: 'q must contain letters or digits'
+            });
+        }
+
+        const rows = await searchMessages({
+            match: query.match,
+            userId: req.user.userId,
+            roomId,
+            senderId,
+            type,
+            from,
+            to,
+            limit: limit + 1,
+            offset
+        });
+
+        const results = rows.slice(0, limit).map((row) => {
+            const { rank, ...message } = row;
+            const source = message.type === 'text' ? message.content : message.fileName;
+            return {
+                ...message,
+                score: -rank,
+                ...highlight(source, query.terms)
+            };
+        });
+
+        res.json({
+            success: true,
+            query: q,
+            results,
+            hasMore: rows.length > limit,
+            nextOffset: rows.length > limit ? offset + limit : null
+        });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Storage Routes
+ * How much storage the signed-in user's uploads, or a room's, take up
+ */
+
+const express = require('express');
+
+const { requireAuth } = require('../auth');
+const { getUserStorage, getRoomStorage } = require('../storage');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * GET /storage
+ * { files, bytes, quota, remaining } of the signed-in user; quota and
+ * remaining are null when there is no limit.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...await getUserStorage(req.user.userId)
+        });
+    } catch (error) {
+        console.error('Error getting storage usage:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /storage/rooms/:roomId
+ * Same for the files uploaded for a room the user can read.
+ */
+router.get('/rooms/:roomId', async (req, res) => {
+    try {
+        const result = await getRoomStorage(req.params.roomId, req.user.userId);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error getting room storage usage:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Resumable Upload Routes
+ * Open an upload session, send its chunks, check what arrived and complete it
+ */
+
+const express = require('express');
+
+const { requireAuth } = require('../auth');
+const { rateLimit } = require('../ratelimit');
+const {
+    MAX_CHUNK_SIZE,
+    startUpload,
+    getUploadStatus,
+    saveUploadChunk,
+    completeUpload,
+    abortUpload
+} = require('../uploads');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Send the result of an upload action
+ * @param {Object} res - Express response
+ * @param {Object} result - Payload, or { error, status }
+ */
+function respond(res, result) {
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({ success: true, ...result });
+}
+
+/**
+ * Wrap an upload action with the shared error handling
+ * @param {string} action - What is being done, for the log
+ * @param {Function} handler - (req) => Promise of a result
+ * @returns {Function} - Express handler
+ */
+function handle(action, handler) {
+    return async (req, res) => {
+        try {
+            respond(res, await handler(req));
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    };
+}
+
+/**
+ * Answer a chunk over MAX_CHUNK_SIZE with 413 instead of the generic server error
+ * @param {Error} error - Error from the body parser
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next error handler
+ */
+function chunkTooLarge(error, req, res, next) {
+    if (error.type !== 'entity.too.large') {
+        return next(error);
+    }
+
+    res.status(413).json({
+        success: false,
+        error: `Chunks can be at most ${MAX_CHUNK_SIZE / (1024 * 1024)}MB`
+    });
+}
+
+// Open a session: { roomId, fileName, fileSize, mimeType, chunkSize? }
+router.post('/', rateLimit('upload'), handle('starting upload', req => startUpload(req.user.userId, req.body)));
+
+// What has been received so far, to resume after a dropped connection
+router.get('/:sessionId', handle('fetching upload status', req => (
+    getUploadStatus(req.params.sessionId, req.user.userId)
+)));
+
+// Store one chunk; the body is the raw bytes, X-Chunk-SHA256 their hex SHA-256
+router.put(
+    '/:sessionId/chunks/:index',
+    express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+    handle('saving upload chunk', req => saveUploadChunk(
+        req.params.sessionId,
+        req.user.userId,
+        req.params.index,
+        req.body,
+        req.get('X-Chunk-SHA256')
+    )),
+    chunkTooLarge
+);
+
+// Join the chunks into the final file; { checksum? } is the hex SHA-256 of the whole file
+router.post('/:sessionId/complete', handle('completing upload', req => (
+    completeUpload(req.params.sessionId, req.user.userId, req.body.checksum)
+)));
+
+// Abandon the upload
+router.delete('/:sessionId', handle('aborting upload', req => (
+    abortUpload(req.params.sessionId, req.user.userId)
+)));
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * Search Module
+ * Text segmentation for the FTS5 message index, query building and
+ * snippet highlighting
+ *
+ * FTS5's built-in tokenizers split on whitespace, which does not work for
+ * Chinese. Instead, text is segmented here before it is indexed: runs of
+ * CJK characters are stored both as single characters (`unigrams` column)
+ * and as overlapping character pairs (`bigrams` column), everything else
+ * as lower-cased words. A query for a CJK run of two or more characters
+ * becomes a phrase of its bigrams, which matches exactly the messages
+ * that contain the run as a substring; single characters use unigrams.
+ */
+
+// Han, kana and hangul are written without spaces between words
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+const SEGMENT_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]+|(?:(?![\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff])[\p{L}\p{N}_])+/gu;
+
+const SNIPPET_LENGTH = 80;
+const SNIPPET_CONTEXT = 20;
+
+/**
+ * Split text into CJK runs and words
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - [{ kind: 'cjk' | 'word', text }]
+ */
+function segment(text) {
+    const segments = [];
+
+    for (const match of (text || '').matchAll(SEGMENT_PATTERN)) {
+        const value = match[0];
+        segments.push({
+            kind: CJK_PATTERN.test(value[0]) ? 'cjk' : 'word',
+            text: value.toLowerCase()
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Build the indexed columns for a piece of text
+ * @param {string} text - Text to index
+ * @returns {Object} - { unigrams, bigrams } space-separated token strings
+ */
+function tokenizeForIndex(text) {
+    const unigrams = [];
+    const bigrams = [];
+
+    segment(text).forEach(({ kind, text: value }) => {
+        if (kind === 'word') {
+            unigrams.push(value);
+            bigrams.push(value);
+            return;
+        }
+
+        const chars = Array.from(value);
+        unigrams.push(...chars);
+
+        if (chars.length === 1) {
+            bigrams.push(chars[0]);
+        } else {
+            for (let i = 0; i < chars.length - 1; i++) {
+                bigrams.push(chars[i] + chars[i + 1]);
+            }
+        }
+    });
+
+    return {
+        unigrams: unigrams.join(' '),
+        bigrams: bigrams.join(' ')
+    };
+}
+
+/**
+ * Turn a user query into an FTS5 MATCH expression
+ * All terms must match; latin words also match as prefixes.
+ * @param {string} query - Raw search query
+ * @returns {Object|null} - { match, terms }, or null if nothing is searchable
+ */
+function buildMatchQuery(query) {
+    const segments = segment(query);
+    if (segments.length === 0) {
+        return null;
+    }
+
+    const clauses = segments.map(({ kind, text: value }) => {
+        if (kind === 'word') {
+            return `unigrams : "${value}"*`;
+        }
+
+        const chars = Array.from(value);
+        if (chars.length === 1) {
+            return `unigrams : "${value}"`;
+        }
+
+        const pairs = [];
+        for (let i = 0; i < chars.length - 1; i++) {
+            pairs.push(chars[i] + chars[i + 1]);
+        }
+        return `bigrams : "${pairs.join(' ')}"`;
+    });
+
+    return {
+        match: clauses.join(' AND '),
+        terms: segments.map(s => s.text)
+    };
+}
+
+/**
+ * Cut a snippet around the first match and locate every term in it
+ * @param {string} content - Original message text
+ * @param {Array<string>} terms - Lower-cased terms from buildMatchQuery()
+ * @returns {Object} - { snippet, highlights: [[start, end], ...] }
+ */
+function highlight(content, terms) {
+    const text = content || '';
+    const lower = text.toLowerCase();
+
+    // Find all term occurrences in the full text
+    const ranges = [];
+    terms.forEach((term) => {
+        let index = lower.indexOf(term);
+        while (index !== -1 && term.length > 0) {
+            ranges.push([index, index + term.length]);
+            index = lower.indexOf(term, index + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    // Merge overlapping ranges
+    const merged = [];
+    ranges.forEach((range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    });
+
+    if (text.length <= SNIPPET_LENGTH) {
+        return { snippet: text, highlights: merged };
+    }
+
+    let start = merged.length > 0 ? Math.max(0, merged[0][0] - SNIPPET_CONTEXT) : 0;
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const offset = prefix.length - start;
+
+    return {
+        snippet: prefix + text.slice(start, end) + suffix,
+        highlights: merged
+            .filter(([from, to]) => from < end && to > start)
+            .map(([from, to]) => [Math.max(from, start) + offset, Math.min(to, end) + offset])
+    };
+}
+
+/**
+ * Text that should be searchable for a message
+ * @param {Object} message - { type, content, fileName }
+ * @returns {string|null} - Text to index, or null for unindexed messages
+ */
+function getIndexableText(message) {
+    if (message.type === 'text') {
+        return message.content;
+    }
+    if (message.type === 'system') {
+        return null;
+    }
+    // Media messages are found by their file name
+    return message.fileName || null;
+}
+
+module.exports = {
+    segment,
+    tokenizeForIndex,
+    buildMatchQuery,
+    highlight,
+    getIndexableText
+};
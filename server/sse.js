@@ -0,0 +1,190 @@
+/**
+ * Server-Sent Events Module
+ * Streams a room's events over plain HTTP for clients whose proxies break
+ * WebSockets
+ *
+ * `GET /api/stream?roomId=` answers with a `text/event-stream` carrying the
+ * same JSON events as the WebSocket connection, one `data:` line each.
+ * Stored messages carry their history cursor as the event id, so a
+ * reconnecting EventSource sends it back as `Last-Event-ID` and gets what it
+ * missed from the database (and the recent events kept by the event bus).
+ * A comment line is sent every KEEP_ALIVE_INTERVAL so that proxies do not
+ * close idle streams.
+ */
+
+const { getHistory, encodeCursor, parseCursor } = require('./db');
+const { DEFAULT_ROOM_ID, resolveRoom } = require('./rooms');
+const { busEvents, isStored, getRecentEvents } = require('./bus');
+const presence = require('./presence');
+
+// Configuration
+const KEEP_ALIVE_INTERVAL = 15 * 1000;
+const RETRY_DELAY = 3 * 1000; // Reconnect delay suggested to EventSource
+const REPLAY_PAGE_SIZE = 100;
+const MAX_REPLAY = 1000; // Older gaps are left to the history API
+
+// { userId, sessionId, roomId, res, pending }
+const streams = new Set();
+
+/**
+ * Write one event to a stream
+ * @param {Object} stream - Stream
+ * @param {Object} event - Event or message
+ */
+function write(stream, event) {
+    // Evicted streams are ended before their connection closes
+    if (stream.res.writableEnded) {
+        return;
+    }
+
+    const id = isStored(event) ? `id: ${encodeCursor(event)}\n` : '';
+    stream.res.write(`${id}data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Deliver a published event, holding it back while missed events are replayed
+ * @param {Object} stream - Stream
+ * @param {Object} event - Event or message
+ */
+function deliver(stream, event) {
+    if (stream.pending) {
+        stream.pending.push(event);
+    } else {
+        write(stream, event);
+    }
+}
+
+/**
+ * Send the events a reconnecting client missed, then the ones published meanwhile
+ * @param {Object} stream - Stream
+ * @param {Object} cursor - Cursor ({ timestamp, id }) of the last event received
+ */
+async function replay(stream, cursor) {
+    const sent = new Set();
+    let after = cursor;
+    let hasMore = true;
+
+    while (hasMore && sent.size < MAX_REPLAY) {
+        const page = await getHistory(stream.roomId, { after, limit: REPLAY_PAGE_SIZE });
+        page.messages.forEach((message) => {
+            write(stream, message);
+            sent.add(message.id);
+        });
+        after = parseCursor(page.nextCursor);
+        hasMore = page.hasMore;
+    }
+
+    getRecentEvents(stream.roomId, stream.userId, cursor.timestamp).forEach((event) => {
+        write(stream, event);
+        sent.add(event);
+    });
+
+    const { pending } = stream;
+    stream.pending = null;
+    pending
+        .filter(event => !sent.has(isStored(event) ? event.id : event))
+        .forEach(event => write(stream, event));
+}
+
+/**
+ * Handle GET /api/stream?roomId=
+ * Requires authentication (`req.user`); EventSource cannot send headers, so
+ * the token is usually passed as `?token=`.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function handleStream(req, res) {
+    try {
+        const userId = req.user.userId;
+        const roomId = req.query.roomId || DEFAULT_ROOM_ID;
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const cursor = lastEventId ? parseCursor(lastEventId) : null;
+
+        if (lastEventId && !cursor) {
+            return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+        }
+
+        const { error, status } = await resolveRoom(roomId, userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+        const stream = {
+            userId,
+            sessionId: req.user.sessionId,
+            roomId,
+            res,
+            pending: cursor ? [] : null
+        };
+        streams.add(stream);
+        presence.connect(userId);
+        presence.enterRoom(userId, roomId);
+
+        const keepAlive = setInterval(() => {
+            if (!res.writableEnded) {
+                res.write(': keep-alive\n\n');
+            }
+        }, KEEP_ALIVE_INTERVAL);
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            streams.delete(stream);
+            presence.disconnect(userId);
+        });
+
+        if (cursor) {
+            await replay(stream, cursor);
+        }
+    } catch (error) {
+        console.error('Error streaming events:', error);
+        if (res.headersSent) {
+            res.end();
+        } else {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+}
+
+busEvents.on('room', (roomId, event) => {
+    streams.forEach((stream) => {
+        if (stream.roomId === roomId) {
+            deliver(stream, event);
+        }
+    });
+});
+
+busEvents.on('user', (userId, event) => {
+    streams.forEach((stream) => {
+        if (stream.userId === userId) {
+            deliver(stream, event);
+        }
+    });
+});
+
+// Tell evicted clients why before ending their streams; when EventSource
+// reconnects it is refused if it lost access
+busEvents.on('evict', (predicate, reason) => {
+    streams.forEach((stream) => {
+        if (predicate(stream) && !stream.res.writableEnded) {
+            write(stream, {
+                type: 'removed',
+                roomId: stream.roomId,
+                content: reason,
+                timestamp: Date.now()
+            });
+            stream.res.end();
+            streams.delete(stream);
+        }
+    });
+});
+
+module.exports = {
+    handleStream
+};
@@ -0,0 +1,232 @@
+/**
+ * Storage Module
+ * Keeps uploads within their quotas and removes the files nothing uses
+ *
+ * Stored files are deduplicated by content (see media.js). Every upload is
+ * counted against the quota of the uploading user (USER_STORAGE_QUOTA) and
+ * of the room it was uploaded for (ROOM_STORAGE_QUOTA), each file once
+ * however often it was uploaded, until the file is removed. A quota of 0
+ * means no limit.
+ *
+ * Messages hold on to the files and thumbnails they reference. A file that
+ * no message references, because it was never posted or because its
+ * messages were deleted, recalled or cleared, is removed with its thumbnail
+ * once ORPHAN_FILE_GRACE has passed since it was last uploaded or released.
+ * Files in the uploads directory that were never recorded, such as those
+ * left behind by a failed upload, are removed after the same grace period.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+    getUserStorageUsage,
+    getRoomStorageUsage,
+    getFileUploads,
+    getOrphanFiles,
+    deleteOrphanFile,
+    isFileReferenced
+} = require('./db');
+const { resolveRoom } = require('./rooms');
+
+/**
+ * Read a size in bytes from the environment
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback - Default size
+ * @returns {number} - Size in bytes
+ */
+function sizeFromEnv(value, fallback) {
+    const size = parseInt(value, 10);
+    return Number.isInteger(size) && size >= 0 ? size : fallback;
+}
+
+// Configuration
+const MB = 1024 * 1024;
+const USER_STORAGE_QUOTA = sizeFromEnv(process.env.USER_STORAGE_QUOTA, 1024 * MB); // 1GB
+const ROOM_STORAGE_QUOTA = sizeFromEnv(process.env.ROOM_STORAGE_QUOTA, 5 * 1024 * MB); // 5GB
+const ORPHAN_FILE_GRACE = parseInt(process.env.ORPHAN_FILE_GRACE, 10) || 24 * 60 * 60 * 1000; // 24 hours
+const STORAGE_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const SWEEP_BATCH_SIZE = 100;
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+const UPLOAD_DIRS = ['audio', 'video', 'image', 'file', 'thumbnails'];
+
+/**
+ * Format a size in megabytes for error messages
+ * @param {number} bytes - Size in bytes
+ * @returns {number} - Megabytes, to one decimal place
+ */
+function formatMB(bytes) {
+    return Math.round(bytes / MB * 10) / 10;
+}
+
+/**
+ * Describe a quota and how much of it is used
+ * @param {Object} usage - { files, bytes }
+ * @param {number} quota - Quota in bytes, 0 for none
+ * @returns {Object} - { files, bytes, quota, remaining }; quota and remaining are null without a limit
+ */
+function formatUsage(usage, quota) {
+    return {
+        files: usage.files,
+        bytes: usage.bytes,
+        quota: quota || null,
+        remaining: quota ? Math.max(0, quota - usage.bytes) : null
+    };
+}
+
+/**
+ * Check that an upload fits in the quotas of its user and room
+ * @param {string} userId - Uploading user
+ * @param {string} roomId - Room the file is uploaded for
+ * @param {number} size - File size in bytes
+ * @param {string|null} filePath - Public path of the stored copy of the same content, if any;
+ *     a user or room it is already counted for is not charged again
+ * @returns {Promise<Object|null>} - { error, status } if over quota, null otherwise
+ */
+async function checkQuota(userId, roomId, size, filePath = null) {
+    const uploads = filePath ? await getFileUploads(filePath) : [];
+
+    if (USER_STORAGE_QUOTA && !uploads.some(upload => upload.userId === userId)) {
+        const { bytes } = await getUserStorageUsage(userId);
+        if (bytes + size > USER_STORAGE_QUOTA) {
+            return { error: `Storage quota exceeded (${formatMB(USER_STORAGE_QUOTA)}MB per user)`, status: 413 };
+        }
+    }
+
+    if (ROOM_STORAGE_QUOTA && !uploads.some(upload => upload.roomId === roomId)) {
+        const { bytes } = await getRoomStorageUsage(roomId);
+        if (bytes + size > ROOM_STORAGE_QUOTA) {
+            return { error: `Storage quota exceeded (${formatMB(ROOM_STORAGE_QUOTA)}MB per room)`, status: 413 };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the storage used by a user's uploads
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { files, bytes, quota, remaining }
+ */
+async function getUserStorage(userId) {
+    return formatUsage(await getUserStorageUsage(userId), USER_STORAGE_QUOTA);
+}
+
+/**
+ * Get the storage used by the uploads for a room
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User asking, who must be able to read the room
+ * @returns {Promise<Object>} - { files, bytes, quota, remaining } on success, { error, status } otherwise
+ */
+async function getRoomStorage(roomId, userId) {
+    const room = await resolveRoom(roomId, userId);
+    if (room.error) {
+        return room;
+    }
+    return formatUsage(await getRoomStorageUsage(roomId), ROOM_STORAGE_QUOTA);
+}
+
+/**
+ * Remove a file from the uploads directory
+ * @param {string} filePath - Public path (`/uploads/...`)
+ */
+async function removeFile(filePath) {
+    await fs.promises.rm(path.join(UPLOADS_DIR, filePath.replace(/^\/uploads\//, '')), { force: true });
+}
+
+/**
+ * Remove the recorded files no message references
+ * @param {number} before - Files uploaded or released since then are kept
+ * @returns {Promise<number>} - Number of removed files
+ */
+async function sweepRecordedFiles(before) {
+    let removed = 0;
+    let orphans;
+    let batchRemoved;
+
+    do {
+        orphans = await getOrphanFiles(before, SWEEP_BATCH_SIZE);
+        batchRemoved = 0;
+        for (const file of orphans) {
+            // Claimed by a message or an upload since it was listed
+            if (!await deleteOrphanFile(file.path, before)) {
+                continue;
+            }
+            await removeFile(file.path);
+            if (file.thumbnail && !await isFileReferenced(file.thumbnail)) {
+                await removeFile(file.thumbnail);
+            }
+            batchRemoved++;
+        }
+        removed += batchRemoved;
+    } while (orphans.length === SWEEP_BATCH_SIZE && batchRemoved > 0);
+
+    return removed;
+}
+
+/**
+ * Remove the files in the uploads directory that were never recorded
+ * @param {number} before - Files modified since then are kept
+ * @returns {Promise<number>} - Number of removed files
+ */
+async function sweepStrayFiles(before) {
+    let removed = 0;
+
+    for (const dir of UPLOAD_DIRS) {
+        let names;
+        try {
+            names = await fs.promises.readdir(path.join(UPLOADS_DIR, dir));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+
+        for (const name of names) {
+            const diskPath = path.join(UPLOADS_DIR, dir, name);
+            const stat = await fs.promises.stat(diskPath).catch(() => null);
+            if (!stat || !stat.isFile() || stat.mtimeMs >= before) {
+                continue;
+            }
+            if (!await isFileReferenced(`/uploads/${dir}/${name}`)) {
+                await fs.promises.rm(diskPath, { force: true });
+                removed++;
+            }
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Remove every file nothing has used for ORPHAN_FILE_GRACE
+ * @returns {Promise<number>} - Number of removed files
+ */
+async function sweepOrphanFiles() {
+    const before = Date.now() - ORPHAN_FILE_GRACE;
+    return await sweepRecordedFiles(before) + await sweepStrayFiles(before);
+}
+
+/**
+ * Periodically remove orphan files
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function startStorageSweeper() {
+    const timer = setInterval(() => {
+        sweepOrphanFiles().catch((err) => {
+            console.error('Storage sweep failed:', err.message);
+        });
+    }, STORAGE_SWEEP_INTERVAL);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    checkQuota,
+    getUserStorage,
+    getRoomStorage,
+    sweepOrphanFiles,
+    startStorageSweeper
+};
@@ -0,0 +1,379 @@
+/**
+ * Resumable Upload Module
+ * Large files uploaded in numbered chunks that survive dropped connections
+ *
+ * The client opens an upload session for a file, then sends its chunks
+ * (each `chunkSize` bytes, the last one shorter) in any order, each with the
+ * SHA-256 of its bytes. After a dropped connection it asks for the session
+ * status and only sends the chunks still missing. Completing the session
+ * joins the chunks into the uploads directory and checks the file exactly
+ * like `/upload` does (see media.js), answering with the same file details;
+ * the message is then posted with that filePath like any other media message.
+ *
+ * Chunks wait in UPLOAD_SESSIONS_DIR, outside the served uploads
+ * directory. Sessions that receive nothing for SESSION_TTL are removed with
+ * their chunks.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+    createUploadSession,
+    getUploadSession,
+    addUploadChunk,
+    getUploadChunks,
+    deleteUploadSession,
+    getExpiredUploadSessions
+} = require('./db');
+const { resolveRoom } = require('./rooms');
+const { MIME_TYPE_PATTERN, uploadTypeOf, checkUploadSize, storeUpload } = require('./media');
+const { UPLOADS_DIR, checkQuota } = require('./storage');
+
+// Configuration
+const DEFAULT_CHUNK_SIZE = 1024 * 1024; // 1MB
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+const SESSION_TTL = parseInt(process.env.UPLOAD_SESSION_TTL, 10) || 24 * 60 * 60 * 1000; // 24 hours
+const UPLOAD_CLEANUP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const UPLOAD_SESSIONS_DIR = process.env.UPLOAD_SESSIONS_DIR || path.join(__dirname, 'upload-sessions');
+const CHECKSUM_PATTERN = /^[0-9a-f]{64}$/;
+
+// Sessions being assembled, so that a repeated complete request does not join them twice
+const completing = new Set();
+
+/**
+ * Get the directory holding the chunks of a session
+ * @param {string} sessionId - Upload session ID
+ * @returns {string} - Directory path
+ */
+function chunkDir(sessionId) {
+    return path.join(UPLOAD_SESSIONS_DIR, sessionId);
+}
+
+/**
+ * Get the expected size of a chunk
+ * @param {Object} session - Upload session
+ * @param {number} index - Chunk index
+ * @returns {number} - Size in bytes
+ */
+function expectedChunkSize(session, index) {
+    if (index < session.totalChunks - 1) {
+        return session.chunkSize;
+    }
+    return session.fileSize - session.chunkSize * (session.totalChunks - 1);
+}
+
+/**
+ * Describe a session and what it has received so far
+ * `offset` counts the bytes received without a gap from the start of the file.
+ * @param {Object} session - Upload session
+ * @param {Array} chunks - Received chunks, by index
+ * @returns {Object} - Upload status payload
+ */
+function formatStatus(session, chunks) {
+    const received = chunks.map(chunk => chunk.index);
+    let contiguous = 0;
+    while (contiguous < received.length && received[contiguous] === contiguous) {
+        contiguous++;
+    }
+
+    return {
+        sessionId: session.id,
+        roomId: session.roomId,
+        fileName: session.fileName,
+        fileSize: session.fileSize,
+        mimeType: session.mimeType,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        received,
+        offset: Math.min(contiguous * session.chunkSize, session.fileSize),
+        complete: received.length === session.totalChunks,
+        expiresAt: session.expiresAt
+    };
+}
+
+/**
+ * Look up a live session owned by a user
+ * @param {string} sessionId - Upload session ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { session } on success, { error, status } otherwise
+ */
+async function resolveSession(sessionId, userId) {
+    const session = await getUploadSession(sessionId);
+    if (!session || session.userId !== userId || session.expiresAt < Date.now()) {
+        return { error: 'Upload session not found', status: 404 };
+    }
+    return { session };
+}
+
+/**
+ * Open an upload session
+ * @param {string} userId - Uploading user
+ * @param {Object} input - { roomId, fileName, fileSize, mimeType, chunkSize }
+ * @returns {Promise<Object>} - Upload status on success, { error, status } otherwise
+ */
+async function startUpload(userId, { roomId, fileName, fileSize, mimeType, chunkSize }) {
+    const room = await resolveRoom(roomId, userId, { write: true });
+    if (room.error) {
+        return room;
+    }
+
+    if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > 255) {
+        return { error: 'fileName is required (up to 255 characters)', status: 400 };
+    }
+    if (typeof mimeType !== 'string' || !MIME_TYPE_PATTERN.test(mimeType)) {
+        return { error: 'mimeType is required', status: 400 };
+    }
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size <= 0) {
+        return { error: 'fileSize must be a positive integer', status: 400 };
+    }
+    // Checked again against the type found in the content once the file is complete
+    const tooLarge = checkUploadSize(uploadTypeOf(mimeType), size);
+    if (tooLarge) {
+        return tooLarge;
+    }
+    const overQuota = await checkQuota(userId, roomId, size);
+    if (overQuota) {
+        return overQuota;
+    }
+
+    const requested = chunkSize === undefined || chunkSize === null ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+    if (!Number.isInteger(requested) || requested < MIN_CHUNK_SIZE || requested > MAX_CHUNK_SIZE) {
+        return { error: `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`, status: 400 };
+    }
+
+    const now = Date.now();
+    const session = {
+        id: uuidv4(),
+        userId,
+        roomId,
+        fileName: fileName.trim(),
+        fileSize: size,
+        mimeType,
+        chunkSize: requested,
+        totalChunks: Math.ceil(size / requested),
+        createdAt: now,
+        expiresAt: now + SESSION_TTL
+    };
+
+    await fs.promises.mkdir(chunkDir(session.id), { recursive: true });
+    await createUploadSession(session);
+
+    return formatStatus(session, []);
+}
+
+/**
+ * Get the status of an upload session
+ * @param {string} sessionId - Upload session ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Upload status on success, { error, status } otherwise
+ */
+async function getUploadStatus(sessionId, userId) {
+    const { session, error, status } = await resolveSession(sessionId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    return formatStatus(session, await getUploadChunks(session.id));
+}
+
+/**
+ * Store one chunk of an upload
+ * Sending a chunk again replaces it, so a chunk whose acknowledgement was
+ * lost can simply be retried.
+ * @param {string} sessionId - Upload session ID
+ * @param {string} userId - User ID
+ * @param {*} index - Chunk index, from 0
+ * @param {Buffer} data - Chunk bytes
+ * @param {string} checksum - Hex SHA-256 of the chunk sent by the client
+ * @returns {Promise<Object>} - Upload status on success, { error, status } otherwise
+ */
+async function saveUploadChunk(sessionId, userId, index, data, checksum) {
+    const { session, error, status } = await resolveSession(sessionId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+        return { error: `Chunk index must be between 0 and ${session.totalChunks - 1}`, status: 400 };
+    }
+
+    if (!Buffer.isBuffer(data) || data.length !== expectedChunkSize(session, chunkIndex)) {
+        return { error: `Chunk ${chunkIndex} must be ${expectedChunkSize(session, chunkIndex)} bytes`, status: 400 };
+    }
+
+    const expected = typeof checksum === 'string' ? checksum.toLowerCase() : '';
+    if (!CHECKSUM_PATTERN.test(expected)) {
+        return { error: 'X-Chunk-SHA256 header with the hex SHA-256 of the chunk is required', status: 400 };
+    }
+
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (actual !== expected) {
+        return { error: 'Chunk checksum mismatch', status: 422 };
+    }
+
+    // Write next to the final name first, so a half-written chunk is never taken for a whole one
+    const chunkPath = path.join(chunkDir(session.id), String(chunkIndex));
+    await fs.promises.mkdir(chunkDir(session.id), { recursive: true });
+    await fs.promises.writeFile(`${chunkPath}.part`, data);
+    await fs.promises.rename(`${chunkPath}.part`, chunkPath);
+
+    session.expiresAt = Date.now() + SESSION_TTL;
+    await addUploadChunk(session.id, { index: chunkIndex, size: data.length, checksum: actual }, session.expiresAt);
+
+    return formatStatus(session, await getUploadChunks(session.id));
+}
+
+/**
+ * Join the chunks of a session into the final file
+ * Nothing is left at `target` if that fails.
+ * @param {Object} session - Upload session
+ * @param {string} target - Path of the final file
+ * @returns {Promise<string>} - Hex SHA-256 of the whole file
+ */
+async function assemble(session, target) {
+    const hash = crypto.createHash('sha256');
+    const file = await fs.promises.open(target, 'wx');
+
+    try {
+        for (let index = 0; index < session.totalChunks; index++) {
+            const data = await fs.promises.readFile(path.join(chunkDir(session.id), String(index)));
+            hash.update(data);
+            await file.write(data);
+        }
+        await file.close();
+    } catch (err) {
+        // The file has no database row yet, so the orphan sweep would never remove it
+        await file.close().catch(() => {});
+        await fs.promises.rm(target, { force: true });
+        throw err;
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Complete an upload: join its chunks into `uploads/audio|video`
+ * @param {string} sessionId - Upload session ID
+ * @param {string} userId - User ID
+ * @param {string} checksum - Optional hex SHA-256 of the whole file
+ * @returns {Promise<Object>} - File details as returned by /upload, { error, status } otherwise
+ */
+async function completeUpload(sessionId, userId, checksum) {
+    const { session, error, status } = await resolveSession(sessionId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    const room = await resolveRoom(session.roomId, userId, { write: true });
+    if (room.error) {
+        return room;
+    }
+
+    const chunks = await getUploadChunks(session.id);
+    if (chunks.length !== session.totalChunks) {
+        return { error: `Upload is incomplete (${chunks.length}/${session.totalChunks} chunks)`, status: 409 };
+    }
+
+    if (completing.has(session.id)) {
+        return { error: 'Upload is already being completed', status: 409 };
+    }
+    completing.add(session.id);
+
+    try {
+        const typeDir = path.join(UPLOADS_DIR, uploadTypeOf(session.mimeType));
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const fileName = `${uniqueSuffix}${path.extname(session.fileName)}`;
+        const target = path.join(typeDir, fileName);
+
+        await fs.promises.mkdir(typeDir, { recursive: true });
+        const digest = await assemble(session, target);
+
+        if (checksum && digest !== String(checksum).toLowerCase()) {
+            await fs.promises.rm(target, { force: true });
+            return { error: 'File checksum mismatch', status: 422 };
+        }
+
+        await removeSession(session.id);
+
+        return storeUpload(target, {
+            userId,
+            roomId: session.roomId,
+            fileName: session.fileName,
+            mimeType: session.mimeType,
+            sha256: digest
+        });
+    } finally {
+        completing.delete(session.id);
+    }
+}
+
+/**
+ * Abandon an upload and discard its chunks
+ * @param {string} sessionId - Upload session ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - {} on success, { error, status } otherwise
+ */
+async function abortUpload(sessionId, userId) {
+    const { session, error, status } = await resolveSession(sessionId, userId);
+    if (error) {
+        return { error, status };
+    }
+
+    await removeSession(session.id);
+    return {};
+}
+
+/**
+ * Delete a session and its chunks
+ * @param {string} sessionId - Upload session ID
+ */
+async function removeSession(sessionId) {
+    await deleteUploadSession(sessionId);
+    await fs.promises.rm(chunkDir(sessionId), { recursive: true, force: true });
+}
+
+/**
+ * Remove expired sessions with their chunks
+ * @returns {Promise<number>} - Number of removed sessions
+ */
+async function cleanupExpiredUploads() {
+    const expired = await getExpiredUploadSessions(Date.now());
+    for (const sessionId of expired) {
+        if (!completing.has(sessionId)) {
+            await removeSession(sessionId);
+        }
+    }
+    return expired.length;
+}
+
+/**
+ * Periodically remove abandoned upload sessions
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function startUploadCleanup() {
+    const timer = setInterval(() => {
+        cleanupExpiredUploads().catch((err) => {
+            console.error('Upload cleanup failed:', err.message);
+        });
+    }, UPLOAD_CLEANUP_INTERVAL);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    startUpload,
+    getUploadStatus,
+    saveUploadChunk,
+    completeUpload,
+    abortUpload,
+    cleanupExpiredUploads,
+    startUploadCleanup
+};
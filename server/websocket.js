@@ -4,7 +4,16 @@
  */
 
 const WebSocket = require('ws');
-const { saveMessage, getHistory } = require('./db');
+const { saveMessage, getHistory, parseCursor, addRoomMember } = require('./db');
+const { verifyToken, extractToken } = require('./auth');
+const { resolveRoom } = require('./rooms');
+const { validateClientId, resolveReply, resolveMedia, saveChatMessage, editMessage, recallMessage, toggleReaction } = require('./messages');
+const { markRead } = require('./receipts');
+const { recordMentions } = require('./mentions');
+const { isDirectRoomId } = require('./direct');
+const { busEvents, broadcastToRoom, sendToUser, evict } = require('./bus');
+const presence = require('./presence');
+const { consume, clientIp, acquireConnection } = require('./ratelimit');
 
 // Store connected clients by room
 const rooms = new Map();
@@ -17,21 +26,32 @@ const clients = new Map();
  * @param {http.Server} server - HTTP server instance
  */
 function initWebSocket(server) {
-    const wss = new WebSocket.Server({ server });
+    const wss = new WebSocket.Server({ server, verifyClient: authenticateUpgrade });
 
     wss.on('connection', (ws, req) => {
-        console.log('New WebSocket connection');
+        console.log(`New WebSocket connection from ${req.user.userId}`);
         
         // Generate unique client ID
         const clientId = generateClientId();
         
-        // Store client info
+        // Store client info, identity comes from the verified token
         clients.set(ws, {
             id: clientId,
             roomId: null,
-            userId: null,
+            userId: req.user.userId,
+            sessionId: req.user.sessionId,
+            ip: clientIp(req),
             connectedAt: Date.now()
         });
+        
+        presence.connect(req.user.userId);
+        
+        // Answered pings keep the connection (and the user's presence) alive
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+            presence.heartbeat(req.user.userId);
+        });
 
         // Handle incoming messages
         ws.on('message', async (data) => {
@@ -77,10 +97,39 @@ function initWebSocket(server) {
     wss.on('close', () => {
         clearInterval(heartbeatInterval);
     });
+    
+    // Deliver what is published on the event bus to the sockets concerned
+    busEvents.on('room', deliverToRoom);
+    busEvents.on('user', deliverToUser);
 
     console.log('WebSocket server initialized');
 }
 
+/**
+ * Authenticate a WebSocket upgrade request
+ * The token is passed as `?token=` (or a Bearer header where supported).
+ * Addresses with too many open connections are turned away first.
+ * @param {Object} info - { origin, secure, req }
+ * @param {Function} done - Callback (result, code, message)
+ */
+function authenticateUpgrade(info, done) {
+    if (!acquireConnection(info.req)) {
+        console.log(`Rejected WebSocket upgrade: too many connections from ${clientIp(info.req)}`);
+        done(false, 429, 'Too many connections');
+        return;
+    }
+    
+    verifyToken(extractToken(info.req))
+        .then((user) => {
+            info.req.user = user;
+            done(true);
+        })
+        .catch((error) => {
+            console.log(`Rejected WebSocket upgrade: ${error.message}`);
+            done(false, 401, 'Unauthorized');
+        });
+}
+
 /**
  * Handle incoming messages
  * @param {WebSocket} ws - WebSocket connection
@@ -89,6 +138,25 @@ function initWebSocket(server) {
 async function handleMessage(ws, message) {
     const clientInfo = clients.get(ws);
     
+    // Anything but a ping (or an explicit away) counts as user activity
+    if (message.type === 'ping') {
+        presence.heartbeat(clientInfo.userId);
+    } else if (message.type !== 'presence') {
+        presence.markActive(clientInfo.userId);
+    }
+    
+    // Joins, messages, edits and reactions are rate limited per user and address
+    const limited = consume(message.type, clientInfo);
+    if (limited) {
+        sendError(ws, limited.error, {
+            clientId: message.clientId,
+            code: limited.code,
+            retryAfter: limited.retryAfter,
+            muted: limited.muted
+        });
+        return;
+    }
+    
     switch (message.type) {
         case 'join':
             await handleJoin(ws, message);
@@ -101,6 +169,8 @@ async function handleMessage(ws, message) {
         case 'text':
         case 'audio':
         case 'video':
+        case 'image':
+        case 'file':
             await handleChatMessage(ws, message);
             break;
             
@@ -108,6 +178,31 @@ async function handleMessage(ws, message) {
             await handleSystemMessage(ws, message);
             break;
             
+        case 'history':
+            await handleHistoryRequest(ws, message);
+            break;
+            
+        case 'edit':
+        case 'recall':
+            await handleMessageChange(ws, message);
+            break;
+            
+        case 'read':
+            await handleRead(ws, message);
+            break;
+            
+        case 'reaction':
+            await handleReaction(ws, message);
+            break;
+            
+        case 'typing':
+            await handleTyping(ws, message);
+            break;
+            
+        case 'presence':
+            presence.setAway(clientInfo.userId, message.status === 'away');
+            break;
+            
         case 'ping':
             ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
             break;
@@ -123,14 +218,25 @@ async function handleMessage(ws, message) {
  * @param {Object} message - Join message
  */
 async function handleJoin(ws, message) {
-    const { roomId, senderId } = message;
+    const { roomId } = message;
     
-    if (!roomId || !senderId) {
-        sendError(ws, 'roomId and senderId are required');
+    if (!roomId) {
+        sendError(ws, 'roomId is required');
         return;
     }
     
     const clientInfo = clients.get(ws);
+    const senderId = clientInfo.userId;
+    
+    const { error, access } = await resolveRoom(roomId, senderId);
+    if (error) {
+        sendError(ws, error);
+        return;
+    }
+    
+    // Joining a public room makes the user a member, read-only again if they were before leaving
+    const isNewMember = !access.role
+        && await addRoomMember({ roomId, userId: senderId, role: access.restriction === 'readonly' ? 'readonly' : 'member' });
     
     // Leave previous room if any
     if (clientInfo.roomId) {
@@ -139,13 +245,13 @@ async function handleJoin(ws, message) {
     
     // Update client info
     clientInfo.roomId = roomId;
-    clientInfo.userId = senderId;
     
     // Add to room
     if (!rooms.has(roomId)) {
         rooms.set(roomId, new Set());
     }
     rooms.get(roomId).add(ws);
+    presence.enterRoom(senderId, roomId);
     
     // Send join confirmation
     ws.send(JSON.stringify({
@@ -155,19 +261,23 @@ async function handleJoin(ws, message) {
         timestamp: Date.now()
     }));
     
-    // 发送历史记录给新加入的用户
+    // 发送历史记录给新加入的用户：默认最近50条，带 after 游标时补发断线期间的消息
     try {
-        const history = await getHistory(roomId, 1, 50); // 获取最近50条
-        if (history && history.length > 0) {
-            ws.send(JSON.stringify({
-                type: 'history',
-                messages: history.reverse() // 按时间正序
-            }));
-        }
+        await sendHistory(ws, roomId, {
+            after: message.after ? parseCursor(message.after) : null,
+            limit: 50
+        });
     } catch (e) {
         console.log('Failed to load history:', e.message);
     }
     
+    // Only new members are announced, not reconnects or further devices;
+    // direct conversations have no join / leave notices
+    if (!isNewMember || isDirectRoomId(roomId)) {
+        console.log(`User ${senderId} rejoined room ${roomId}`);
+        return;
+    }
+    
     // Broadcast join message to room (exclude self)
     const joinMessage = {
         type: 'system',
@@ -177,14 +287,63 @@ async function handleJoin(ws, message) {
         content: `${senderId} 加入了聊天室`
     };
     
+    // Save first: polling clients read it from the database once notified
+    joinMessage.id = await saveMessage(joinMessage);
     broadcastToRoom(roomId, joinMessage, ws);
     
-    // Save to database
-    await saveMessage(joinMessage);
-    
     console.log(`User ${senderId} joined room ${roomId}`);
 }
 
+/**
+ * Handle a history page request for the current room
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} message - { before, after, size }
+ */
+async function handleHistoryRequest(ws, message) {
+    const clientInfo = clients.get(ws);
+    
+    if (!clientInfo.roomId) {
+        sendError(ws, 'Not in a room. Please join a room first.');
+        return;
+    }
+    
+    const before = message.before ? parseCursor(message.before) : null;
+    const after = message.after ? parseCursor(message.after) : null;
+    
+    if ((message.before && !before) || (message.after && !after)) {
+        sendError(ws, 'Invalid cursor');
+        return;
+    }
+    
+    const size = Math.min(Math.max(parseInt(message.size, 10) || 20, 1), 100);
+    const threadId = parseInt(message.threadId, 10) || null; // Replies of one thread only
+    await sendHistory(ws, clientInfo.roomId, { threadId, before, after, limit: size });
+}
+
+/**
+ * Send a page of history to a client, oldest message first
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} roomId - Room ID
+ * @param {Object} options - { threadId, before, after, limit } as for getHistory()
+ */
+async function sendHistory(ws, roomId, options) {
+    const history = await getHistory(roomId, options);
+    
+    if (ws.readyState !== WebSocket.OPEN) {
+        return;
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'history',
+        roomId: roomId,
+        threadId: options.threadId || null,
+        direction: options.after ? 'after' : 'before',
+        messages: options.after ? history.messages : history.messages.reverse(), // 按时间正序
+        hasMore: history.hasMore,
+        nextCursor: history.nextCursor
+    }));
+}
+
 /**
  * Handle leave room request
  * @param {WebSocket} ws - WebSocket connection
@@ -194,62 +353,243 @@ async function handleLeave(ws, message) {
     const clientInfo = clients.get(ws);
     
     if (clientInfo.roomId) {
-        const leaveMessage = {
-            type: 'system',
-            roomId: clientInfo.roomId,
-            senderId: 'system',
-            timestamp: Date.now(),
-            content: `${clientInfo.userId} 离开了聊天室`
-        };
-        
-        broadcastToRoom(clientInfo.roomId, leaveMessage, ws);
-        await saveMessage(leaveMessage);
+        if (!isDirectRoomId(clientInfo.roomId)) {
+            const leaveMessage = {
+                type: 'system',
+                roomId: clientInfo.roomId,
+                senderId: 'system',
+                timestamp: Date.now(),
+                content: `${clientInfo.userId} 离开了聊天室`
+            };
+            
+            leaveMessage.id = await saveMessage(leaveMessage);
+            broadcastToRoom(clientInfo.roomId, leaveMessage, ws);
+        }
         
         leaveRoom(ws, clientInfo.roomId);
     }
 }
 
 /**
- * Handle chat messages (text, audio, video)
+ * Handle chat messages (text, audio, video, image, file)
+ * The sender gets an `ack` with the stored id and server timestamp. A
+ * message whose clientId was already stored is acknowledged again but not
+ * broadcast a second time.
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} message - Chat message
  */
 async function handleChatMessage(ws, message) {
     const clientInfo = clients.get(ws);
+    const { clientId } = message;
     
     if (!clientInfo.roomId) {
-        sendError(ws, 'Not in a room. Please join a room first.');
+        sendError(ws, 'Not in a room. Please join a room first.', { clientId });
         return;
     }
     
     // Validate message
     if (!message.content) {
-        sendError(ws, 'Message content is required');
+        sendError(ws, 'Message content is required', { clientId });
+        return;
+    }
+    
+    const clientIdError = validateClientId(clientId);
+    if (clientIdError) {
+        sendError(ws, clientIdError);
+        return;
+    }
+    
+    const { error } = await resolveRoom(clientInfo.roomId, clientInfo.userId, { write: true });
+    if (error) {
+        sendError(ws, error, { clientId });
+        return;
+    }
+    
+    const reply = await resolveReply(message.replyTo, clientInfo.roomId);
+    if (reply.error) {
+        sendError(ws, reply.error, { clientId });
+        return;
+    }
+    
+    // Media must point at a file stored by /upload that the sender may use
+    const media = await resolveMedia(message.type, message.content, clientInfo.userId);
+    if (media.error) {
+        sendError(ws, media.error, { clientId });
         return;
     }
     
-    // Normalize message
+    // Normalize message (the server clock decides the order of messages)
     const normalizedMessage = {
         type: message.type,
         roomId: clientInfo.roomId,
-        senderId: clientInfo.userId || message.senderId,
-        timestamp: message.timestamp || Date.now(),
+        senderId: clientInfo.userId,
+        clientId: clientId || null,
+        timestamp: Date.now(),
         content: message.content,
         fileName: message.fileName,
-        fileSize: message.size,
-        duration: message.duration,
-        thumbnail: message.thumbnail
+        ...media,
+        replyTo: reply.replyTo,
+        threadId: reply.threadId,
+        quote: reply.quote
     };
     
-    // Save to database
-    await saveMessage(normalizedMessage);
+    // Save to database; the id lets clients edit or recall the message later
+    let saved;
+    try {
+        saved = await saveChatMessage(normalizedMessage);
+    } catch (e) {
+        sendError(ws, 'Failed to save message', { clientId });
+        return;
+    }
+    
+    sendAck(ws, saved);
+    presence.setTyping(clientInfo.roomId, clientInfo.userId, false);
+    
+    if (saved.duplicate) {
+        console.log(`Duplicate message ${clientId} from ${normalizedMessage.senderId}, acknowledged again`);
+        return;
+    }
     
     // Broadcast to all clients in the room (including sender)
-    broadcastToRoom(clientInfo.roomId, normalizedMessage);
+    broadcastToRoom(clientInfo.roomId, saved.message);
+    
+    // Notify mentioned users wherever they are connected
+    try {
+        (await recordMentions(saved.message)).forEach(event => sendToUser(event.userId, event));
+    } catch (e) {
+        console.log('Failed to record mentions:', e.message);
+    }
     
     console.log(`Message from ${normalizedMessage.senderId} in room ${clientInfo.roomId}: ${message.type}`);
 }
 
+/**
+ * Acknowledge a stored chat message to its sender
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} saved - Result of saveChatMessage()
+ */
+function sendAck(ws, { message, duplicate }) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'ack',
+            clientId: message.clientId,
+            messageId: message.id,
+            roomId: message.roomId,
+            timestamp: message.timestamp,
+            duplicate
+        }));
+    }
+}
+
+/**
+ * Handle edit and recall requests
+ * The change is broadcast to the whole room, including the sender.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} message - { type: 'edit', messageId, content } or { type: 'recall', messageId }
+ */
+async function handleMessageChange(ws, message) {
+    const clientInfo = clients.get(ws);
+    
+    const result = message.type === 'edit'
+        ? await editMessage(message.messageId, clientInfo.userId, message.content)
+        : await recallMessage(message.messageId, clientInfo.userId);
+    
+    if (result.error) {
+        sendError(ws, result.error);
+        return;
+    }
+    
+    broadcastToRoom(result.event.roomId, result.event);
+    
+    // The sender may not be in the message's room right now
+    if (clientInfo.roomId !== result.event.roomId && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(result.event));
+    }
+    
+    // An edit may mention more users
+    (result.mentions || []).forEach(event => sendToUser(event.userId, event));
+    
+    console.log(`Message ${result.event.messageId} ${message.type === 'edit' ? 'edited' : 'recalled'} by ${clientInfo.userId}`);
+}
+
+/**
+ * Handle a reaction toggle
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} message - { messageId, emoji }
+ */
+async function handleReaction(ws, message) {
+    const clientInfo = clients.get(ws);
+    
+    const result = await toggleReaction(message.messageId, clientInfo.userId, message.emoji);
+    if (result.error) {
+        sendError(ws, result.error);
+        return;
+    }
+    
+    broadcastToRoom(result.event.roomId, result.event);
+    
+    if (clientInfo.roomId !== result.event.roomId && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(result.event));
+    }
+}
+
+/**
+ * Handle a read receipt
+ * Moving the cursor forward is announced to the room so that senders can
+ * see who has read their messages.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} message - { roomId, messageId }; defaults to the current room and its newest message
+ */
+async function handleRead(ws, message) {
+    const clientInfo = clients.get(ws);
+    const roomId = message.roomId || clientInfo.roomId;
+    
+    if (!roomId) {
+        sendError(ws, 'Not in a room. Please join a room first.');
+        return;
+    }
+    
+    const result = await markRead(roomId, clientInfo.userId, message.messageId);
+    if (result.error) {
+        sendError(ws, result.error);
+        return;
+    }
+    
+    if (!result.moved) {
+        return;
+    }
+    
+    broadcastToRoom(roomId, result.event);
+    
+    if (clientInfo.roomId !== roomId && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(result.event));
+    }
+}
+
+/**
+ * Handle typing start/stop in the current room
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} message - { state: 'start' | 'stop' }
+ */
+async function handleTyping(ws, message) {
+    const clientInfo = clients.get(ws);
+    
+    if (!clientInfo.roomId) {
+        return;
+    }
+    
+    const isTyping = message.state !== 'stop';
+    if (isTyping) {
+        const { error } = await resolveRoom(clientInfo.roomId, clientInfo.userId, { write: true });
+        if (error) {
+            sendError(ws, error);
+            return;
+        }
+    }
+    
+    presence.setTyping(clientInfo.roomId, clientInfo.userId, isTyping);
+}
+
 /**
  * Handle system messages
  * @param {WebSocket} ws - WebSocket connection
@@ -262,6 +602,12 @@ async function handleSystemMessage(ws, message) {
         return;
     }
     
+    const { error } = await resolveRoom(clientInfo.roomId, clientInfo.userId, { write: true });
+    if (error) {
+        sendError(ws, error);
+        return;
+    }
+    
     const systemMessage = {
         type: 'system',
         roomId: clientInfo.roomId,
@@ -270,7 +616,7 @@ async function handleSystemMessage(ws, message) {
         content: message.content
     };
     
-    await saveMessage(systemMessage);
+    systemMessage.id = await saveMessage(systemMessage);
     broadcastToRoom(clientInfo.roomId, systemMessage);
 }
 
@@ -282,17 +628,12 @@ function handleDisconnect(ws) {
     const clientInfo = clients.get(ws);
     
     if (clientInfo) {
+        // Before leaving, so the room still hears that the user went offline.
+        // That presence change is all the room is told: a dropped connection
+        // does not end the membership, so there is no leave notice.
+        presence.disconnect(clientInfo.userId);
+        
         if (clientInfo.roomId) {
-            // Broadcast leave message
-            const leaveMessage = {
-                type: 'system',
-                roomId: clientInfo.roomId,
-                senderId: 'system',
-                timestamp: Date.now(),
-                content: `${clientInfo.userId || 'Unknown user'} 离开了聊天室`
-            };
-            
-            broadcastToRoom(clientInfo.roomId, leaveMessage, ws);
             leaveRoom(ws, clientInfo.roomId);
         }
         
@@ -318,16 +659,25 @@ function leaveRoom(ws, roomId) {
     const clientInfo = clients.get(ws);
     if (clientInfo) {
         clientInfo.roomId = null;
+        
+        // The user may still be in the room on another device
+        const stillThere = room && Array.from(room).some(other => {
+            const info = clients.get(other);
+            return info && info.userId === clientInfo.userId;
+        });
+        if (!stillThere) {
+            presence.exitRoom(clientInfo.userId, roomId);
+        }
     }
 }
 
 /**
- * Broadcast message to all clients in a room
+ * Send a message published to a room to all clients in the room
  * @param {string} roomId - Room ID
  * @param {Object} message - Message to broadcast
  * @param {WebSocket} exclude - Optional WebSocket to exclude
  */
-function broadcastToRoom(roomId, message, exclude = null) {
+function deliverToRoom(roomId, message, exclude = null) {
     const room = rooms.get(roomId);
     if (!room) {
         console.log(`Room ${roomId} not found`);
@@ -361,14 +711,37 @@ function broadcastToRoom(roomId, message, exclude = null) {
     console.log(`Broadcast to ${sentCount}/${room.size} clients in room ${roomId}`);
 }
 
+/**
+ * Send a message published to a user to every connection of the user,
+ * whichever room it is in
+ * @param {string} userId - User ID
+ * @param {Object} message - Message to send
+ * @returns {number} - Number of connections the message was sent to
+ */
+function deliverToUser(userId, message) {
+    const messageStr = JSON.stringify(message);
+    let sentCount = 0;
+    
+    clients.forEach((clientInfo, ws) => {
+        if (clientInfo.userId === userId && ws.readyState === WebSocket.OPEN) {
+            ws.send(messageStr);
+            sentCount++;
+        }
+    });
+    
+    return sentCount;
+}
+
 /**
  * Send error message to client
  * @param {WebSocket} ws - WebSocket connection
  * @param {string} error - Error message
+ * @param {Object} details - Extra fields, e.g. the clientId of a rejected message
  */
-function sendError(ws, error) {
+function sendError(ws, error, details = {}) {
     if (ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({
+            ...details,
             type: 'error',
             content: error,
             timestamp: Date.now()
@@ -376,6 +749,110 @@ function sendError(ws, error) {
     }
 }
 
+/**
+ * Count distinct users connected to each room
+ * @returns {Map<string, number>} - Room ID -> number of users
+ */
+function getRoomMemberCounts() {
+    const counts = new Map();
+    
+    rooms.forEach((sockets, roomId) => {
+        const userIds = new Set();
+        sockets.forEach((ws) => {
+            const info = clients.get(ws);
+            if (info && info.userId) {
+                userIds.add(info.userId);
+            }
+        });
+        counts.set(roomId, userIds.size);
+    });
+    
+    return counts;
+}
+
+/**
+ * Remove every client from a room, e.g. after it was deleted
+ * Connections over other transports are closed through the event bus.
+ * @param {string} roomId - Room ID
+ * @param {string} reason - Notice sent to the removed clients
+ */
+function closeRoom(roomId, reason) {
+    evict(info => info.roomId === roomId, reason);
+    
+    const room = rooms.get(roomId);
+    if (!room) {
+        return;
+    }
+    
+    broadcastToRoom(roomId, {
+        type: 'system',
+        roomId: roomId,
+        senderId: 'system',
+        timestamp: Date.now(),
+        content: reason
+    });
+    
+    Array.from(room).forEach(ws => leaveRoom(ws, roomId));
+}
+
+/**
+ * Remove all of a user's connections from a room
+ * Connections over other transports are closed through the event bus.
+ * @param {string} roomId - Room ID
+ * @param {string} userId - User ID
+ * @param {string} reason - Notice sent to the removed connections
+ */
+function removeUserFromRoom(roomId, userId, reason) {
+    evict(info => info.roomId === roomId && info.userId === userId, reason);
+    
+    const room = rooms.get(roomId);
+    if (!room) {
+        return;
+    }
+    
+    Array.from(room).forEach((ws) => {
+        const clientInfo = clients.get(ws);
+        if (!clientInfo || clientInfo.userId !== userId) {
+            return;
+        }
+        
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+                type: 'removed',
+                roomId: roomId,
+                content: reason,
+                timestamp: Date.now()
+            }));
+        }
+        leaveRoom(ws, roomId);
+    });
+    
+    // Also covers users following the room over HTTP polling
+    presence.exitRoom(userId, roomId);
+}
+
+/**
+ * Close every connection matching a predicate
+ * Used when sessions are revoked so that open sockets (and streams over
+ * other transports) do not outlive them.
+ * @param {Function} predicate - Receives the client info, returns boolean
+ * @returns {number} - Number of closed connections
+ */
+function disconnectSessions(predicate) {
+    evict(predicate, 'Session revoked');
+    
+    let closed = 0;
+    
+    clients.forEach((clientInfo, ws) => {
+        if (predicate(clientInfo)) {
+            ws.close(4001, 'Session revoked');
+            closed++;
+        }
+    });
+    
+    return closed;
+}
+
 /**
  * Generate unique client ID
  * @returns {string} - Unique client ID
@@ -413,5 +890,9 @@ function getTotalClients() {
 module.exports = {
     initWebSocket,
     getRoomStats,
-    getTotalClients
+    getTotalClients,
+    getRoomMemberCounts,
+    closeRoom,
+    removeUserFromRoom,
+    disconnectSessions
 };
@@ -1,25 +1,133 @@
-import { useState, useEffect } from '@lynx-js/react'
+import { useState, useEffect, useRef } from '@lynx-js/react'
 import './App.css'
+import { WS_BASE, apiFetch, getAuthToken, setAuthToken, setUnauthorizedHandler } from './api.js'
+import type { User } from './api.js'
+import { Login } from './Login.jsx'
+import { loadJSON, saveJSON } from './storage.js'
+import { UploadCancelledError, downloadFile, pickMedia, uploadMedia } from './media.js'
+import type { MediaKind, PickedMedia, UploadTask } from './media.js'
+import { getPlaybackState, mediaUrl, pauseMedia, playMedia, seekMedia, stopMedia } from './player.js'
+import type { PlaybackState } from './player.js'
 
-// 服务器配置
-const SERVER_IP = '10.107.230.250'
-const SERVER_PORT = '3003'
-const API_BASE = `http://${SERVER_IP}:${SERVER_PORT}`
+// 表情回应（按表情聚合）
+interface Reaction {
+  emoji: string
+  count: number
+  userIds: string[]
+}
+
+// 被回复消息的摘要
+interface Quote {
+  id: string
+  type: 'text' | MediaKind | 'system'
+  senderId: string
+  content: string
+  fileName?: string
+  recalled: boolean
+}
 
-// 生成用户ID
-const MY_USER_ID = 'User_' + Math.random().toString(36).substr(2, 4)
+// 长按菜单中的快捷表情
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉']
 
 // 消息类型定义
 interface Message {
   id: string
-  type: 'text' | 'audio' | 'video' | 'system'
+  type: 'text' | MediaKind | 'system'
   senderId: string
   content: string
   fileName?: string
   fileSize?: number
-  duration?: number
+  duration?: number // 秒，由服务器读取文件得到
+  bitrate?: number // bit/s
+  width?: number
+  height?: number
+  thumbnail?: string // 封面 / 波形图 / 图片预览图地址
   time: string
   timestamp: number
+  editedAt?: number
+  recalledAt?: number
+  clientId?: string
+  status?: 'uploading' | 'sending' | 'sent' | 'failed'
+  progress?: number // 上传进度 0~1
+  reactions?: Reaction[]
+  replyTo?: string
+  threadId?: string
+  replyCount?: number
+  quote?: Quote
+}
+
+// 待发送的消息（离线队列），连接恢复后自动重发
+interface OutboxEntry {
+  roomId: string
+  message: Message
+}
+
+// 已读位置（按 timestamp、id 排序）
+interface ReadCursor {
+  id: number
+  timestamp: number
+}
+
+// 房间成员及在线状态
+interface RosterEntry {
+  userId: string
+  username: string
+  status: 'online' | 'away' | 'offline'
+}
+
+const PRESENCE_LABELS = { online: '在线', away: '离开', offline: '离线' }
+
+// 群聊房间；私聊房间的 id 为 dm:<用户ID>:<用户ID>
+const DEFAULT_ROOM = 'default_room'
+
+// 私聊会话
+interface Conversation {
+  roomId: string
+  peer: { userId: string; username: string; status: 'online' | 'away' | 'offline' }
+  lastMessage: { type: string; senderId: string; content: string; fileName?: string; recalledAt?: number } | null
+  unreadCount: number
+}
+
+// 正在输入的提示最多每 3 秒发一次，由服务端负责超时停止
+const TYPING_INTERVAL = 3000
+
+// 长轮询失败（断网、服务器重启）后等待一会儿再重试
+const POLL_RETRY_DELAY = 3000
+
+// WebSocket 断开后按指数退避重连：1 秒、2 秒、4 秒……最多 30 秒
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+
+// 事件类型（其余的都是聊天 / 系统消息）
+const EVENT_TYPES = ['edit', 'recall', 'reaction', 'read', 'presence', 'typing', 'mention']
+
+// 播放中每 0.5 秒向播放器查询一次进度；快退 / 快进一次 15 秒
+const PLAYBACK_POLL_INTERVAL = 500
+const SEEK_STEP = 15
+
+// 媒体卡片的图标和默认名称
+const MEDIA_ICONS: Record<MediaKind, string> = { audio: '🎵', video: '🎬', image: '🖼️', file: '📄' }
+const MEDIA_NAMES: Record<MediaKind, string> = { audio: '音频文件', video: '视频文件', image: '图片', file: '文件' }
+
+// 聊天中的图片按原图比例缩放到这个范围内（像素）
+const IMAGE_MAX_WIDTH = 200
+const IMAGE_MAX_HEIGHT = 240
+const IMAGE_MIN_SIZE = 80
+
+// 每个聊天室在本地缓存最近的消息，冷启动时先显示缓存
+const HISTORY_CACHE_SIZE = 50
+const outboxKey = (userId: string) => `outbox:${userId}`
+const historyKey = (userId: string, roomId: string) => `history:${userId}:${roomId}`
+
+// 消息的历史游标，与服务端格式相同
+const cursorOf = (m: { timestamp: number; id: number }) => `${m.timestamp}_${m.id}`
+
+// 一批消息和事件中最新的时间戳；回执、编辑、撤回等事件可能不带时间戳，一个都没有时返回 null
+export const latestTimestamp = (list: { timestamp?: unknown }[]): number | null => {
+  const timestamps = list
+    .map(m => m.timestamp)
+    .filter((ts): ts is number => typeof ts === 'number' && Number.isFinite(ts))
+  return timestamps.length > 0 ? Math.max(...timestamps) : null
 }
 
 // 格式化文件大小
@@ -30,6 +138,49 @@ const formatFileSize = (bytes: number): string => {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB'
 }
 
+// 引用摘要：撤回的消息不再显示原文，媒体消息显示文件名
+const quoteText = (q: Quote): string => {
+  if (q.recalled) return '原消息已撤回'
+  if (q.type === 'audio') return `[音频] ${q.fileName || ''}`
+  if (q.type === 'video') return `[视频] ${q.fileName || ''}`
+  if (q.type === 'image') return '[图片]'
+  if (q.type === 'file') return `[文件] ${q.fileName || ''}`
+  return q.content
+}
+
+// 回复时在本地生成引用（与服务端一样只保留前 100 个字）
+const toQuote = (msg: Message): Quote => ({
+  id: msg.id,
+  type: msg.type,
+  senderId: msg.senderId,
+  content: msg.content.slice(0, 100),
+  fileName: msg.fileName,
+  recalled: Boolean(msg.recalledAt)
+})
+
+// @提醒：@ 前面不能是文字，后面是用户 ID 或用户名（与服务端解析规则一致）
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_]{1,32})/gu
+
+// 把消息文本拆成普通文字和 @提醒 片段
+const splitMentions = (content: string) => {
+  const parts: { text: string; name?: string }[] = []
+  let last = 0
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const start = (match.index || 0) + match[1].length
+    if (start > last) parts.push({ text: content.slice(last, start) })
+    parts.push({ text: '@' + match[2], name: match[2] })
+    last = start + match[2].length + 1
+  }
+  if (last < content.length) parts.push({ text: content.slice(last) })
+  return parts
+}
+
+// 新回复让话题首条消息的回复数加一（取消发送时减一）
+const countReply = (list: Message[], threadId?: string, delta = 1) => {
+  if (!threadId) return list
+  return list.map(m => m.id === threadId ? { ...m, replyCount: Math.max((m.replyCount || 0) + delta, 0) } : m)
+}
+
 // 格式化时长
 const formatDuration = (seconds: number): string => {
   if (!seconds) return '0:00'
@@ -38,7 +189,38 @@ const formatDuration = (seconds: number): string => {
   return `${mins}:${secs.toString().padStart(2, '0')}`
 }
 
+// 媒体信息：大小 · 时长，视频和图片加分辨率，音频加码率（服务器读不出的项不显示）
+const formatMediaMeta = (msg: Message): string => {
+  const parts = [formatFileSize(msg.fileSize || 0)]
+  if (msg.duration) parts.push(formatDuration(msg.duration))
+  if ((msg.type === 'video' || msg.type === 'image') && msg.width && msg.height) parts.push(`${msg.width}×${msg.height}`)
+  if (msg.type === 'audio' && msg.bitrate) parts.push(`${Math.round(msg.bitrate / 1000)} kbps`)
+  return parts.join(' · ')
+}
+
+// 图片在消息列表中的显示尺寸；服务器读不出尺寸时用 4:3
+const imageSize = (msg: Message) => {
+  const width = msg.width || 4
+  const height = msg.height || 3
+  const scale = Math.min(IMAGE_MAX_WIDTH / width, IMAGE_MAX_HEIGHT / height)
+  return {
+    width: `${Math.max(IMAGE_MIN_SIZE, Math.round(width * scale))}px`,
+    height: `${Math.max(IMAGE_MIN_SIZE, Math.round(height * scale))}px`
+  }
+}
+
+// 服务器读取文件得到的媒体信息，上传完成和消息保存后覆盖本地的值
+const mediaFields = (m: any) => ({
+  fileSize: m.fileSize,
+  duration: m.duration || undefined,
+  bitrate: m.bitrate || undefined,
+  width: m.width || undefined,
+  height: m.height || undefined,
+  thumbnail: m.thumbnail || undefined
+})
+
 export function App() {
+  const [user, setUser] = useState<User | null>(null)
   const [messages, setMessages] = useState<Message[]>([])
   const [inputText, setInputText] = useState('')
   const [darkMode, setDarkMode] = useState(false)
@@ -47,8 +229,38 @@ export function App() {
   const [joined, setJoined] = useState(false)
   const [loading, setLoading] = useState(false)
   const [hasMore, setHasMore] = useState(true)
-  const [page, setPage] = useState(1)
+  const [historyCursor, setHistoryCursor] = useState<string | null>(null)
   const [showMediaPicker, setShowMediaPicker] = useState(false)
+  const [actionMsgId, setActionMsgId] = useState<string | null>(null)
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [notice, setNotice] = useState('')
+  const [readCursors, setReadCursors] = useState<Record<string, ReadCursor>>({})
+  const [lastReadId, setLastReadId] = useState(0)
+  const [roster, setRoster] = useState<RosterEntry[]>([])
+  const [typingUsers, setTypingUsers] = useState<string[]>([])
+  const [showRoster, setShowRoster] = useState(false)
+  const [replyingTo, setReplyingTo] = useState<Message | null>(null)
+  const [threadId, setThreadId] = useState<string | null>(null)
+  const [threadRoot, setThreadRoot] = useState<Message | null>(null)
+  const [threadMessages, setThreadMessages] = useState<Message[]>([])
+  const [threadCursor, setThreadCursor] = useState<string | null>(null)
+  const [threadHasMore, setThreadHasMore] = useState(false)
+  const [threadLoading, setThreadLoading] = useState(false)
+  const [roomId, setRoomId] = useState(DEFAULT_ROOM)
+  const [conversations, setConversations] = useState<Conversation[]>([])
+  const [showConversations, setShowConversations] = useState(false)
+  const [transport, setTransport] = useState<'ws' | 'poll' | null>(null)
+  const [playback, setPlayback] = useState<PlaybackState | null>(null) // 正在播放（或暂停）的消息
+  const [playbackPositions, setPlaybackPositions] = useState<Record<string, number>>({}) // 其他消息上次停下的位置
+  const [viewingImage, setViewingImage] = useState<Message | null>(null) // 全屏查看的图片
+  const typingSentAt = useRef(0)
+  const lastCursor = useRef('') // 收到的最后一条消息，重连时从这里补发
+  const outbox = useRef<OutboxEntry[]>([])
+  const inFlight = useRef(new Set<string>()) // 正在发送的 clientId
+  const drainTimer = useRef<ReturnType<typeof setTimeout> | null>(null) // 被限流后重发队列的定时器
+  const uploads = useRef(new Map<string, { media: PickedMedia; task?: UploadTask }>()) // clientId -> 上传中 / 上传失败的文件
+
+  const myId = user ? user.userId : ''
 
   // 获取时间字符串
   const getTime = (ts?: number) => {
@@ -56,193 +268,994 @@ export function App() {
     return d.getHours().toString().padStart(2, '0') + ':' + d.getMinutes().toString().padStart(2, '0')
   }
 
-  // 加载历史记录
-  const loadHistory = (pageNum: number = 1, prepend: boolean = false) => {
+  // 服务端消息转为本地消息（历史记录、轮询和话题共用）
+  const toMessage = (m: any): Message => ({
+    id: m.id ? String(m.id) : 'p_' + m.timestamp + Math.random(),
+    type: m.type,
+    senderId: m.senderId,
+    content: m.content,
+    fileName: m.fileName,
+    ...mediaFields(m),
+    time: getTime(m.timestamp),
+    timestamp: m.timestamp,
+    editedAt: m.editedAt || undefined,
+    recalledAt: m.recalledAt || undefined,
+    clientId: m.clientId || undefined,
+    reactions: m.reactions || [],
+    replyTo: m.replyTo ? String(m.replyTo) : undefined,
+    threadId: m.threadId ? String(m.threadId) : undefined,
+    replyCount: m.replyCount || 0,
+    quote: m.quote ? { ...m.quote, id: String(m.quote.id) } : undefined
+  })
+
+  // 加载历史记录：不带游标取最新一页，带 before 游标取更早的一页
+  const loadHistory = (before: string | null = null) => {
     if (loading) return
     setLoading(true)
     
-    fetch(`${API_BASE}/api/history?roomId=default_room&page=${pageNum}&size=20`)
+    const cursorParam = before ? `&before=${encodeURIComponent(before)}` : ''
+    apiFetch(`/api/history?roomId=${encodeURIComponent(roomId)}&size=20${cursorParam}`)
       .then(res => res.json())
       .then(data => {
         if (data.success && data.messages) {
-          const historyMsgs: Message[] = data.messages.map((m: any, i: number) => ({
-            id: 'h_' + m.timestamp + '_' + i,
-            type: m.type,
-            senderId: m.senderId,
-            content: m.content,
-            fileName: m.fileName,
-            fileSize: m.fileSize,
-            duration: m.duration,
-            time: getTime(m.timestamp),
-            timestamp: m.timestamp
-          }))
+          const historyMsgs: Message[] = data.messages.map(toMessage)
           
-          if (prepend) {
-            setMessages(prev => [...historyMsgs, ...prev])
+          if (before) {
+            // 游标分页不会重复，这里再按 id 去重以防与轮询到的消息重叠
+            setMessages(prev => {
+              const known = new Set(prev.map(m => m.id))
+              return [...historyMsgs.filter(m => !known.has(m.id)), ...prev]
+            })
           } else {
-            setMessages(historyMsgs)
-            if (historyMsgs.length > 0) {
-              setLastTimestamp(Math.max(...historyMsgs.map(m => m.timestamp)))
-            }
+            setMessages(withOutbox(historyMsgs))
+            trackCursor(data.messages)
+            const latest = latestTimestamp(historyMsgs)
+            if (latest !== null) setLastTimestamp(latest)
           }
           
-          setHasMore(data.messages.length === 20)
-          setPage(pageNum)
+          setHasMore(Boolean(data.hasMore))
+          setHistoryCursor(data.nextCursor || null)
         }
       })
       .catch(() => {})
       .finally(() => setLoading(false))
   }
 
-  // 加载更多历史
-  const loadMore = () => {
-    if (hasMore && !loading) {
-      loadHistory(page + 1, true)
+  // 应用编辑 / 撤回 / 表情回应事件（主列表和话题中的消息，以及引用它的回复）
+  const applyMessageChange = (change: any) => {
+    const id = String(change.messageId)
+    const apply = (m: Message): Message => {
+      if (m.quote && m.quote.id === id && change.type !== 'reaction') {
+        m = change.type === 'recall'
+          ? { ...m, quote: { ...m.quote, content: '', recalled: true } }
+          : { ...m, quote: { ...m.quote, content: change.content.slice(0, 100) } }
+      }
+      if (m.id !== id) return m
+      if (change.type === 'recall') {
+        return {
+          ...m,
+          content: '',
+          fileName: undefined,
+          fileSize: undefined,
+          duration: undefined,
+          bitrate: undefined,
+          width: undefined,
+          height: undefined,
+          thumbnail: undefined,
+          recalledAt: change.recalledAt,
+          reactions: []
+        }
+      }
+      if (change.type === 'reaction') {
+        return { ...m, reactions: change.reactions }
+      }
+      return { ...m, content: change.content, editedAt: change.editedAt }
     }
+    setMessages(prev => prev.map(apply))
+    setThreadMessages(prev => prev.map(apply))
+    setThreadRoot(prev => prev && apply(prev))
   }
 
-  // 初始化：加入聊天室 + 获取历史记录
-  useEffect(() => {
-    // 获取历史记录
-    loadHistory(1, false)
-    
-    // 加入聊天室
-    fetch(`${API_BASE}/api/join`, {
+  // 记录某人的已读位置
+  const applyReadReceipt = (receipt: any) => {
+    setReadCursors(prev => ({
+      ...prev,
+      [receipt.userId]: { id: receipt.lastReadMessageId, timestamp: receipt.lastReadTimestamp }
+    }))
+  }
+
+  // 更新成员在线状态
+  const applyPresence = (event: any) => {
+    setRoster(prev => {
+      if (!prev.some(r => r.userId === event.userId)) {
+        return [...prev, { userId: event.userId, username: event.userId, status: event.status }]
+      }
+      return prev.map(r => r.userId === event.userId ? { ...r, status: event.status } : r)
+    })
+  }
+
+  // 更新正在输入的人
+  const applyTyping = (event: any) => {
+    setTypingUsers(prev => {
+      const others = prev.filter(id => id !== event.userId)
+      return event.state === 'start' ? [...others, event.userId] : others
+    })
+  }
+
+  // 获取成员列表和在线状态
+  const loadRoster = () => {
+    apiFetch(`/rooms/${encodeURIComponent(roomId)}/roster`)
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) return
+        setRoster(data.roster.map((r: any) => ({ userId: r.userId, username: r.username || r.userId, status: r.status })))
+        setTypingUsers(data.roster.filter((r: any) => r.typing).map((r: any) => r.userId))
+      })
+      .catch(() => {})
+  }
+
+  // 统计除自己外已读到某条消息的人数
+  const countReaders = (msg: Message) => {
+    const id = Number(msg.id)
+    return Object.keys(readCursors).filter(userId => {
+      const c = readCursors[userId]
+      return userId !== myId && (c.timestamp > msg.timestamp || (c.timestamp === msg.timestamp && c.id >= id))
+    }).length
+  }
+
+  // 有人 @ 我：当前聊天室里的提醒直接算已读（消息会高亮显示），其他聊天室的给出提示
+  const handleMention = (event: any) => {
+    if (event.roomId !== roomId) {
+      showNotice(event.roomId.startsWith('dm:') ? `${event.senderId} 在私聊中提到了你` : `${event.senderId} 在 ${event.roomId} 中提到了你`)
+      return
+    }
+    apiFetch('/mentions/read', {
+      method: 'POST',
+      body: JSON.stringify({ messageIds: [event.messageId] })
+    }).catch(() => {})
+  }
+
+  // 消息是否 @ 了我
+  const mentionsMe = (msg: Message) => {
+    return msg.type === 'text' && splitMentions(msg.content).some(p => p.name === myId || (user && p.name === user.username))
+  }
+
+  // 显示几秒钟的提示
+  const showNotice = (text: string) => {
+    setNotice(text)
+    setTimeout(() => setNotice(''), 3000)
+  }
+
+  // 服务器限流（rate_limited）时的提示，retryAfter 单位为秒
+  const rateLimitNotice = (data: { retryAfter: number, muted?: boolean }) =>
+    data.muted ? `发送过于频繁，已被暂时禁言，${data.retryAfter} 秒后恢复` : `发送太频繁，${data.retryAfter} 秒后自动重发`
+
+  // 同步输入框内容（原生 input 不受 state 控制）
+  const setInputValue = (value: string) => {
+    setInputText(value)
+    lynx.createSelectorQuery()
+      .select('#message-input')
+      .invoke({ method: 'setValue', params: { value } })
+      .exec()
+  }
+
+  // 加载话题：不带游标取最新一页，带 before 游标取更早的一页
+  const loadThread = (rootId: string, before: string | null = null) => {
+    if (threadLoading) return
+    setThreadLoading(true)
+
+    const cursorParam = before ? `&before=${encodeURIComponent(before)}` : ''
+    apiFetch(`/api/thread?messageId=${rootId}&size=20${cursorParam}`)
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error)
+        const page: Message[] = data.messages.map(toMessage)
+        if (before) {
+          setThreadMessages(prev => {
+            const known = new Set(prev.map(m => m.id))
+            return [...page.filter(m => !known.has(m.id)), ...prev]
+          })
+        } else {
+          setThreadRoot(data.root ? toMessage(data.root) : null)
+          setThreadMessages(page)
+        }
+        setThreadHasMore(Boolean(data.hasMore))
+        setThreadCursor(data.nextCursor || null)
+      })
+      .catch((e) => showNotice(e.message || '加载话题失败'))
+      .finally(() => setThreadLoading(false))
+  }
+
+  // 打开话题：msg 可以是话题中的任意一条消息
+  const openThread = (msg: Message) => {
+    const rootId = msg.threadId || msg.id
+    setActionMsgId(null)
+    setThreadId(rootId)
+    setThreadRoot(null)
+    setThreadMessages([])
+    setThreadHasMore(false)
+    loadThread(rootId)
+  }
+
+  const closeThread = () => {
+    setThreadId(null)
+    setThreadRoot(null)
+    setThreadMessages([])
+    setThreadCursor(null)
+    setReplyingTo(null)
+  }
+
+  // 获取私聊会话列表
+  const loadConversations = () => {
+    apiFetch('/direct')
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) setConversations(data.conversations)
+      })
+      .catch(() => {})
+  }
+
+  // 切换房间：清空当前房间的状态，由初始化 effect 重新加入并加载历史
+  const switchRoom = (nextRoomId: string) => {
+    setShowConversations(false)
+    if (nextRoomId === roomId) return
+    setActionMsgId(null)
+    if (editingId) cancelEdit()
+    closeThread()
+    setJoined(false)
+    setMessages([])
+    setHistoryCursor(null)
+    setHasMore(true)
+    setReadCursors({})
+    setLastReadId(0)
+    setRoster([])
+    setTypingUsers([])
+    setShowRoster(false)
+    setLastTimestamp(0)
+    lastCursor.current = ''
+    typingSentAt.current = 0
+    stopPlayback()
+    setViewingImage(null)
+    setRoomId(nextRoomId)
+  }
+
+  // 点击头像：打开（第一次时创建）与对方的私聊
+  const openDirect = (userId: string) => {
+    if (userId === myId) return
+    apiFetch('/direct', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ senderId: MY_USER_ID })
+      body: JSON.stringify({ userId })
     })
     .then(res => res.json())
-    .then(() => {
-      setStatus('在线')
-      setJoined(true)
-      if (lastTimestamp === 0) {
-        setLastTimestamp(Date.now())
-      }
-    })
-    .catch(() => {
-      setStatus('连接失败')
+    .then(data => {
+      if (!data.success) throw new Error(data.error)
+      const conversation: Conversation = data.conversation
+      setConversations(prev => [conversation, ...prev.filter(c => c.roomId !== conversation.roomId)])
+      switchRoom(conversation.roomId)
     })
+    .catch((e) => showNotice(e.message || '无法打开私聊'))
+  }
+
+  // 打开会话列表时刷新未读数
+  const toggleConversations = () => {
+    if (!showConversations) loadConversations()
+    setShowConversations(!showConversations)
+  }
+
+  // 加载更多历史
+  const loadMore = () => {
+    if (hasMore && !loading && historyCursor) {
+      loadHistory(historyCursor)
+    }
+  }
+
+  // 登录成功
+  const handleLogin = (loggedIn: User, token: string) => {
+    setAuthToken(token)
+    setUser(loggedIn)
+  }
+
+  // 退出登录（主动退出或 token 失效）
+  const resetSession = () => {
+    setAuthToken('')
+    setUser(null)
+    setJoined(false)
+    setMessages([])
+    setStatus('连接中...')
+    setLastTimestamp(0)
+    setHistoryCursor(null)
+    setHasMore(true)
+    setActionMsgId(null)
+    setEditingId(null)
+    setReadCursors({})
+    setLastReadId(0)
+    setRoster([])
+    setTypingUsers([])
+    setShowRoster(false)
+    setReplyingTo(null)
+    closeThread()
+    setRoomId(DEFAULT_ROOM)
+    setConversations([])
+    setShowConversations(false)
+    setTransport(null)
+    stopMedia()
+    setPlayback(null)
+    setPlaybackPositions({})
+    setViewingImage(null)
+    lastCursor.current = ''
+    outbox.current = []
+    if (drainTimer.current) {
+      clearTimeout(drainTimer.current)
+      drainTimer.current = null
+    }
+    typingSentAt.current = 0
+  }
+
+  const handleLogout = () => {
+    apiFetch('/auth/logout', { method: 'POST' })
+      .catch(() => {})
+      .finally(resetSession)
+  }
+
+  useEffect(() => {
+    setUnauthorizedHandler(resetSession)
+    return () => setUnauthorizedHandler(null)
   }, [])
 
-  // 轮询获取新消息
+  // 初始化：登录后加入聊天室 + 获取历史记录（通过 WebSocket 加入时历史记录随之下发）
   useEffect(() => {
-    if (!joined) return
+    if (!user) return
+
+    // 先显示本地缓存的消息和未发出的消息，历史记录到达后再替换
+    outbox.current = loadJSON<OutboxEntry[]>(outboxKey(user.userId), [])
+    setMessages(withOutbox(loadJSON<Message[]>(historyKey(user.userId, roomId), [])))
+
+    // 获取已读位置；打开聊天室即看到了其中的 @提醒
+    loadConversations()
+    apiFetch('/mentions/read', {
+      method: 'POST',
+      body: JSON.stringify({ roomId })
+    }).catch(() => {})
+    apiFetch(`/rooms/${encodeURIComponent(roomId)}/reads`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) data.receipts.forEach(applyReadReceipt)
+      })
+      .catch(() => {})
+    
+    // 优先通过 WebSocket 加入聊天室，连不上时退回 HTTP 长轮询，同时按指数退避继续重连
+    let stopped = false
+    let socket: WebSocket | null = null
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+    let attempts = 0
+    let polling = false
+    let roomJoined = false
+
+    const fallBack = () => {
+      if (polling) return
+      polling = true
+      setTransport('poll')
+      // 之前已经加入过（例如 WebSocket 中途断开）就不再发加入通知，直接开始轮询
+      if (roomJoined) {
+        setStatus('在线')
+        setJoined(true)
+        return
+      }
+      roomJoined = true
+      loadHistory()
+      apiFetch('/api/join', { method: 'POST', body: JSON.stringify({ roomId }) })
+      .then(res => res.json())
+      .then(data => {
+        if (stopped) return
+        if (!data.success) throw new Error(data.error)
+        setStatus('在线')
+        setJoined(true)
+        loadRoster()
+        flushOutbox()
+        if (lastTimestamp === 0) {
+          setLastTimestamp(Date.now())
+        }
+      })
+      .catch(() => {
+        if (!stopped) setStatus('连接失败')
+      })
+    }
+
+    const handleSocketMessage = (data: any) => {
+      switch (data.type) {
+        case 'joined':
+          roomJoined = true
+          polling = false
+          setTransport('ws')
+          setStatus('在线')
+          setJoined(true)
+          loadRoster()
+          flushOutbox()
+          break
+        case 'history':
+          if (data.threadId) break
+          if (data.direction === 'after') {
+            // 重连后补发的消息，没补完就继续要下一页
+            handleIncoming(data.messages)
+            if (data.hasMore && socket) {
+              socket.send(JSON.stringify({ type: 'history', after: data.nextCursor, size: 100 }))
+            }
+          } else {
+            setMessages(withOutbox(data.messages.map(toMessage)))
+            trackCursor(data.messages)
+            const latest = latestTimestamp(data.messages)
+            if (latest !== null) setLastTimestamp(latest)
+            setHasMore(Boolean(data.hasMore))
+            setHistoryCursor(data.nextCursor || null)
+          }
+          break
+        case 'error':
+          showNotice(data.code === 'rate_limited' ? rateLimitNotice(data) : data.content)
+          break
+        case 'removed':
+          showNotice(data.content)
+          if (roomId !== DEFAULT_ROOM) switchRoom(DEFAULT_ROOM)
+          break
+        case 'ack':
+        case 'pong':
+          break
+        default:
+          // 连接成功的欢迎消息不属于任何聊天室
+          if (data.type === 'system' && !data.roomId) break
+          handleIncoming([data])
+      }
+    }
+
+    const connect = () => {
+      let opened = false
+      const ws = new WebSocket(`${WS_BASE}/?token=${encodeURIComponent(getAuthToken())}`)
+      socket = ws
+
+      ws.onopen = () => {
+        opened = true
+        attempts = 0
+        // 带上收到的最后一条消息，服务端只补发之后的消息
+        ws.send(JSON.stringify({ type: 'join', roomId, after: lastCursor.current || undefined }))
+      }
+      ws.onmessage = (event: MessageEvent) => {
+        if (!stopped) handleSocketMessage(JSON.parse(event.data))
+      }
+      ws.onclose = () => {
+        if (stopped) return
+        socket = null
+        if (opened) setStatus('重新连接中...')
+        fallBack()
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** attempts, RECONNECT_MAX_DELAY)
+        attempts++
+        reconnectTimer = setTimeout(connect, delay)
+      }
+    }
+
+    connect()
+    return () => {
+      stopped = true
+      if (reconnectTimer) clearTimeout(reconnectTimer)
+      if (socket) socket.close()
+    }
+  }, [user, roomId])
+
+  // 处理收到的消息和事件（WebSocket 推送与轮询共用）
+  const handleIncoming = (list: any[]) => {
+    if (list.length === 0) return
+
+    list
+      .filter((m: any) => m.type === 'mention')
+      .forEach(handleMention)
+
+    // 以下只处理当前房间的消息和事件
+    const roomMsgs = list.filter((m: any) => !m.roomId || m.roomId === roomId)
+
+    roomMsgs
+      .filter((m: any) => m.type === 'edit' || m.type === 'recall' || m.type === 'reaction')
+      .forEach(applyMessageChange)
+    roomMsgs
+      .filter((m: any) => m.type === 'read')
+      .forEach(applyReadReceipt)
+    roomMsgs
+      .filter((m: any) => m.type === 'presence')
+      .forEach(applyPresence)
+    roomMsgs
+      .filter((m: any) => m.type === 'typing' && m.userId !== myId)
+      .forEach(applyTyping)
+
+    const stored = roomMsgs.filter((m: any) => !EVENT_TYPES.includes(m.type))
+    const newMsgs: Message[] = stored.map(toMessage)
+    trackCursor(stored)
+
+    if (newMsgs.length > 0) {
+      // 自己发出的消息按 clientId 与本地气泡合并，不再重复显示（回复数在发送时已加过）
+      setMessages(prev => {
+        let next = prev
+        newMsgs.forEach(m => {
+          if (m.clientId && next.some(p => p.clientId === m.clientId)) {
+            const media = m.type !== 'text' ? mediaFields(m) : {}
+            next = next.map(p => p.clientId === m.clientId ? { ...p, ...media, id: m.id, status: 'sent' } : p)
+          } else if (!next.some(p => p.id === m.id)) {
+            next = [...countReply(next, m.threadId), m]
+          }
+        })
+        return next
+      })
+    }
+
+    const latest = latestTimestamp(list)
+    if (latest !== null) setLastTimestamp(latest)
+  }
+
+  // 记下收到的最新一条已入库消息的游标
+  const trackCursor = (list: any[]) => {
+    list
+      .filter((m: any) => typeof m.id === 'number')
+      .forEach((m: any) => {
+        const [ts, id] = lastCursor.current.split('_').map(Number)
+        if (!lastCursor.current || m.timestamp > ts || (m.timestamp === ts && m.id > id)) {
+          lastCursor.current = cursorOf(m)
+        }
+      })
+  }
+
+  // WebSocket 不可用时长轮询获取新消息：服务器有新消息时立即返回，否则挂起一段时间后返回空结果，收到响应后马上发起下一次
+  useEffect(() => {
+    if (!joined || transport !== 'poll') return
+
+    let stopped = false
+    let retryTimer: ReturnType<typeof setTimeout> | null = null
+    let cursor = lastCursor.current
+    let since = lastTimestamp || Date.now()
+    let failed = false
 
     const poll = () => {
-      fetch(`${API_BASE}/api/messages?since=${lastTimestamp}`)
+      const position = cursor ? `cursor=${encodeURIComponent(cursor)}&since=${since}` : `since=${since}`
+      apiFetch(`/api/messages?roomId=${encodeURIComponent(roomId)}&${position}`)
         .then(res => res.json())
         .then(data => {
-          if (data.messages && data.messages.length > 0) {
-            const newMsgs = data.messages
-              .filter((m: any) => !(m.type !== 'system' && m.senderId === MY_USER_ID))
-              .map((m: any) => ({
-                id: m.id || 'p_' + m.timestamp + Math.random(),
-                type: m.type,
-                senderId: m.senderId,
-                content: m.content,
-                fileName: m.fileName,
-                fileSize: m.fileSize,
-                duration: m.duration,
-                time: getTime(m.timestamp),
-                timestamp: m.timestamp
-              }))
-            
-            if (newMsgs.length > 0) {
-              setMessages(prev => [...prev, ...newMsgs])
-            }
-            
-            const maxTs = Math.max(...data.messages.map((m: any) => m.timestamp))
-            setLastTimestamp(maxTs)
+          if (stopped) return
+          if (!data.success) throw new Error(data.error)
+          cursor = data.cursor
+          since = data.since
+          handleIncoming(data.messages)
+          // 网络恢复后重发离线期间的消息
+          if (failed) {
+            failed = false
+            flushOutbox()
           }
+          poll()
+        })
+        .catch(() => {
+          if (stopped) return
+          failed = true
+          retryTimer = setTimeout(poll, POLL_RETRY_DELAY)
         })
-        .catch(() => {})
     }
 
-    const timer = setInterval(poll, 500)
+    poll()
+    return () => {
+      stopped = true
+      if (retryTimer) clearTimeout(retryTimer)
+    }
+  }, [joined, transport, roomId])
+
+  // 看到新消息后上报已读位置
+  useEffect(() => {
+    if (!joined) return
+
+    // 只有已入库（id 为数字）的消息才能作为已读位置
+    const ids = messages.map(m => Number(m.id)).filter(id => id > 0)
+    const id = ids.length > 0 ? ids[ids.length - 1] : 0
+    if (!id || id === lastReadId) return
+
+    setLastReadId(id)
+    apiFetch('/api/read', {
+      method: 'POST',
+      body: JSON.stringify({ roomId, messageId: id })
+    }).catch(() => {})
+  }, [joined, messages])
+
+  // 缓存当前聊天室最近的消息（未发出的消息在离线队列里）
+  useEffect(() => {
+    if (!user || !joined) return
+    const recent = messages.filter(m => !m.status || m.status === 'sent').slice(-HISTORY_CACHE_SIZE)
+    saveJSON(historyKey(user.userId, roomId), recent)
+  }, [joined, messages])
+
+  // 播放中定时读取进度；播完后停在结尾，再点 ▶ 从头播放
+  useEffect(() => {
+    if (!playback || playback.status !== 'playing') return
+    const { messageId } = playback
+
+    const timer = setInterval(() => {
+      getPlaybackState()
+        .then(state => setPlayback(prev => {
+          if (!prev || prev.messageId !== messageId || prev.status !== 'playing') return prev
+          return {
+            ...prev,
+            position: state.position,
+            duration: state.duration || prev.duration,
+            status: state.ended ? 'ended' : state.playing ? 'playing' : 'paused'
+          }
+        }))
+        .catch(() => {})
+    }, PLAYBACK_POLL_INTERVAL)
     return () => clearInterval(timer)
-  }, [joined, lastTimestamp])
+  }, [playback && playback.messageId, playback && playback.status])
+
+  // 正在播放的消息被撤回时停止播放，正在查看的图片被撤回时关闭
+  useEffect(() => {
+    if (playback && messages.some(m => m.id === playback.messageId && m.recalledAt)) {
+      stopMedia()
+      setPlayback(null)
+    }
+    if (viewingImage && messages.some(m => m.id === viewingImage.id && m.recalledAt)) {
+      setViewingImage(null)
+    }
+  }, [messages])
 
   // 发送文本消息
   const handleSend = () => {
     const text = inputText.trim()
     if (!text || !joined) return
 
+    if (editingId) {
+      handleEdit(editingId, text)
+      return
+    }
+
     const now = Date.now()
-    
-    // 本地显示
-    setMessages(prev => [...prev, {
-      id: 'local_' + now,
+    const clientId = newClientId()
+    const msg: Message = {
+      id: clientId,
+      clientId,
+      status: 'sending',
       type: 'text',
-      senderId: MY_USER_ID,
+      senderId: myId,
       content: text,
       time: getTime(),
-      timestamp: now
-    }])
+      timestamp: now,
+      ...replyFields()
+    }
+    
+    // 本地显示并放进离线队列，收到确认后再换成服务端 id（服务端收到消息会自动结束“正在输入”）
+    setMessages(prev => [...countReply(prev, msg.threadId), msg])
+    queueMessage(msg)
+    deliverMessage(msg)
+    typingSentAt.current = 0
+
+    setReplyingTo(null)
+    setInputValue('')
+  }
+
+  // 回复字段：回复选中的消息；在话题中没有选中时回复话题首条消息
+  const replyFields = (): Partial<Message> => {
+    const target = replyingTo || threadRoot
+    if (!target) return {}
+    return { replyTo: target.id, threadId: target.threadId || target.id, quote: toQuote(target) }
+  }
+
+  // 生成客户端消息 id，重发时沿用同一个 id，服务端据此去重
+  const newClientId = () => {
+    return `${myId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+  }
+
+  // 更新本地气泡
+  const updateLocalMessage = (clientId: string, patch: Partial<Message>) => {
+    setMessages(prev => prev.map(m => m.clientId === clientId ? { ...m, ...patch } : m))
+  }
+
+  // 离线队列：每次修改都写入本地存储，重启 App 后仍能重发
+  const saveOutbox = (entries: OutboxEntry[]) => {
+    outbox.current = entries
+    if (user) saveJSON(outboxKey(user.userId), entries)
+  }
+
+  const queueMessage = (msg: Message) => {
+    saveOutbox([...outbox.current, { roomId, message: msg }])
+  }
 
-    // 发送到服务器
-    fetch(`${API_BASE}/api/send`, {
+  const unqueueMessage = (clientId: string) => {
+    saveOutbox(outbox.current.filter(e => e.message.clientId !== clientId))
+  }
+
+  // 历史记录后面接上当前聊天室还没发出的消息
+  const withOutbox = (list: Message[]): Message[] => {
+    const known = new Set(list.map(m => m.clientId).filter(Boolean))
+    const pending = outbox.current
+      .filter(e => e.roomId === roomId && !known.has(e.message.clientId))
+      .map(e => ({ ...e.message, status: inFlight.current.has(e.message.clientId as string) ? 'sending' as const : 'failed' as const }))
+    return [...list, ...pending]
+  }
+
+  // 连接恢复后重发队列里的消息（包括其他聊天室的），服务端按 clientId 去重，重复发送也只保存一次
+  const flushOutbox = () => {
+    outbox.current.forEach(e => {
+      if (e.roomId === roomId) updateLocalMessage(e.message.clientId as string, { status: 'sending' })
+      deliverMessage(e.message, e.roomId)
+    })
+  }
+
+  // 被限流后等到服务器允许时再逐条重发队列，一次全部发出只会再次被拒绝
+  const scheduleDrain = (seconds: number) => {
+    if (drainTimer.current) return
+    drainTimer.current = setTimeout(async () => {
+      drainTimer.current = null
+      for (const e of outbox.current.slice()) {
+        if (inFlight.current.has(e.message.clientId as string) || !outbox.current.includes(e)) continue
+        if (await deliverMessage(e.message, e.roomId)) break
+      }
+    }, seconds * 1000)
+  }
+
+  // 发送到服务器：成功后用 ack 里的 id 和服务器时间更新气泡并移出队列；
+  // 网络错误时留在队列里等连接恢复，被限流的消息留在队列里稍后重发，
+  // 被服务器拒绝（包括被禁言）的消息不再自动重发。返回是否被限流
+  const deliverMessage = (msg: Message, targetRoomId: string = roomId): Promise<boolean> => {
+    const clientId = msg.clientId as string
+    inFlight.current.add(clientId)
+
+    return apiFetch('/api/send', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        senderId: MY_USER_ID,
-        content: text,
-        type: 'text'
+        clientId,
+        roomId: targetRoomId,
+        content: msg.content,
+        type: msg.type,
+        replyTo: msg.replyTo,
+        fileName: msg.fileName
       })
     })
     .then(res => res.json())
     .then(data => {
-      if (data.message) {
-        setLastTimestamp(data.message.timestamp)
+      if (data.code === 'rate_limited') showNotice(rateLimitNotice(data))
+      if (data.code === 'rate_limited' && !data.muted) {
+        scheduleDrain(data.retryAfter)
+        return true
       }
+      unqueueMessage(clientId)
+      if (!data.success || !data.ack) throw new Error(data.error)
+      updateLocalMessage(clientId, {
+        id: String(data.ack.messageId),
+        status: 'sent',
+        timestamp: data.ack.timestamp,
+        time: getTime(data.ack.timestamp)
+      })
+      return false
+    })
+    .catch(() => {
+      updateLocalMessage(clientId, { status: 'failed' })
+      return false
+    })
+    .finally(() => inFlight.current.delete(clientId))
+  }
+
+  // 重发失败的消息：文件没传上去的重新上传，其余的重新放进离线队列
+  const retrySend = (msg: Message) => {
+    if (!msg.clientId) return
+    const upload = uploads.current.get(msg.clientId)
+    if (upload && !msg.content) {
+      startUpload(msg, upload.media)
+      return
+    }
+    if (!outbox.current.some(e => e.message.clientId === msg.clientId)) {
+      queueMessage({ ...msg, status: 'sending' })
+    }
+    updateLocalMessage(msg.clientId, { status: 'sending' })
+    deliverMessage(msg)
+  }
+
+  // 长按消息：显示表情回应菜单，自己的消息还可以编辑 / 撤回
+  const handleLongPress = (msg: Message) => {
+    if (msg.recalledAt || (msg.status && msg.status !== 'sent')) return
+    setActionMsgId(actionMsgId === msg.id ? null : msg.id)
+  }
+
+  // 添加 / 取消表情回应
+  const handleReact = (msg: Message, emoji: string) => {
+    setActionMsgId(null)
+
+    apiFetch('/api/react', {
+      method: 'POST',
+      body: JSON.stringify({ messageId: msg.id, emoji })
+    })
+    .then(res => res.json())
+    .then(data => {
+      if (!data.success) throw new Error(data.error)
+      applyMessageChange({ type: 'reaction', messageId: msg.id, reactions: data.reactions })
     })
-    .catch(() => {})
+    .catch((e) => showNotice(e.message || '操作失败'))
+  }
 
-    setInputText('')
+  // 开始回复：输入框上方显示被回复的消息
+  const startReply = (msg: Message) => {
+    setActionMsgId(null)
+    if (editingId) cancelEdit()
+    setReplyingTo(msg)
   }
 
-  // 发送媒体消息（模拟）
-  const handleSendMedia = (type: 'audio' | 'video') => {
+  // 开始编辑：把原文放进输入框
+  const startEdit = (msg: Message) => {
+    setActionMsgId(null)
     setShowMediaPicker(false)
-    
-    const now = Date.now()
-    const fileName = type === 'audio' ? `录音_${now}.mp3` : `视频_${now}.mp4`
-    const fileSize = Math.floor(Math.random() * 5000000) + 500000
-    const duration = Math.floor(Math.random() * 180) + 10
-
-    // 本地显示
-    setMessages(prev => [...prev, {
-      id: 'local_' + now,
-      type: type,
-      senderId: MY_USER_ID,
-      content: `/uploads/${type}/${fileName}`,
-      fileName: fileName,
-      fileSize: fileSize,
-      duration: duration,
-      time: getTime(),
-      timestamp: now
-    }])
+    setReplyingTo(null)
+    setEditingId(msg.id)
+    setInputValue(msg.content)
+  }
+
+  const cancelEdit = () => {
+    setEditingId(null)
+    setInputValue('')
+  }
 
-    // 发送到服务器
-    fetch(`${API_BASE}/api/send`, {
+  // 提交编辑
+  const handleEdit = (id: string, text: string) => {
+    apiFetch('/api/edit', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        senderId: MY_USER_ID,
-        content: `/uploads/${type}/${fileName}`,
-        type: type,
-        fileName: fileName,
-        fileSize: fileSize,
-        duration: duration
-      })
+      body: JSON.stringify({ messageId: id, content: text })
     })
     .then(res => res.json())
     .then(data => {
-      if (data.message) {
-        setLastTimestamp(data.message.timestamp)
-      }
+      if (!data.success) throw new Error(data.error)
+      applyMessageChange({ type: 'edit', messageId: id, content: data.message.content, editedAt: data.message.editedAt })
+    })
+    .catch((e) => showNotice(e.message || '编辑失败'))
+
+    cancelEdit()
+  }
+
+  // 撤回消息
+  const handleRecall = (msg: Message) => {
+    setActionMsgId(null)
+    if (editingId === msg.id) cancelEdit()
+    if (replyingTo && replyingTo.id === msg.id) setReplyingTo(null)
+
+    apiFetch('/api/recall', {
+      method: 'POST',
+      body: JSON.stringify({ messageId: msg.id })
+    })
+    .then(res => res.json())
+    .then(data => {
+      if (!data.success) throw new Error(data.error)
+      applyMessageChange({ type: 'recall', messageId: msg.id, recalledAt: data.message.recalledAt })
     })
-    .catch(() => {})
+    .catch((e) => showNotice(e.message || '撤回失败'))
+  }
+
+  // 发送媒体消息：选择 / 录制文件后先上传，服务器保存好文件再用返回的 filePath 发送消息
+  const handleSendMedia = (type: MediaKind) => {
+    setShowMediaPicker(false)
+    const reply = replyFields()
+
+    pickMedia(type)
+      .then(media => {
+        if (!media) return
+        const clientId = newClientId()
+        const msg: Message = {
+          id: clientId,
+          clientId,
+          status: 'uploading',
+          progress: 0,
+          type,
+          senderId: myId,
+          content: '',
+          fileName: media.name,
+          fileSize: media.size,
+          duration: media.duration,
+          time: getTime(),
+          timestamp: Date.now(),
+          ...reply
+        }
+        setMessages(prev => [...countReply(prev, msg.threadId), msg])
+        setReplyingTo(null)
+        startUpload(msg, media)
+      })
+      .catch((e) => showNotice(e.message || '无法选择文件'))
+  }
+
+  // 上传文件，完成后放进离线队列发送消息；上传失败的可以点击重试
+  const startUpload = (msg: Message, media: PickedMedia) => {
+    const clientId = msg.clientId as string
+    const task = uploadMedia(media, roomId, progress => updateLocalMessage(clientId, { progress }))
+    uploads.current.set(clientId, { media, task })
+    updateLocalMessage(clientId, { status: 'uploading', progress: 0 })
+
+    task.promise
+      .then(result => {
+        uploads.current.delete(clientId)
+        const uploaded: Message = {
+          ...msg,
+          status: 'sending',
+          progress: undefined,
+          type: result.type,
+          content: result.filePath,
+          fileName: result.fileName,
+          ...mediaFields(result)
+        }
+        updateLocalMessage(clientId, uploaded)
+        queueMessage(uploaded)
+        deliverMessage(uploaded)
+      })
+      .catch((e) => {
+        if (e instanceof UploadCancelledError) return
+        uploads.current.set(clientId, { media })
+        updateLocalMessage(clientId, { status: 'failed', progress: undefined })
+        showNotice(e.message || '上传失败')
+      })
+  }
+
+  // 取消上传：去掉本地气泡，消息不会发出
+  const cancelUpload = (msg: Message) => {
+    const clientId = msg.clientId as string
+    const upload = uploads.current.get(clientId)
+    if (upload && upload.task) upload.task.cancel()
+    uploads.current.delete(clientId)
+    setMessages(prev => countReply(prev.filter(m => m.clientId !== clientId), msg.threadId, -1))
+  }
+
+  // 停止播放，记住停在哪里，下次从这里继续
+  const stopPlayback = () => {
+    if (!playback) return
+    const { messageId, position, status } = playback
+    setPlaybackPositions(prev => ({ ...prev, [messageId]: status === 'ended' ? 0 : position }))
+    stopMedia()
+    setPlayback(null)
+  }
+
+  // 下载文件消息的文件
+  const handleDownload = (msg: Message) => {
+    downloadFile(msg.content, msg.fileName || '文件')
+      .catch((e) => showNotice(e.message || '下载失败'))
+  }
+
+  // 点击 ▶ / ⏸：播放中的暂停，其他情况从上次停下的位置播放（播完的从头开始）
+  const togglePlay = (msg: Message) => {
+    const active = playback && playback.messageId === msg.id ? playback : null
+    if (active && active.status === 'loading') return
+    if (active && active.status === 'playing') {
+      pauseMedia()
+      setPlayback({ ...active, status: 'paused' })
+      return
+    }
+
+    let position = active ? active.position : playbackPositions[msg.id] || 0
+    if (active && active.status === 'ended') position = 0
+    if (!active) stopPlayback()
+
+    setPlayback({ messageId: msg.id, status: 'loading', position, duration: msg.duration || 0 })
+    playMedia(msg.content, msg.type as 'audio' | 'video', position)
+      .then(() => setPlayback(prev => prev && prev.messageId === msg.id ? { ...prev, status: 'playing' } : prev))
+      .catch((e) => {
+        setPlayback(prev => prev && prev.messageId === msg.id ? null : prev)
+        showNotice(e.message || '无法播放')
+      })
+  }
+
+  // 快退 / 快进；没在播放的消息只改下次开始播放的位置
+  const seekBy = (msg: Message, delta: number) => {
+    const active = playback && playback.messageId === msg.id ? playback : null
+    const duration = (active && active.duration) || msg.duration || 0
+    const current = active ? active.position : playbackPositions[msg.id] || 0
+    const position = Math.max(0, duration ? Math.min(duration, current + delta) : current + delta)
+
+    if (active) {
+      seekMedia(position)
+      setPlayback({ ...active, position, status: active.status === 'ended' ? 'paused' : active.status })
+    } else {
+      setPlaybackPositions(prev => ({ ...prev, [msg.id]: position }))
+    }
+  }
+
+  // 时间、编辑标记；自己的消息另外显示已读人数
+  const formatMeta = (msg: Message) => {
+    const parts = [msg.time]
+    if (msg.editedAt) parts.push('已编辑')
+    if (msg.senderId === myId) {
+      const readers = countReaders(msg)
+      parts.push(readers > 0 ? `${readers}人已读` : '未读')
+    }
+    return parts.join(' · ')
   }
 
   // 切换媒体选择器
@@ -253,6 +1266,20 @@ export function App() {
   // 处理输入
   const handleInput = (e: { detail: { value: string } }) => {
     setInputText(e.detail.value)
+    if (!editingId) notifyTyping(e.detail.value.trim() !== '')
+  }
+
+  // 通知其他人正在输入 / 停止输入
+  const notifyTyping = (typing: boolean) => {
+    const now = Date.now()
+    if (typing && now - typingSentAt.current < TYPING_INTERVAL) return
+    if (!typing && typingSentAt.current === 0) return
+
+    typingSentAt.current = typing ? now : 0
+    apiFetch('/api/typing', {
+      method: 'POST',
+      body: JSON.stringify({ roomId, state: typing ? 'start' : 'stop' })
+    }).catch(() => {})
   }
 
   // 切换主题
@@ -261,24 +1288,139 @@ export function App() {
   }
 
   const isOnline = status === '在线'
+  const onlineCount = roster.filter(r => r.status !== 'offline').length
+  const typingNames = typingUsers.filter(id => id !== myId)
+  const isDirect = roomId !== DEFAULT_ROOM
+  const conversation = conversations.find(c => c.roomId === roomId)
+  const peer = roster.find(r => r.userId !== myId)
+  const directUnread = conversations.reduce((sum, c) => sum + (c.roomId === roomId ? 0 : c.unreadCount), 0)
+
+  // 头部状态：有人输入时显示输入提示，否则显示在线人数（私聊显示对方状态）和当前的连接方式
+  const transportLabel = transport === 'ws' ? '实时' : '轮询'
+  const headerStatus = !isOnline
+    ? status
+    : typingNames.length > 0
+      ? isDirect ? '正在输入...' : `${typingNames.slice(0, 2).join('、')}${typingNames.length > 2 ? ' 等' : ''} 正在输入...`
+      : `${isDirect ? PRESENCE_LABELS[peer ? peer.status : 'offline'] : `${onlineCount} 人在线`} · ${transportLabel}`
+
+  // 会话列表中最后一条消息的摘要
+  const previewText = (c: Conversation) => {
+    const m = c.lastMessage
+    if (!m) return '还没有消息'
+    const prefix = m.senderId === myId ? '我: ' : ''
+    if (m.recalledAt) return prefix + '消息已撤回'
+    if (m.type === 'audio') return prefix + '[音频]'
+    if (m.type === 'video') return prefix + '[视频]'
+    if (m.type === 'image') return prefix + '[图片]'
+    if (m.type === 'file') return prefix + '[文件]'
+    return prefix + m.content
+  }
+
+  // 话题中的回复：已加载的分页加上主列表里新收到的回复，按时间排序
+  const threadReplies = threadId
+    ? (() => {
+      const byId = new Map<string, Message>()
+      threadMessages.forEach(m => byId.set(m.id, m))
+      messages.filter(m => m.threadId === threadId).forEach(m => byId.set(m.id, m))
+      return Array.from(byId.values()).sort((a, b) => a.timestamp - b.timestamp)
+    })()
+    : []
+
+  if (!user) {
+    return <Login darkMode={darkMode} onLogin={handleLogin} />
+  }
 
-  // 渲染媒体消息卡片
+  // 渲染媒体消息卡片（图片上传完成前也用卡片显示进度）
   const renderMediaCard = (msg: Message, isSelf: boolean) => {
-    const isAudio = msg.type === 'audio'
+    const kind = msg.type as MediaKind
+    const uploading = msg.status === 'uploading'
+    const percent = Math.round((msg.progress || 0) * 100)
+    const active = playback && playback.messageId === msg.id ? playback : null
+    const position = active ? active.position : playbackPositions[msg.id] || 0
+    const duration = (active && active.duration) || msg.duration || 0
+    const played = duration ? Math.min(100, Math.round(position / duration * 100)) : 0
     return (
       <view className={isSelf ? 'media-card self' : 'media-card other'}>
-        <view className={isAudio ? 'media-icon audio' : 'media-icon video'}>
-          <text className="media-icon-text">{isAudio ? '🎵' : '🎬'}</text>
+        <view className={`media-icon ${kind}`}>
+          {msg.thumbnail
+            ? <image className="media-thumb" src={mediaUrl(msg.thumbnail)} mode="aspectFill" />
+            : <text className="media-icon-text">{MEDIA_ICONS[kind]}</text>}
         </view>
         <view className="media-info">
-          <text className="media-name">{msg.fileName || (isAudio ? '音频文件' : '视频文件')}</text>
+          <text className="media-name">{msg.fileName || MEDIA_NAMES[kind]}</text>
           <text className="media-meta">
-            {formatFileSize(msg.fileSize || 0)} · {formatDuration(msg.duration || 0)}
+            {uploading
+              ? `上传中 ${percent}% · ${formatFileSize(msg.fileSize || 0)}`
+              : formatMediaMeta(msg)}
           </text>
+          {uploading && (
+            <view className="upload-progress">
+              <view className="upload-progress-bar" style={{ width: `${percent}%` }} />
+            </view>
+          )}
+          {!uploading && (active || position > 0) && (
+            <view className="media-playback">
+              <view className="media-progress">
+                <view className="media-progress-bar" style={{ width: `${played}%` }} />
+              </view>
+              <view className="media-seek-row">
+                <text className="media-seek" bindtap={() => seekBy(msg, -SEEK_STEP)}>-{SEEK_STEP}s</text>
+                <text className="media-time">{formatDuration(position)} / {formatDuration(duration)}</text>
+                <text className="media-seek" bindtap={() => seekBy(msg, SEEK_STEP)}>+{SEEK_STEP}s</text>
+              </view>
+            </view>
+          )}
         </view>
-        <view className="media-play">
-          <text className="play-icon">▶</text>
-        </view>
+        {uploading ? (
+          <view className="media-play" bindtap={() => cancelUpload(msg)}>
+            <text className="play-icon">✕</text>
+          </view>
+        ) : kind === 'file' ? (
+          <view className="media-play" bindtap={() => handleDownload(msg)}>
+            <text className="play-icon">⬇</text>
+          </view>
+        ) : kind !== 'image' && (
+          <view className="media-play" bindtap={() => togglePlay(msg)}>
+            <text className="play-icon">{!active ? '▶' : active.status === 'loading' ? '…' : active.status === 'playing' ? '⏸' : '▶'}</text>
+          </view>
+        )}
+      </view>
+    )
+  }
+
+  // 渲染图片消息：显示预览图（小图没有预览图，直接显示原图），点击全屏查看原图
+  const renderImage = (msg: Message) => (
+    <view className="msg-image" bindtap={() => setViewingImage(msg)}>
+      <image className="msg-image-img" src={mediaUrl(msg.thumbnail || msg.content)} mode="aspectFill" style={imageSize(msg)} />
+    </view>
+  )
+
+  // 渲染引用的消息，点击打开所在话题
+  const renderQuote = (msg: Message) => {
+    if (!msg.quote) return null
+    return (
+      <view className={msg.senderId === myId ? 'msg-quote self' : 'msg-quote'} bindtap={() => openThread(msg)}>
+        <text className="msg-quote-text" text-maxline="2">{msg.quote.senderId}: {quoteText(msg.quote)}</text>
+      </view>
+    )
+  }
+
+  // 渲染话题中的一条消息，点击回复这条消息
+  const renderThreadItem = (msg: Message, isRoot: boolean) => {
+    const body = msg.recalledAt
+      ? '消息已撤回'
+      : msg.type === 'text' ? msg.content : quoteText(toQuote(msg))
+    return (
+      <view
+        key={msg.id}
+        className={isRoot ? 'thread-item root' : 'thread-item'}
+        bindtap={() => !msg.recalledAt && (!msg.status || msg.status === 'sent') && startReply(msg)}
+      >
+        <text className="thread-sender">{msg.senderId} · {msg.time}</text>
+        {!isRoot && msg.quote && msg.replyTo !== threadId && (
+          <text className="thread-quote" text-maxline="1">回复 {msg.quote.senderId}: {quoteText(msg.quote)}</text>
+        )}
+        <text className="thread-text">{body}</text>
       </view>
     )
   }
@@ -288,14 +1430,17 @@ export function App() {
       {/* 头部 */}
       <view className="header">
         <view className="header-left">
-          <view className="header-avatar">
-            <text className="header-avatar-text">💬</text>
+          {/* 私聊时点击返回群聊 */}
+          <view className="header-avatar" bindtap={() => isDirect && switchRoom(DEFAULT_ROOM)}>
+            <text className="header-avatar-text">{isDirect ? '‹' : '💬'}</text>
           </view>
-          <view className="header-info">
-            <text className="header-title">群聊</text>
+          <view className="header-info" bindtap={() => setShowRoster(!showRoster)}>
+            <text className="header-title">
+              {isDirect ? (conversation ? conversation.peer.username : peer ? peer.username : '私聊') : '群聊'}
+            </text>
             <view className="header-status-row">
               <view className={isOnline ? 'status-dot online' : 'status-dot'} />
-              <text className="header-status">{status}</text>
+              <text className="header-status">{headerStatus}</text>
             </view>
           </view>
         </view>
@@ -308,11 +1453,105 @@ export function App() {
 
       {/* 用户ID栏 */}
       <view className="user-bar">
-        <text className="user-id">我的ID: {MY_USER_ID}</text>
+        <text className="user-id">我的ID: {myId}</text>
+        <view className="logout-btn" bindtap={toggleConversations}>
+          <text className="logout-text">{directUnread > 0 ? `私信 (${directUnread})` : '私信'}</text>
+        </view>
+        <view className="logout-btn" bindtap={handleLogout}>
+          <text className="logout-text">退出</text>
+        </view>
       </view>
 
+      {/* 成员列表（点击头部展开） */}
+      {showRoster && (
+        <view className="roster">
+          {roster.map(r => (
+            <view key={r.userId} className="roster-item">
+              <view className={`roster-dot ${r.status}`} />
+              <text className="roster-name">{r.username}</text>
+              <text className="roster-status">
+                {typingUsers.includes(r.userId) ? '正在输入...' : PRESENCE_LABELS[r.status]}
+              </text>
+            </view>
+          ))}
+        </view>
+      )}
+
+      {/* 私聊会话列表 */}
+      {showConversations && (
+        <view className="roster">
+          {!isDirect || conversations.length === 0 ? null : (
+            <view className="roster-item" bindtap={() => switchRoom(DEFAULT_ROOM)}>
+              <text className="roster-name">💬 群聊</text>
+            </view>
+          )}
+          {conversations.length === 0 && (
+            <view className="roster-item">
+              <text className="roster-status">点击消息旁的头像开始私聊</text>
+            </view>
+          )}
+          {conversations.map(c => (
+            <view key={c.roomId} className="roster-item" bindtap={() => switchRoom(c.roomId)}>
+              <view className={`roster-dot ${c.peer.status}`} />
+              <view className="conversation-info">
+                <text className="roster-name">{c.peer.username}</text>
+                <text className="conversation-preview" text-maxline="1">{previewText(c)}</text>
+              </view>
+              {c.unreadCount > 0 && c.roomId !== roomId && (
+                <view className="unread-badge">
+                  <text className="unread-badge-text">{c.unreadCount}</text>
+                </view>
+              )}
+            </view>
+          ))}
+        </view>
+      )}
+
+      {/* 话题（打开时盖住消息列表，关闭后列表保持原来的滚动位置） */}
+      {threadId && (
+        <view className="thread-panel">
+          <view className="thread-header">
+            <text className="thread-title">话题</text>
+            <view className="edit-cancel" bindtap={closeThread}>
+              <text className="edit-cancel-text">关闭</text>
+            </view>
+          </view>
+          <scroll-view className="message-list" scroll-y={true}>
+            {threadRoot
+              ? renderThreadItem(threadRoot, true)
+              : !threadLoading && (
+                <view className="system-message">
+                  <text className="system-text">原消息已删除</text>
+                </view>
+              )}
+            {threadHasMore && (
+              <view className="load-more" bindtap={() => threadCursor && loadThread(threadId, threadCursor)}>
+                <text className="load-more-text">{threadLoading ? '加载中...' : '⬆ 加载更早的回复'}</text>
+              </view>
+            )}
+            {threadReplies.map(m => renderThreadItem(m, false))}
+          </scroll-view>
+        </view>
+      )}
+
+      {/* 图片查看（打开时盖住消息列表，点击图片关闭） */}
+      {viewingImage && (
+        <view className="image-viewer">
+          <view className="thread-header">
+            <text className="thread-title" text-maxline="1">{viewingImage.fileName || '图片'}</text>
+            <view className="edit-cancel" bindtap={() => setViewingImage(null)}>
+              <text className="edit-cancel-text">关闭</text>
+            </view>
+          </view>
+          <view className="image-viewer-body" bindtap={() => setViewingImage(null)}>
+            <image className="image-viewer-img" src={mediaUrl(viewingImage.content)} mode="aspectFit" />
+          </view>
+          <text className="image-viewer-meta">{formatMediaMeta(viewingImage)}</text>
+        </view>
+      )}
+
       {/* 消息列表 */}
-      <scroll-view className="message-list" scroll-y={true}>
+      <scroll-view className={threadId || viewingImage ? 'message-list hidden' : 'message-list'} scroll-y={true}>
         {/* 加载更多按钮 */}
         {hasMore && (
           <view className="load-more" bindtap={loadMore}>
@@ -329,37 +1568,100 @@ export function App() {
         ) : (
           messages.map((msg) => (
             <view key={msg.id} className="message-item">
-              {msg.type === 'system' ? (
+              {msg.type === 'system' || msg.recalledAt ? (
                 <view className="system-message">
-                  <text className="system-text">{msg.content}</text>
+                  <text className="system-text">{msg.recalledAt ? '消息已撤回' : msg.content}</text>
                 </view>
               ) : (
-                <view className={msg.senderId === MY_USER_ID ? 'message-row self' : 'message-row other'}>
-                  {msg.senderId !== MY_USER_ID && (
-                    <view className="msg-avatar">
-                      <text className="msg-avatar-text">{msg.senderId.charAt(5).toUpperCase()}</text>
+                <view className={msg.senderId === myId ? 'message-row self' : 'message-row other'}>
+                  {msg.senderId !== myId && (
+                    <view className="msg-avatar" bindtap={() => !isDirect && openDirect(msg.senderId)}>
+                      <text className="msg-avatar-text">{msg.senderId.charAt(0).toUpperCase()}</text>
                     </view>
                   )}
                   <view className="msg-content-wrapper">
-                    {msg.senderId !== MY_USER_ID && (
+                    {msg.senderId !== myId && (
                       <text className="msg-sender">{msg.senderId}</text>
                     )}
+                    {renderQuote(msg)}
                     {msg.type === 'text' ? (
-                      <view className={msg.senderId === MY_USER_ID ? 'msg-bubble self' : 'msg-bubble other'}>
-                        <text className={msg.senderId === MY_USER_ID ? 'msg-text self' : 'msg-text other'}>
-                          {msg.content}
+                      <view
+                        className={msg.senderId === myId ? 'msg-bubble self' : mentionsMe(msg) ? 'msg-bubble other mentioned' : 'msg-bubble other'}
+                        bindlongpress={() => handleLongPress(msg)}
+                      >
+                        <text className={msg.senderId === myId ? 'msg-text self' : 'msg-text other'}>
+                          {splitMentions(msg.content).map((part, i) => part.name ? (
+                            <text key={i} className="msg-mention">{part.text}</text>
+                          ) : part.text)}
                         </text>
                       </view>
                     ) : (
-                      renderMediaCard(msg, msg.senderId === MY_USER_ID)
+                      <view bindlongpress={() => handleLongPress(msg)}>
+                        {msg.type === 'image' && msg.content
+                          ? renderImage(msg)
+                          : renderMediaCard(msg, msg.senderId === myId)}
+                      </view>
+                    )}
+                    {msg.status === 'failed' ? (
+                      <text className="msg-time self failed" bindtap={() => retrySend(msg)}>
+                        发送失败，点击重试
+                      </text>
+                    ) : (
+                      <text className={msg.senderId === myId ? 'msg-time self' : 'msg-time other'}>
+                        {msg.status === 'uploading' ? '上传中...' : msg.status === 'sending' ? '发送中...' : formatMeta(msg)}
+                      </text>
+                    )}
+                    {(msg.replyCount || 0) > 0 && (
+                      <text className={msg.senderId === myId ? 'reply-count self' : 'reply-count'} bindtap={() => openThread(msg)}>
+                        {msg.replyCount} 条回复 ›
+                      </text>
+                    )}
+                    {msg.reactions && msg.reactions.length > 0 && (
+                      <view className={msg.senderId === myId ? 'reaction-list self' : 'reaction-list'}>
+                        {msg.reactions.map(r => (
+                          <view
+                            key={r.emoji}
+                            className={r.userIds.includes(myId) ? 'reaction-chip mine' : 'reaction-chip'}
+                            bindtap={() => handleReact(msg, r.emoji)}
+                          >
+                            <text className="reaction-text">{r.emoji} {r.count}</text>
+                          </view>
+                        ))}
+                      </view>
+                    )}
+                    {actionMsgId === msg.id && (
+                      <view className="msg-actions">
+                        {QUICK_REACTIONS.map(emoji => (
+                          <view key={emoji} className="msg-action" bindtap={() => handleReact(msg, emoji)}>
+                            <text className="msg-action-text">{emoji}</text>
+                          </view>
+                        ))}
+                      </view>
+                    )}
+                    {actionMsgId === msg.id && (
+                      <view className="msg-actions">
+                        <view className="msg-action" bindtap={() => startReply(msg)}>
+                          <text className="msg-action-text">回复</text>
+                        </view>
+                        {msg.senderId === myId && msg.type === 'text' && (
+                          <view className="msg-action" bindtap={() => startEdit(msg)}>
+                            <text className="msg-action-text">编辑</text>
+                          </view>
+                        )}
+                        {msg.senderId === myId && (
+                          <view className="msg-action" bindtap={() => handleRecall(msg)}>
+                            <text className="msg-action-text">撤回</text>
+                          </view>
+                        )}
+                        <view className="msg-action" bindtap={() => setActionMsgId(null)}>
+                          <text className="msg-action-text">取消</text>
+                        </view>
+                      </view>
                     )}
-                    <text className={msg.senderId === MY_USER_ID ? 'msg-time self' : 'msg-time other'}>
-                      {msg.time}
-                    </text>
                   </view>
-                  {msg.senderId === MY_USER_ID && (
+                  {msg.senderId === myId && (
                     <view className="msg-avatar self">
-                      <text className="msg-avatar-text">{MY_USER_ID.charAt(5).toUpperCase()}</text>
+                      <text className="msg-avatar-text">{(user.username || myId).charAt(0).toUpperCase()}</text>
                     </view>
                   )}
                 </view>
@@ -384,6 +1686,47 @@ export function App() {
             </view>
             <text className="picker-label">发送视频</text>
           </view>
+          <view className="media-picker-item" bindtap={() => handleSendMedia('image')}>
+            <view className="picker-icon image">
+              <text className="picker-icon-text">🖼️</text>
+            </view>
+            <text className="picker-label">发送图片</text>
+          </view>
+          <view className="media-picker-item" bindtap={() => handleSendMedia('file')}>
+            <view className="picker-icon file">
+              <text className="picker-icon-text">📄</text>
+            </view>
+            <text className="picker-label">发送文件</text>
+          </view>
+        </view>
+      )}
+
+      {/* 操作失败提示 */}
+      {notice !== '' && (
+        <view className="error-banner">
+          <text className="error-text">{notice}</text>
+        </view>
+      )}
+
+      {/* 编辑状态栏 */}
+      {editingId && (
+        <view className="edit-bar">
+          <text className="edit-bar-text">编辑消息</text>
+          <view className="edit-cancel" bindtap={cancelEdit}>
+            <text className="edit-cancel-text">取消</text>
+          </view>
+        </view>
+      )}
+
+      {/* 回复状态栏 */}
+      {replyingTo && !editingId && (
+        <view className="edit-bar">
+          <text className="edit-bar-text reply" text-maxline="1">
+            回复 {replyingTo.senderId}: {quoteText(toQuote(replyingTo))}
+          </text>
+          <view className="edit-cancel" bindtap={() => setReplyingTo(null)}>
+            <text className="edit-cancel-text">取消</text>
+          </view>
         </view>
       )}
 
@@ -393,8 +1736,9 @@ export function App() {
           <text className="attach-icon">{showMediaPicker ? '✕' : '+'}</text>
         </view>
         <input
+          id="message-input"
           className="message-input"
-          placeholder={isOnline ? '输入消息...' : '等待连接...'}
+          placeholder={!isOnline ? '等待连接...' : threadId ? '回复话题...' : '输入消息...'}
           bindinput={handleInput}
           bindconfirm={handleSend}
         />
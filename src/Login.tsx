@@ -0,0 +1,84 @@
+import { useState } from '@lynx-js/react'
+import { API_BASE } from './api.js'
+import type { User } from './api.js'
+
+interface LoginProps {
+  darkMode: boolean
+  onLogin: (user: User, token: string) => void
+}
+
+// 登录 / 注册页
+export function Login({ darkMode, onLogin }: LoginProps) {
+  const [mode, setMode] = useState<'login' | 'register'>('login')
+  const [userId, setUserId] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const isRegister = mode === 'register'
+
+  const handleSubmit = () => {
+    if (submitting) return
+    if (!userId.trim() || !password) {
+      setError('请输入用户名和密码')
+      return
+    }
+
+    setSubmitting(true)
+    setError('')
+
+    fetch(`${API_BASE}/auth/${mode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId: userId.trim(), password })
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          onLogin(data.user, data.token)
+        } else {
+          setError(data.error || (isRegister ? '注册失败' : '登录失败'))
+        }
+      })
+      .catch(() => setError('无法连接服务器'))
+      .finally(() => setSubmitting(false))
+  }
+
+  // 切换登录 / 注册
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register')
+    setError('')
+  }
+
+  return (
+    <view className={darkMode ? 'chat-container dark' : 'chat-container light'}>
+      <view className="login-panel">
+        <text className="login-logo">💬</text>
+        <text className="login-title">{isRegister ? '注册 Lynx Chat' : '登录 Lynx Chat'}</text>
+
+        <input
+          className="login-input"
+          placeholder="用户名（3-32 位字母、数字或下划线）"
+          bindinput={(e: { detail: { value: string } }) => setUserId(e.detail.value)}
+        />
+        <input
+          className="login-input"
+          type="password"
+          placeholder="密码（至少 6 位）"
+          bindinput={(e: { detail: { value: string } }) => setPassword(e.detail.value)}
+          bindconfirm={handleSubmit}
+        />
+
+        {error ? <text className="login-error">{error}</text> : null}
+
+        <view className={submitting ? 'login-btn disabled' : 'login-btn'} bindtap={handleSubmit}>
+          <text className="login-btn-text">{submitting ? '请稍候...' : (isRegister ? '注册' : '登录')}</text>
+        </view>
+
+        <view className="login-switch" bindtap={toggleMode}>
+          <text className="login-switch-text">{isRegister ? '已有账号？去登录' : '没有账号？去注册'}</text>
+        </view>
+      </view>
+    </view>
+  )
+}
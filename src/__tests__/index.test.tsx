@@ -11,6 +11,6 @@ test('App', async () => {
   render(<App />)
   
   const { findByText } = getQueriesForElement(elementTree.root!)
-  const element = await findByText('暂无消息，发送第一条吧！')
+  const element = await findByText('登录 Lynx Chat')
   expect(element).toBeInTheDocument()
 })
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest'
+
+import { UploadCancelledError, pickMedia, uploadMedia } from '../media.js'
+import type { PickedMedia } from '../media.js'
+
+class FakeXHR {
+  static last: FakeXHR
+  method = ''
+  url = ''
+  headers: Record<string, string> = {}
+  body: FormData | null = null
+  responseText = ''
+  upload: { onprogress: ((event: { lengthComputable: boolean, loaded: number, total: number }) => void) | null } = { onprogress: null }
+  onload: (() => void) | null = null
+  onerror: (() => void) | null = null
+  onabort: (() => void) | null = null
+
+  constructor() {
+    FakeXHR.last = this
+  }
+
+  open(method: string, url: string) {
+    this.method = method
+    this.url = url
+  }
+
+  setRequestHeader(name: string, value: string) {
+    this.headers[name] = value
+  }
+
+  send(body: FormData) {
+    this.body = body
+  }
+
+  abort() {
+    this.onabort?.()
+  }
+
+  respond(text: string) {
+    this.responseText = text
+    this.onload?.()
+  }
+}
+
+const recording: PickedMedia = {
+  file: new Blob(['RIFF....WAVE']),
+  name: 'voice.wav',
+  size: 12,
+  mimeType: 'audio/wav',
+}
+
+beforeEach(() => {
+  vi.stubGlobal('XMLHttpRequest', FakeXHR)
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+test('uploadMedia posts the file to /upload and reports progress', async () => {
+  const progress: number[] = []
+  const { promise } = uploadMedia(recording, 'default_room', p => progress.push(p))
+  const xhr = FakeXHR.last
+
+  expect(xhr.method).toBe('POST')
+  expect(xhr.url.endsWith('/upload')).toBe(true)
+  expect(xhr.body?.get('roomId')).toBe('default_room')
+  expect((xhr.body?.get('file') as File).name).toBe('voice.wav')
+
+  xhr.upload.onprogress?.({ lengthComputable: true, loaded: 6, total: 12 })
+  xhr.upload.onprogress?.({ lengthComputable: false, loaded: 9, total: 0 })
+  xhr.respond(JSON.stringify({ success: true, type: 'audio', filePath: '/uploads/audio/abc.wav', duration: 3 }))
+
+  expect(progress).toEqual([0.5])
+  await expect(promise).resolves.toMatchObject({ filePath: '/uploads/audio/abc.wav', duration: 3 })
+})
+
+test('uploadMedia fails with the server error, or a generic one for other responses', async () => {
+  const rejected = uploadMedia(recording, 'default_room', () => {})
+  FakeXHR.last.respond(JSON.stringify({ success: false, error: 'File too large' }))
+  await expect(rejected.promise).rejects.toThrow('File too large')
+
+  const gateway = uploadMedia(recording, 'default_room', () => {})
+  FakeXHR.last.respond('<html>502 Bad Gateway</html>')
+  await expect(gateway.promise).rejects.toThrow('上传失败')
+
+  const offline = uploadMedia(recording, 'default_room', () => {})
+  FakeXHR.last.onerror?.()
+  await expect(offline.promise).rejects.toThrow('网络错误，上传失败')
+})
+
+test('cancelling an upload rejects it with UploadCancelledError', async () => {
+  const { promise, cancel } = uploadMedia(recording, 'default_room', () => {})
+  cancel()
+  await expect(promise).rejects.toBeInstanceOf(UploadCancelledError)
+})
+
+test('pickMedia needs the host media picker', async () => {
+  vi.stubGlobal('NativeModules', {})
+  await expect(pickMedia('image')).rejects.toThrow('当前环境不支持选择文件')
+
+  vi.stubGlobal('NativeModules', {
+    MediaPickerModule: { pick: (_options: unknown, callback: (result: null) => void) => callback(null) },
+  })
+  await expect(pickMedia('image')).resolves.toBeNull()
+})
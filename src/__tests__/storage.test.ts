@@ -0,0 +1,61 @@
+import { afterEach, expect, test, vi } from 'vitest'
+
+import { loadJSON, saveJSON } from '../storage.js'
+
+const fakeLocalStorage = () => {
+  const items = new Map<string, string>()
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => { items.set(key, value) },
+  }
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+test('saveJSON and loadJSON round-trip through localStorage', () => {
+  vi.stubGlobal('NativeModules', undefined)
+  vi.stubGlobal('localStorage', fakeLocalStorage())
+
+  const outbox = [{ roomId: 'default_room', message: { clientId: 'c1', content: '你好' } }]
+  saveJSON('outbox:alice', outbox)
+  expect(loadJSON('outbox:alice', [])).toEqual(outbox)
+})
+
+test('loadJSON falls back when the value is missing or corrupt', () => {
+  vi.stubGlobal('NativeModules', undefined)
+  const storage = fakeLocalStorage()
+  vi.stubGlobal('localStorage', storage)
+
+  expect(loadJSON('history:alice:default_room', [])).toEqual([])
+  storage.setItem('history:alice:default_room', '[{"id": 1,')
+  expect(loadJSON('history:alice:default_room', [])).toEqual([])
+})
+
+test('saveJSON gives up quietly when storage is full', () => {
+  vi.stubGlobal('NativeModules', undefined)
+  vi.stubGlobal('localStorage', {
+    getItem: () => null,
+    setItem: () => { throw new Error('QuotaExceededError') },
+  })
+
+  expect(() => saveJSON('outbox:alice', [{ roomId: 'default_room' }])).not.toThrow()
+  expect(loadJSON('outbox:alice', 'fallback')).toBe('fallback')
+})
+
+test('the native storage module is preferred when the host registers it', () => {
+  const items = new Map<string, string>()
+  vi.stubGlobal('NativeModules', {
+    NativeLocalStorageModule: {
+      getStorageItem: (key: string) => items.get(key),
+      setStorageItem: (key: string, value: string) => { items.set(key, value) },
+    },
+  })
+  vi.stubGlobal('localStorage', fakeLocalStorage())
+
+  saveJSON('outbox:bob', [1, 2])
+  expect(items.get('outbox:bob')).toBe('[1,2]')
+  expect(loadJSON('outbox:bob', [])).toEqual([1, 2])
+  expect(loadJSON('outbox:carol', null)).toBeNull()
+})
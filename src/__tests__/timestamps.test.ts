@@ -0,0 +1,18 @@
+import { expect, test } from 'vitest'
+
+import { latestTimestamp } from '../App.jsx'
+
+test('latestTimestamp picks the newest timestamp', () => {
+  expect(latestTimestamp([{ timestamp: 3 }, { timestamp: 7 }, { timestamp: 5 }])).toBe(7)
+})
+
+test('latestTimestamp skips events without a usable timestamp', () => {
+  // 回执、编辑、撤回等事件可能不带时间戳
+  const list = [{ timestamp: 10 }, {}, { timestamp: undefined }, { timestamp: NaN }, { timestamp: '20' }, { timestamp: Infinity }]
+  expect(latestTimestamp(list)).toBe(10)
+})
+
+test('latestTimestamp returns null when nothing has a timestamp', () => {
+  expect(latestTimestamp([])).toBeNull()
+  expect(latestTimestamp([{ type: 'receipt' } as { timestamp?: unknown }])).toBeNull()
+})
@@ -0,0 +1,45 @@
+// 服务器配置
+const SERVER_IP = '10.107.230.250'
+const SERVER_PORT = '3003'
+export const API_BASE = `http://${SERVER_IP}:${SERVER_PORT}`
+export const WS_BASE = `ws://${SERVER_IP}:${SERVER_PORT}`
+
+// 登录用户
+export interface User {
+  userId: string
+  username: string
+  avatar?: string | null
+}
+
+// 登录成功后由服务器签发的 token
+let authToken = ''
+let unauthorizedHandler: (() => void) | null = null
+
+export const setAuthToken = (token: string) => {
+  authToken = token
+}
+
+export const getAuthToken = () => authToken
+
+// token 失效（过期 / 被注销）时的回调
+export const setUnauthorizedHandler = (handler: (() => void) | null) => {
+  unauthorizedHandler = handler
+}
+
+// 带身份的请求，所有 /api 接口都需要 Authorization 头
+export const apiFetch = (path: string, options: RequestInit = {}) => {
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    ...(options.headers as Record<string, string> | undefined),
+  }
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`
+  }
+
+  return fetch(`${API_BASE}${path}`, { ...options, headers }).then(res => {
+    if (res.status === 401 && authToken && unauthorizedHandler) {
+      unauthorizedHandler()
+    }
+    return res
+  })
+}
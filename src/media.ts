@@ -0,0 +1,240 @@
+import { API_BASE, apiFetch, getAuthToken } from './api.js'
+import { mediaUrl } from './player.js'
+
+// 超过这个大小且能计算校验和时分块上传（/upload/sessions），断线后从已收到的分块继续
+const CHUNKED_UPLOAD_THRESHOLD = 5 * 1024 * 1024
+const CHUNK_SIZE = 1024 * 1024
+const MAX_CHUNK_ATTEMPTS = 5
+const CHUNK_RETRY_DELAY = 2000
+
+// 可以发送的文件类型：图片和其他文件（PDF、文档等）与音频 / 视频一样先上传再发送
+export type MediaKind = 'audio' | 'video' | 'image' | 'file'
+
+// 选择 / 录制得到的媒体文件
+// 原生端给出文件 uri（以 React Native 风格的 { uri, name, type } 放进 FormData），Web 端直接给出 Blob
+export interface PickedMedia {
+  uri?: string
+  file?: Blob
+  name: string
+  size: number
+  mimeType: string
+  duration?: number
+}
+
+// POST /upload 保存文件后的返回值，content 填 filePath 再发送消息
+// 类型、时长、码率、分辨率和缩略图（图片为缩小的预览图）都是服务器读取文件内容得到的，读不出时为 null；
+// 内容不是支持的音视频或图片时类型为 file
+export interface UploadResult {
+  type: MediaKind
+  filePath: string
+  fileName: string
+  fileSize: number
+  mimeType: string
+  duration: number | null
+  bitrate: number | null
+  width: number | null
+  height: number | null
+  thumbnail: string | null
+}
+
+export interface UploadTask {
+  promise: Promise<UploadResult>
+  cancel: () => void
+}
+
+// 用户取消上传时 promise 以这个错误结束
+export class UploadCancelledError extends Error {
+  constructor() {
+    super('上传已取消')
+  }
+}
+
+// 选择或录制媒体：由宿主 App 注册的 MediaPickerModule 提供，用户放弃选择时返回 null
+export const pickMedia = (type: MediaKind): Promise<PickedMedia | null> => {
+  const picker = typeof NativeModules === 'undefined' ? null : NativeModules.MediaPickerModule
+  if (!picker) {
+    return Promise.reject(new Error('当前环境不支持选择文件'))
+  }
+  return new Promise(resolve => {
+    picker.pick({ type }, (result: PickedMedia | null) => resolve(result || null))
+  })
+}
+
+// 下载文件消息的文件：由宿主 App 注册的 FileDownloadModule 保存并打开，下载完成（或失败）后 promise 结束
+export const downloadFile = (path: string, fileName: string): Promise<void> => {
+  const downloader = typeof NativeModules === 'undefined' ? null : NativeModules.FileDownloadModule
+  if (!downloader) {
+    return Promise.reject(new Error('当前环境不支持下载文件'))
+  }
+  return new Promise((resolve, reject) => {
+    downloader.download({ url: mediaUrl(path), fileName }, (result: { error?: string }) => {
+      if (result && result.error) {
+        reject(new Error(result.error))
+      } else {
+        resolve()
+      }
+    })
+  })
+}
+
+// 上传文件：大文件分块上传，其余一次性 POST /upload
+export const uploadMedia = (
+  media: PickedMedia,
+  roomId: string,
+  onProgress: (progress: number) => void
+): UploadTask => {
+  const canChunk = media.file && media.size > CHUNKED_UPLOAD_THRESHOLD
+    && typeof crypto !== 'undefined' && crypto.subtle
+  return canChunk ? uploadInChunks(media, roomId, onProgress) : uploadWhole(media, roomId, onProgress)
+}
+
+// 上传到 POST /upload；fetch 拿不到上传进度，这里用 XMLHttpRequest，onProgress 收到 0~1
+const uploadWhole = (
+  media: PickedMedia,
+  roomId: string,
+  onProgress: (progress: number) => void
+): UploadTask => {
+  const xhr = new XMLHttpRequest()
+
+  const promise = new Promise<UploadResult>((resolve, reject) => {
+    const form = new FormData()
+    form.append('roomId', roomId)
+    const file = media.file || ({ uri: media.uri, name: media.name, type: media.mimeType } as unknown as Blob)
+    form.append('file', file, media.name)
+
+    xhr.open('POST', `${API_BASE}/upload`)
+    xhr.setRequestHeader('Authorization', `Bearer ${getAuthToken()}`)
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onProgress(event.loaded / event.total)
+    }
+    xhr.onload = () => {
+      let data: any = null
+      try {
+        data = JSON.parse(xhr.responseText)
+      } catch {
+        // 不是 JSON（例如网关错误页），按失败处理
+      }
+      if (data && data.success) {
+        resolve(data)
+      } else {
+        reject(new Error((data && data.error) || '上传失败'))
+      }
+    }
+    xhr.onerror = () => reject(new Error('网络错误，上传失败'))
+    xhr.onabort = () => reject(new UploadCancelledError())
+    xhr.send(form)
+  })
+
+  return { promise, cancel: () => xhr.abort() }
+}
+
+// 未完成的分块上传会话，按房间 + 文件记录；重试同一个文件时从服务器已收到的分块继续
+const uploadSessions = new Map<string, string>()
+
+// 服务器明确拒绝（而不是网络中断）时抛出，不再重试
+class UploadRejectedError extends Error {
+  constructor(message: string, public status: number) {
+    super(message)
+  }
+}
+
+const sha256Hex = async (data: ArrayBuffer) => {
+  const digest = await crypto.subtle.digest('SHA-256', data)
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+// 调用 /upload/sessions 接口，失败时区分服务器拒绝和网络错误
+const sessionRequest = async (path: string, options: RequestInit) => {
+  const res = await apiFetch(`/upload/sessions${path}`, options)
+  const data = await res.json().catch(() => null)
+  if (!data || !data.success) {
+    throw new UploadRejectedError((data && data.error) || '上传失败', res.status)
+  }
+  return data
+}
+
+// 分块上传：创建（或恢复）会话，逐块带 SHA-256 上传，网络中断时重试当前分块，最后合并
+const uploadInChunks = (
+  media: PickedMedia,
+  roomId: string,
+  onProgress: (progress: number) => void
+): UploadTask => {
+  const file = media.file as Blob
+  const key = `${roomId}:${media.name}:${media.size}`
+  const controller = new AbortController()
+  let cancelled = false
+
+  const openSession = async (): Promise<{ sessionId: string, chunkSize: number, totalChunks: number, received: number[] }> => {
+    const existing = uploadSessions.get(key)
+    if (existing) {
+      try {
+        return await sessionRequest(`/${existing}`, { signal: controller.signal })
+      } catch (e) {
+        if (!(e instanceof UploadRejectedError)) throw e
+        uploadSessions.delete(key) // 已过期或已完成，重新开始
+      }
+    }
+    const session = await sessionRequest('', {
+      method: 'POST',
+      body: JSON.stringify({ roomId, fileName: media.name, fileSize: media.size, mimeType: media.mimeType, chunkSize: CHUNK_SIZE }),
+      signal: controller.signal,
+    })
+    uploadSessions.set(key, session.sessionId)
+    return session
+  }
+
+  const sendChunk = async (sessionId: string, index: number, data: ArrayBuffer, checksum: string) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await sessionRequest(`/${sessionId}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': checksum },
+          body: data,
+          signal: controller.signal,
+        })
+      } catch (e) {
+        if (cancelled) throw new UploadCancelledError()
+        if (e instanceof UploadRejectedError || attempt >= MAX_CHUNK_ATTEMPTS) throw e
+        await wait(CHUNK_RETRY_DELAY * attempt)
+      }
+    }
+  }
+
+  const run = async (): Promise<UploadResult> => {
+    const session = await openSession()
+    const received = new Set(session.received)
+    onProgress(received.size / session.totalChunks)
+
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (received.has(index)) continue
+      const data = await file.slice(index * session.chunkSize, (index + 1) * session.chunkSize).arrayBuffer()
+      await sendChunk(session.sessionId, index, data, await sha256Hex(data))
+      received.add(index)
+      onProgress(received.size / session.totalChunks)
+    }
+
+    const result = await sessionRequest(`/${session.sessionId}/complete`, { method: 'POST', body: '{}' })
+    uploadSessions.delete(key)
+    return result
+  }
+
+  const promise = run().catch((e) => {
+    if (cancelled) throw new UploadCancelledError()
+    if (e instanceof UploadRejectedError) throw e
+    throw new Error('网络错误，上传失败')
+  })
+
+  const cancel = () => {
+    cancelled = true
+    controller.abort()
+    const sessionId = uploadSessions.get(key)
+    uploadSessions.delete(key)
+    if (sessionId) {
+      apiFetch(`/upload/sessions/${sessionId}`, { method: 'DELETE' }).catch(() => {})
+    }
+  }
+
+  return { promise, cancel }
+}
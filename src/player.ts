@@ -0,0 +1,72 @@
+import { API_BASE, getAuthToken } from './api.js'
+
+// 音频 / 视频播放：由宿主 App 注册的 MediaPlayerModule 提供，同一时间只播放一个文件
+// （视频由宿主在播放窗口中显示）。宿主按 Range 请求分段下载，时间单位都是秒。
+interface NativePlayer {
+  play: (options: { url: string, type: 'audio' | 'video', position: number }, callback: (result: { error?: string }) => void) => void
+  pause: () => void
+  seek: (position: number) => void
+  stop: () => void
+  getState: (callback: (state: NativePlaybackState) => void) => void
+}
+
+interface NativePlaybackState {
+  position: number
+  duration: number
+  playing: boolean
+  ended: boolean
+}
+
+export type PlaybackStatus = 'loading' | 'playing' | 'paused' | 'ended'
+
+// 某条消息的播放状态
+export interface PlaybackState {
+  messageId: string
+  status: PlaybackStatus
+  position: number
+  duration: number
+}
+
+const nativePlayer = (): NativePlayer | null => {
+  const modules = typeof NativeModules === 'undefined' ? null : NativeModules
+  return modules && modules.MediaPlayerModule ? modules.MediaPlayerModule : null
+}
+
+const requirePlayer = (): NativePlayer => {
+  const player = nativePlayer()
+  if (!player) throw new Error('当前环境不支持播放')
+  return player
+}
+
+// 上传文件的下载地址；播放器和 <image> 不能带 Authorization 头，token 放在查询参数里
+export const mediaUrl = (path: string) =>
+  `${API_BASE}${path}?token=${encodeURIComponent(getAuthToken())}`
+
+// 从 position 开始播放，宿主开始播放（或失败）后 promise 结束
+export const playMedia = (path: string, type: 'audio' | 'video', position: number): Promise<void> => {
+  const player = requirePlayer()
+  return new Promise((resolve, reject) => {
+    player.play({ url: mediaUrl(path), type, position }, (result) => {
+      if (result && result.error) {
+        reject(new Error(result.error))
+      } else {
+        resolve()
+      }
+    })
+  })
+}
+
+export const pauseMedia = () => requirePlayer().pause()
+
+export const seekMedia = (position: number) => requirePlayer().seek(position)
+
+// 停止播放；没有播放器时什么也不做
+export const stopMedia = () => {
+  const player = nativePlayer()
+  if (player) player.stop()
+}
+
+export const getPlaybackState = (): Promise<NativePlaybackState> => {
+  const player = requirePlayer()
+  return new Promise(resolve => player.getState(resolve))
+}
@@ -0,0 +1,52 @@
+// 本地持久化存储
+// 宿主 App 注册了 NativeLocalStorageModule 时写入原生存储，在 Web 上使用 localStorage，
+// 都没有时只保存在内存中（重启后丢失，但离线队列在本次运行中仍然有效）
+
+interface NativeStorage {
+  getStorageItem: (key: string) => string | null | undefined
+  setStorageItem: (key: string, value: string) => void
+}
+
+const memory = new Map<string, string>()
+
+const nativeStorage = (): NativeStorage | null => {
+  const modules = typeof NativeModules === 'undefined' ? null : NativeModules
+  return modules && modules.NativeLocalStorageModule ? modules.NativeLocalStorageModule : null
+}
+
+const readItem = (key: string): string | null => {
+  const native = nativeStorage()
+  if (native) return native.getStorageItem(key) || null
+  if (typeof localStorage !== 'undefined') return localStorage.getItem(key)
+  return memory.get(key) ?? null
+}
+
+const writeItem = (key: string, value: string) => {
+  const native = nativeStorage()
+  if (native) {
+    native.setStorageItem(key, value)
+  } else if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(key, value)
+  } else {
+    memory.set(key, value)
+  }
+}
+
+// 读取 JSON，不存在或已损坏时返回默认值
+export const loadJSON = <T>(key: string, fallback: T): T => {
+  try {
+    const value = readItem(key)
+    return value ? JSON.parse(value) as T : fallback
+  } catch {
+    return fallback
+  }
+}
+
+// 写入 JSON；存储不可用（例如空间已满）时放弃，不影响聊天
+export const saveJSON = (key: string, value: unknown) => {
+  try {
+    writeItem(key, JSON.stringify(value))
+  } catch {
+    // 写不进去时数据仍保留在页面状态中，只是重启后不再恢复
+  }
+}